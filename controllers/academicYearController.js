@@ -0,0 +1,427 @@
+// server/controllers/academicYearController.js
+//
+// Year-end rollover. Students, classes and teacher assignments only describe the
+// current year, so before they move on the outgoing year is archived:
+//   academic_year_archives  one row per school and year: classes, teacher assignments
+//                           and the roster as they were, frozen
+//   student_year_records    one row per student and year: class-section and outcome
+//                           (promoted, detained, graduated, left)
+// Exam results keep the class-section they were written with, so they stay queryable
+// per year without being copied.
+import { createClient } from '@supabase/supabase-js';
+import { STUDENT_COLUMNS, normalizeAcademicYear, parseClassSection } from './schoolController.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const ARCHIVE_COLUMNS = 'id, school_id, academic_year, next_academic_year, status, summary, error, rolled_over_by, rolled_over_at, completed_at';
+
+export const STUDENT_OUTCOMES = ['promoted', 'detained', 'graduated', 'left'];
+
+const classKey = (classValue, sectionValue) => `${classValue}-${sectionValue}`;
+
+const isNumericClass = (classValue) => /^\d+$/.test(String(classValue));
+
+export const nextAcademicYear = (academicYear) => {
+  const year = normalizeAcademicYear(academicYear);
+  if (!year) return null;
+  const start = parseInt(year, 10) + 1;
+  return `${start}-${start + 1}`;
+};
+
+// Numeric classes in order, then the rest alphabetically
+const compareClasses = (a, b) => {
+  if (isNumericClass(a) && isNumericClass(b)) return Number(a) - Number(b);
+  if (isNumericClass(a) !== isNumericClass(b)) return isNumericClass(a) ? -1 : 1;
+  return String(a).localeCompare(String(b));
+};
+
+const loadArchive = async (school_id, academic_year) => {
+  const { data, error } = await supabase
+    .from('academic_year_archives')
+    .select(ARCHIVE_COLUMNS)
+    .eq('school_id', school_id)
+    .eq('academic_year', academic_year)
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+};
+
+// ✅ Work out where every active student goes. Each class-section moves to the one named
+// in sectionMap ("6-A": "7-B"), or else to the next numeric class with the same section;
+// students of the graduating classes graduate. detain keeps students where they are and
+// leave withdraws them. Returns { plan } or { status, error }.
+export const planRollover = ({ students, classes, sectionMap = {}, detain = [], leave = [], graduatingClasses }) => {
+  const byStudentId = new Map(students.map((s) => [String(s.student_id), s]));
+  const unknown = [...detain, ...leave].map(String).filter((id) => !byStudentId.has(id));
+  if (unknown.length) {
+    return { status: 400, error: `Not active students of this school: ${unknown.join(', ')}` };
+  }
+  const both = detain.map(String).filter((id) => leave.map(String).includes(id));
+  if (both.length) {
+    return { status: 400, error: `Students both detained and leaving: ${both.join(', ')}` };
+  }
+
+  const targets = {};
+  for (const [from, to] of Object.entries(sectionMap)) {
+    const source = parseClassSection(from);
+    const target = parseClassSection(to);
+    if (!source || !target) {
+      return { status: 400, error: `section_map entries look like "6-A": "7-A", got "${from}": "${to}"` };
+    }
+    targets[classKey(source.classValue, source.sectionValue)] = target;
+  }
+
+  const classValues = [...new Set(classes.map((c) => String(c.class)))].sort(compareClasses);
+  const numeric = classValues.filter(isNumericClass);
+  const graduating = new Set((graduatingClasses || (numeric.length ? [numeric[numeric.length - 1]] : [])).map(String));
+
+  const classByKey = new Map(classes.map((c) => [classKey(c.class, c.section), c]));
+  const detained = new Set(detain.map(String));
+  const leaving = new Set(leave.map(String));
+  const moves = [];
+  const unmapped = new Set();
+
+  for (const student of students) {
+    const from = classKey(student.class, student.section);
+    const base = { id: student.id, student_id: student.student_id, roll_no: student.roll_no, name: student.name, class: student.class, section: student.section };
+
+    if (leaving.has(String(student.student_id))) {
+      moves.push({ ...base, outcome: 'left', next_class: null, next_section: null });
+    } else if (detained.has(String(student.student_id))) {
+      moves.push({ ...base, outcome: 'detained', next_class: student.class, next_section: student.section });
+    } else if (targets[from]) {
+      moves.push({ ...base, outcome: 'promoted', next_class: targets[from].classValue, next_section: targets[from].sectionValue });
+    } else if (graduating.has(String(student.class))) {
+      moves.push({ ...base, outcome: 'graduated', next_class: null, next_section: null });
+    } else if (isNumericClass(student.class)) {
+      moves.push({ ...base, outcome: 'promoted', next_class: String(Number(student.class) + 1), next_section: student.section });
+    } else {
+      unmapped.add(from);
+    }
+  }
+
+  // Students meeting in one class-section next year must not share a roll number
+  const seats = new Map();
+  for (const move of moves.filter((m) => m.next_class)) {
+    const seat = `${classKey(move.next_class, move.next_section)}|${move.roll_no}`;
+    if (!seats.has(seat)) seats.set(seat, []);
+    seats.get(seat).push(move.student_id);
+  }
+  const rollConflicts = [...seats.entries()]
+    .filter(([, ids]) => ids.length > 1)
+    .map(([seat, ids]) => {
+      const [classSection, roll_no] = seat.split('|');
+      return { class_section: classSection, roll_no, student_ids: ids };
+    });
+
+  // Class-sections students move into that the school does not have yet, set up like the one they come from
+  const newClasses = new Map();
+  for (const move of moves.filter((m) => m.outcome === 'promoted')) {
+    const key = classKey(move.next_class, move.next_section);
+    if (classByKey.has(key) || newClasses.has(key)) continue;
+    const source = classByKey.get(classKey(move.class, move.section));
+    newClasses.set(key, {
+      class: move.next_class,
+      section: move.next_section,
+      foundation: source?.foundation ?? null,
+      program: source?.program ?? null,
+      group: source?.group ?? null,
+      num_students: source?.num_students ?? 0
+    });
+  }
+
+  return {
+    plan: {
+      moves,
+      graduatingClasses: [...graduating],
+      unmapped: [...unmapped],
+      rollConflicts,
+      newClasses: [...newClasses.values()]
+    }
+  };
+};
+
+const summarizeRollover = (plan) => ({
+  students: plan.moves.length,
+  ...Object.fromEntries(STUDENT_OUTCOMES.map((outcome) => [outcome, plan.moves.filter((m) => m.outcome === outcome).length])),
+  new_classes: plan.newClasses.length,
+  unmapped_class_sections: plan.unmapped.length,
+  roll_no_conflicts: plan.rollConflicts.length
+});
+
+// Per class-section: where its students go
+const describeSections = (plan) => {
+  const sections = new Map();
+  for (const move of plan.moves) {
+    const key = classKey(move.class, move.section);
+    if (!sections.has(key)) sections.set(key, { class_section: key, ...Object.fromEntries(STUDENT_OUTCOMES.map((o) => [o, 0])), promoted_to: [] });
+    const section = sections.get(key);
+    section[move.outcome] += 1;
+    if (move.outcome === 'promoted') {
+      const target = classKey(move.next_class, move.next_section);
+      if (!section.promoted_to.includes(target)) section.promoted_to.push(target);
+    }
+  }
+  return [...sections.values()].sort((a, b) => compareClasses(a.class_section.split('-')[0], b.class_section.split('-')[0]) || a.class_section.localeCompare(b.class_section));
+};
+
+// Promoted students grouped by the class-section they move into, higher classes first
+// so a class-section is emptied before the one below moves in
+export const promotionGroups = (plan) => {
+  const groups = new Map();
+  for (const move of plan.moves.filter((m) => m.outcome === 'promoted')) {
+    const key = classKey(move.next_class, move.next_section);
+    if (!groups.has(key)) groups.set(key, { class: move.next_class, section: move.next_section, from: move.class, ids: [] });
+    groups.get(key).ids.push(String(move.id));
+  }
+  return [...groups.values()]
+    .sort((a, b) => compareClasses(b.from, a.from))
+    .map(({ from, ...group }) => group);
+};
+
+// ✅ POST /api/schools/:school_id/rollover[?dry_run=true] - Close the academic year and start the next
+// body: { to_academic_year?, section_map?: { "6-A": "7-B" }, detain?: [student_id], leave?: [student_id], graduating_classes?: ["10"] }
+export const rolloverAcademicYear = async (req, res) => {
+  const { school_id } = req.params;
+  const dryRun = req.query.dry_run === 'true';
+  const {
+    to_academic_year,
+    section_map = {},
+    detain = [],
+    leave = [],
+    graduating_classes
+  } = req.body || {};
+
+  if (!Array.isArray(detain) || !Array.isArray(leave) || (graduating_classes && !Array.isArray(graduating_classes))) {
+    return res.status(400).json({ error: 'detain, leave and graduating_classes must be arrays' });
+  }
+  if (typeof section_map !== 'object' || Array.isArray(section_map)) {
+    return res.status(400).json({ error: 'section_map must be an object like { "6-A": "7-A" }' });
+  }
+
+  try {
+    const { data: school, error: schoolError } = await supabase
+      .from('schools')
+      .select('school_id, school_name, academic_year')
+      .eq('school_id', school_id)
+      .maybeSingle();
+
+    if (schoolError) throw schoolError;
+    if (!school) return res.status(404).json({ error: 'School not found' });
+
+    const fromYear = normalizeAcademicYear(school.academic_year);
+    if (!fromYear) {
+      return res.status(400).json({ error: `The school's academic year "${school.academic_year}" is not a year range like 2025-2026` });
+    }
+    const toYear = to_academic_year ? normalizeAcademicYear(to_academic_year) : nextAcademicYear(fromYear);
+    if (toYear !== nextAcademicYear(fromYear)) {
+      return res.status(400).json({ error: `${fromYear} rolls over into ${nextAcademicYear(fromYear)}, not ${to_academic_year}` });
+    }
+
+    // A failed attempt changed nothing and may be retried; its archive is replaced
+    const existingArchive = await loadArchive(school_id, fromYear);
+    if (existingArchive && existingArchive.status !== 'failed') {
+      return res.status(409).json({ error: `${fromYear} has already been rolled over`, archive: existingArchive });
+    }
+
+    const [studentsResult, classesResult, assignmentsResult] = await Promise.all([
+      supabase.from('students').select(STUDENT_COLUMNS).eq('school_id', school_id).is('withdrawn_at', null).is('deleted_at', null),
+      supabase.from('classes').select('id, class, section, foundation, program, "group", num_students, academic_year').eq('school_id', school_id).is('deleted_at', null),
+      supabase.from('teacher_assignments').select('id, teacher_id, class, section, subject').eq('school_id', school_id).is('deleted_at', null)
+    ]);
+    for (const { error } of [studentsResult, classesResult, assignmentsResult]) {
+      if (error) throw error;
+    }
+
+    const { plan, status, error } = planRollover({
+      students: studentsResult.data || [],
+      classes: classesResult.data || [],
+      sectionMap: section_map,
+      detain,
+      leave,
+      graduatingClasses: graduating_classes
+    });
+    if (error) return res.status(status).json({ error });
+
+    const summary = summarizeRollover(plan);
+    const report = {
+      school_id,
+      from_academic_year: fromYear,
+      to_academic_year: toYear,
+      graduating_classes: plan.graduatingClasses,
+      summary,
+      sections: describeSections(plan),
+      new_classes: plan.newClasses,
+      unmapped_class_sections: plan.unmapped,
+      roll_no_conflicts: plan.rollConflicts,
+      // Class-sections move into the new year; assignments stay with their class-section
+      carried_forward: {
+        academic_year: toYear,
+        class_sections: (classesResult.data || []).length + plan.newClasses.length,
+        teacher_assignments: (assignmentsResult.data || []).length
+      }
+    };
+    console.log('📅 Rollover plan:', school_id, fromYear, '->', toYear, summary);
+
+    if (dryRun) {
+      return res.json({ dry_run: true, ...report, students: plan.moves });
+    }
+
+    if (plan.unmapped.length) {
+      return res.status(400).json({ error: `No next class for ${plan.unmapped.join(', ')}. Add them to section_map.`, ...report });
+    }
+    if (plan.rollConflicts.length) {
+      return res.status(409).json({ error: 'Students would share a roll number next year. Resolve the conflicts first.', ...report });
+    }
+
+    // Archive, outcomes, new class-sections, moves and the new year in one transaction
+    // (sql/apply_rollover.sql): a failure leaves the school as it was
+    const { data: archive, error: rolloverError } = await supabase
+      .rpc('apply_rollover', {
+        p_school_id: school_id,
+        p_archive: {
+          academic_year: fromYear,
+          next_academic_year: toYear,
+          classes: classesResult.data || [],
+          teacher_assignments: assignmentsResult.data || [],
+          students: studentsResult.data || [],
+          summary,
+          rolled_over_by: req.user?.id ? String(req.user.id) : null
+        },
+        p_records: plan.moves.map((move) => ({
+          student_id: move.student_id,
+          roll_no: move.roll_no,
+          name: move.name,
+          class: move.class,
+          section: move.section,
+          outcome: move.outcome,
+          next_class: move.next_class,
+          next_section: move.next_section
+        })),
+        p_new_classes: plan.newClasses,
+        p_promotions: promotionGroups(plan),
+        p_withdrawn_ids: plan.moves.filter((m) => m.outcome === 'graduated' || m.outcome === 'left').map((m) => String(m.id))
+      })
+      .select('id')
+      .single();
+
+    if (rolloverError) {
+      if (rolloverError.code === '23505') {
+        return res.status(409).json({ error: `${fromYear} has already been rolled over` });
+      }
+      console.error('💥 Rollover failed:', rolloverError);
+      return res.status(500).json({ error: 'Rollover failed, nothing was changed', details: rolloverError.message });
+    }
+
+    return res.json({
+      success: true,
+      message: `${school.school_name} moved from ${fromYear} to ${toYear}`,
+      archive_id: archive.id,
+      ...report
+    });
+  } catch (err) {
+    console.error('Rollover error:', err);
+    return res.status(500).json({ error: 'Internal server error', details: err.message });
+  }
+};
+
+// ✅ GET /api/schools/:school_id/academic-years - The current year and the archived ones
+export const getSchoolAcademicYears = async (req, res) => {
+  const { school_id } = req.params;
+
+  try {
+    const { data: school, error: schoolError } = await supabase
+      .from('schools')
+      .select('school_id, academic_year')
+      .eq('school_id', school_id)
+      .maybeSingle();
+
+    if (schoolError) throw schoolError;
+    if (!school) return res.status(404).json({ error: 'School not found' });
+
+    const { data, error } = await supabase
+      .from('academic_year_archives')
+      .select(ARCHIVE_COLUMNS)
+      .eq('school_id', school_id)
+      .order('rolled_over_at', { ascending: false });
+    if (error) throw error;
+
+    return res.json({
+      current: { academic_year: school.academic_year, since: data?.[0]?.rolled_over_at || null },
+      archived: data || []
+    });
+  } catch (err) {
+    console.error('Get academic years error:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// ✅ GET /api/schools/:school_id/academic-years/:academic_year - An archived year: its classes,
+// teacher assignments, students with their outcomes, and the exams held that year
+export const getArchivedAcademicYear = async (req, res) => {
+  const { school_id } = req.params;
+  const academicYear = normalizeAcademicYear(req.params.academic_year);
+
+  if (!academicYear) {
+    return res.status(400).json({ error: 'academic_year must look like 2025-2026' });
+  }
+
+  try {
+    const { data: archive, error } = await supabase
+      .from('academic_year_archives')
+      .select(`${ARCHIVE_COLUMNS}, classes, teacher_assignments`)
+      .eq('school_id', school_id)
+      .eq('academic_year', academicYear)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!archive) return res.status(404).json({ error: `${academicYear} has not been archived for this school` });
+
+    const { data: records, error: recordsError } = await supabase
+      .from('student_year_records')
+      .select('student_id, roll_no, name, class, section, outcome, next_class, next_section')
+      .eq('school_id', school_id)
+      .eq('academic_year', academicYear)
+      .order('class', { ascending: true })
+      .order('section', { ascending: true });
+    if (recordsError) throw recordsError;
+
+    // The year's exams: held after the previous rollover and before this one
+    const { data: previous, error: previousError } = await supabase
+      .from('academic_year_archives')
+      .select('rolled_over_at')
+      .eq('school_id', school_id)
+      .lt('rolled_over_at', archive.rolled_over_at)
+      .order('rolled_over_at', { ascending: false })
+      .limit(1);
+    if (previousError) throw previousError;
+
+    let examQuery = supabase
+      .from('exams')
+      .select('program, exam_pattern, class, section, exam_date')
+      .eq('school_id', school_id)
+      .lt('exam_date', archive.rolled_over_at.slice(0, 10));
+    if (previous?.length) examQuery = examQuery.gte('exam_date', previous[0].rolled_over_at.slice(0, 10));
+    const { data: examRows, error: examError } = await examQuery;
+    if (examError) throw examError;
+
+    const exams = new Map();
+    for (const row of examRows || []) {
+      const key = [row.program, row.exam_pattern, row.class, row.section, row.exam_date].join('|');
+      if (!exams.has(key)) exams.set(key, { ...row, students: 0 });
+      exams.get(key).students += 1;
+    }
+
+    return res.json({
+      data: archive,
+      students: records || [],
+      exams: [...exams.values()].sort((a, b) => String(a.exam_date).localeCompare(String(b.exam_date)))
+    });
+  } catch (err) {
+    console.error('Get archived academic year error:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
@@ -0,0 +1,133 @@
+// server/controllers/answerKeyController.js
+import { createClient } from '@supabase/supabase-js';
+import { scopeSchoolIds } from '../middleware/permissions.js';
+import { findExamPattern, checkPatternForProgram } from './examPatternController.js';
+import { answerKeyFromRecords, normalizeAnswerKey } from '../utils/answerKeys.js';
+import { isSupportedSpreadsheet, parseSpreadsheet } from '../utils/spreadsheet.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const KEY_COLUMNS = 'id, school_id, program, exam_pattern, exam_date, questions, corrections, created_by, created_at, updated_at';
+const KEY_SUMMARY_COLUMNS = 'id, school_id, program, exam_pattern, exam_date, created_by, created_at, updated_at';
+
+// Filter on one exam's key context; a missing date must match NULL, not the string 'null'
+const whereKeyContext = (query, { school_id, program, exam_pattern, exam_date }) => {
+  const filtered = query.eq('school_id', school_id).eq('program', program).eq('exam_pattern', exam_pattern);
+  return exam_date ? filtered.eq('exam_date', exam_date) : filtered.is('exam_date', null);
+};
+
+// ✅ The answer key for an exam context (school, program, pattern, date), or null
+export const findAnswerKey = async (context) => {
+  const { data, error } = await whereKeyContext(supabase.from('answer_keys').select(KEY_COLUMNS), context).maybeSingle();
+  if (error) throw error;
+  return data;
+};
+
+export const loadAnswerKey = async (id) => {
+  const { data, error } = await supabase.from('answer_keys').select(KEY_COLUMNS).eq('id', id).maybeSingle();
+  if (error) throw error;
+  return data;
+};
+
+// Questions from a JSON `questions` array, or an uploaded sheet (Question, Answer, Subject, Marks?, Negative Marks?)
+const readKeyQuestions = async (req) => {
+  if (req.file) return answerKeyFromRecords(await parseSpreadsheet(req.file, { raw: false }));
+
+  const { questions } = req.body;
+  if (typeof questions === 'string') return JSON.parse(questions);
+  return questions;
+};
+
+// ✅ POST /api/answer-keys - Upload the answer key for an exam
+// JSON { school_id, program, exam_pattern, exam_date?, questions: [...] } or multipart with `file`
+export const createAnswerKey = async (req, res) => {
+  const { school_id, program, exam_pattern, exam_date } = req.body;
+
+  if (!school_id || !program || !exam_pattern) {
+    return res.status(400).json({ error: 'Missing required fields: school_id, program, exam_pattern' });
+  }
+  if (exam_date && isNaN(Date.parse(exam_date))) {
+    return res.status(400).json({ error: 'Invalid exam_date format. Use YYYY-MM-DD.' });
+  }
+  if (req.file && !isSupportedSpreadsheet(req.file.originalname)) {
+    return res.status(400).json({ error: 'Unsupported file format. Use CSV, XLSX, or XLS.' });
+  }
+
+  try {
+    const pattern = await findExamPattern(exam_pattern);
+    const patternError = checkPatternForProgram(pattern, exam_pattern, program);
+    if (patternError) return res.status(400).json({ error: patternError });
+
+    let rawQuestions;
+    try {
+      rawQuestions = await readKeyQuestions(req);
+    } catch (err) {
+      return res.status(400).json({ error: 'Could not read the answer key', details: err.message });
+    }
+
+    const { questions, errors } = normalizeAnswerKey(rawQuestions, pattern);
+    if (errors.length) {
+      return res.status(400).json({ error: 'Invalid answer key', details: errors });
+    }
+
+    const context = { school_id, program, exam_pattern: pattern.code, exam_date: exam_date || null };
+    if (await findAnswerKey(context)) {
+      return res.status(409).json({ error: 'An answer key already exists for this exam' });
+    }
+
+    const now = new Date().toISOString();
+    const { data, error } = await supabase
+      .from('answer_keys')
+      .insert([{ ...context, questions, corrections: [], created_by: req.user?.id ? String(req.user.id) : null, created_at: now, updated_at: now }])
+      .select(KEY_COLUMNS)
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({ error: 'An answer key already exists for this exam' });
+      }
+      throw error;
+    }
+
+    return res.status(201).json({ data, question_count: questions.length });
+  } catch (err) {
+    console.error('Create answer key error:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// ✅ GET /api/answer-keys?school_id=&program=&exam_pattern= - List answer keys (without questions)
+export const listAnswerKeys = async (req, res) => {
+  try {
+    let query = supabase.from('answer_keys').select(KEY_SUMMARY_COLUMNS).order('created_at', { ascending: false });
+
+    const allowedSchoolIds = scopeSchoolIds(req.scope);
+    if (allowedSchoolIds) query = query.in('school_id', allowedSchoolIds);
+    if (req.query.school_id) query = query.eq('school_id', req.query.school_id);
+    if (req.query.program) query = query.eq('program', req.query.program);
+    if (req.query.exam_pattern) query = query.eq('exam_pattern', String(req.query.exam_pattern).toUpperCase());
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    return res.json({ data: data || [] });
+  } catch (err) {
+    console.error('List answer keys error:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// ✅ GET /api/answer-keys/:id - One answer key with its questions
+export const getAnswerKey = async (req, res) => {
+  try {
+    const key = await loadAnswerKey(req.params.id);
+    if (!key) return res.status(404).json({ error: 'Answer key not found' });
+    return res.json({ data: key });
+  } catch (err) {
+    console.error('Get answer key error:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
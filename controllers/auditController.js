@@ -0,0 +1,60 @@
+// server/controllers/auditController.js
+import { createClient } from '@supabase/supabase-js';
+import { scopeSchoolIds } from '../middleware/permissions.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+// ✅ GET /api/audit?school_id=&actor_id=&action=&from=&to=&limit=&offset=
+export const getAuditLog = async (req, res) => {
+  const { school_id, actor_id, action, from, to } = req.query;
+  const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_LIMIT, MAX_LIMIT);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+  if (from && isNaN(Date.parse(from))) {
+    return res.status(400).json({ error: 'Invalid from date. Use YYYY-MM-DD or an ISO timestamp.' });
+  }
+  if (to && isNaN(Date.parse(to))) {
+    return res.status(400).json({ error: 'Invalid to date. Use YYYY-MM-DD or an ISO timestamp.' });
+  }
+
+  try {
+    let query = supabase
+      .from('audit_log')
+      .select('*', { count: 'exact' })
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    // Owners only see entries for their schools; entries without a school are admin-only
+    const allowedSchoolIds = scopeSchoolIds(req.scope);
+    if (allowedSchoolIds) {
+      query = query.in('school_id', allowedSchoolIds);
+    }
+
+    if (school_id) query = query.eq('school_id', school_id);
+    if (actor_id) query = query.eq('actor_id', actor_id);
+    // "school" matches school.create, school.delete, school.logo.update …
+    if (action) query = action.includes('.') ? query.eq('action', action) : query.like('action', `${action}.%`);
+    if (from) query = query.gte('created_at', new Date(from).toISOString());
+    // A bare date for "to" includes that whole day
+    if (to) {
+      const toDate = /^\d{4}-\d{2}-\d{2}$/.test(to)
+        ? new Date(Date.parse(to) + 24 * 60 * 60 * 1000)
+        : new Date(to);
+      query = query.lt('created_at', toDate.toISOString());
+    }
+
+    const { data, error, count } = await query;
+    if (error) throw error;
+
+    return res.json({ data: data || [], total: count ?? null, limit, offset });
+  } catch (err) {
+    console.error('Get audit log error:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
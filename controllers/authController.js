@@ -1,60 +1,369 @@
 // server/controllers/authController.js
 import { createClient } from '@supabase/supabase-js';
+import {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions
+} from '../utils/tokens.js';
+import {
+  hashPassword,
+  verifyPassword,
+  generateTemporaryPassword,
+  validateNewPassword
+} from '../utils/passwords.js';
+import { STUDENT_COLUMNS } from './schoolController.js';
+import { OWNER_COLUMNS, BOOTSTRAP_OWNER_ID, loadOwnerSchools } from './ownerController.js';
+import {
+  listThrottleRecords,
+  clearThrottleRecord,
+  accountKey,
+  ipKey
+} from '../middleware/loginThrottle.js';
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
   process.env.SUPABASE_SERVICE_ROLE_KEY
 );
 
-// Mock credentials (DEV ONLY)
-const OWNER_USERNAME = process.env.OWNER_USERNAME || 'owner';
-const OWNER_PASSWORD = process.env.OWNER_PASSWORD || 'owner@123';
+// Where each role's credentials live, and the column that identifies the user
+const CREDENTIAL_TABLES = {
+  ADMIN: { table: 'owners', idColumn: 'id', schoolScoped: false },
+  SCHOOL_OWNER: { table: 'owners', idColumn: 'id', schoolScoped: false },
+  TEACHER: { table: 'teachers', idColumn: 'teacher_id', schoolScoped: true },
+  STUDENT: { table: 'students', idColumn: 'student_id', schoolScoped: true }
+};
 
+const OWNER_LOGIN_ROLES = ['SCHOOL_OWNER', 'ADMIN'];
+
+// Bootstrap admin from env — only used to create the first owner accounts
+const BOOTSTRAP_USERNAME = process.env.OWNER_USERNAME;
+const BOOTSTRAP_PASSWORD = process.env.OWNER_PASSWORD;
+
+const isBootstrapLogin = (username, password) =>
+  Boolean(BOOTSTRAP_USERNAME && BOOTSTRAP_PASSWORD) &&
+  username === BOOTSTRAP_USERNAME &&
+  password === BOOTSTRAP_PASSWORD;
+
+const findOwner = async (username) => {
+  const { data, error } = await supabase
+    .from('owners')
+    .select(`${OWNER_COLUMNS}, password_hash`)
+    .eq('username', String(username).trim())
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+// ✅ POST /api/login/login - Owner/admin login; returns the schools the account manages
 export const login = async (req, res) => {
-  const { username, password, role } = req.body;
+  const { username, password, role } = req.body || {};
 
-  if (role !== 'SCHOOL_OWNER') {
-    return res.status(400).json({ error: 'Only SCHOOL_OWNER login supported' });
+  if (role && !OWNER_LOGIN_ROLES.includes(role)) {
+    return res.status(400).json({ error: 'Only SCHOOL_OWNER or ADMIN login supported here' });
   }
 
-  if (username !== OWNER_USERNAME || password !== OWNER_PASSWORD) {
-    return res.status(401).json({ error: 'Invalid credentials' });
+  if (!username || !password) {
+    return res.status(400).json({ error: 'username and password are required' });
   }
 
   try {
-    const mockSchoolId = 'TS2501';
-
-    const { data: school, error: schoolError } = await supabase
-      .from('school_list')
-      .select('*')
-      .eq('school_id', mockSchoolId)
-      .single();
-
-    if (schoolError && schoolError.code !== 'PGRST116') {
-      return res.status(404).json({ error: 'School not found' });
+    let owner;
+    if (isBootstrapLogin(username, password)) {
+      owner = { id: BOOTSTRAP_OWNER_ID, username, name: 'Administrator', email: null, is_admin: true, must_change_password: false };
+    } else {
+      const found = await findOwner(username);
+      if (!found || !(await verifyPassword(password, found.password_hash))) {
+        return res.status(401).json({ error: 'Invalid credentials' });
+      }
+      const { password_hash, ...profile } = found;
+      owner = profile;
     }
 
-    const { data: students, error: studentsError } = await supabase
-      .from('students')
-      .select('*')
-      .eq('school_id', mockSchoolId)
-      .order('class')
-      .order('section')
-      .order('roll_no');
+    const ownerRole = owner.is_admin ? 'ADMIN' : 'SCHOOL_OWNER';
+    const schools = await loadOwnerSchools(owner);
+    const defaultSchool = schools[0] || null;
+
+    // Students of the default school, as the dashboard expects on first load
+    let students = [];
+    if (defaultSchool) {
+      const { data, error: studentsError } = await supabase
+        .from('students')
+        .select(STUDENT_COLUMNS)
+        .eq('school_id', defaultSchool.school_id)
+        .order('class')
+        .order('section')
+        .order('roll_no');
 
-    if (studentsError && studentsError.code !== 'PGRST116') {
-      console.warn('Failed to load students:', studentsError);
+      if (studentsError) {
+        console.warn('Failed to load students:', studentsError);
+      }
+      students = data || [];
     }
 
+    const session = await createSession({
+      id: owner.id,
+      role: ownerRole,
+      school_id: null,
+      must_change_password: owner.must_change_password
+    });
+
     return res.json({
       success: true,
-      role: 'SCHOOL_OWNER',
-      school_id: mockSchoolId,
-      school: school || null,
-      students: students || [],
+      role: ownerRole,
+      must_change_password: Boolean(owner.must_change_password),
+      owner,
+      schools,
+      school_id: defaultSchool?.school_id || null,
+      school: defaultSchool,
+      students,
+      ...session
     });
   } catch (err) {
     console.error('Login error:', err);
     return res.status(500).json({ error: 'Internal server error during login' });
   }
-};
\ No newline at end of file
+};
+
+// ✅ POST /api/login/refresh - Exchange a refresh token for a new token pair
+export const refresh = async (req, res) => {
+  const { refresh_token } = req.body || {};
+
+  if (!refresh_token) {
+    return res.status(400).json({ error: 'refresh_token is required' });
+  }
+
+  try {
+    const session = await rotateSession(refresh_token);
+    if (!session) {
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
+
+    return res.json({ success: true, ...session });
+  } catch (err) {
+    console.error('Token refresh error:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// ✅ POST /api/login/logout - Revoke the current session (or all of the caller's sessions with { all: true })
+export const logout = async (req, res) => {
+  const { all } = req.body || {};
+
+  try {
+    if (all === true) {
+      await revokeAllSessions(req.user);
+    } else {
+      await revokeSession(req.user.session_id);
+    }
+
+    return res.json({ success: true, message: all === true ? 'All sessions revoked' : 'Logged out' });
+  } catch (err) {
+    console.error('Logout error:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// ✅ POST /api/login/change-password - Sets a new password (required after a temporary one)
+export const changePassword = async (req, res) => {
+  const { current_password, new_password } = req.body || {};
+  const credentials = CREDENTIAL_TABLES[req.user.role];
+
+  if (!credentials) {
+    return res.status(400).json({ error: `Password change is not supported for role ${req.user.role}` });
+  }
+
+  if (!current_password) {
+    return res.status(400).json({ error: 'current_password is required' });
+  }
+
+  const validationError = validateNewPassword(new_password, {
+    userId: req.user.id,
+    currentPassword: current_password
+  });
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  try {
+    let accountQuery = supabase
+      .from(credentials.table)
+      .select('id, password_hash')
+      .eq(credentials.idColumn, req.user.id);
+
+    if (credentials.schoolScoped) {
+      accountQuery = accountQuery.eq('school_id', req.user.school_id);
+    }
+
+    const { data: account, error } = await accountQuery.maybeSingle();
+
+    if (error || !account) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    if (!(await verifyPassword(current_password, account.password_hash))) {
+      return res.status(401).json({ error: 'Current password is incorrect' });
+    }
+
+    const { error: updateError } = await supabase
+      .from(credentials.table)
+      .update({
+        password_hash: await hashPassword(new_password),
+        must_change_password: false,
+        password_changed_at: new Date().toISOString()
+      })
+      .eq('id', account.id);
+
+    if (updateError) throw updateError;
+
+    // Old sessions (including this one) carry the "must change" flag — start fresh
+    await revokeAllSessions(req.user);
+    const session = await createSession({
+      id: req.user.id,
+      role: req.user.role,
+      school_id: req.user.school_id,
+      must_change_password: false
+    });
+
+    return res.json({ success: true, message: 'Password changed successfully', ...session });
+  } catch (err) {
+    console.error('Change password error:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// ✅ POST /api/login/reset-password - Owner issues a new temporary password to a teacher or student
+export const resetPassword = async (req, res) => {
+  const { role, school_id } = req.body || {};
+
+  const credentials = CREDENTIAL_TABLES[role];
+  if (!credentials || !credentials.schoolScoped) {
+    return res.status(400).json({ error: 'role must be TEACHER or STUDENT' });
+  }
+
+  // Teacher IDs are stored upper-case, the way they are typed at login
+  const id = role === 'TEACHER' ? String(req.body.id ?? '').trim().toUpperCase() : String(req.body.id ?? '').trim();
+
+  if (!id || !school_id) {
+    return res.status(400).json({ error: 'Missing required fields: id, school_id' });
+  }
+
+  try {
+    const temporaryPassword = generateTemporaryPassword();
+
+    const { data: account, error } = await supabase
+      .from(credentials.table)
+      .update({
+        password_hash: await hashPassword(temporaryPassword),
+        must_change_password: true,
+        password_changed_at: null
+      })
+      .eq(credentials.idColumn, id)
+      .eq('school_id', school_id)
+      .select(`id, ${credentials.idColumn}`)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!account) {
+      return res.status(404).json({ error: `${role === 'TEACHER' ? 'Teacher' : 'Student'} not found` });
+    }
+
+    await revokeAllSessions({ role, id: account[credentials.idColumn], school_id });
+
+    return res.json({
+      success: true,
+      role,
+      id: account[credentials.idColumn],
+      temporary_password: temporaryPassword
+    });
+  } catch (err) {
+    console.error('Reset password error:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Maps teacher/student IDs in throttle records to their school, so owners only see their own
+const schoolsForAccounts = async (records) => {
+  const schoolByAccount = {};
+
+  for (const role of Object.keys(CREDENTIAL_TABLES)) {
+    const { table, idColumn, schoolScoped } = CREDENTIAL_TABLES[role];
+    if (!schoolScoped) continue;
+
+    const ids = records.filter((r) => r.role === role).map((r) => r.id);
+    if (!ids.length) continue;
+
+    const { data, error } = await supabase
+      .from(table)
+      .select(`${idColumn}, school_id`)
+      .in(idColumn, ids);
+
+    if (error) throw error;
+    for (const row of data || []) {
+      schoolByAccount[`${role}:${row[idColumn]}`] = row.school_id;
+    }
+  }
+
+  return schoolByAccount;
+};
+
+const visibleToCaller = (scope, record, schoolByAccount) => {
+  if (scope.allSchools) return true;
+  if (record.kind !== 'account') return false;
+  const schoolId = schoolByAccount[`${record.role}:${record.id}`];
+  return Boolean(schoolId && scope.schoolIds.includes(schoolId));
+};
+
+// ✅ GET /api/login/lockouts - Throttled/locked login records (admins also see IPs and owner accounts)
+export const listLockouts = async (req, res) => {
+  try {
+    const records = await listThrottleRecords();
+    const schoolByAccount = req.scope.allSchools ? {} : await schoolsForAccounts(records);
+
+    const data = records
+      .filter((record) => visibleToCaller(req.scope, record, schoolByAccount))
+      .map((record) => ({
+        ...record,
+        school_id: record.kind === 'account' ? schoolByAccount[`${record.role}:${record.id}`] || null : null
+      }))
+      .sort((a, b) => Number(b.locked) - Number(a.locked) || b.failures - a.failures);
+
+    return res.json({ data });
+  } catch (err) {
+    console.error('List lockouts error:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// ✅ DELETE /api/login/lockouts - Clear one record: JSON { role, id } for an account or { ip }
+export const clearLockout = async (req, res) => {
+  const { role, id, ip } = req.body || {};
+
+  if (!ip && !(role && id)) {
+    return res.status(400).json({ error: 'Provide either { role, id } or { ip }' });
+  }
+
+  try {
+    const record = ip
+      ? { kind: 'ip', ip }
+      : { kind: 'account', role, id: String(id).trim() };
+
+    if (!req.scope.allSchools) {
+      const schoolByAccount = await schoolsForAccounts([record]);
+      if (!visibleToCaller(req.scope, record, schoolByAccount)) {
+        return res.status(403).json({ error: 'Forbidden: account is outside your access' });
+      }
+    }
+
+    const cleared = await clearThrottleRecord(ip ? ipKey(ip) : accountKey(record.role, record.id));
+    if (!cleared) {
+      return res.status(404).json({ error: 'No lockout found' });
+    }
+
+    return res.json({ success: true, message: 'Lockout cleared' });
+  } catch (err) {
+    console.error('Clear lockout error:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
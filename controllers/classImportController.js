@@ -0,0 +1,346 @@
+// server/controllers/classImportController.js
+import { createClient } from '@supabase/supabase-js';
+import { FOUNDATIONS, PROGRAMS } from './schoolController.js';
+import { isSupportedSpreadsheet, parseSpreadsheet, pickField } from '../utils/spreadsheet.js';
+import { storeUploadedFile, recordUploadBatch } from '../utils/uploadBatches.js';
+import { savePreview, claimPreview, releasePreview } from '../utils/uploadPreviews.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// Header aliases accepted for each class field (first match wins); the first alias is
+// the header the downloadable template uses
+export const CLASS_COLUMN_ALIASES = {
+  class: ['Class', 'CLASS', 'class'],
+  section: ['Section', 'SECTION', 'section'],
+  foundation: ['Foundation', 'FOUNDATION', 'foundation'],
+  program: ['Program', 'PROGRAM', 'program', 'Programme'],
+  group: ['Group', 'GROUP', 'group'],
+  num_students: ['Num Students', 'NUM_STUDENTS', 'num_students', 'Students', 'Strength']
+};
+
+const CLASS_FIELDS = ['foundation', 'program', 'group', 'num_students'];
+
+const classKey = (classValue, sectionValue) => `${classValue}-${sectionValue}`;
+
+// "iit med" and "IIT-MED" both mean IIT-MED
+const referenceKey = (value) => String(value).toUpperCase().replace(/[^A-Z0-9]/g, '');
+const matchReference = (list, value) => list.find((item) => referenceKey(item.id) === referenceKey(value))?.id || null;
+
+// ✅ Read one class-section per row. Returns { classes, rows }: a row with any problem is
+// skipped with its reasons; blank optional cells stay undefined (left as they are on update).
+const readClassRecords = (records) => {
+  const classes = [];
+  const rows = [];
+  const seen = new Map();
+
+  records.forEach((record, index) => {
+    const rowNumber = index + 2;
+    const classValue = pickField(record, CLASS_COLUMN_ALIASES.class);
+    const sectionValue = pickField(record, CLASS_COLUMN_ALIASES.section);
+    const values = Object.fromEntries(CLASS_FIELDS.map((field) => [field, pickField(record, CLASS_COLUMN_ALIASES[field])]));
+
+    if (!classValue && !sectionValue && CLASS_FIELDS.every((field) => !values[field])) return;
+
+    const errors = [];
+    if (!classValue) errors.push('Missing Class');
+    if (!sectionValue) errors.push('Missing Section');
+
+    const entry = { class: classValue, section: sectionValue };
+    if (values.foundation) {
+      entry.foundation = matchReference(FOUNDATIONS, values.foundation);
+      if (!entry.foundation) errors.push(`Unknown foundation "${values.foundation}". Use one of: ${FOUNDATIONS.map((f) => f.id).join(', ')}`);
+    }
+    if (values.program) {
+      entry.program = matchReference(PROGRAMS, values.program);
+      if (!entry.program) errors.push(`Unknown program "${values.program}". Use one of: ${PROGRAMS.map((p) => p.id).join(', ')}`);
+    }
+    if (values.group) entry.group = values.group;
+    if (values.num_students) {
+      const count = Number(values.num_students);
+      if (!Number.isInteger(count) || count < 0) errors.push(`Num Students must be a whole number, got "${values.num_students}"`);
+      else entry.num_students = count;
+    }
+
+    const key = classKey(classValue, sectionValue);
+    if (!errors.length && seen.has(key)) {
+      rows.push({ row: rowNumber, class_section: key, status: 'duplicate', errors: [`Same class-section as row ${seen.get(key)}`] });
+      return;
+    }
+    if (errors.length) {
+      rows.push({ row: rowNumber, class_section: classValue && sectionValue ? key : null, status: 'skipped', errors });
+      return;
+    }
+
+    seen.set(key, rowNumber);
+    classes.push({ ...entry, row: rowNumber });
+    rows.push({ row: rowNumber, class_section: key, status: 'ok' });
+  });
+
+  return { classes, rows };
+};
+
+// ✅ Compare the sheet with the school's classes. New class-sections need a foundation and
+// a program; classes missing from the sheet are left alone.
+const planClassChanges = (classes, existing) => {
+  const plan = { inserts: [], updates: [], unchanged: [], errors: [], untouched: [] };
+  const byKey = new Map(existing.map((row) => [classKey(row.class, row.section), row]));
+  const listed = new Set();
+
+  for (const entry of classes) {
+    const key = classKey(entry.class, entry.section);
+    listed.add(key);
+    const current = byKey.get(key);
+
+    if (!current) {
+      const missing = ['foundation', 'program'].filter((field) => !entry[field]);
+      if (missing.length) {
+        plan.errors.push({ row: entry.row, class_section: key, error: `${missing.map((f) => CLASS_COLUMN_ALIASES[f][0]).join(' and ')} ${missing.length > 1 ? 'are' : 'is'} required for a new class-section` });
+        continue;
+      }
+      plan.inserts.push({
+        class: entry.class,
+        section: entry.section,
+        foundation: entry.foundation,
+        program: entry.program,
+        group: entry.group ?? null,
+        num_students: entry.num_students ?? 0
+      });
+      continue;
+    }
+
+    const changes = {};
+    for (const field of CLASS_FIELDS) {
+      if (entry[field] !== undefined && String(entry[field]) !== String(current[field] ?? '')) {
+        changes[field] = { from: current[field] ?? null, to: entry[field] };
+      }
+    }
+    if (Object.keys(changes).length) plan.updates.push({ id: current.id, class_section: key, changes });
+    else plan.unchanged.push(key);
+  }
+
+  plan.untouched = existing.map((row) => classKey(row.class, row.section)).filter((key) => !listed.has(key));
+  return plan;
+};
+
+const classPlanSignature = (plan) => JSON.stringify({
+  inserts: plan.inserts.map((c) => classKey(c.class, c.section)),
+  updates: plan.updates.map((u) => [u.id, u.changes])
+});
+
+const summarizeClassPlan = (plan, rows) => ({
+  total_rows: rows.length,
+  added: plan.inserts.length,
+  updated: plan.updates.length,
+  unchanged: plan.unchanged.length,
+  skipped: rows.filter((r) => r.status !== 'ok').length + plan.errors.length,
+  not_in_file: plan.untouched.length
+});
+
+const describeClassPlan = (plan) => ({
+  classes: {
+    added: plan.inserts,
+    updated: plan.updates,
+    unchanged: plan.unchanged,
+    not_in_file: plan.untouched
+  },
+  errors: plan.errors
+});
+
+const loadSchoolClassRows = async (school_id) => {
+  const { data, error } = await supabase
+    .from('classes')
+    .select('id, class, section, foundation, program, "group", num_students')
+    .eq('school_id', school_id);
+  if (error) throw error;
+  return data || [];
+};
+
+// ✅ Write the plan as one upsert: a single statement, so either every class-section is
+// created/updated or none is. New rows omit `id` and take the column default, and belong
+// to the school's current academic year.
+const applyClassPlan = async (school_id, plan, existing) => {
+  const { data: school, error: schoolError } = await supabase
+    .from('schools')
+    .select('academic_year')
+    .eq('school_id', school_id)
+    .single();
+  if (schoolError) throw schoolError;
+
+  const byId = new Map(existing.map((row) => [row.id, row]));
+  const rows = [
+    ...plan.updates.map(({ id, changes }) => ({
+      ...byId.get(id),
+      school_id,
+      ...Object.fromEntries(Object.entries(changes).map(([field, change]) => [field, change.to]))
+    })),
+    ...plan.inserts.map((row) => ({ school_id, academic_year: school.academic_year, ...row }))
+  ];
+  if (!rows.length) return [];
+
+  const { data, error } = await supabase
+    .from('classes')
+    .upsert(rows, { onConflict: 'id', defaultToNull: false })
+    .select('id, class, section, foundation, program, "group", num_students, academic_year');
+  if (error) throw error;
+  return data || [];
+};
+
+const classesProduced = (plan) => ({
+  added: plan.inserts.map((c) => classKey(c.class, c.section)),
+  updated: plan.updates.map((u) => u.class_section)
+});
+
+// ✅ POST /api/schools/:school_id/classes/import[?dry_run=true] - Create or update class-sections from a sheet
+// multipart: file (Class, Section, Foundation, Program, Group, Num Students)
+export const importClasses = async (req, res) => {
+  const { school_id } = req.params;
+  const dryRun = req.query.dry_run === 'true';
+
+  if (!req.file) {
+    return res.status(400).json({ error: 'No file uploaded' });
+  }
+  if (!isSupportedSpreadsheet(req.file.originalname)) {
+    return res.status(400).json({ error: 'Unsupported file. Use CSV, XLSX, or XLS.' });
+  }
+
+  try {
+    const { data: school, error: schoolError } = await supabase
+      .from('schools')
+      .select('school_id')
+      .eq('school_id', school_id)
+      .maybeSingle();
+
+    if (schoolError) throw schoolError;
+    if (!school) return res.status(404).json({ error: 'School not found' });
+
+    let records;
+    try {
+      records = await parseSpreadsheet(req.file);
+    } catch (parseError) {
+      console.error('💥 File parse error:', parseError.message);
+      return res.status(400).json({ error: 'Invalid file format or corrupted file' });
+    }
+    if (!records.length) {
+      return res.status(400).json({ error: 'No data found in file' });
+    }
+
+    const { classes, rows } = readClassRecords(records);
+    const existing = await loadSchoolClassRows(school_id);
+    const plan = planClassChanges(classes, existing);
+    const summary = summarizeClassPlan(plan, rows);
+    console.log('📊 Class import plan:', summary);
+
+    if (dryRun) {
+      const changes = plan.inserts.length + plan.updates.length;
+      const preview = changes
+        ? await savePreview({
+            kind: 'classes',
+            school_id,
+            created_by: req.user?.id,
+            payload: {
+              file_name: req.file.originalname,
+              file_path: await storeUploadedFile('classes', req.file),
+              classes: classes.map(({ row, ...entry }) => entry),
+              row_count: rows.length,
+              signature: classPlanSignature(plan)
+            },
+            summary
+          })
+        : { preview_id: null, expires_at: null };
+
+      return res.json({
+        dry_run: true,
+        ...preview,
+        school_id,
+        file_name: req.file.originalname,
+        summary,
+        ...describeClassPlan(plan),
+        rows
+      });
+    }
+
+    const saved = await applyClassPlan(school_id, plan, existing);
+
+    const batchId = await recordUploadBatch({
+      kind: 'classes',
+      user: req.user,
+      school_id,
+      file: req.file,
+      file_path: await storeUploadedFile('classes', req.file),
+      row_count: rows.length,
+      summary,
+      produced: classesProduced(plan)
+    });
+
+    return res.status(plan.inserts.length ? 201 : 200).json({
+      message: `Classes imported: ${plan.inserts.length} added, ${plan.updates.length} updated, ${plan.unchanged.length} unchanged`,
+      batch_id: batchId,
+      summary,
+      ...describeClassPlan(plan),
+      data: saved,
+      rows
+    });
+  } catch (err) {
+    console.error('Class import error:', err);
+    return res.status(500).json({ error: 'Internal server error', details: err.message });
+  }
+};
+
+// ✅ POST /api/schools/:school_id/classes/import/commit - Apply a previewed class import
+// body: { preview_id }
+export const commitClassImport = async (req, res) => {
+  const { school_id } = req.params;
+  const { preview_id } = req.body || {};
+
+  if (!preview_id) {
+    return res.status(400).json({ error: 'preview_id is required' });
+  }
+
+  let claimedId = null;
+  try {
+    const { preview, status, error } = await claimPreview({ id: preview_id, kind: 'classes', school_id });
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    claimedId = preview.id;
+
+    const payload = preview.payload;
+    const existing = await loadSchoolClassRows(school_id);
+    const plan = planClassChanges(payload.classes, existing);
+
+    // The classes changed since the preview — refuse rather than apply something else
+    if (classPlanSignature(plan) !== payload.signature) {
+      await releasePreview(claimedId);
+      return res.status(409).json({ error: 'The school\'s classes changed since the preview. Run the dry run again.' });
+    }
+
+    const saved = await applyClassPlan(school_id, plan, existing);
+
+    const batchId = await recordUploadBatch({
+      kind: 'classes',
+      user: req.user,
+      school_id,
+      file_name: payload.file_name,
+      file_path: payload.file_path || null,
+      row_count: payload.row_count,
+      summary: preview.summary,
+      produced: classesProduced(plan)
+    });
+
+    return res.status(plan.inserts.length ? 201 : 200).json({
+      message: `Classes imported: ${plan.inserts.length} added, ${plan.updates.length} updated, ${plan.unchanged.length} unchanged`,
+      batch_id: batchId,
+      preview_id: claimedId,
+      summary: preview.summary,
+      ...describeClassPlan(plan),
+      data: saved
+    });
+  } catch (err) {
+    console.error('Commit class import error:', err);
+    if (claimedId) await releasePreview(claimedId);
+    return res.status(500).json({ error: 'Internal server error', details: err.message });
+  }
+};
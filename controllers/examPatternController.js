@@ -0,0 +1,168 @@
+// server/controllers/examPatternController.js
+import { createClient } from '@supabase/supabase-js';
+import { SUBJECTS, normalizeExamPattern, validateExamPattern, patternTotals } from '../utils/examPatterns.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const PATTERN_COLUMNS = 'code, name, program, subjects, created_by, created_at, updated_at';
+
+// Stored rows plus derived totals and subject display names
+const withTotals = (row) => row && ({
+  ...row,
+  subjects: row.subjects.map((entry) => ({ ...entry, name: SUBJECTS[entry.subject]?.name || entry.subject })),
+  ...patternTotals(row)
+});
+
+// ✅ Look up a pattern by code (as stored in exams.exam_pattern); null when undefined
+export const findExamPattern = async (code) => {
+  if (!code) return null;
+
+  const { data, error } = await supabase
+    .from('exam_patterns')
+    .select(PATTERN_COLUMNS)
+    .eq('code', String(code).trim().toUpperCase())
+    .maybeSingle();
+
+  if (error) throw error;
+  return withTotals(data);
+};
+
+// Returns an error message when the pattern is undefined or belongs to another program
+export const checkPatternForProgram = (pattern, code, program) => {
+  if (!pattern) return `Unknown exam_pattern "${code}". Define it under /api/exam-patterns first.`;
+  if (pattern.program && pattern.program !== program) {
+    return `Exam pattern ${pattern.code} belongs to program ${pattern.program}, not ${program}`;
+  }
+  return null;
+};
+
+// ✅ All patterns keyed by code
+export const loadExamPatterns = async () => {
+  const { data, error } = await supabase
+    .from('exam_patterns')
+    .select(PATTERN_COLUMNS)
+    .order('code', { ascending: true });
+
+  if (error) throw error;
+  return new Map((data || []).map((row) => [row.code, withTotals(row)]));
+};
+
+// ✅ GET /api/exam-patterns[?program=] - List exam patterns
+export const listExamPatterns = async (req, res) => {
+  try {
+    let query = supabase.from('exam_patterns').select(PATTERN_COLUMNS).order('code', { ascending: true });
+    if (req.query.program) query = query.or(`program.is.null,program.eq.${req.query.program}`);
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    return res.json({ data: (data || []).map(withTotals), subjects: SUBJECTS });
+  } catch (err) {
+    console.error('List exam patterns error:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// ✅ GET /api/exam-patterns/:code - Get one exam pattern
+export const getExamPattern = async (req, res) => {
+  try {
+    const pattern = await findExamPattern(req.params.code);
+    if (!pattern) return res.status(404).json({ error: 'Exam pattern not found' });
+    return res.json({ data: pattern });
+  } catch (err) {
+    console.error('Get exam pattern error:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// ✅ POST /api/exam-patterns - Define an exam pattern
+export const createExamPattern = async (req, res) => {
+  const pattern = normalizeExamPattern(req.body);
+  const errors = validateExamPattern(pattern);
+  if (errors.length) {
+    return res.status(400).json({ error: 'Invalid exam pattern', details: errors });
+  }
+
+  try {
+    const now = new Date().toISOString();
+    const { data, error } = await supabase
+      .from('exam_patterns')
+      .insert([{ ...pattern, created_by: req.user?.id ? String(req.user.id) : null, created_at: now, updated_at: now }])
+      .select(PATTERN_COLUMNS)
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({ error: `Exam pattern ${pattern.code} already exists` });
+      }
+      throw error;
+    }
+
+    return res.status(201).json({ data: withTotals(data) });
+  } catch (err) {
+    console.error('Create exam pattern error:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// ✅ PUT /api/exam-patterns/:code - Replace a pattern's name, program and subjects.
+// Results already uploaded keep the max marks they were scored with.
+export const updateExamPattern = async (req, res) => {
+  const code = String(req.params.code).trim().toUpperCase();
+  const pattern = normalizeExamPattern({ ...req.body, code });
+  const errors = validateExamPattern(pattern);
+  if (errors.length) {
+    return res.status(400).json({ error: 'Invalid exam pattern', details: errors });
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('exam_patterns')
+      .update({ name: pattern.name, program: pattern.program, subjects: pattern.subjects, updated_at: new Date().toISOString() })
+      .eq('code', code)
+      .select(PATTERN_COLUMNS)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) return res.status(404).json({ error: 'Exam pattern not found' });
+
+    return res.json({ success: true, data: withTotals(data) });
+  } catch (err) {
+    console.error('Update exam pattern error:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// ✅ DELETE /api/exam-patterns/:code - Delete a pattern no exam uses
+export const deleteExamPattern = async (req, res) => {
+  const code = String(req.params.code).trim().toUpperCase();
+
+  try {
+    const { count, error: usageError } = await supabase
+      .from('exams')
+      .select('id', { count: 'exact', head: true })
+      .eq('exam_pattern', code);
+
+    if (usageError) throw usageError;
+    if (count > 0) {
+      return res.status(409).json({ error: `Exam pattern ${code} is used by ${count} exam record(s) and cannot be deleted` });
+    }
+
+    const { data, error } = await supabase
+      .from('exam_patterns')
+      .delete()
+      .eq('code', code)
+      .select('code');
+
+    if (error) throw error;
+    if (!data || !data.length) return res.status(404).json({ error: 'Exam pattern not found' });
+
+    return res.json({ success: true, message: 'Exam pattern deleted successfully' });
+  } catch (err) {
+    console.error('Delete exam pattern error:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
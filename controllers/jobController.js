@@ -0,0 +1,51 @@
+// server/controllers/jobController.js
+import { loadJob, enqueueJob, updateJob } from '../utils/importJobs.js';
+import { recalculateExamStats, fetchExamContextResults } from './schoolController.js';
+
+// ✅ GET /api/jobs/:id - Progress of an import job
+export const getJob = async (req, res) => {
+  try {
+    const job = await loadJob(req.params.id);
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    return res.json({ data: job });
+  } catch (err) {
+    console.error('Get job error:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// ✅ POST /api/jobs/:id/retry - Re-run the ranking/averaging steps that failed
+export const retryJob = async (req, res) => {
+  try {
+    const job = await loadJob(req.params.id);
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+
+    if (job.status === 'queued' || job.status === 'running') {
+      return res.status(409).json({ error: 'This job is still running' });
+    }
+    if (job.status !== 'succeeded' || !job.failed_steps?.length) {
+      return res.status(409).json({ error: 'This job has no failed steps to retry' });
+    }
+
+    const steps = job.failed_steps;
+    await updateJob(job.id, { status: 'queued', retries: (job.retries || 0) + 1 });
+
+    const outcome = await enqueueJob(job.id, async (progress) => {
+      const warnings = await recalculateExamStats(job.context, { steps, onStep: ({ stage }) => progress({ stage }) });
+      const result = job.result ? { ...job.result, warnings, results: await fetchExamContextResults(job.context) } : null;
+      return { result, warnings };
+    });
+
+    if (outcome.error) return res.status(outcome.status).json({ ...outcome.error, job_id: job.id });
+
+    return res.json({
+      success: outcome.warnings.length === 0,
+      retried: steps,
+      failed_steps: outcome.warnings.map((warning) => warning.step),
+      warnings: outcome.warnings
+    });
+  } catch (err) {
+    console.error('Retry job error:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
@@ -0,0 +1,234 @@
+// server/controllers/ownerController.js
+import { createClient } from '@supabase/supabase-js';
+import { hashPassword, generateTemporaryPassword, validateNewPassword } from '../utils/passwords.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// Never select password_hash back out of owners
+export const OWNER_COLUMNS = 'id, username, name, email, is_admin, must_change_password, created_at';
+
+// The env bootstrap admin (OWNER_USERNAME) has no owners row, so it is recorded as null
+export const BOOTSTRAP_OWNER_ID = 'bootstrap';
+const ownerRowId = (id) => (id && id !== BOOTSTRAP_OWNER_ID ? id : null);
+
+// ✅ Link an owner to schools (ignores schools they already have)
+export const grantOwnerSchools = async (ownerId, schoolIds, grantedBy = null) => {
+  const rows = [...new Set(schoolIds)].filter(Boolean).map((school_id) => ({
+    owner_id: ownerId,
+    school_id,
+    granted_by: ownerRowId(grantedBy),
+    granted_at: new Date().toISOString()
+  }));
+
+  if (!rows.length) return;
+
+  const { error } = await supabase
+    .from('owner_schools')
+    .upsert(rows, { onConflict: 'owner_id,school_id', ignoreDuplicates: true });
+
+  if (error) throw error;
+};
+
+// ✅ Schools visible to an owner — admins see every school
+export const loadOwnerSchools = async (owner) => {
+  let query = supabase
+    .from('school_list')
+    .select('*')
+    .order('school_name', { ascending: true });
+
+  if (!owner.is_admin) {
+    const { data: links, error: linksError } = await supabase
+      .from('owner_schools')
+      .select('school_id')
+      .eq('owner_id', owner.id);
+
+    if (linksError) throw linksError;
+
+    const schoolIds = (links || []).map((link) => link.school_id);
+    if (!schoolIds.length) return [];
+    query = query.in('school_id', schoolIds);
+  }
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return data || [];
+};
+
+const findUnknownSchools = async (schoolIds) => {
+  const { data, error } = await supabase
+    .from('school_list')
+    .select('school_id')
+    .in('school_id', schoolIds);
+
+  if (error) throw error;
+
+  const known = new Set((data || []).map((row) => row.school_id));
+  return schoolIds.filter((id) => !known.has(id));
+};
+
+// ✅ GET /api/owners - List owner accounts with their school IDs
+export const listOwners = async (req, res) => {
+  try {
+    const { data: owners, error } = await supabase
+      .from('owners')
+      .select(OWNER_COLUMNS)
+      .order('username', { ascending: true });
+
+    if (error) throw error;
+
+    const { data: links, error: linksError } = await supabase
+      .from('owner_schools')
+      .select('owner_id, school_id');
+
+    if (linksError) throw linksError;
+
+    const schoolsByOwner = {};
+    for (const link of links || []) {
+      (schoolsByOwner[link.owner_id] ||= []).push(link.school_id);
+    }
+
+    return res.json({
+      data: (owners || []).map((owner) => ({
+        ...owner,
+        school_ids: owner.is_admin ? [] : (schoolsByOwner[owner.id] || []).sort()
+      }))
+    });
+  } catch (err) {
+    console.error('List owners error:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// ✅ POST /api/owners - Create an owner (or admin) account, optionally with schools
+export const createOwner = async (req, res) => {
+  const {
+    username,
+    password,
+    name,
+    email,
+    is_admin = false,
+    school_ids = []
+  } = req.body || {};
+
+  if (!username || !name) {
+    return res.status(400).json({ error: 'Missing required fields: username, name' });
+  }
+
+  if (!Array.isArray(school_ids)) {
+    return res.status(400).json({ error: 'school_ids must be an array' });
+  }
+
+  if (password) {
+    const validationError = validateNewPassword(password, { userId: username });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+  }
+
+  try {
+    if (school_ids.length) {
+      const unknown = await findUnknownSchools(school_ids);
+      if (unknown.length) {
+        return res.status(400).json({ error: `Unknown school_id(s): ${unknown.join(', ')}` });
+      }
+    }
+
+    // Without an explicit password the owner gets a temporary one to change on first login
+    const temporaryPassword = password ? null : generateTemporaryPassword();
+
+    // The owner and their grants are written together (sql/create_owner.sql)
+    const { data: owner, error } = await supabase
+      .rpc('create_owner', {
+        p_owner: {
+          username: String(username).trim(),
+          name,
+          email: email || null,
+          is_admin: Boolean(is_admin),
+          password_hash: await hashPassword(password || temporaryPassword),
+          must_change_password: !password
+        },
+        p_school_ids: [...new Set(school_ids)].filter(Boolean),
+        p_granted_by: ownerRowId(req.user.id)
+      })
+      .select(OWNER_COLUMNS)
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({ error: `Username ${username} already exists` });
+      }
+      throw error;
+    }
+
+    return res.status(201).json({
+      data: { ...owner, school_ids: owner.is_admin ? [] : [...new Set(school_ids)].sort() },
+      temporary_password: temporaryPassword
+    });
+  } catch (err) {
+    console.error('Create owner error:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// ✅ POST /api/owners/:owner_id/schools - Grant an owner access to schools
+export const grantSchools = async (req, res) => {
+  const { owner_id } = req.params;
+  const { school_ids } = req.body || {};
+
+  if (!Array.isArray(school_ids) || !school_ids.length) {
+    return res.status(400).json({ error: 'school_ids must be a non-empty array' });
+  }
+
+  try {
+    const { data: owner, error } = await supabase
+      .from('owners')
+      .select('id, is_admin')
+      .eq('id', owner_id)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!owner) return res.status(404).json({ error: 'Owner not found' });
+    if (owner.is_admin) {
+      return res.status(400).json({ error: 'Admins already have access to every school' });
+    }
+
+    const unknown = await findUnknownSchools(school_ids);
+    if (unknown.length) {
+      return res.status(400).json({ error: `Unknown school_id(s): ${unknown.join(', ')}` });
+    }
+
+    await grantOwnerSchools(owner.id, school_ids, req.user.id);
+
+    return res.json({ success: true, owner_id: owner.id, granted: [...new Set(school_ids)] });
+  } catch (err) {
+    console.error('Grant schools error:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// ✅ DELETE /api/owners/:owner_id/schools/:school_id - Revoke an owner's access to one school
+export const revokeSchool = async (req, res) => {
+  const { owner_id, school_id } = req.params;
+
+  try {
+    const { data, error } = await supabase
+      .from('owner_schools')
+      .delete()
+      .eq('owner_id', owner_id)
+      .eq('school_id', school_id)
+      .select('owner_id');
+
+    if (error) throw error;
+    if (!data || !data.length) {
+      return res.status(404).json({ error: 'Owner does not have access to this school' });
+    }
+
+    return res.json({ success: true, owner_id, revoked: school_id });
+  } catch (err) {
+    console.error('Revoke school error:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
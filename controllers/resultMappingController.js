@@ -0,0 +1,185 @@
+// server/controllers/resultMappingController.js
+import { createClient } from '@supabase/supabase-js';
+import {
+  DEFAULT_RESULT_MAPPING,
+  validateMappingProfile,
+  rankMappingProfiles
+} from '../utils/resultMapping.js';
+import { isSupportedSpreadsheet, parseSpreadsheetRows } from '../utils/spreadsheet.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const PROFILE_COLUMNS = 'id, name, description, header_row, data_start_row, columns, subjects, created_by, created_at, updated_at';
+
+const pickProfileFields = (body) => ({
+  name: body.name != null ? String(body.name).trim() : body.name,
+  description: body.description || null,
+  header_row: body.header_row ?? null,
+  data_start_row: body.data_start_row,
+  columns: body.columns,
+  subjects: (body.subjects || []).map((entry) => ({ ...entry, subject: String(entry?.subject || '').toLowerCase() }))
+});
+
+// ✅ Built-in default profile plus every stored profile
+export const loadMappingProfiles = async () => {
+  const { data, error } = await supabase
+    .from('result_mapping_profiles')
+    .select(PROFILE_COLUMNS)
+    .order('name', { ascending: true });
+
+  if (error) throw error;
+  return [DEFAULT_RESULT_MAPPING, ...(data || [])];
+};
+
+export const findMappingProfile = async (id) => {
+  if (!id || id === DEFAULT_RESULT_MAPPING.id) return DEFAULT_RESULT_MAPPING;
+
+  const { data, error } = await supabase
+    .from('result_mapping_profiles')
+    .select(PROFILE_COLUMNS)
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+// ✅ GET /api/result-mappings - List mapping profiles
+export const listMappingProfiles = async (req, res) => {
+  try {
+    return res.json({ data: await loadMappingProfiles() });
+  } catch (err) {
+    console.error('List mapping profiles error:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// ✅ GET /api/result-mappings/:id - Get one mapping profile
+export const getMappingProfile = async (req, res) => {
+  try {
+    const profile = await findMappingProfile(req.params.id);
+    if (!profile) return res.status(404).json({ error: 'Mapping profile not found' });
+    return res.json({ data: profile });
+  } catch (err) {
+    console.error('Get mapping profile error:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// ✅ POST /api/result-mappings - Create a mapping profile
+export const createMappingProfile = async (req, res) => {
+  const fields = pickProfileFields(req.body || {});
+  const errors = validateMappingProfile(fields);
+  if (errors.length) {
+    return res.status(400).json({ error: 'Invalid mapping profile', details: errors });
+  }
+
+  try {
+    const now = new Date().toISOString();
+    const { data, error } = await supabase
+      .from('result_mapping_profiles')
+      .insert([{ ...fields, created_by: req.user?.id ? String(req.user.id) : null, created_at: now, updated_at: now }])
+      .select(PROFILE_COLUMNS)
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({ error: `A mapping profile named "${fields.name}" already exists` });
+      }
+      throw error;
+    }
+
+    return res.status(201).json({ data });
+  } catch (err) {
+    console.error('Create mapping profile error:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// ✅ PUT /api/result-mappings/:id - Replace a mapping profile
+export const updateMappingProfile = async (req, res) => {
+  const { id } = req.params;
+
+  if (id === DEFAULT_RESULT_MAPPING.id) {
+    return res.status(400).json({ error: 'The built-in default profile cannot be changed' });
+  }
+
+  const fields = pickProfileFields(req.body || {});
+  const errors = validateMappingProfile(fields);
+  if (errors.length) {
+    return res.status(400).json({ error: 'Invalid mapping profile', details: errors });
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('result_mapping_profiles')
+      .update({ ...fields, updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .select(PROFILE_COLUMNS)
+      .maybeSingle();
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({ error: `A mapping profile named "${fields.name}" already exists` });
+      }
+      throw error;
+    }
+    if (!data) return res.status(404).json({ error: 'Mapping profile not found' });
+
+    return res.json({ success: true, data });
+  } catch (err) {
+    console.error('Update mapping profile error:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// ✅ DELETE /api/result-mappings/:id - Delete a mapping profile
+export const deleteMappingProfile = async (req, res) => {
+  const { id } = req.params;
+
+  if (id === DEFAULT_RESULT_MAPPING.id) {
+    return res.status(400).json({ error: 'The built-in default profile cannot be deleted' });
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('result_mapping_profiles')
+      .delete()
+      .eq('id', id)
+      .select('id');
+
+    if (error) throw error;
+    if (!data || !data.length) return res.status(404).json({ error: 'Mapping profile not found' });
+
+    return res.json({ success: true, message: 'Mapping profile deleted successfully' });
+  } catch (err) {
+    console.error('Delete mapping profile error:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// ✅ POST /api/result-mappings/detect - Rank profiles against an uploaded sheet (multipart `file`)
+export const detectMappingProfile = async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No file uploaded' });
+  }
+  if (!isSupportedSpreadsheet(req.file.originalname)) {
+    return res.status(400).json({ error: 'Unsupported file format. Use CSV, XLSX, or XLS.' });
+  }
+
+  try {
+    const grid = await parseSpreadsheetRows(req.file);
+    const ranked = rankMappingProfiles(grid, await loadMappingProfiles());
+
+    return res.json({
+      best: ranked[0]?.score > 0 ? { id: ranked[0].profile.id, name: ranked[0].profile.name, score: ranked[0].score } : null,
+      candidates: ranked.map(({ profile, score }) => ({ id: profile.id, name: profile.name, score }))
+    });
+  } catch (err) {
+    console.error('Detect mapping profile error:', err);
+    return res.status(500).json({ error: 'Failed to read file', details: err.message });
+  }
+};
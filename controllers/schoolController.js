@@ -1,12 +1,41 @@
 // schoolController.js
 import { createClient } from '@supabase/supabase-js';
+import { createSession, revokeAllSessions } from '../utils/tokens.js';
+import { hashPassword, verifyPassword, generateTemporaryPassword } from '../utils/passwords.js';
+import { scopeSchoolIds, scopeAllowsClassSection, withoutDeletedSchools } from '../middleware/permissions.js';
+import { grantOwnerSchools } from './ownerController.js';
+import { isSupportedSpreadsheet, parseSpreadsheet, parseSpreadsheetRows, parseSpreadsheetSheets, collectHeaders, pickField } from '../utils/spreadsheet.js';
+import { DEFAULT_RESULT_MAPPING, extractResultRows, rankMappingProfiles } from '../utils/resultMapping.js';
+import { findMappingProfile, loadMappingProfiles } from './resultMappingController.js';
+import { findExamPattern, checkPatternForProgram } from './examPatternController.js';
+import { findAnswerKey, loadAnswerKey } from './answerKeyController.js';
+import { parseResponseGrid, scoreResponses, effectivePattern, applyKeyCorrections } from '../utils/answerKeys.js';
+import { SUBJECTS, LEGACY_SUBJECTS, normalizeSubject, scoreFromCounts, checkSubjectScore } from '../utils/examPatterns.js';
+import { savePreview, claimPreview, releasePreview } from '../utils/uploadPreviews.js';
+import { storeUploadedFile, recordUploadBatch } from '../utils/uploadBatches.js';
+import { createJob, enqueueJob } from '../utils/importJobs.js';
+import { includeDeleted, withoutDeleted, deletionStamp, RESTORED } from '../utils/softDelete.js';
+import {
+  RESULT_UPLOAD_MODES,
+  whereExamContext,
+  contextOf,
+  replaceContextRows,
+  latestResultVersion,
+  openResultVersion,
+  closeResultVersion,
+  discardResultVersion,
+  recordResultVersion,
+  ensureBaselineVersion,
+  listResultVersions,
+  loadResultVersion
+} from '../utils/resultVersions.js';
  
 const supabase = createClient(
   process.env.SUPABASE_URL,
   process.env.SUPABASE_SERVICE_ROLE_KEY
 );
  
-const STATES = {
+export const STATES = {
   "Andhra Pradesh": "AP", "Arunachal Pradesh": "AR", "Assam": "AS", "Bihar": "BR",
   "Chhattisgarh": "CG", "Goa": "GA", "Gujarat": "GJ", "Haryana": "HR", "Himachal Pradesh": "HP",
   "Jharkhand": "JH", "Karnataka": "KA", "Kerala": "KL", "Madhya Pradesh": "MP", "Maharashtra": "MH",
@@ -16,6 +45,81 @@ const STATES = {
   "Andaman & Nicobar Islands": "AN", "Chandigarh": "CH", "Dadra & Nagar Haveli and Daman & Diu": "DN",
   "Delhi": "DL", "Jammu & Kashmir": "JK", "Ladakh": "LA", "Lakshadweep": "LD", "Puducherry": "PY"
 };
+
+// Other names and codes in common use for a state
+const STATE_ALIASES = {
+  "Telangana": ["TG"],
+  "Odisha": ["OR", "Orissa"],
+  "Puducherry": ["Pondicherry"],
+  "Uttarakhand": ["UA", "Uttaranchal"],
+  "Chhattisgarh": ["CT"],
+  "Delhi": ["New Delhi", "NCT of Delhi"],
+  "Jammu & Kashmir": ["J&K"],
+  "Dadra & Nagar Haveli and Daman & Diu": ["DNHDD", "Daman & Diu", "Dadra & Nagar Haveli"],
+  "Andaman & Nicobar Islands": ["Andaman & Nicobar"]
+};
+
+// "tamil nadu", "Tamilnadu" and "TAMIL-NADU" compare equal
+const stateKey = (value) => String(value || '').toLowerCase().replace(/&/g, 'and').replace(/[^a-z]/g, '');
+
+const editDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+const STATE_NAMES = Object.keys(STATES).flatMap((state) =>
+  [state, ...(STATE_ALIASES[state] || [])].map((name) => ({ state, key: stateKey(name) }))
+);
+
+// ✅ Resolve a state as typed in a sheet: the name in any case, its code (TS, AP), a
+// known alias, or a small misspelling of one of those. Returns { state, matched } with
+// matched = name | code | alias | spelling, or { state: null, suggestions } when unsure.
+export const matchState = (value) => {
+  const key = stateKey(value);
+  if (!key) return { state: null, suggestions: [] };
+
+  const exact = STATE_NAMES.find((entry) => entry.key === key);
+  if (exact) return { state: exact.state, matched: exact.key === stateKey(exact.state) ? 'name' : 'alias' };
+
+  const code = Object.keys(STATES).find((state) => STATES[state].toLowerCase() === key);
+  if (code) return { state: code, matched: 'code' };
+
+  // Allow one slip per five letters; two states equally close is too unsure to pick
+  const ranked = STATE_NAMES
+    .filter((entry) => entry.key.length > 3)
+    .map((entry) => ({ ...entry, distance: editDistance(key, entry.key) }))
+    .sort((a, b) => a.distance - b.distance);
+  const best = ranked[0];
+  const tied = ranked.filter((entry) => entry.distance === best.distance && entry.state !== best.state);
+  if (best.distance <= Math.max(1, Math.floor(best.key.length / 5)) && !tied.length) {
+    return { state: best.state, matched: 'spelling' };
+  }
+
+  const suggestions = [...new Set(ranked.filter((entry) => entry.distance <= Math.ceil(entry.key.length / 3)).map((entry) => entry.state))];
+  return { state: null, suggestions: suggestions.slice(0, 3) };
+};
+
+// "2025-26", "2025/2026" and "2025 - 2026" all mean "2025-2026"; anything else is null
+export const normalizeAcademicYear = (value) => {
+  const match = String(value || '').trim().match(/^(\d{4})\s*[-–/]\s*(\d{2}|\d{4})$/);
+  if (!match) return null;
+  const start = parseInt(match[1], 10);
+  const end = start + 1;
+  // A two-digit end is the last two digits of the year after ("2099-00" is 2099-2100)
+  const given = match[2].length === 2 ? String(end % 100).padStart(2, '0') : String(end);
+  return match[2] === given ? `${start}-${end}` : null;
+};
+
+// Everything on a student row except credentials — never select('*') from students
+export const STUDENT_COLUMNS =
+  'id, school_id, student_id, roll_no, name, class, section, gender, parent_phone, parent_email, must_change_password, withdrawn_at, deleted_at, deleted_by, created_at, updated_at';
  
 function yearYY(ay) {
   if (!ay) return '';
@@ -33,13 +137,23 @@ export function deriveSchoolId({ state, academic_year, school_number_2d }) {
   return `${abbr}${yy}${nn}`;
 }
  
-// ✅ GET /api/schools - List all schools (overview only)
+// ✅ GET /api/schools - List the caller's schools (overview only)
 export const getSchools = async (req, res) => {
   try {
-    const { data, error } = await supabase
-      .from('school_list')
-      .select('*')
-      .order('school_name', { ascending: true });
+    let query = withoutDeletedSchools(
+      supabase
+        .from('school_list')
+        .select('*')
+        .order('school_name', { ascending: true }),
+      req.scope
+    );
+ 
+    const allowedSchoolIds = scopeSchoolIds(req.scope);
+    if (allowedSchoolIds) {
+      query = query.in('school_id', allowedSchoolIds);
+    }
+ 
+    const { data, error } = await query;
  
     if (error) throw error;
  
@@ -103,6 +217,11 @@ export const createSchool = async (req, res) => {
  
     if (error) throw error;
  
+    // Owners manage the schools they create
+    if (req.user?.role === 'SCHOOL_OWNER') {
+      await grantOwnerSchools(req.user.id, [school_id], req.user.id);
+    }
+ 
     return res.status(201).json({ data });
   } catch (err) {
     console.error('Create school error:', err);
@@ -125,10 +244,16 @@ export const getSchoolById = async (req, res) => {
       return res.status(404).json({ error: 'School not found' });
     }
  
-    const { data: classes, error: classesError } = await supabase
-      .from('classes')
-      .select('id,school_id, class, foundation, program, "group", section, num_students')
-      .eq('school_id', school_id)
+    // Deleted classes, teachers and assignments are left out unless ?include_deleted=true
+    const showDeleted = includeDeleted(req);
+
+    const { data: classes, error: classesError } = await withoutDeleted(
+      supabase
+        .from('classes')
+        .select('id,school_id, class, foundation, program, "group", section, num_students, deleted_at')
+        .eq('school_id', school_id),
+      showDeleted
+    )
       .order('class', { ascending: true })
       .order('section', { ascending: true });
  
@@ -136,10 +261,13 @@ export const getSchoolById = async (req, res) => {
       console.warn('Classes load error:', classesError);
     }
  
-    const { data: rawTeachers, error: teachersError } = await supabase
-      .from('teachers')
-      .select('id, teacher_id, name, contact, email') // 👈 Removed alias to match frontend
-      .eq('school_id', school_id);
+    const { data: rawTeachers, error: teachersError } = await withoutDeleted(
+      supabase
+        .from('teachers')
+        .select('id, teacher_id, name, contact, email, deleted_at') // 👈 Removed alias to match frontend
+        .eq('school_id', school_id),
+      showDeleted
+    );
  
     if (teachersError) {
       console.warn('Teachers load error:', teachersError);
@@ -148,10 +276,13 @@ export const getSchoolById = async (req, res) => {
     let assignmentsMap = {};
     if (rawTeachers?.length) {
       const teacherRowIds = rawTeachers.map(t => t.id);
-      const { data: assignments, error: assignmentsError } = await supabase
-        .from('teacher_assignments')
-        .select('id,teacher_id, class, section, subject')
-        .in('teacher_id', teacherRowIds);
+      const { data: assignments, error: assignmentsError } = await withoutDeleted(
+        supabase
+          .from('teacher_assignments')
+          .select('id,teacher_id, class, section, subject, deleted_at')
+          .in('teacher_id', teacherRowIds),
+        showDeleted
+      );
  
       if (!assignmentsError && assignments) {
         for (const a of assignments) {
@@ -159,7 +290,8 @@ export const getSchoolById = async (req, res) => {
             id: a.id, 
             class: a.class,
             section: a.section,
-            subject: a.subject
+            subject: a.subject,
+            deleted_at: a.deleted_at
           });
         }
       } else if (assignmentsError) {
@@ -167,8 +299,11 @@ export const getSchoolById = async (req, res) => {
       }
     }
  
-    const teachers = (rawTeachers || []).map(t => ({
+    // Students see who teaches what, not how to reach the teachers
+    const hideContacts = req.user?.role === 'STUDENT';
+    const teachers = (rawTeachers || []).map(({ contact, email, ...t }) => ({
       ...t,
+      ...(hideContacts ? {} : { contact, email }),
       teacher_assignments: assignmentsMap[t.id] || []
     }));
  
@@ -183,56 +318,6 @@ export const getSchoolById = async (req, res) => {
   }
 };
  
-// ✅ DELETE /api/schools/:school_id - Delete school and all associated classes & teachers
-export const deleteSchool = async (req, res) => {
-  const { school_id } = req.params;
- 
-  if (!school_id) {
-    return res.status(400).json({ error: 'school_id is required' });
-  }
- 
-  try {
-    const { error: teachersDeleteError } = await supabase
-      .from('teachers')
-      .delete()
-      .eq('school_id', school_id);
- 
-    if (teachersDeleteError) {
-      console.error('Failed to delete teachers:', teachersDeleteError);
-      return res.status(500).json({ error: 'Failed to delete teachers' });
-    }
- 
-    const { error: classesDeleteError } = await supabase
-      .from('classes')
-      .delete()
-      .eq('school_id', school_id);
- 
-    if (classesDeleteError) {
-      console.error('Failed to delete classes:', classesDeleteError);
-      return res.status(500).json({ error: 'Failed to delete classes' });
-    }
- 
-    const { error: schoolDeleteError } = await supabase
-      .from('schools')
-      .delete()
-      .eq('school_id', school_id);
- 
-    if (schoolDeleteError) {
-      console.error('Failed to delete school:', schoolDeleteError);
-      return res.status(500).json({ error: 'Failed to delete school' });
-    }
- 
-    return res.status(200).json({
-      message: `School ${school_id} and all associated data deleted successfully.`,
-      school_id
-    });
- 
-  } catch (err) {
-    console.error('Delete school error:', err);
-    return res.status(500).json({ error: 'Internal server error' });
-  }
-};
- 
 // ✅ POST /api/classes - Create a new class
 export const createClass = async (req, res) => {
   const {
@@ -296,28 +381,66 @@ export const createTeacher = async (req, res) => {
   }
  
   try {
-    const { data, error } = await supabase.rpc('create_teacher', {
-      p_school_id: school_id,
-      p_teacher_id: teacher_id,
-      p_name: name,
-      p_contact: contact,
-      p_email: email
-    });
- 
-    if (error) {
-      return res.status(400).json({ error: error.message || 'Failed to create teacher' });
-    }
- 
-    if (!data.success) {
-      return res.status(400).json({ error: data.error || 'Failed to create teacher' });
+    const created = await createTeacherAccount({ school_id, teacher_id, name, contact, email });
+    if (created.error) {
+      return res.status(400).json({ error: created.error });
     }
  
-    return res.status(201).json(data);
+    return res.status(201).json({
+      ...created.data,
+      temporary_password: created.temporary_password,
+      ...(created.warning ? { warning: created.warning } : {})
+    });
   } catch (err) {
     console.error('Create teacher error:', err);
     return res.status(500).json({ error: 'Internal server error' });
   }
 };
+
+// ✅ Create a teacher through the create_teacher RPC and issue a temporary password.
+// Returns { data, temporary_password, warning? } or { error }.
+export const createTeacherAccount = async ({ school_id, teacher_id: rawTeacherId, name, contact, email }) => {
+  // Stored upper-case: teachers log in with the ID upper-cased
+  const teacher_id = String(rawTeacherId).trim().toUpperCase();
+  const { data, error } = await supabase.rpc('create_teacher', {
+    p_school_id: school_id,
+    p_teacher_id: teacher_id,
+    p_name: name,
+    p_contact: contact,
+    p_email: email
+  });
+
+  if (error) {
+    return { error: error.message || 'Failed to create teacher' };
+  }
+
+  if (!data.success) {
+    return { error: data.error || 'Failed to create teacher' };
+  }
+
+  // 🔐 Issue a temporary password — the teacher must change it on first login
+  const temporaryPassword = generateTemporaryPassword();
+  const { error: passwordError } = await supabase
+    .from('teachers')
+    .update({
+      password_hash: await hashPassword(temporaryPassword),
+      must_change_password: true,
+      password_changed_at: null
+    })
+    .eq('school_id', school_id)
+    .eq('teacher_id', teacher_id);
+
+  if (passwordError) {
+    console.error('Failed to set teacher temporary password:', passwordError);
+    return {
+      data,
+      temporary_password: null,
+      warning: 'Teacher created, but the temporary password could not be set. Use the password reset endpoint.'
+    };
+  }
+
+  return { data, temporary_password: temporaryPassword };
+};
  
 // ✅ POST /api/teacher-assignments - Assign teacher to class
 export const assignTeacherToClass = async (req, res) => {
@@ -359,12 +482,341 @@ export const assignTeacherToClass = async (req, res) => {
   }
 };
  
+// =========================
+// 🎓 Student roster uploads
+// =========================
+
+// Header aliases accepted for each student field (first match wins); the first alias is
+// the header the downloadable template uses
+export const STUDENT_COLUMN_ALIASES = {
+  name: ['NAME', 'name', 'First Name'],
+  roll_no: ['ROLLNO', 'Roll No', 'Student ID', 'student_id'],
+  class: ['CLASS', 'Class', 'class'],
+  section: ['SECTION', 'Section', 'section'],
+  parent_phone: ['PHONENO', 'Phone', 'Parent Phone', 'parent_phone'],
+  parent_email: ['EMAILID', 'Email', 'Parent Email', 'parent_email'],
+  gender: ['Gender', 'gender']
+};
+
+// Fields a re-upload may change on an existing student
+const STUDENT_UPDATABLE_FIELDS = ['roll_no', 'name', 'class', 'section', 'gender', 'parent_phone', 'parent_email'];
+
+// "Grade - 6-A" -> { classValue: 'Grade - 6', sectionValue: 'A' } (split on the last '-')
+export const parseClassSection = (classSection) => {
+  const value = String(classSection || '');
+  const lastDashIndex = value.lastIndexOf('-');
+  if (lastDashIndex <= 0 || lastDashIndex >= value.length - 1) return null;
+  return {
+    classValue: value.substring(0, lastDashIndex).trim(),
+    sectionValue: value.substring(lastDashIndex + 1).trim()
+  };
+};
+
+const describeStudentColumns = (headers) => {
+  const recognised = {};
+  const ignored = [];
+  for (const header of headers) {
+    const field = Object.keys(STUDENT_COLUMN_ALIASES).find((key) => STUDENT_COLUMN_ALIASES[key].includes(header));
+    if (field) recognised[header] = field;
+    else ignored.push(header);
+  }
+  return { recognised, ignored };
+};
+
+// ✅ Turn uploaded rows into student objects. Rows without ROLLNO/NAME are skipped and
+// repeated roll numbers are flagged; row numbers are spreadsheet rows (header is row 1).
+// A whole-school import passes `targets`: per record, its { classValue, sectionValue, row, sheet }.
+const readStudentRecords = (records, { school_id, classValue, sectionValue, targets = null }) => {
+  const seenInFile = new Map();
+  const rows = [];
+  const students = [];
+
+  records.forEach((record, index) => {
+    const target = targets ? targets[index] : { classValue, sectionValue, row: index + 2 };
+    const rowNumber = target.row;
+    const where = targets ? { sheet: target.sheet, class_section: `${target.classValue}-${target.sectionValue}` } : {};
+    const rollNo = pickField(record, STUDENT_COLUMN_ALIASES.roll_no);
+    const name = pickField(record, STUDENT_COLUMN_ALIASES.name);
+
+    if (!rollNo) {
+      rows.push({ row: rowNumber, ...where, status: 'skipped', reason: 'Missing ROLLNO' });
+      return;
+    }
+    if (!name) {
+      rows.push({ row: rowNumber, ...where, status: 'skipped', reason: 'Missing NAME', roll_no: rollNo });
+      return;
+    }
+
+    // Optional CLASS/SECTION columns must agree with the class_section being uploaded
+    const rowClass = pickField(record, STUDENT_COLUMN_ALIASES.class);
+    const rowSection = pickField(record, STUDENT_COLUMN_ALIASES.section);
+    if ((rowClass && rowClass !== target.classValue) || (rowSection && rowSection !== target.sectionValue)) {
+      rows.push({
+        row: rowNumber,
+        ...where,
+        status: 'skipped',
+        reason: `Row is for ${rowClass || target.classValue}-${rowSection || target.sectionValue}, not ${target.classValue}-${target.sectionValue}`,
+        roll_no: rollNo
+      });
+      return;
+    }
+
+    const student = {
+      school_id,
+      student_id: rollNo, // roll number doubles as the login ID
+      roll_no: rollNo,
+      name,
+      class: target.classValue,
+      section: target.sectionValue,
+      gender: pickField(record, STUDENT_COLUMN_ALIASES.gender) || null,
+      parent_phone: pickField(record, STUDENT_COLUMN_ALIASES.parent_phone) || null,
+      parent_email: pickField(record, STUDENT_COLUMN_ALIASES.parent_email) || null
+    };
+
+    const label = targets ? `${target.sheet} row ${rowNumber}` : `row ${rowNumber}`;
+    if (seenInFile.has(rollNo)) {
+      rows.push({
+        row: rowNumber,
+        ...where,
+        status: 'duplicate',
+        reason: `Duplicate ROLLNO in file (same as ${seenInFile.get(rollNo)})`,
+        student
+      });
+      return;
+    }
+    seenInFile.set(rollNo, label);
+
+    const row = { row: rowNumber, ...where, status: null, student };
+    rows.push(row);
+    students.push(row);
+  });
+
+  return { rows, students };
+};
+
+const rosterKey = (classValue, sectionValue, rollNo) => `${classValue}|${sectionValue}|${rollNo}`;
+
+// ✅ Diff the uploaded students against the school roster. Matches on
+// class + section + roll_no, falling back to student_id within the uploaded `sections`
+// (a match elsewhere in the school is reported as a conflict).
+// Fills in each row's status and returns the changes to apply. With withdrawMissing,
+// students of the uploaded `sections` ([{ classValue, sectionValue }]) not in the file are withdrawn.
+export const planRosterChanges = (studentRows, existingStudents, { sections, withdrawMissing }) => {
+  // Deleted students go in first, so an active student sharing their key wins the match
+  const ordered = [...existingStudents].sort((a, b) => Number(!a.deleted_at) - Number(!b.deleted_at));
+  const byClassRoll = new Map(ordered.map((s) => [rosterKey(s.class, s.section, String(s.roll_no)), s]));
+  const byStudentId = new Map(ordered.map((s) => [String(s.student_id), s]));
+  const uploaded = new Set(sections.map(({ classValue, sectionValue }) => rosterKey(classValue, sectionValue, '')));
+  const matchedRows = new Map();
+  const plan = { inserts: [], updates: [], unchanged: [], withdrawals: [] };
+
+  for (const row of studentRows) {
+    const { student } = row;
+    const existing =
+      byClassRoll.get(rosterKey(student.class, student.section, student.roll_no)) ||
+      byStudentId.get(student.student_id);
+
+    // A deleted student still holds their student_id and roll number
+    if (existing?.deleted_at) {
+      row.status = 'conflict';
+      row.reason = `Student ${existing.student_id} is deleted; restore them before uploading them again`;
+      continue;
+    }
+
+    // A student_id match in a section this upload does not cover would move the student
+    // out of it; that takes an explicit transfer or update, not a roster upload
+    if (existing && !uploaded.has(rosterKey(existing.class, existing.section, ''))) {
+      row.status = 'conflict';
+      row.reason = `Student ${existing.student_id} is in ${existing.class}-${existing.section}; update or transfer them before uploading them to ${student.class}-${student.section}`;
+      continue;
+    }
+
+    if (!existing) {
+      row.status = 'added';
+      plan.inserts.push(student);
+      continue;
+    }
+
+    if (matchedRows.has(existing.id)) {
+      row.status = 'duplicate';
+      row.reason = `Matches the same student as row ${matchedRows.get(existing.id)}`;
+      continue;
+    }
+    matchedRows.set(existing.id, row.row);
+
+    const changes = {};
+    for (const field of STUDENT_UPDATABLE_FIELDS) {
+      const from = existing[field] ?? null;
+      const to = student[field] ?? null;
+      if (String(from ?? '') !== String(to ?? '')) changes[field] = { from, to };
+    }
+    // Re-appearing in the file brings a withdrawn student back
+    if (existing.withdrawn_at) changes.withdrawn_at = { from: existing.withdrawn_at, to: null };
+
+    if (Object.keys(changes).length) {
+      row.status = 'updated';
+      row.changes = changes;
+      plan.updates.push({ id: existing.id, student_id: existing.student_id, changes });
+    } else {
+      row.status = 'unchanged';
+      plan.unchanged.push(existing.student_id);
+    }
+  }
+
+  if (withdrawMissing) {
+    plan.withdrawals = existingStudents
+      .filter((s) => uploaded.has(rosterKey(s.class, s.section, '')))
+      .filter((s) => !s.withdrawn_at && !s.deleted_at && !matchedRows.has(s.id))
+      .map((s) => ({ id: s.id, student_id: s.student_id, name: s.name, class: s.class, section: s.section }));
+  }
+
+  return plan;
+};
+
+const summarizeRosterPlan = (plan, rows) => ({
+  total_rows: rows.length,
+  added: plan.inserts.length,
+  updated: plan.updates.length,
+  unchanged: plan.unchanged.length,
+  removed: plan.withdrawals.length,
+  skipped: rows.filter((r) => r.status === 'skipped').length,
+  duplicates: rows.filter((r) => r.status === 'duplicate').length,
+  conflicts: rows.filter((r) => r.status === 'conflict').length
+});
+
+// ✅ Per class-section counts for a whole-school import, in the order the sections were found
+const summarizeRosterSections = (plan, rows, sections) => {
+  const summaries = new Map(sections.map(({ classValue, sectionValue }) => [
+    `${classValue}-${sectionValue}`,
+    { class: classValue, section: sectionValue, total_rows: 0, added: 0, updated: 0, unchanged: 0, removed: 0, skipped: 0, duplicates: 0, conflicts: 0 }
+  ]));
+  const COUNTED = { added: 'added', updated: 'updated', unchanged: 'unchanged', skipped: 'skipped', duplicate: 'duplicates', conflict: 'conflicts' };
+
+  for (const row of rows) {
+    const key = row.class_section || (row.student && `${row.student.class}-${row.student.section}`);
+    const summary = summaries.get(key);
+    if (!summary) continue;
+    summary.total_rows += 1;
+    if (COUNTED[row.status]) summary[COUNTED[row.status]] += 1;
+  }
+  for (const withdrawal of plan.withdrawals) {
+    const summary = summaries.get(`${withdrawal.class}-${withdrawal.section}`);
+    if (summary) summary.removed += 1;
+  }
+
+  return [...summaries.values()];
+};
+
+// Stable fingerprint of a plan, to check a preview still describes the roster at commit time
+const rosterPlanSignature = (plan) => JSON.stringify({
+  inserts: plan.inserts.map((s) => s.student_id),
+  updates: plan.updates.map((u) => [u.id, u.changes]),
+  withdrawals: plan.withdrawals.map((w) => w.id)
+});
+
+const loadSchoolRoster = async (school_id) => {
+  const { data, error } = await supabase
+    .from('students')
+    .select('id, student_id, roll_no, name, class, section, gender, parent_phone, parent_email, withdrawn_at, deleted_at')
+    .eq('school_id', school_id);
+
+  if (error) throw error;
+  return data || [];
+};
+
+// 🔐 Every new student gets a temporary password, handed out by the school.
+// Returns { payload, credentials }: the rows to insert and the passwords to hand out.
+const withTemporaryPasswords = async (students) => {
+  const now = new Date().toISOString();
+  const credentials = [];
+  const payload = [];
+
+  for (const student of students) {
+    const temporaryPassword = generateTemporaryPassword();
+    payload.push({
+      ...student,
+      password_hash: await hashPassword(temporaryPassword),
+      must_change_password: true,
+      created_at: now,
+      updated_at: now
+    });
+    credentials.push({
+      student_id: student.student_id,
+      name: student.name,
+      temporary_password: temporaryPassword
+    });
+  }
+
+  return { payload, credentials };
+};
+
+// ✅ Insert students with fresh temporary passwords; returns { inserted, credentials }
+const insertStudentsWithCredentials = async (students) => {
+  const { payload, credentials } = await withTemporaryPasswords(students);
+
+  const { data: inserted, error } = await supabase
+    .from('students')
+    .insert(payload)
+    .select(STUDENT_COLUMNS);
+
+  if (error) throw error;
+  return { inserted, credentials };
+};
+
+// ✅ Apply a roster plan: insert new students, update changed ones, withdraw missing ones.
+// All of it runs in one transaction (sql/apply_student_roster.sql).
+const applyRosterPlan = async (plan) => {
+  const { payload, credentials } = await withTemporaryPasswords(plan.inserts);
+
+  const { data: inserted, error } = await supabase
+    .rpc('apply_student_roster', {
+      p_inserts: payload,
+      p_updates: plan.updates.map((update) => ({
+        id: update.id,
+        values: Object.fromEntries(Object.entries(update.changes).map(([field, change]) => [field, change.to]))
+      })),
+      p_withdrawal_ids: plan.withdrawals.map((w) => String(w.id))
+    })
+    .select(STUDENT_COLUMNS);
+
+  if (error) throw error;
+  return { inserted: inserted || [], credentials };
+};
+
+// Student IDs a roster upload touched, for the upload history
+const rosterProduced = (plan, inserted) => ({
+  added: inserted.map((s) => s.student_id),
+  updated: plan.updates.map((u) => u.student_id),
+  withdrawn: plan.withdrawals.map((w) => w.student_id)
+});
+
+const buildRosterResponse = (plan, rows, { inserted, credentials }) => {
+  const summary = summarizeRosterPlan(plan, rows);
+  return {
+    message: `Roster saved: ${summary.added} added, ${summary.updated} updated, ${summary.unchanged} unchanged, ${summary.removed} withdrawn`,
+    count: inserted.length,
+    data: inserted,
+    credentials,
+    summary,
+    diff: {
+      added: plan.inserts.map((s) => s.student_id),
+      updated: plan.updates.map((u) => ({ student_id: u.student_id, changes: u.changes })),
+      unchanged: plan.unchanged,
+      removed: plan.withdrawals
+    },
+    skipped: rows.filter((r) => ['skipped', 'duplicate', 'conflict'].includes(r.status))
+  };
+};
+
+// ✅ POST /api/schools/:school_id/students/upload[?dry_run=true] - Upload (or re-upload) a class-section roster
 export const uploadStudents = async (req, res) => {
   console.log('🚀 [STUDENT UPLOAD] REQUEST RECEIVED');
   console.log('📁 File:', req.file ? { name: req.file.originalname, size: req.file.size } : 'MISSING');
-  console.log('📦 Body:', req.body);
-  console.log('🏫 School ID:', req.params.school_id);
- 
+  console.log('🏫 School ID:', req.params.school_id, '| Class/Section:', req.body?.class_section);
+
+  const dryRun = req.query.dry_run === 'true';
+  const withdrawMissing = req.body?.withdraw_missing === 'true' || req.query.withdraw_missing === 'true';
+
   try {
     const { school_id } = req.params;
     const { class_section } = req.body;
@@ -381,6 +833,12 @@ export const uploadStudents = async (req, res) => {
       console.error('❌ Validation failed: No file uploaded');
       return res.status(400).json({ error: 'No file uploaded' });
     }
+
+    const parsedClassSection = parseClassSection(class_section);
+    if (!parsedClassSection) {
+      return res.status(400).json({ error: 'class_section must look like "<class>-<section>", e.g. "6-A"' });
+    }
+    const { classValue, sectionValue } = parsedClassSection;
  
     console.log('🔍 Fetching school record...');
     const { data: school, error: schoolError } = await supabase
@@ -393,33 +851,15 @@ export const uploadStudents = async (req, res) => {
       console.error('❌ School not found:', schoolError?.message || 'No record');
       return res.status(404).json({ error: 'School not found' });
     }
-    console.log('✅ School record:', school);
- 
-    console.log('📊 Parsing file:', req.file.originalname);
+
+    if (!isSupportedSpreadsheet(req.file.originalname)) {
+      console.error('❌ Unsupported file format');
+      return res.status(400).json({ error: 'Unsupported file. Use CSV, XLSX, or XLS.' });
+    }
+
     let records = [];
-    const buffer = req.file.buffer;
-    const filename = req.file.originalname.toLowerCase();
- 
     try {
-      if (filename.endsWith('.csv')) {
-        console.log('📄 Parsing CSV...');
-        const { parse } = await import('csv-parse/sync');
-        records = parse(buffer.toString('utf-8'), {
-          columns: true,
-          skip_empty_lines: true,
-          relax_column_count: true,
-          bom: true
-        });
-      } else if (filename.endsWith('.xlsx') || filename.endsWith('.xls')) {
-        console.log('📄 Parsing Excel...');
-        const XLSX = await import('xlsx');
-        const workbook = XLSX.read(buffer, { type: 'buffer' });
-        const worksheet = workbook.Sheets[workbook.SheetNames[0]];
-        records = XLSX.utils.sheet_to_json(worksheet, { defval: null });
-      } else {
-        console.error('❌ Unsupported file format');
-        return res.status(400).json({ error: 'Unsupported file. Use CSV, XLSX, or XLS.' });
-      }
+      records = await parseSpreadsheet(req.file);
     } catch (parseError) {
       console.error('💥 File parse error:', parseError.message);
       return res.status(400).json({ error: 'Invalid file format or corrupted file' });
@@ -430,1350 +870,2980 @@ export const uploadStudents = async (req, res) => {
       console.error('❌ No data in file');
       return res.status(400).json({ error: 'No data found in file' });
     }
- 
-    let classValue = '';
-    let sectionValue = '';
-    if (class_section) {
-  // Split by last occurrence of '-' to handle cases like "Grade - 6-A"
-  const lastDashIndex = class_section.lastIndexOf('-');
-  if (lastDashIndex > 0 && lastDashIndex < class_section.length - 1) {
-    classValue = class_section.substring(0, lastDashIndex).trim();
-    sectionValue = class_section.substring(lastDashIndex + 1).trim();
-  }
-}
-    console.log('🏷️ Class/Section:', { classValue, sectionValue });
- 
-    const studentsData = records
-  .map((record, index) => {
-    console.log(`📄 Record ${index + 1}:`, record);
-
-    // 🆕 Get NAME → store as `name`
-    const studentName = (record['NAME'] || record['name'] || record['First Name'] || '').trim();
-    
-    // 🆕 Get ROLLNO → convert to INTEGER for `roll_no`
-    const rollNoRaw = (record['ROLLNO'] || record['Roll No'] || record['Student ID'] || record['student_id'] || '').toString().trim();
-    
-    
-    // ❗ If roll_no is not a valid number, skip this record
-    if (!rollNoRaw) {
-      console.warn(`⚠️ Skipping record ${index + 1}: Missing or empty ROLLNO`);
-      return null; // Will be filtered out
-    }
-    
-    const rollNo = rollNoRaw;
-
-    // 🆕 Get phone/email with fallbacks
-    const parentPhone = record['PHONENO'] || record['Phone'] || record['Parent Phone'] || record['parent_phone'] || null;
-    const parentEmail = record['EMAILID'] || record['Email'] || record['Parent Email'] || record['parent_email'] || null;
 
-    return {
-      school_id: school_id,
-      student_id: String(rollNo), // 👈 Use roll_no as student_id if needed, or generate one
-      roll_no: rollNo,            // 👈 INTEGER, required
-      name: studentName,          // 👈 Single "name" field, required
-      class: classValue,
-      section: sectionValue,
-      gender: record['Gender'] || record['gender'] || null,
-      created_at: new Date().toISOString(),
-      updated_at: new Date().toISOString()
-    };
-  })
-  .filter(Boolean) // Remove nulls from invalid roll_no
-  .filter(student => {
-  const valid = student.name && student.roll_no && typeof student.roll_no === 'string' && student.roll_no.trim() !== '';
-  if (!valid) console.warn('⚠️ Skipping invalid student:', student);
-  return valid;
-  });
-    console.log('✅ Valid students:', studentsData.length);
-    if (studentsData.length === 0) {
-      console.error('❌ No valid students after filtering');
-      return res.status(400).json({ error: 'No valid student records found' });
+    const { rows, students } = readStudentRecords(records, { school_id, classValue, sectionValue });
+    const plan = planRosterChanges(students, await loadSchoolRoster(school_id), {
+      sections: [{ classValue, sectionValue }],
+      withdrawMissing
+    });
+    const summary = summarizeRosterPlan(plan, rows);
+    console.log('📊 Roster diff:', summary);
+
+    // 🔎 Dry run: report only, and keep the parsed students for the commit step
+    if (dryRun) {
+      const hasChanges = plan.inserts.length || plan.updates.length || plan.withdrawals.length;
+      const preview = hasChanges
+        ? await savePreview({
+            kind: 'students',
+            school_id,
+            created_by: req.user?.id,
+            payload: {
+              class: classValue,
+              section: sectionValue,
+              file_name: req.file.originalname,
+              file_path: await storeUploadedFile('students', req.file),
+              withdraw_missing: withdrawMissing,
+              students: students.map((r) => r.student),
+              signature: rosterPlanSignature(plan)
+            },
+            summary
+          })
+        : { preview_id: null, expires_at: null };
+
+      return res.json({
+        dry_run: true,
+        ...preview,
+        school_id,
+        class: classValue,
+        section: sectionValue,
+        file_name: req.file.originalname,
+        columns: describeStudentColumns(collectHeaders(records)),
+        summary,
+        rows,
+        removed: plan.withdrawals
+      });
     }
- 
-    console.log('💾 Attempting to insert', studentsData.length, 'students...');
-    console.log('📋 First student:', studentsData[0]);
- 
-    const { data: inserted, error: dbError } = await supabase
-      .from('students')
-      .insert(studentsData)
-      .select();
- 
-    if (dbError) {
-      console.error('🔥 DATABASE INSERT ERROR:', dbError);
-      console.error('📋 Sample payload that failed:', studentsData[0]);
-      return res.status(500).json({
-        error: 'Database insert failed: ' + (dbError.message || 'Unknown error'),
-        details: dbError
+
+    if (students.length === 0) {
+      console.error('❌ No valid students after filtering');
+      return res.status(400).json({
+        error: 'No valid student records found',
+        summary,
+        rows
       });
     }
  
-    console.log('✅ SUCCESS: Inserted', inserted.length, 'students');
-    return res.status(201).json({
-      message: `${inserted.length} students uploaded successfully`,
-      count: inserted.length,
-      data: inserted
+    const applied = await applyRosterPlan(plan);
+    console.log('✅ SUCCESS: Roster saved', summary);
+
+    const batchId = await recordUploadBatch({
+      kind: 'students',
+      user: req.user,
+      school_id,
+      context: { class: classValue, section: sectionValue },
+      file: req.file,
+      file_path: await storeUploadedFile('students', req.file),
+      row_count: rows.length,
+      summary,
+      produced: rosterProduced(plan, applied.inserted)
+    });
+
+    return res.status(applied.inserted.length ? 201 : 200).json({
+      batch_id: batchId,
+      ...buildRosterResponse(plan, rows, applied)
     });
  
   } catch (err) {
     console.error('💥 UNCAUGHT ERROR in uploadStudents:', err);
-    console.error('💥 Stack trace:', err.stack);
     return res.status(500).json({
       error: 'Internal server error',
       details: err.message
     });
   }
 };
-// ✅ POST /api/exams - Create exam — NOW INCLUDES exam_date
-export const createExam = async (req, res) => {
-  try {
-    const {
-      school_id,
-      program,
-      exam_pattern,
-      class: examClass,
-      section: examSection,
-      exam_date // 👈 ADD THIS — comes from frontend
-    } = req.body;
-
-    // Validate required fields
-    if (!school_id) return res.status(400).json({ error: "Missing required field: school_id" });
-    if (!program) return res.status(400).json({ error: "Missing required field: program" });
-    if (!exam_pattern) return res.status(400).json({ error: "Missing required field: exam_pattern" });
-    if (!examClass) return res.status(400).json({ error: "Missing required field: class" });
-    if (!examSection) return res.status(400).json({ error: "Missing required field: section" });
-    // 👇 Optional: Validate exam_date format (YYYY-MM-DD)
-    if (exam_date && isNaN(Date.parse(exam_date))) {
-      return res.status(400).json({ error: "Invalid exam_date format. Use YYYY-MM-DD." });
-    }
 
-    // Insert into DB — WITH exam_date
-    const { data, error } = await supabase
-      .from('exams')
-      .insert([
-        {
-          school_id,
-          program,
-          exam_pattern,
-          class: examClass,
-          section: examSection,
-          exam_date: exam_date || null // 👈 Store it — default to null if not provided
-        }
-      ])
-      .select()
-      .single();
+// ✅ POST /api/schools/:school_id/students/upload/commit - Apply a dry-run preview exactly as previewed
+export const commitStudentUpload = async (req, res) => {
+  const { school_id } = req.params;
+  const { preview_id } = req.body || {};
 
-    if (error) return res.status(500).json({ error: 'Database insert failed: ' + error.message });
-    return res.status(201).json(data);
-  } catch (error) {
-    console.error('Error creating exam:', error);
-    return res.status(500).json({ error: 'Internal server error' });
+  if (!preview_id) {
+    return res.status(400).json({ error: 'preview_id is required' });
   }
-};
-// ✅ GET /api/exams - Get all exams — REQUIRED BY FRONTEND
-export const getExams = async (req, res) => {
+
+  let claimedId = null;
   try {
-    console.log('🔍 getExams query params:', req.query); // 👈 ADD THIS
+    const { preview, status, error } = await claimPreview({ id: preview_id, kind: 'students', school_id });
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    claimedId = preview.id;
 
-    const data = await fetchAllExams((query) => {
-      let nextQuery = query;
+    const payload = preview.payload;
+    // Whole-school imports preview several sections; a class-section upload just one
+    const sections = payload.sections || [{ classValue: payload.class, sectionValue: payload.section }];
+    const rows = payload.students.map((student, index) => ({ row: index + 1, status: null, student }));
+    const plan = planRosterChanges(rows, await loadSchoolRoster(school_id), {
+      sections,
+      withdrawMissing: payload.withdraw_missing
+    });
 
-      if (req.query.school_id) {
-        nextQuery = nextQuery.eq('school_id', req.query.school_id);
-      }
-      if (req.query.exam_pattern) {
-        nextQuery = nextQuery.eq('exam_pattern', req.query.exam_pattern);
-      }
-      if (req.query.class) {
-        nextQuery = nextQuery.eq('class', req.query.class);
-      }
-      if (req.query.section) {
-        nextQuery = nextQuery.eq('section', req.query.section);
-      }
+    // The roster changed since the preview — refuse rather than apply something else
+    if (rosterPlanSignature(plan) !== payload.signature) {
+      await releasePreview(claimedId);
+      return res.status(409).json({ error: 'The roster changed since the preview. Run the dry run again.' });
+    }
 
-      return nextQuery.order('created_at', { ascending: false });
-    });
+    const applied = await applyRosterPlan(plan);
 
-    console.log('✅ getExams found:', data.length, 'records'); // 👈 ADD THIS
-    console.log('📋 First record:', data[0]); // 👈 ADD THIS
+    const batchId = await recordUploadBatch({
+      kind: 'students',
+      user: req.user,
+      school_id,
+      context: payload.sections ? null : { class: payload.class, section: payload.section },
+      file_name: payload.file_name,
+      file_path: payload.file_path || null,
+      row_count: rows.length,
+      summary: payload.sections
+        ? { ...summarizeRosterPlan(plan, rows), sections: summarizeRosterSections(plan, rows, sections) }
+        : summarizeRosterPlan(plan, rows),
+      produced: rosterProduced(plan, applied.inserted)
+    });
 
-    return res.status(200).json(data);
-  } catch (error) {
-    console.error('Error fetching exams:', error);
-    return res.status(500).json({ error: 'Internal server error' });
+    return res.status(applied.inserted.length ? 201 : 200).json({
+      preview_id,
+      batch_id: batchId,
+      ...buildRosterResponse(plan, rows, applied),
+      ...(payload.sections ? { sections: summarizeRosterSections(plan, rows, sections) } : {})
+    });
+  } catch (err) {
+    console.error('Commit student upload error:', err);
+    if (claimedId) await releasePreview(claimedId);
+    return res.status(500).json({ error: 'Internal server error', details: err.message });
   }
 };
 
-// ✅ GET /api/foundations - MUST MATCH FRONTEND
-export const getFoundations = (req, res) => {
-  const FOUNDATIONS = [
-    { id: 'IIT-MED', name: 'IIT-MED' },
-    { id: 'IIT', name: 'IIT' },
-    { id: 'MED', name: 'MED' }
-  ];
-  res.json(FOUNDATIONS);
-};
- 
-// ✅ GET /api/programs - MUST MATCH FRONTEND
-export const getPrograms = (req, res) => {
-  const PROGRAMS = [
-    { id: 'CAT', name: 'CAT' },
-    { id: 'FF', name: 'FF'},
-    { id: 'MAE', name: 'MAE' },
-    { id: 'PIO', name: 'PIO' },
-    { id: 'NGHS_MAE', name: 'NGHS_MAE'}
-  ];
-  res.json(PROGRAMS);
-};
- 
-// ✅ GET /api/academic-years - Get academic years
-export const getAcademicYears = async (req, res) => {
-  try {
-    const currentYear = new Date().getFullYear();
-    const academicYears = [];
-   
-    for (let i = -1; i < 4; i++) {
-      const startYear = currentYear + i;
-      const endYear = startYear + 1;
-      academicYears.push({
-        id: `${startYear}-${endYear}`,
-        name: `${startYear}-${endYear}`
-      });
-    }
-   
-    return res.json(academicYears);
-  } catch (err) {
-    console.error('Get academic years error:', err);
-    return res.status(500).json({ error: 'Internal server error' });
-  }
-};
-// ✅ POST /api/exams/:exam_id/results/upload - Upload and process exam results
-export const uploadExamResults = async (req, res) => {
-  const {
-    school_id,
-    program,
-    exam_pattern,
-    class: examClass,
-    section: examSection,
-    exam_date,
-    max_marks_physics,
-    max_marks_maths,
-    max_marks_chemistry,
-    max_marks_biology
-  } = req.body;
+// ✅ POST /api/schools/:school_id/students/import[?dry_run=true] - Import the whole school's roster from one workbook
+// multipart: file, withdraw_missing?. Either one sheet per class-section (named like class_section,
+// e.g. "6-A") or sheets with CLASS and SECTION columns; each must be one of the school's classes.
+// Dry runs are committed through POST /api/schools/:school_id/students/upload/commit.
+export const importSchoolStudents = async (req, res) => {
+  const { school_id } = req.params;
+  const dryRun = req.query.dry_run === 'true';
+  const withdrawMissing = req.body?.withdraw_missing === 'true' || req.query.withdraw_missing === 'true';
 
   if (!req.file) {
     return res.status(400).json({ error: 'No file uploaded' });
   }
-
-  if (!school_id || !program || !exam_pattern || !examClass || !examSection) {
-    return res.status(400).json({ 
-      error: 'Missing exam context. Please fill all form fields.' 
-    });
+  if (!isSupportedSpreadsheet(req.file.originalname)) {
+    return res.status(400).json({ error: 'Unsupported file. Use CSV, XLSX, or XLS.' });
   }
 
   try {
-    let records = [];
-    const buffer = req.file.buffer;
-    const filename = req.file.originalname.toLowerCase();
-
-    if (filename.endsWith('.csv')) {
-      const { parse } = await import('csv-parse/sync');
-      records = parse(buffer.toString('utf-8'), {
-        columns: true,
-        skip_empty_lines: true,
-        relax_column_count: true,
-        bom: true
-      });
-    } else if (filename.endsWith('.xlsx') || filename.endsWith('.xls')) {
-      const XLSX = await import('xlsx');
-      const workbook = XLSX.read(buffer, { type: 'buffer' });
-      const worksheet = workbook.Sheets[workbook.SheetNames[0]];
-      records = XLSX.utils.sheet_to_json(worksheet, { defval: null, raw: false });
-    } else {
-      return res.status(400).json({ error: 'Unsupported file format. Use CSV, XLSX, or XLS.' });
-    }
-
-    if (!records.length) {
-      return res.status(400).json({ error: 'No data found in file' });
-    }
-
-    // Skip first row (column indices)
-    if (records.length > 0) {
-      console.log('Skipping first row (column indices):', records[0]);
-      records = records.slice(1);
-    }
+    const { data: school, error: schoolError } = await supabase
+      .from('schools')
+      .select('school_id')
+      .eq('school_id', school_id)
+      .maybeSingle();
 
-    // Skip second row if it's a header
-    if (records.length > 0) {
-      const headerRow = records[0];
-      if (
-        (headerRow['2'] && typeof headerRow['2'] === 'string' && headerRow['2'].toLowerCase().includes('roll')) ||
-        (headerRow['3'] && typeof headerRow['3'] === 'string' && headerRow['3'].toLowerCase().includes('name'))
-      ) {
-        console.log('Skipping header row:', headerRow);
-        records = records.slice(1);
-      }
-    }
+    if (schoolError) throw schoolError;
+    if (!school) return res.status(404).json({ error: 'School not found' });
 
-    // ✅ 🔒 CHECK FOR DUPLICATE EXAM BEFORE PROCESSING RECORDS
-    const { data: existingExams, error: checkError } = await supabase
-      .from('exams')
-      .select('id')
+    const { data: classRows, error: classesError } = await supabase
+      .from('classes')
+      .select('class, section')
       .eq('school_id', school_id)
-      .eq('program', program)
-      .eq('exam_pattern', exam_pattern)
-      .eq('class', examClass)
-      .eq('section', examSection)
-      .eq('exam_date', exam_date || null)
-      .limit(1);
+      .is('deleted_at', null);
 
-    if (checkError) {
-      console.error('Error checking for existing exam:', checkError);
-      return res.status(500).json({ error: 'Failed to verify exam uniqueness' });
+    if (classesError) throw classesError;
+    const configured = new Set((classRows || []).map((row) => `${row.class}-${row.section}`));
+    if (!configured.size) {
+      return res.status(400).json({ error: 'This school has no classes yet. Set up its classes before importing students.' });
     }
 
-    if (existingExams && existingExams.length > 0) {
-      return res.status(409).json({
-        error: 'This exam has already been registered and results uploaded. Duplicate uploads are not allowed.'
-      });
+    let sheets;
+    try {
+      sheets = (await parseSpreadsheetSheets(req.file)).filter((sheet) => sheet.records.length);
+    } catch (parseError) {
+      console.error('💥 File parse error:', parseError.message);
+      return res.status(400).json({ error: 'Invalid file format or corrupted file' });
+    }
+    if (!sheets.length) {
+      return res.status(400).json({ error: 'No data found in file' });
     }
 
-    const COLUMN_MAP = {
-      2: 'student_id',
-      3: 'student_name',
-      7: 'correct',
-      8: 'wrong',
-      9: 'unattempted',
-      10: 'physics',
-      18: 'chemistry',
-      26: 'maths',
-      34: 'biology',
-    };
+    // ✅ Work out each row's class-section: its CLASS and SECTION columns, else the sheet name
+    const entries = [];
+    const rejected = [];
+    const unknownSections = new Map();
+
+    for (const { name, records } of sheets) {
+      const sheetSection = parseClassSection(name);
 
-    const getNumber = (row, ...keys) => {
-      for (let key of keys) {
-        if (key in row && row[key] != null && row[key] !== '') {
-          const num = parseFloat(row[key]);
-          if (!isNaN(num)) return num;
+      records.forEach((record, index) => {
+        const row = index + 2;
+        const rowClass = pickField(record, STUDENT_COLUMN_ALIASES.class);
+        const rowSection = pickField(record, STUDENT_COLUMN_ALIASES.section);
+        const target = rowClass && rowSection ? { classValue: rowClass, sectionValue: rowSection } : sheetSection;
+
+        if (!target) {
+          rejected.push({ row, sheet: name, status: 'skipped', reason: 'No class-section: fill CLASS and SECTION, or name the sheet like "6-A"' });
+          return;
         }
-      }
-      return 0;
-    };
 
-    const getString = (row, ...keys) => {
-      for (let key of keys) {
-        if (key in row && row[key] != null) {
-          return String(row[key]).trim();
+        const classSection = `${target.classValue}-${target.sectionValue}`;
+        if (!configured.has(classSection)) {
+          rejected.push({ row, sheet: name, class_section: classSection, status: 'skipped', reason: `Class-section ${classSection} is not set up for this school` });
+          const unknown = unknownSections.get(classSection) || { class_section: classSection, sheets: [], rows: 0 };
+          if (!unknown.sheets.includes(name)) unknown.sheets.push(name);
+          unknown.rows += 1;
+          unknownSections.set(classSection, unknown);
+          return;
         }
-      }
-      return '';
-    };
 
-    // ✅ Build raw upload rows (to go into `upload` table)
-    const uploadRows = records.map((r, index) => {
-      if (!r) return null;
+        entries.push({ record, target: { ...target, row, sheet: name } });
+      });
+    }
 
-      const mappedRow = {};
-      for (const [colIndex, key] of Object.entries(COLUMN_MAP)) {
-        mappedRow[key] = colIndex in r ? r[colIndex] : null;
-      }
+    const { rows: parsedRows, students } = readStudentRecords(entries.map((entry) => entry.record), {
+      school_id,
+      targets: entries.map((entry) => entry.target)
+    });
 
-      const studentId = getString(mappedRow, 'student_id');
-      if (!studentId || studentId.trim() === '') {
-        console.warn(`Skipping invalid row ${index + 1}: student_id is empty`);
-        return null;
-      }
-      const studentName = getString(mappedRow, 'student_name');
-      const physics = getNumber(mappedRow, 'physics');
-      const chemistry = getNumber(mappedRow, 'chemistry');
-      const maths = getNumber(mappedRow, 'maths');
-      const biology = getNumber(mappedRow, 'biology');
-      const correct = getNumber(mappedRow, 'correct');
-      const wrong = getNumber(mappedRow, 'wrong');
-      const unattempted = getNumber(mappedRow, 'unattempted');
-
-      const nameParts = studentName.split(' ');
-      const firstName = nameParts[0] || '';
-      const lastName = nameParts.slice(1).join(' ') || '';
-
-      const totalMarks = physics + chemistry + maths + biology;
-      const maxPhysics = parseInt(max_marks_physics);
-      const maxChemistry = parseInt(max_marks_chemistry);
-      const maxMaths = parseInt(max_marks_maths);
-      const maxBiology = parseInt(max_marks_biology);
-      const total_max_marks = maxPhysics + maxChemistry + maxMaths + maxBiology;
-      const totalQuestions = 60;
-      const percentage = total_max_marks > 0 ? parseFloat(((totalMarks / total_max_marks) * 100).toFixed(2)) : 0;
-
-      // ⚠️ This object will be stored as JSONB in `upload.data`
-      const rowData = {
+    const sheetOrder = new Map(sheets.map((sheet, i) => [sheet.name, i]));
+    const rows = [...parsedRows, ...rejected].sort((a, b) => sheetOrder.get(a.sheet) - sheetOrder.get(b.sheet) || a.row - b.row);
+
+    const sections = [];
+    const seenSections = new Set();
+    for (const { target } of entries) {
+      const key = `${target.classValue}-${target.sectionValue}`;
+      if (seenSections.has(key)) continue;
+      seenSections.add(key);
+      sections.push({ classValue: target.classValue, sectionValue: target.sectionValue });
+    }
+
+    const plan = planRosterChanges(students, await loadSchoolRoster(school_id), { sections, withdrawMissing });
+    const summary = summarizeRosterPlan(plan, rows);
+    const sectionSummaries = summarizeRosterSections(plan, rows, sections);
+    console.log('📊 School roster import diff:', summary);
+
+    // 🔎 Dry run: report only, and keep the parsed students for the commit step
+    if (dryRun) {
+      const hasChanges = plan.inserts.length || plan.updates.length || plan.withdrawals.length;
+      const preview = hasChanges
+        ? await savePreview({
+            kind: 'students',
+            school_id,
+            created_by: req.user?.id,
+            payload: {
+              sections,
+              file_name: req.file.originalname,
+              file_path: await storeUploadedFile('students', req.file),
+              withdraw_missing: withdrawMissing,
+              students: students.map((r) => r.student),
+              signature: rosterPlanSignature(plan)
+            },
+            summary
+          })
+        : { preview_id: null, expires_at: null };
+
+      return res.json({
+        dry_run: true,
+        ...preview,
         school_id,
-        program,
-        exam_pattern,
-        class: examClass,
-        section: examSection,
-        exam_date: exam_date || null,
-        max_marks_physics: parseInt(max_marks_physics) || 50,
-        max_marks_maths: parseInt(max_marks_maths) || 50,
-        max_marks_chemistry: parseInt(max_marks_chemistry) || 50,
-        max_marks_biology: parseInt(max_marks_biology) || 0,
-
-        // Student data from Excel
-        student_id: studentId,
-        first_name: firstName,
-        last_name: lastName,
-        total_questions: total_max_marks,
-        correct_answers: correct,
-        wrong_answers: wrong,
-        unattempted: unattempted,
-        physics_marks: physics,
-        chemistry_marks: chemistry,
-        maths_marks: maths,
-        biology_marks: biology,
-        total_marks: totalMarks,
-        percentage: parseFloat(percentage),
-        // Note: ranks will be filled later by trigger/function
-        class_rank: '-',
-        school_rank: '-',
-        all_schools_rank: '-',
-        created_at: new Date().toISOString()
-      };
-
-      return {
         file_name: req.file.originalname,
-        row_index: index + 1, // 1-based index
-        data: rowData // This will be inserted as JSONB
-      };
-    }).filter(Boolean);
-
-    if (uploadRows.length === 0) {
-      return res.status(400).json({ error: 'No valid records processed' });
+        sheets: sheets.map((sheet) => sheet.name),
+        summary,
+        sections: sectionSummaries,
+        unknown_sections: [...unknownSections.values()],
+        rows,
+        removed: plan.withdrawals
+      });
     }
 
-    // ✅ INSERT INTO `upload` TABLE
-    const { error: insertError } = await supabase
-      .from('upload')
-      .insert(uploadRows);
-
-    if (insertError) {
-      console.error('Upload table insert error:', insertError);
-      return res.status(500).json({
-        error: 'Failed to save raw upload data',
-        details: insertError.message
+    if (students.length === 0) {
+      return res.status(400).json({
+        error: 'No valid student records found',
+        summary,
+        sections: sectionSummaries,
+        unknown_sections: [...unknownSections.values()],
+        rows
       });
     }
 
-    // ✅ STEP 1: Recalculate ranks (safe: not in a trigger)
-    const { error: rankError } = await supabase.rpc('calculate_exam_ranks', {
-  p_school_id: school_id,
-  p_program: program,
-  p_exam_pattern: exam_pattern,
-  p_class: examClass,
-  p_section: examSection,
-  p_exam_date: exam_date || null
-});
-    if (rankError) {
-      console.warn('⚠️ Rank recalculation failed:', rankError);
-      // Don't fail the whole request — proceed with '-' ranks if needed
-    }
-
-    // ✅ STEP 2: Recalculate exam-level averages
-    const { error: examAvgError } = await supabase.rpc('calculate_exam_averages_for', {
-  p_school_id: school_id,
-  p_program: program,
-  p_exam_pattern: exam_pattern,
-  p_class: examClass,
-  p_section: examSection,
-  p_exam_date: exam_date || null
-});
-    if (examAvgError) {
-      console.warn('⚠️ Exam averages recalculation failed:', examAvgError);
-    }
+    const applied = await applyRosterPlan(plan);
+    console.log('✅ SUCCESS: School roster imported', summary);
 
-    // ✅ STEP 3: Recalculate grade-level averages
-    const { error: gradeAvgError } = await supabase.rpc('calculate_grade_averages_for', {
-  p_school_id: school_id,
-  p_program: program,
-  p_class: examClass,
-  p_section: examSection
-});
-    if (gradeAvgError) {
-      console.warn('⚠️ Grade averages recalculation failed:', gradeAvgError);
-    }
+    const batchId = await recordUploadBatch({
+      kind: 'students',
+      user: req.user,
+      school_id,
+      file: req.file,
+      file_path: await storeUploadedFile('students', req.file),
+      row_count: rows.length,
+      summary: { ...summary, sections: sectionSummaries },
+      produced: rosterProduced(plan, applied.inserted)
+    });
 
-    // ✅ STEP 4: Recalculate grade ranks
-    const { error: gradeRankError } = await supabase.rpc('calculate_grade_ranks_for', {
-  p_program: program,
-  p_exam_pattern: exam_pattern,
-  p_class: examClass
-});
-    if (gradeRankError) {
-      console.warn('⚠️ Grade rank recalculation failed:', gradeRankError);
-    }
-    
-    // ✅ STEP 5: Recalculate All India Rank
-    const { error: allIndiaRankError } = await supabase.rpc('calculate_all_india_rank_for', {
-  p_class: examClass
-});
-    if (allIndiaRankError) {
-    console.warn('⚠️ All India rank recalculation failed:', allIndiaRankError);
+    return res.status(applied.inserted.length ? 201 : 200).json({
+      batch_id: batchId,
+      ...buildRosterResponse(plan, rows, applied),
+      sections: sectionSummaries,
+      unknown_sections: [...unknownSections.values()]
+    });
+  } catch (err) {
+    console.error('School roster import error:', err);
+    return res.status(500).json({ error: 'Internal server error', details: err.message });
+  }
+};
+
+// ✅ POST /api/exams - Create exam — NOW INCLUDES exam_date
+export const createExam = async (req, res) => {
+  try {
+    const {
+      school_id,
+      program,
+      exam_pattern,
+      class: examClass,
+      section: examSection,
+      exam_date // 👈 ADD THIS — comes from frontend
+    } = req.body;
+
+    // Validate required fields
+    if (!school_id) return res.status(400).json({ error: "Missing required field: school_id" });
+    if (!program) return res.status(400).json({ error: "Missing required field: program" });
+    if (!exam_pattern) return res.status(400).json({ error: "Missing required field: exam_pattern" });
+    if (!examClass) return res.status(400).json({ error: "Missing required field: class" });
+    if (!examSection) return res.status(400).json({ error: "Missing required field: section" });
+    // 👇 Optional: Validate exam_date format (YYYY-MM-DD)
+    if (exam_date && isNaN(Date.parse(exam_date))) {
+      return res.status(400).json({ error: "Invalid exam_date format. Use YYYY-MM-DD." });
     }
 
-    // ✅ STEP 6: Fetch results (now with real ranks and averages if recalc succeeded)
-    const { data: results, error: fetchError } = await supabase
+    // The pattern must be defined in the catalogue (GET /api/exam-patterns)
+    const pattern = await findExamPattern(exam_pattern);
+    const patternError = checkPatternForProgram(pattern, exam_pattern, program);
+    if (patternError) return res.status(400).json({ error: patternError });
+
+    // Insert into DB — WITH exam_date
+    const { data, error } = await supabase
       .from('exams')
-      .select(`
-        student_id,
-        first_name,
-        last_name,
-        total_questions,
-        correct_answers,
-        wrong_answers,
-        unattempted,
-        physics_marks,
-        chemistry_marks,
-        maths_marks,
-        biology_marks,
-        total_marks,
-        percentage,
-        class_rank,
-        school_rank,
-        all_schools_rank
-      `)
-      .eq('school_id', school_id)
-      .eq('program', program)
-      .eq('exam_pattern', exam_pattern)
-      .eq('class', examClass)
-      .eq('section', examSection)
-      .eq('exam_date', exam_date || null)
-      .order('percentage', { ascending: false });
+      .insert([
+        {
+          school_id,
+          program,
+          exam_pattern: pattern.code,
+          class: examClass,
+          section: examSection,
+          exam_date: exam_date || null // 👈 Store it — default to null if not provided
+        }
+      ])
+      .select()
+      .single();
 
-    if (fetchError) {
-      console.warn('⚠️ Could not fetch results after upload:', fetchError);
-    }
+    if (error) return res.status(500).json({ error: 'Database insert failed: ' + error.message });
+    return res.status(201).json(data);
+  } catch (error) {
+    console.error('Error creating exam:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+// ✅ GET /api/exams - Get all exams — REQUIRED BY FRONTEND
+export const getExams = async (req, res) => {
+  try {
+    console.log('🔍 getExams query params:', req.query); // 👈 ADD THIS
 
-    // ✅ Return results to frontend
-    return res.status(200).json({
-      success: true,
-      count: uploadRows.length,
-      results: results || []
-    });
+    const allowedSchoolIds = scopeSchoolIds(req.scope);
 
-  } catch (err) {
-    console.error('Upload error:', err);
-    return res.status(500).json({
-      error: 'Failed to process file',
-      details: err.message
+    const rows = await fetchAllExams((query) => {
+      let nextQuery = withoutDeletedSchools(query, req.scope);
+
+      if (allowedSchoolIds) {
+        nextQuery = nextQuery.in('school_id', allowedSchoolIds);
+      }
+      if (req.query.school_id) {
+        nextQuery = nextQuery.eq('school_id', req.query.school_id);
+      }
+      if (req.query.exam_pattern) {
+        nextQuery = nextQuery.eq('exam_pattern', req.query.exam_pattern);
+      }
+      if (req.query.class) {
+        nextQuery = nextQuery.eq('class', req.query.class);
+      }
+      if (req.query.section) {
+        nextQuery = nextQuery.eq('section', req.query.section);
+      }
+
+      return nextQuery.order('created_at', { ascending: false });
     });
+
+    // Teachers only see the class-sections they are assigned to
+    const data = rows.filter((row) => scopeAllowsClassSection(req.scope, row.class, row.section));
+
+    console.log('✅ getExams found:', data.length, 'records'); // 👈 ADD THIS
+    console.log('📋 First record:', data[0]); // 👈 ADD THIS
+
+    return res.status(200).json(data);
+  } catch (error) {
+    console.error('Error fetching exams:', error);
+    return res.status(500).json({ error: 'Internal server error' });
   }
 };
+
+// Foundations - MUST MATCH FRONTEND
+export const FOUNDATIONS = [
+  { id: 'IIT-MED', name: 'IIT-MED' },
+  { id: 'IIT', name: 'IIT' },
+  { id: 'MED', name: 'MED' }
+];
+
+// ✅ GET /api/foundations
+export const getFoundations = (req, res) => {
+  res.json(FOUNDATIONS);
+};
  
-// ✅ GET /api/schools/:school_id/students?class=...&section=...
-export const getStudentsByClassSection = async (req, res) => {
-  const { school_id } = req.params;
-  const { class: classValue, section: sectionValue } = req.query;
+// Programs - MUST MATCH FRONTEND
+export const PROGRAMS = [
+  { id: 'CAT', name: 'CAT' },
+  { id: 'FF', name: 'FF'},
+  { id: 'MAE', name: 'MAE' },
+  { id: 'PIO', name: 'PIO' },
+  { id: 'NGHS_MAE', name: 'NGHS_MAE'}
+];
 
-  if (!school_id || !classValue || !sectionValue) {
-    return res.status(400).json({ error: 'Missing required parameters: school_id, class, section' });
+// ✅ GET /api/programs
+export const getPrograms = (req, res) => {
+  res.json(PROGRAMS);
+};
+ 
+// Last year through three years ahead, e.g. "2025-2026"
+export const academicYearOptions = () => {
+  const currentYear = new Date().getFullYear();
+  const academicYears = [];
+
+  for (let i = -1; i < 4; i++) {
+    const startYear = currentYear + i;
+    const endYear = startYear + 1;
+    academicYears.push({
+      id: `${startYear}-${endYear}`,
+      name: `${startYear}-${endYear}`
+    });
   }
+  return academicYears;
+};
 
+// ✅ GET /api/academic-years - Get academic years
+export const getAcademicYears = async (req, res) => {
   try {
-    const { data, error } = await supabase
-      .from('students')
-      .select('*')
-      .eq('school_id', school_id)
-      .eq('class', classValue)
-      .eq('section', sectionValue)
-      .order('roll_no', { ascending: true });
-
-    if (error) {
-      console.error('Supabase query error:', error);
-      return res.status(500).json({ error: 'Database query failed' });
-    }
-
-    return res.status(200).json(data);
+    return res.json(academicYearOptions());
   } catch (err) {
-    console.error('Error in getStudentsByClassSection:', err);
+    console.error('Get academic years error:', err);
     return res.status(500).json({ error: 'Internal server error' });
   }
 };
+// ✅ Score one extracted row against the pattern: marks come from the sheet, or from the
+// answer counts and marking scheme when the marks cell is blank
+const scoreResultRow = (r, pattern) => {
+  const scores = {};
+  const errors = [];
+  let totalMarks = 0;
 
-const normalizeTeacherSubject = (subject) => {
-  if (!subject) return null;
-  const normalized = String(subject).trim().toLowerCase();
+  for (const entry of pattern.subjects) {
+    const values = r.subjects[entry.subject] || {};
+    const marks = values.marks ?? (values.correct != null ? scoreFromCounts(entry, values) : 0);
 
-  if (normalized === 'physics') return 'Physics';
-  if (normalized === 'chemistry') return 'Chemistry';
-  if (normalized === 'biology') return 'Biology';
-  if (normalized === 'maths' || normalized === 'math' || normalized === 'mathematics') return 'Maths';
+    scores[entry.subject] = { marks, max_marks: entry.max_marks };
+    for (const field of ['correct', 'wrong', 'unattempted']) {
+      if (values[field] !== undefined) scores[entry.subject][field] = values[field];
+    }
 
-  return null;
-};
+    errors.push(...checkSubjectScore(entry, { ...values, marks }));
+    totalMarks += marks;
+  }
 
-const normalizeTeacherClassSection = (classValue, sectionValue) =>
-  `${String(classValue || 'N/A').trim()}-${String(sectionValue || 'N/A').trim()}`;
+  if (r.correct + r.wrong + r.unattempted > pattern.total_questions) {
+    errors.push(`Answer counts add up to more than the ${pattern.total_questions} questions in the exam`);
+  }
 
-const normalizeExamDate = (examDate) => {
-  if (!examDate) return 'NO_DATE';
-  return String(examDate).trim();
+  return { ...r, scores, total_marks: totalMarks, errors };
 };
 
-const buildTeacherExamIdentity = ({ school_id, program, exam_pattern, exam_date, class_section }) =>
-  [
-    String(school_id || 'N/A').trim(),
-    String(program || 'N/A').trim(),
-    String(exam_pattern || 'N/A').trim(),
-    normalizeExamDate(exam_date),
-    String(class_section || 'N/A').trim()
-  ].join('|');
+// ✅ The ranking and averaging RPCs run after results for an exam context change, in order
+const EXAM_STAT_STEPS = [
+  {
+    step: 'exam_ranks',
+    stage: 'ranking',
+    label: 'Rank recalculation',
+    rpc: 'calculate_exam_ranks',
+    params: (c) => ({ p_school_id: c.school_id, p_program: c.program, p_exam_pattern: c.exam_pattern, p_class: c.class, p_section: c.section, p_exam_date: c.exam_date || null })
+  },
+  {
+    step: 'exam_averages',
+    stage: 'averaging',
+    label: 'Exam averages recalculation',
+    rpc: 'calculate_exam_averages_for',
+    params: (c) => ({ p_school_id: c.school_id, p_program: c.program, p_exam_pattern: c.exam_pattern, p_class: c.class, p_section: c.section, p_exam_date: c.exam_date || null })
+  },
+  {
+    step: 'grade_averages',
+    stage: 'averaging',
+    label: 'Grade averages recalculation',
+    rpc: 'calculate_grade_averages_for',
+    params: (c) => ({ p_school_id: c.school_id, p_program: c.program, p_class: c.class, p_section: c.section })
+  },
+  {
+    step: 'grade_ranks',
+    stage: 'ranking',
+    label: 'Grade rank recalculation',
+    rpc: 'calculate_grade_ranks_for',
+    params: (c) => ({ p_program: c.program, p_exam_pattern: c.exam_pattern, p_class: c.class })
+  },
+  {
+    step: 'all_india_rank',
+    stage: 'ranking',
+    label: 'All India rank recalculation',
+    rpc: 'calculate_all_india_rank_for',
+    params: (c) => ({ p_class: c.class })
+  }
+];
 
-const buildTeacherAverageLookup = (exams) => {
-  const groupedExamScores = new Map();
+export const EXAM_STAT_STEP_NAMES = EXAM_STAT_STEPS.map(({ step }) => step);
 
-  exams.forEach((exam) => {
-    const schoolId = exam.school_id || 'N/A';
-    const program = exam.program || 'N/A';
-    const examPattern = exam.exam_pattern || 'N/A';
-    const examDate = normalizeExamDate(exam.exam_date);
-    const classSection = normalizeTeacherClassSection(exam.class, exam.section);
-    const key = buildTeacherExamIdentity({
-      school_id: schoolId,
-      program,
-      exam_pattern: examPattern,
-      exam_date: examDate,
-      class_section: classSection
-    });
+// ✅ Recalculate ranks and averages after results for an exam context change.
+// Failures are logged, not thrown: results stay saved with '-' ranks. Returns the failed
+// steps as warnings [{ step, stage, message }]; pass `steps` to re-run only those.
+export const recalculateExamStats = async (context, { steps = EXAM_STAT_STEP_NAMES, onStep = null } = {}) => {
+  const warnings = [];
 
-    if (!groupedExamScores.has(key)) {
-      groupedExamScores.set(key, {
-        school_id: schoolId,
-        program,
-        exam_pattern: examPattern,
-        exam_date: examDate,
-        class_section: classSection,
-        Physics: [],
-        Chemistry: [],
-        Biology: [],
-        Maths: []
-      });
-    }
+  for (const { step, stage, label, rpc, params } of EXAM_STAT_STEPS) {
+    if (!steps.includes(step)) continue;
+    if (onStep) await onStep({ step, stage });
 
-    const bucket = groupedExamScores.get(key);
-    if (exam.physics_percentage != null && exam.physics_percentage !== '') {
-      bucket.Physics.push(parseFloat(exam.physics_percentage));
-    }
-    if (exam.chemistry_percentage != null && exam.chemistry_percentage !== '') {
-      bucket.Chemistry.push(parseFloat(exam.chemistry_percentage));
-    }
-    if (exam.biology_percentage != null && exam.biology_percentage !== '') {
-      bucket.Biology.push(parseFloat(exam.biology_percentage));
-    }
-    if (exam.maths_percentage != null && exam.maths_percentage !== '') {
-      bucket.Maths.push(parseFloat(exam.maths_percentage));
+    const { error } = await supabase.rpc(rpc, params(context));
+    if (error) {
+      console.warn(`⚠️ ${label} failed:`, error);
+      warnings.push({ step, stage, message: `${label} failed: ${error.message}` });
     }
+  }
+
+  return warnings;
+};
+
+// Results of one exam context, best first
+export const fetchExamContextResults = async (context) => {
+  const { data, error } = await whereExamContext(
+    supabase.from('exams').select(`
+      student_id,
+      first_name,
+      last_name,
+      total_questions,
+      correct_answers,
+      wrong_answers,
+      unattempted,
+      physics_marks,
+      chemistry_marks,
+      maths_marks,
+      biology_marks,
+      subject_scores,
+      total_marks,
+      percentage,
+      class_rank,
+      school_rank,
+      all_schools_rank
+    `),
+    context
+  ).order('percentage', { ascending: false });
+
+  if (error) {
+    console.warn('⚠️ Could not fetch results after upload:', error);
+  }
+  return data || [];
+};
+
+// ✅ The score columns of an `exams` row for one scored student
+const resultFields = (pattern, r) => {
+  const percentage = pattern.total_max_marks > 0
+    ? parseFloat(((r.total_marks / pattern.total_max_marks) * 100).toFixed(2))
+    : 0;
+
+  // Physics/chemistry/maths/biology keep their own columns; every subject is in subject_scores
+  const legacyColumns = {};
+  for (const subject of LEGACY_SUBJECTS) {
+    legacyColumns[`${subject}_marks`] = r.scores[subject]?.marks ?? 0;
+    legacyColumns[`max_marks_${subject}`] = r.scores[subject]?.max_marks ?? 0;
+  }
+
+  return {
+    total_questions: pattern.total_questions,
+    correct_answers: r.correct,
+    wrong_answers: r.wrong,
+    unattempted: r.unattempted,
+    ...legacyColumns,
+    subject_scores: r.scores,
+    total_marks: r.total_marks,
+    percentage
+  };
+};
+
+// ✅ Rows for the `upload` table from scored results; a DB trigger copies `data` into `exams`
+const buildResultUploadRows = (context, pattern, scoredRows, fileName) =>
+  scoredRows.map((r, index) => {
+    const nameParts = r.student_name.split(' ');
+    const firstName = nameParts[0] || '';
+    const lastName = nameParts.slice(1).join(' ') || '';
+
+    // ⚠️ This object will be stored as JSONB in `upload.data`
+    const rowData = {
+      ...context,
+      exam_date: context.exam_date || null,
+
+      // Student data from the sheet
+      student_id: r.student_id,
+      first_name: firstName,
+      last_name: lastName,
+      ...resultFields(pattern, r),
+      // Note: ranks will be filled later by trigger/function
+      class_rank: '-',
+      school_rank: '-',
+      all_schools_rank: '-',
+      created_at: new Date().toISOString()
+    };
+
+    return {
+      file_name: fileName,
+      row_index: index + 1, // 1-based index
+      data: rowData // This will be inserted as JSONB
+    };
   });
 
-  const averagesByKey = new Map();
-  groupedExamScores.forEach((bucket, key) => {
-    averagesByKey.set(key, {
-      school_id: bucket.school_id,
-      program: bucket.program,
-      exam_pattern: bucket.exam_pattern,
-      exam_date: bucket.exam_date,
-      class_section: bucket.class_section,
-      Physics: bucket.Physics.length ? parseFloat((bucket.Physics.reduce((a, b) => a + b, 0) / bucket.Physics.length).toFixed(1)) : null,
-      Chemistry: bucket.Chemistry.length ? parseFloat((bucket.Chemistry.reduce((a, b) => a + b, 0) / bucket.Chemistry.length).toFixed(1)) : null,
-      Biology: bucket.Biology.length ? parseFloat((bucket.Biology.reduce((a, b) => a + b, 0) / bucket.Biology.length).toFixed(1)) : null,
-      Maths: bucket.Maths.length ? parseFloat((bucket.Maths.reduce((a, b) => a + b, 0) / bucket.Maths.length).toFixed(1)) : null,
-    });
+// ✅ Save scored results for an exam context as a new version, then recalculate ranks.
+//   create  -> only when the exam has no results yet
+//   replace -> the file's rows replace every current result
+//   append  -> the file's rows are added; students who already have a result are refused
+// `progress` hears each stage ({ stage }). Returns { count, version, results, warnings } or { status, error }.
+const saveExamResults = async ({ context, pattern, scoredRows, fileName, mode = 'create', createdBy = null, progress = async () => {} }) => {
+  if (!RESULT_UPLOAD_MODES.includes(mode)) {
+    return { status: 400, error: { error: `mode must be one of ${RESULT_UPLOAD_MODES.join(', ')}` } };
+  }
+
+  // ✅ 🔒 CHECK FOR EXISTING RESULTS BEFORE PROCESSING RECORDS
+  const { data: existingExams, error: checkError } = await whereExamContext(
+    supabase.from('exams').select('id, student_id'),
+    context
+  );
+
+  if (checkError) {
+    console.error('Error checking for existing exam:', checkError);
+    return { status: 500, error: { error: 'Failed to verify exam uniqueness' } };
+  }
+
+  const existing = existingExams || [];
+  if (mode === 'create' && existing.length > 0) {
+    return {
+      status: 409,
+      error: { error: 'This exam has already been registered and results uploaded. Upload with mode=replace or mode=append instead.' }
+    };
+  }
+
+  if (mode === 'append') {
+    const present = new Set(existing.map((row) => row.student_id));
+    const alreadyPresent = scoredRows.map((r) => r.student_id).filter((id) => present.has(id));
+    if (alreadyPresent.length) {
+      return {
+        status: 409,
+        error: { error: 'Some students already have results for this exam. Use mode=replace to overwrite them.', already_present: alreadyPresent }
+      };
+    }
+  }
+
+  const uploadRows = buildResultUploadRows(context, pattern, scoredRows, fileName);
+  if (uploadRows.length === 0) {
+    return { status: 400, error: { error: 'No valid records processed' } };
+  }
+
+  // Results from before versioning get a baseline version so this change can be rolled back
+  if (existing.length) await ensureBaselineVersion(context, { created_by: createdBy });
+  const version = await openResultVersion(context, { mode, file_name: fileName, created_by: createdBy });
+  await progress({ stage: 'inserting' });
+
+  // ✅ INSERT INTO `upload` TABLE - a replace removes the current results in the same
+  // transaction (sql/save_exam_upload.sql), so a failure keeps them
+  const { error: insertError } = await supabase.rpc('save_exam_upload', {
+    p_context: context,
+    p_rows: uploadRows.map((row) => ({ ...row, version_id: version.id })),
+    p_replace: mode === 'replace' && existing.length > 0
   });
 
-  return averagesByKey;
+  if (insertError) {
+    console.error('Upload table insert error:', insertError);
+    await discardResultVersion(version.id);
+    return { status: 500, error: { error: 'Failed to save raw upload data', details: insertError.message } };
+  }
+
+  // Recalculate first, so the version holds the ranks and averages the results are shown with
+  const warnings = await recalculateExamStats(context, { onStep: ({ stage }) => progress({ stage }) });
+  await closeResultVersion(version.id, context);
+
+  return {
+    count: uploadRows.length,
+    version: version.version,
+    version_id: version.id,
+    warnings,
+    results: await fetchExamContextResults(context)
+  };
 };
 
-const fetchAllExams = async (applyFilters = (query) => query) => {
-  const pageSize = 1000;
-  let from = 0;
-  const allRows = [];
+// ✅ Parse, score and save one results sheet. Runs as an import job; resolves to
+// { result, warnings } or { status, error }.
+const processResultUpload = async ({ body, query, file, user }, progress) => {
+  const {
+    school_id,
+    program,
+    exam_pattern: requestedPattern,
+    class: examClass,
+    section: examSection,
+    exam_date
+  } = body;
 
-  while (true) {
-    let query = supabase.from('exams').select('*').range(from, from + pageSize - 1);
-    query = applyFilters(query);
+  await progress({ stage: 'parsing' });
 
-    const { data, error } = await query;
-    if (error) throw error;
+  // ✅ Subjects, max marks and marking scheme come from the exam pattern catalogue
+  const pattern = await findExamPattern(requestedPattern);
+  const patternError = checkPatternForProgram(pattern, requestedPattern, program);
+  if (patternError) return { status: 400, error: { error: patternError } };
+  const exam_pattern = pattern.code;
 
-    const rows = Array.isArray(data) ? data : [];
-    allRows.push(...rows);
+  const grid = await parseSpreadsheetRows(file);
 
-    if (rows.length < pageSize) break;
-    from += pageSize;
+  if (!grid.length) {
+    return { status: 400, error: { error: 'No data found in file' } };
   }
 
-  return allRows;
-};
+  // ✅ Pick the column-mapping profile: the one asked for, else the best match for this sheet
+  let profile;
+  let detected = false;
+  let score = null;
+
+  if (body.mapping_profile_id) {
+    profile = await findMappingProfile(body.mapping_profile_id);
+    if (!profile) {
+      return { status: 400, error: { error: `Mapping profile ${body.mapping_profile_id} not found` } };
+    }
+  } else {
+    const [best] = rankMappingProfiles(grid, await loadMappingProfiles());
+    profile = best.score > 0 ? best.profile : DEFAULT_RESULT_MAPPING;
+    detected = true;
+    score = best.score;
+  }
+  const mappingProfile = { id: profile.id, name: profile.name, detected, score };
 
-const calculateRankForAverage = (rows, average) => {
-  if (!Array.isArray(rows) || rows.length === 0) return 1;
-  const higherScores = rows.filter((row) => row.average > average).length;
-  return higherScores + 1;
+  const { rows: resultRows, skipped, missing_columns } = extractResultRows(grid, profile);
+
+  if (missing_columns.length) {
+    return {
+      status: 400,
+      error: { error: `The file does not match mapping profile "${profile.name}"`, missing_columns, mapping_profile: mappingProfile }
+    };
+  }
+
+  const mappedSubjects = new Set(profile.subjects.map((entry) => entry.subject.toLowerCase()));
+  const unmappedSubjects = pattern.subjects.filter((entry) => !mappedSubjects.has(entry.subject));
+  if (unmappedSubjects.length) {
+    return {
+      status: 400,
+      error: {
+        error: `Mapping profile "${profile.name}" has no columns for ${unmappedSubjects.map((entry) => entry.name).join(', ')} (exam pattern ${pattern.code})`,
+        mapping_profile: mappingProfile
+      }
+    };
+  }
+
+  const rows = { total: resultRows.length + skipped.length, valid: resultRows.length, skipped: skipped.length, inserted: 0 };
+  await progress({ rows });
+
+  const scoredRows = resultRows.map((r) => scoreResultRow(r, pattern));
+  const invalid = scoredRows
+    .filter((r) => r.errors.length)
+    .map(({ row, student_id, errors }) => ({ row, student_id, errors }));
+  if (invalid.length) {
+    return { status: 400, error: { error: `${invalid.length} row(s) do not fit exam pattern ${pattern.code}`, invalid } };
+  }
+
+  const context = { school_id, program, exam_pattern, class: examClass, section: examSection, exam_date: exam_date || null };
+  const mode = body.mode || query.mode || 'create';
+  await progress({ context });
+
+  const saved = await saveExamResults({
+    context,
+    pattern,
+    scoredRows,
+    fileName: file.originalname,
+    mode,
+    createdBy: user?.id,
+    progress
+  });
+  if (saved.error) return { status: saved.status, error: { ...saved.error, skipped } };
+  await progress({ rows: { ...rows, inserted: saved.count } });
+
+  const batchId = await recordUploadBatch({
+    kind: 'exam_results',
+    user,
+    school_id,
+    context,
+    file,
+    file_path: await storeUploadedFile('exam_results', file),
+    row_count: saved.count,
+    summary: { mode, version: saved.version, skipped: skipped.length, mapping_profile: profile.id },
+    produced: { student_ids: scoredRows.map((r) => r.student_id) },
+    version_id: saved.version_id
+  });
+
+  return {
+    warnings: saved.warnings,
+    result: {
+      success: true,
+      count: saved.count,
+      version: saved.version,
+      batch_id: batchId,
+      skipped,
+      warnings: saved.warnings,
+      mapping_profile: mappingProfile,
+      exam_pattern: pattern,
+      results: saved.results
+    }
+  };
 };
 
-// ✅ GET /api/teachers/:teacher_id/ranks — Teacher performance averages with ranks
-export const getTeacherRanks = async (req, res) => {
-  const teacherId = (req.params.teacher_id || req.body?.teacher_id || '').trim().toUpperCase();
-  const providedAssignments = Array.isArray(req.body?.assignments) ? req.body.assignments : null;
-  const requestedSchoolId = req.body?.school_id?.trim?.() || null;
+// ✅ POST /api/exams/:exam_id/results/upload - Upload exam results as an import job
+// Answers 202 with a job_id to poll at GET /api/jobs/:id; ?wait=true answers once processed
+export const uploadExamResults = async (req, res) => {
+  const {
+    school_id,
+    program,
+    exam_pattern: requestedPattern,
+    class: examClass,
+    section: examSection,
+    exam_date
+  } = req.body;
 
-  if (!teacherId) {
-    return res.status(400).json({ error: 'teacher_id is required' });
+  if (!req.file) {
+    return res.status(400).json({ error: 'No file uploaded' });
+  }
+
+  if (!school_id || !program || !requestedPattern || !examClass || !examSection) {
+    return res.status(400).json({ 
+      error: 'Missing exam context. Please fill all form fields.' 
+    });
+  }
+
+  if (!isSupportedSpreadsheet(req.file.originalname)) {
+    return res.status(400).json({ error: 'Unsupported file format. Use CSV, XLSX, or XLS.' });
   }
 
   try {
-    const { data: targetTeacher, error: targetTeacherError } = await supabase
-      .from('teachers')
-      .select('id, teacher_id, name, school_id')
-      .eq('teacher_id', teacherId)
-      .single();
+    const job = await createJob({
+      kind: 'exam_results',
+      user: req.user,
+      school_id,
+      context: { school_id, program, exam_pattern: String(requestedPattern).toUpperCase(), class: examClass, section: examSection, exam_date: exam_date || null },
+      file_name: req.file.originalname
+    });
 
-    if (targetTeacherError || !targetTeacher) {
-      return res.status(404).json({ error: 'Teacher not found' });
+    const input = { body: req.body, query: req.query, file: req.file, user: req.user };
+    const outcome = enqueueJob(job.id, (progress) => processResultUpload(input, progress));
+
+    if (req.query.wait === 'true') {
+      const { status, error, result } = await outcome;
+      if (error) return res.status(status).json({ ...error, job_id: job.id });
+      return res.status(200).json({ ...result, job_id: job.id });
     }
 
-    const { data: teachers, error: teachersError } = await supabase
-      .from('teachers')
-      .select('id, teacher_id, name, school_id');
+    return res.status(202).json({ success: true, job_id: job.id, status: job.status, status_url: `/api/jobs/${job.id}` });
+  } catch (err) {
+    console.error('Upload error:', err);
+    return res.status(500).json({
+      error: 'Failed to process file',
+      details: err.message
+    });
+  }
+};
+ 
+// ✅ POST /api/exams/:exam_id/responses/upload - Score raw OMR responses against the exam's answer key
+// multipart: file (Student ID, Name?, Q1..Qn), school_id, program, exam_pattern, class, section, exam_date?
+export const uploadExamResponses = async (req, res) => {
+  const {
+    school_id,
+    program,
+    exam_pattern: requestedPattern,
+    class: examClass,
+    section: examSection,
+    exam_date
+  } = req.body;
 
-    if (teachersError) {
-      return res.status(500).json({ error: 'Failed to fetch teachers' });
+  if (!req.file) {
+    return res.status(400).json({ error: 'No file uploaded' });
+  }
+  if (!school_id || !program || !requestedPattern || !examClass || !examSection) {
+    return res.status(400).json({ error: 'Missing exam context. Please fill all form fields.' });
+  }
+  if (!isSupportedSpreadsheet(req.file.originalname)) {
+    return res.status(400).json({ error: 'Unsupported file format. Use CSV, XLSX, or XLS.' });
+  }
+
+  try {
+    const pattern = await findExamPattern(requestedPattern);
+    const patternError = checkPatternForProgram(pattern, requestedPattern, program);
+    if (patternError) return res.status(400).json({ error: patternError });
+    const exam_pattern = pattern.code;
+
+    const answerKey = await findAnswerKey({ school_id, program, exam_pattern, exam_date: exam_date || null });
+    if (!answerKey) {
+      return res.status(400).json({ error: 'No answer key has been uploaded for this exam. POST /api/answer-keys first.' });
     }
 
-    const teacherRowIds = (teachers || []).map((teacher) => teacher.id);
-    const { data: assignments, error: assignmentsError } = await supabase
-      .from('teacher_assignments')
-      .select('teacher_id, class, section, subject')
-      .in('teacher_id', teacherRowIds);
+    // Corrections made to the key before this upload already apply
+    const scoringPattern = effectivePattern(pattern, answerKey.questions);
 
-    if (assignmentsError) {
-      return res.status(500).json({ error: 'Failed to fetch teacher assignments' });
+    const parsed = parseResponseGrid(await parseSpreadsheetRows(req.file));
+    if (parsed.errors.length) {
+      return res.status(400).json({ error: 'Could not read the responses file', details: parsed.errors });
     }
 
-    let targetAssignments = providedAssignments;
-    if (!targetAssignments) {
-      const { data, error: targetAssignmentsError } = await supabase
-        .from('teacher_assignments')
-        .select('class, section, subject')
-        .eq('teacher_id', targetTeacher.id);
+    const answered = new Set(parsed.question_numbers);
+    const missingQuestions = answerKey.questions.map((q) => q.question).filter((q) => !answered.has(q));
+    if (missingQuestions.length) {
+      return res.status(400).json({ error: 'The responses file is missing question columns', missing_questions: missingQuestions });
+    }
+    const keyQuestions = new Set(answerKey.questions.map((q) => q.question));
+    const ignoredQuestions = parsed.question_numbers.filter((q) => !keyQuestions.has(q));
 
-      if (targetAssignmentsError) {
-        return res.status(500).json({ error: 'Failed to fetch target teacher assignments' });
+    // First row per student wins; later repeats are reported, not scored
+    const seen = new Set();
+    const skipped = [];
+    const studentRows = parsed.rows.filter((r) => {
+      if (seen.has(r.student_id)) {
+        skipped.push({ row: r.row, student_id: r.student_id, reason: 'Duplicate student ID in file' });
+        return false;
       }
+      seen.add(r.student_id);
+      return true;
+    });
 
-      targetAssignments = data;
-    }
+    const scoredRows = studentRows.map((r) => {
+      const scored = scoreResponses(r.responses, answerKey.questions);
+      return { ...scoreResultRow({ row: r.row, student_id: r.student_id, student_name: r.student_name, ...scored }, scoringPattern), responses: r.responses };
+    });
 
-    const exams = await fetchAllExams((query) =>
-      query.select(`
+    const invalid = scoredRows
+      .filter((r) => r.errors.length)
+      .map(({ row, student_id, errors }) => ({ row, student_id, errors }));
+    if (invalid.length) {
+      return res.status(400).json({ error: `${invalid.length} row(s) do not fit exam pattern ${pattern.code}`, invalid });
+    }
+
+    const context = { school_id, program, exam_pattern, class: examClass, section: examSection, exam_date: exam_date || null };
+    const mode = req.body.mode || req.query.mode || 'create';
+    const saved = await saveExamResults({
+      context,
+      pattern: scoringPattern,
+      scoredRows,
+      fileName: req.file.originalname,
+      mode,
+      createdBy: req.user?.id
+    });
+    if (saved.error) return res.status(saved.status).json({ ...saved.error, skipped });
+
+    // ✅ Keep the raw responses so the exam can be re-scored when the key changes
+    if (mode === 'replace') {
+      const { error: clearError } = await supabase
+        .from('exam_responses')
+        .delete()
+        .eq('answer_key_id', answerKey.id)
+        .eq('class', examClass)
+        .eq('section', examSection);
+      if (clearError) console.error('⚠️ Failed to clear replaced responses:', clearError);
+    }
+
+    const { error: responsesError } = await supabase
+      .from('exam_responses')
+      .upsert(scoredRows.map((r) => ({
+        answer_key_id: answerKey.id,
         school_id,
-        program,
-        exam_pattern,
-        exam_date,
-        class,
-        section,
-        physics_percentage,
-        chemistry_percentage,
-        biology_percentage,
-        maths_percentage
-      `)
-    );
+        class: examClass,
+        section: examSection,
+        student_id: r.student_id,
+        student_name: r.student_name,
+        responses: r.responses,
+        question_results: r.question_results,
+        total_marks: r.total_marks,
+        created_at: new Date().toISOString()
+      })), { onConflict: 'answer_key_id,student_id' });
 
-    const effectiveSchoolId = requestedSchoolId || targetTeacher.school_id;
-    const averageLookup = buildTeacherAverageLookup(exams || []);
-    const assignmentsByTeacher = new Map();
-    (assignments || []).forEach((assignment) => {
-      const subject = normalizeTeacherSubject(assignment.subject);
-      if (!subject) return;
+    const batchId = await recordUploadBatch({
+      kind: 'exam_responses',
+      user: req.user,
+      school_id,
+      context,
+      file: req.file,
+      file_path: await storeUploadedFile('exam_responses', req.file),
+      row_count: saved.count,
+      summary: { mode, version: saved.version, skipped: skipped.length, answer_key_id: answerKey.id },
+      produced: { student_ids: scoredRows.map((r) => r.student_id) },
+      version_id: saved.version_id
+    });
 
-      const teacherAssignments = assignmentsByTeacher.get(assignment.teacher_id) || [];
-      teacherAssignments.push({
-        class_section: normalizeTeacherClassSection(assignment.class, assignment.section),
-        subject
+    if (responsesError) {
+      console.error('Exam responses insert error:', responsesError);
+      return res.status(500).json({
+        error: 'Results were saved but the raw responses could not be stored; key corrections will not re-score them',
+        details: responsesError.message,
+        version: saved.version,
+        batch_id: batchId
       });
-      assignmentsByTeacher.set(assignment.teacher_id, teacherAssignments);
+    }
+
+    return res.status(200).json({
+      success: true,
+      count: saved.count,
+      version: saved.version,
+      batch_id: batchId,
+      answer_key_id: answerKey.id,
+      ignored_questions: ignoredQuestions,
+      skipped,
+      exam_pattern: pattern,
+      results: saved.results
     });
+  } catch (err) {
+    console.error('Responses upload error:', err);
+    return res.status(500).json({ error: 'Failed to process file', details: err.message });
+  }
+};
 
-    const normalizedAssignments = Array.from(
-      new Map(
-        (targetAssignments || [])
-          .map((assignment) => ({
-            class_section: normalizeTeacherClassSection(assignment.class, assignment.section),
-            subject: normalizeTeacherSubject(assignment.subject)
-          }))
-          .filter((assignment) => assignment.subject)
-          .map((assignment) => [`${assignment.class_section}|${assignment.subject}`, assignment])
-      ).values()
-    );
-    assignmentsByTeacher.set(targetTeacher.id, normalizedAssignments);
+const RANKED_RESULT_FIELDS = ['total_marks', 'percentage', 'class_rank', 'school_rank', 'all_schools_rank'];
 
-    const targetAverageContexts = Array.from(averageLookup.values())
-      .filter((bucket) => bucket.school_id === effectiveSchoolId)
-      .filter((bucket) =>
-        normalizedAssignments.some(
-          (assignment) =>
-            assignment.class_section === bucket.class_section &&
-            bucket[assignment.subject] != null &&
-            !Number.isNaN(bucket[assignment.subject])
-        )
-      );
+// Every result row of an exam (all schools and sections of the given classes), for before/after comparison
+const snapshotExamResults = ({ program, exam_pattern, exam_date }, classes) =>
+  fetchAllExams((query) => {
+    const filtered = query
+      .select(`id, school_id, class, section, student_id, ${RANKED_RESULT_FIELDS.join(', ')}`)
+      .eq('program', program)
+      .eq('exam_pattern', exam_pattern)
+      .in('class', classes);
+    return exam_date ? filtered.eq('exam_date', exam_date) : filtered.is('exam_date', null);
+  });
 
-    const finalTeacherRankRows = [];
-    targetAverageContexts.forEach((examContext) => {
-      normalizedAssignments.forEach((assignment) => {
-        if (assignment.class_section !== examContext.class_section) return;
+// ✅ POST /api/answer-keys/:id/corrections - Correct the key after results are out, then re-score
+// every student with stored responses and recalculate ranks.
+// JSON { corrections: [{ question, action: 'bonus' | 'multiple' | 'change' | 'drop', answer? }], reason? }
+export const correctAnswerKey = async (req, res) => {
+  const { corrections, reason } = req.body || {};
 
-        const average = examContext?.[assignment.subject];
-        if (average == null || Number.isNaN(average)) return;
+  if (!Array.isArray(corrections) || !corrections.length) {
+    return res.status(400).json({ error: 'corrections must be a non-empty array' });
+  }
 
-        const comparisonRows = [];
-        (teachers || []).forEach((teacher) => {
-          const teacherAssignments = assignmentsByTeacher.get(teacher.id) || [];
-          const sameClassAssignments = teacherAssignments.filter(
-            (teacherAssignment) => teacherAssignment.class_section === assignment.class_section
-          );
-          if (sameClassAssignments.length === 0) return;
+  try {
+    const answerKey = await loadAnswerKey(req.params.id);
+    if (!answerKey) return res.status(404).json({ error: 'Answer key not found' });
+
+    const pattern = await findExamPattern(answerKey.exam_pattern);
+    if (!pattern) return res.status(400).json({ error: `Exam pattern ${answerKey.exam_pattern} no longer exists` });
+
+    const { questions, errors } = applyKeyCorrections(answerKey.questions, corrections);
+    if (errors.length) {
+      return res.status(400).json({ error: 'Invalid corrections', details: errors });
+    }
+    const scoringPattern = effectivePattern(pattern, questions);
+
+    // ✅ Save the corrected key first; re-running the same corrections is safe if re-scoring fails
+    const correctedAt = new Date().toISOString();
+    const history = [
+      ...(answerKey.corrections || []),
+      ...corrections.map((c) => ({
+        question: Number(c.question),
+        action: c.action,
+        answer: c.answer ?? null,
+        reason: reason || null,
+        corrected_by: req.user?.id ? String(req.user.id) : null,
+        corrected_at: correctedAt
+      }))
+    ];
+
+    const { data: updatedKey, error: keyError } = await supabase
+      .from('answer_keys')
+      .update({ questions, corrections: history, updated_at: correctedAt })
+      .eq('id', answerKey.id)
+      .select('id, school_id, program, exam_pattern, exam_date, questions, corrections, updated_at')
+      .single();
 
-          const comparisonBucket = averageLookup.get(
-            buildTeacherExamIdentity({
-              school_id: teacher.school_id,
-              program: examContext.program,
-              exam_pattern: examContext.exam_pattern,
-              exam_date: examContext.exam_date,
-              class_section: assignment.class_section
-            })
-          );
-          if (!comparisonBucket) return;
+    if (keyError) throw keyError;
 
-          sameClassAssignments.forEach((teacherAssignment) => {
-            const comparisonAverage = comparisonBucket?.[teacherAssignment.subject];
-            if (comparisonAverage == null || Number.isNaN(comparisonAverage)) return;
+    const { data: responses, error: responsesError } = await supabase
+      .from('exam_responses')
+      .select('id, class, section, student_id, student_name, responses')
+      .eq('answer_key_id', answerKey.id);
 
-            comparisonRows.push({
-              teacher_row_id: teacher.id,
-              teacher_id: teacher.teacher_id,
-              teacher_name: teacher.name,
-              school_id: teacher.school_id,
-              program: examContext.program,
-              exam_pattern: examContext.exam_pattern,
-              exam_date: examContext.exam_date,
-              class_section: assignment.class_section,
-              subject: teacherAssignment.subject,
-              average: comparisonAverage
-            });
-          });
-        });
+    if (responsesError) throw responsesError;
 
-        finalTeacherRankRows.push({
-          teacher_row_id: targetTeacher.id,
-          teacher_id: targetTeacher.teacher_id,
-          teacher_name: targetTeacher.name,
-          school_id: effectiveSchoolId,
-          program: examContext.program,
-          exam_pattern: examContext.exam_pattern,
-          exam_date: examContext.exam_date,
-          class_section: assignment.class_section,
-          subject: assignment.subject,
-          average,
-          all_india_rank: calculateRankForAverage(comparisonRows, average)
-        });
-      });
+    const classes = [...new Set((responses || []).map((r) => r.class))];
+    const before = classes.length ? await snapshotExamResults(answerKey, classes) : [];
+    const resultIds = new Map(
+      before
+        .filter((row) => row.school_id === answerKey.school_id)
+        .map((row) => [`${row.class}|${row.section}|${row.student_id}`, row.id])
+    );
+
+    // Each re-scored class-section gets a new result version (after a baseline, if it has none)
+    const sectionContexts = [...new Map((responses || []).map((r) => [
+      `${r.class}|${r.section}`,
+      {
+        school_id: answerKey.school_id,
+        program: answerKey.program,
+        exam_pattern: answerKey.exam_pattern,
+        class: r.class,
+        section: r.section,
+        exam_date: answerKey.exam_date || null
+      }
+    ])).values()];
+    for (const context of sectionContexts) {
+      await ensureBaselineVersion(context, { created_by: req.user?.id });
+    }
+
+    // ✅ Re-score every stored response sheet
+    let rescored = 0;
+    const missingResults = [];
+    for (const response of responses || []) {
+      const scored = scoreResultRow({
+        row: null,
+        student_id: response.student_id,
+        student_name: response.student_name || '',
+        ...scoreResponses(response.responses, questions)
+      }, scoringPattern);
+
+      const { error: responseUpdateError } = await supabase
+        .from('exam_responses')
+        .update({ question_results: scored.question_results, total_marks: scored.total_marks })
+        .eq('id', response.id);
+      if (responseUpdateError) throw responseUpdateError;
+
+      const resultId = resultIds.get(`${response.class}|${response.section}|${response.student_id}`);
+      if (!resultId) {
+        missingResults.push(response.student_id);
+        continue;
+      }
+
+      const { error: resultUpdateError } = await supabase
+        .from('exams')
+        .update(resultFields(scoringPattern, scored))
+        .eq('id', resultId);
+      if (resultUpdateError) throw resultUpdateError;
+      rescored += 1;
+    }
+
+    // ✅ Recalculate ranks and averages for every class-section that was re-scored
+    for (const context of sectionContexts) {
+      await recalculateExamStats(context);
+      await recordResultVersion(context, { mode: 'rescore', created_by: req.user?.id });
+    }
+
+    // ✅ Report every student whose marks or ranks moved (all-school ranks can move in other schools)
+    const after = classes.length ? await snapshotExamResults(answerKey, classes) : [];
+    const beforeById = new Map(before.map((row) => [row.id, row]));
+    const pickRanked = (row) => Object.fromEntries(RANKED_RESULT_FIELDS.map((field) => [field, row[field]]));
+    const changed = after
+      .filter((row) => {
+        const previous = beforeById.get(row.id);
+        return previous && RANKED_RESULT_FIELDS.some((field) => String(previous[field]) !== String(row[field]));
+      })
+      .map((row) => ({
+        school_id: row.school_id,
+        class: row.class,
+        section: row.section,
+        student_id: row.student_id,
+        before: pickRanked(beforeById.get(row.id)),
+        after: pickRanked(row)
+      }));
+
+    return res.json({
+      success: true,
+      answer_key: updatedKey,
+      exam_pattern: scoringPattern,
+      rescored,
+      missing_results: missingResults,
+      changed
     });
+  } catch (err) {
+    console.error('Answer key correction error:', err);
+    return res.status(500).json({ error: 'Failed to apply corrections', details: err.message });
+  }
+};
 
-    const uniqueFinalTeacherRankRows = Array.from(
-      new Map(
-        finalTeacherRankRows.map((row) => [
-          `${row.program}|${row.exam_pattern}|${row.exam_date}|${row.class_section}|${row.subject}`,
-          row
-        ])
-      ).values()
-    ).sort((a, b) => {
-      const programCompare = a.program.localeCompare(b.program);
-      if (programCompare !== 0) return programCompare;
-      const patternCompare = a.exam_pattern.localeCompare(b.exam_pattern);
-      if (patternCompare !== 0) return patternCompare;
-      const dateCompare = a.exam_date.localeCompare(b.exam_date);
-      if (dateCompare !== 0) return dateCompare;
-      const classCompare = a.class_section.localeCompare(b.class_section);
-      if (classCompare !== 0) return classCompare;
-      return a.subject.localeCompare(b.subject);
+// ✅ GET /api/exams/results/versions?school_id=&program=&exam_pattern=&class=&section=&exam_date=
+// Every recorded version of an exam's results, newest first
+export const getResultVersions = async (req, res) => {
+  const { school_id, program, exam_pattern, class: examClass, section: examSection, exam_date } = req.query;
+
+  if (!school_id || !program || !exam_pattern || !examClass || !examSection) {
+    return res.status(400).json({ error: 'Missing required parameters: school_id, program, exam_pattern, class, section' });
+  }
+
+  try {
+    const versions = await listResultVersions({
+      school_id,
+      program,
+      exam_pattern: String(exam_pattern).trim().toUpperCase(),
+      class: examClass,
+      section: examSection,
+      exam_date: exam_date || null
     });
 
-    const finalRankKeys = new Set(
-      uniqueFinalTeacherRankRows.map((row) => `${row.program}|${row.exam_pattern}|${row.exam_date}|${row.class_section}|${row.subject}`)
-    );
-    const expectedKeys = [];
+    return res.json({
+      data: versions.map((version, i) => ({ ...version, current: i === 0 }))
+    });
+  } catch (err) {
+    console.error('Get result versions error:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
 
-    targetAverageContexts.forEach((examContext) => {
-      normalizedAssignments.forEach((assignment) => {
-        if (assignment.class_section !== examContext.class_section) return;
+// ✅ GET /api/exams/results/versions/:id - One version with the result rows it recorded
+export const getResultVersion = async (req, res) => {
+  try {
+    const version = await loadResultVersion(req.params.id);
+    if (!version) return res.status(404).json({ error: 'Result version not found' });
 
-        const average = examContext?.[assignment.subject];
-        if (average == null || Number.isNaN(average)) return;
+    const { count: uploadRows, error: countError } = await supabase
+      .from('upload')
+      .select('id', { count: 'exact', head: true })
+      .eq('version_id', version.id);
+    if (countError) throw countError;
 
-        expectedKeys.push(
-          `${examContext.program}|${examContext.exam_pattern}|${examContext.exam_date}|${assignment.class_section}|${assignment.subject}`
-        );
+    return res.json({ data: { ...version, upload_rows: uploadRows || 0 } });
+  } catch (err) {
+    console.error('Get result version error:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// ✅ POST /api/exams/results/versions/:id/rollback - Restore an earlier version's results,
+// recorded as a new version, then recalculate ranks and averages
+export const rollbackResultVersion = async (req, res) => {
+  try {
+    const version = await loadResultVersion(req.params.id);
+    if (!version) return res.status(404).json({ error: 'Result version not found' });
+    if (!Array.isArray(version.rows)) {
+      return res.status(409).json({ error: 'This version was never completed and cannot be restored' });
+    }
+
+    const context = contextOf(version);
+    const latest = await latestResultVersion(context);
+    if (latest && latest.version === version.version) {
+      return res.status(400).json({ error: `Version ${version.version} is already the current version` });
+    }
+
+    // The swap is one transaction: if it fails the current results stay
+    try {
+      await replaceContextRows(context, version.rows);
+    } catch (err) {
+      console.error('Rollback swap error:', err);
+      return res.status(500).json({ error: 'Failed to restore version, the current results were kept', details: err.message });
+    }
+
+    // Recalculate first, so the new version holds the ranks and averages it is shown with
+    const warnings = await recalculateExamStats(context);
+    const recorded = await recordResultVersion(context, {
+      mode: 'rollback',
+      restored_from: version.version,
+      created_by: req.user?.id
+    });
+
+    return res.json({
+      success: true,
+      version: recorded.version,
+      restored_from: version.version,
+      count: version.rows.length,
+      warnings,
+      results: await fetchExamContextResults(context)
+    });
+  } catch (err) {
+    console.error('Rollback result version error:', err);
+    return res.status(500).json({ error: 'Failed to restore version', details: err.message });
+  }
+};
+
+// ✅ GET /api/schools/:school_id/students?class=...&section=...[&include_withdrawn=true]
+export const getStudentsByClassSection = async (req, res) => {
+  const { school_id } = req.params;
+  const { class: classValue, section: sectionValue, include_withdrawn } = req.query;
+
+  if (!school_id || !classValue || !sectionValue) {
+    return res.status(400).json({ error: 'Missing required parameters: school_id, class, section' });
+  }
+
+  try {
+    let query = supabase
+      .from('students')
+      .select(STUDENT_COLUMNS)
+      .eq('school_id', school_id)
+      .eq('class', classValue)
+      .eq('section', sectionValue)
+      .order('roll_no', { ascending: true });
+
+    // Students withdrawn by a roster re-upload, or deleted, are hidden unless asked for
+    if (include_withdrawn !== 'true') {
+      query = query.is('withdrawn_at', null);
+    }
+    query = withoutDeleted(query, includeDeleted(req));
+
+    const { data, error } = await query;
+
+    if (error) {
+      console.error('Supabase query error:', error);
+      return res.status(500).json({ error: 'Database query failed' });
+    }
+
+    return res.status(200).json(data);
+  } catch (err) {
+    console.error('Error in getStudentsByClassSection:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Assignment subject -> display name used in the average buckets ('maths' -> 'Maths')
+export const normalizeTeacherSubject = (subject) => {
+  const key = normalizeSubject(subject);
+  return key ? SUBJECTS[key].name : null;
+};
+
+// Per-subject percentage of one result row, keyed by display name
+const subjectPercentages = (exam) => {
+  const percentages = {};
+
+  if (exam.subject_scores && typeof exam.subject_scores === 'object') {
+    for (const [subject, score] of Object.entries(exam.subject_scores)) {
+      if (!SUBJECTS[subject] || !(score?.max_marks > 0) || score.marks == null) continue;
+      percentages[SUBJECTS[subject].name] = (parseFloat(score.marks) / score.max_marks) * 100;
+    }
+    return percentages;
+  }
+
+  for (const subject of LEGACY_SUBJECTS) {
+    const value = exam[`${subject}_percentage`];
+    if (value != null && value !== '') percentages[SUBJECTS[subject].name] = parseFloat(value);
+  }
+  return percentages;
+};
+
+const normalizeTeacherClassSection = (classValue, sectionValue) =>
+  `${String(classValue || 'N/A').trim()}-${String(sectionValue || 'N/A').trim()}`;
+
+const normalizeExamDate = (examDate) => {
+  if (!examDate) return 'NO_DATE';
+  return String(examDate).trim();
+};
+
+const buildTeacherExamIdentity = ({ school_id, program, exam_pattern, exam_date, class_section }) =>
+  [
+    String(school_id || 'N/A').trim(),
+    String(program || 'N/A').trim(),
+    String(exam_pattern || 'N/A').trim(),
+    normalizeExamDate(exam_date),
+    String(class_section || 'N/A').trim()
+  ].join('|');
+
+const buildTeacherAverageLookup = (exams) => {
+  const groupedExamScores = new Map();
+
+  exams.forEach((exam) => {
+    const schoolId = exam.school_id || 'N/A';
+    const program = exam.program || 'N/A';
+    const examPattern = exam.exam_pattern || 'N/A';
+    const examDate = normalizeExamDate(exam.exam_date);
+    const classSection = normalizeTeacherClassSection(exam.class, exam.section);
+    const key = buildTeacherExamIdentity({
+      school_id: schoolId,
+      program,
+      exam_pattern: examPattern,
+      exam_date: examDate,
+      class_section: classSection
+    });
+
+    if (!groupedExamScores.has(key)) {
+      groupedExamScores.set(key, {
+        school_id: schoolId,
+        program,
+        exam_pattern: examPattern,
+        exam_date: examDate,
+        class_section: classSection,
+        scores: {}
       });
+    }
+
+    const bucket = groupedExamScores.get(key);
+    for (const [subject, percentage] of Object.entries(subjectPercentages(exam))) {
+      if (Number.isNaN(percentage)) continue;
+      (bucket.scores[subject] ||= []).push(percentage);
+    }
+  });
+
+  const averagesByKey = new Map();
+  groupedExamScores.forEach((bucket, key) => {
+    averagesByKey.set(key, {
+      school_id: bucket.school_id,
+      program: bucket.program,
+      exam_pattern: bucket.exam_pattern,
+      exam_date: bucket.exam_date,
+      class_section: bucket.class_section,
+      ...Object.fromEntries(
+        Object.entries(bucket.scores).map(([subject, values]) => [
+          subject,
+          parseFloat((values.reduce((a, b) => a + b, 0) / values.length).toFixed(1))
+        ])
+      )
     });
+  });
 
-    const missingFinalKeys = expectedKeys.filter((key) => !finalRankKeys.has(key));
+  return averagesByKey;
+};
+
+const fetchAllExams = async (applyFilters = (query) => query) => {
+  const pageSize = 1000;
+  let from = 0;
+  const allRows = [];
+
+  while (true) {
+    let query = supabase.from('exams').select('*').range(from, from + pageSize - 1);
+    query = applyFilters(query);
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    const rows = Array.isArray(data) ? data : [];
+    allRows.push(...rows);
+
+    if (rows.length < pageSize) break;
+    from += pageSize;
+  }
+
+  return allRows;
+};
+
+const calculateRankForAverage = (rows, average) => {
+  if (!Array.isArray(rows) || rows.length === 0) return 1;
+  const higherScores = rows.filter((row) => row.average > average).length;
+  return higherScores + 1;
+};
+
+// ✅ GET /api/teachers/:teacher_id/ranks — Teacher performance averages with ranks
+export const getTeacherRanks = async (req, res) => {
+  const teacherId = (req.params.teacher_id || req.body?.teacher_id || '').trim().toUpperCase();
+  const providedAssignments = Array.isArray(req.body?.assignments) ? req.body.assignments : null;
+  const requestedSchoolId = req.body?.school_id?.trim?.() || null;
+
+  if (!teacherId) {
+    return res.status(400).json({ error: 'teacher_id is required' });
+  }
+
+  try {
+    // Teacher IDs repeat across schools: take the one authorize() resolved
+    const { data: targetTeacher, error: targetTeacherError } = await supabase
+      .from('teachers')
+      .select('id, teacher_id, name, school_id')
+      .eq('school_id', req.target?.school_id || requestedSchoolId)
+      .eq('teacher_id', teacherId)
+      .single();
+
+    if (targetTeacherError || !targetTeacher) {
+      return res.status(404).json({ error: 'Teacher not found' });
+    }
+
+    const { data: teachers, error: teachersError } = await supabase
+      .from('teachers')
+      .select('id, teacher_id, name, school_id')
+      .is('deleted_at', null);
+
+    if (teachersError) {
+      return res.status(500).json({ error: 'Failed to fetch teachers' });
+    }
+
+    const teacherRowIds = (teachers || []).map((teacher) => teacher.id);
+    const { data: assignments, error: assignmentsError } = await supabase
+      .from('teacher_assignments')
+      .select('teacher_id, class, section, subject')
+      .in('teacher_id', teacherRowIds)
+      .is('deleted_at', null);
+
+    if (assignmentsError) {
+      return res.status(500).json({ error: 'Failed to fetch teacher assignments' });
+    }
+
+    let targetAssignments = providedAssignments;
+    if (!targetAssignments) {
+      const { data, error: targetAssignmentsError } = await supabase
+        .from('teacher_assignments')
+        .select('class, section, subject')
+        .eq('teacher_id', targetTeacher.id)
+        .is('deleted_at', null);
+
+      if (targetAssignmentsError) {
+        return res.status(500).json({ error: 'Failed to fetch target teacher assignments' });
+      }
+
+      targetAssignments = data;
+    }
+
+    const exams = await fetchAllExams((query) =>
+      query.select(`
+        school_id,
+        program,
+        exam_pattern,
+        exam_date,
+        class,
+        section,
+        physics_percentage,
+        chemistry_percentage,
+        biology_percentage,
+        maths_percentage,
+        subject_scores
+      `)
+    );
+
+    const effectiveSchoolId = requestedSchoolId || targetTeacher.school_id;
+    const averageLookup = buildTeacherAverageLookup(exams || []);
+    const assignmentsByTeacher = new Map();
+    (assignments || []).forEach((assignment) => {
+      const subject = normalizeTeacherSubject(assignment.subject);
+      if (!subject) return;
+
+      const teacherAssignments = assignmentsByTeacher.get(assignment.teacher_id) || [];
+      teacherAssignments.push({
+        class_section: normalizeTeacherClassSection(assignment.class, assignment.section),
+        subject
+      });
+      assignmentsByTeacher.set(assignment.teacher_id, teacherAssignments);
+    });
+
+    const normalizedAssignments = Array.from(
+      new Map(
+        (targetAssignments || [])
+          .map((assignment) => ({
+            class_section: normalizeTeacherClassSection(assignment.class, assignment.section),
+            subject: normalizeTeacherSubject(assignment.subject)
+          }))
+          .filter((assignment) => assignment.subject)
+          .map((assignment) => [`${assignment.class_section}|${assignment.subject}`, assignment])
+      ).values()
+    );
+    assignmentsByTeacher.set(targetTeacher.id, normalizedAssignments);
+
+    const targetAverageContexts = Array.from(averageLookup.values())
+      .filter((bucket) => bucket.school_id === effectiveSchoolId)
+      .filter((bucket) =>
+        normalizedAssignments.some(
+          (assignment) =>
+            assignment.class_section === bucket.class_section &&
+            bucket[assignment.subject] != null &&
+            !Number.isNaN(bucket[assignment.subject])
+        )
+      );
+
+    const finalTeacherRankRows = [];
+    targetAverageContexts.forEach((examContext) => {
+      normalizedAssignments.forEach((assignment) => {
+        if (assignment.class_section !== examContext.class_section) return;
+
+        const average = examContext?.[assignment.subject];
+        if (average == null || Number.isNaN(average)) return;
+
+        const comparisonRows = [];
+        (teachers || []).forEach((teacher) => {
+          const teacherAssignments = assignmentsByTeacher.get(teacher.id) || [];
+          const sameClassAssignments = teacherAssignments.filter(
+            (teacherAssignment) => teacherAssignment.class_section === assignment.class_section
+          );
+          if (sameClassAssignments.length === 0) return;
+
+          const comparisonBucket = averageLookup.get(
+            buildTeacherExamIdentity({
+              school_id: teacher.school_id,
+              program: examContext.program,
+              exam_pattern: examContext.exam_pattern,
+              exam_date: examContext.exam_date,
+              class_section: assignment.class_section
+            })
+          );
+          if (!comparisonBucket) return;
+
+          sameClassAssignments.forEach((teacherAssignment) => {
+            const comparisonAverage = comparisonBucket?.[teacherAssignment.subject];
+            if (comparisonAverage == null || Number.isNaN(comparisonAverage)) return;
+
+            comparisonRows.push({
+              teacher_row_id: teacher.id,
+              teacher_id: teacher.teacher_id,
+              teacher_name: teacher.name,
+              school_id: teacher.school_id,
+              program: examContext.program,
+              exam_pattern: examContext.exam_pattern,
+              exam_date: examContext.exam_date,
+              class_section: assignment.class_section,
+              subject: teacherAssignment.subject,
+              average: comparisonAverage
+            });
+          });
+        });
+
+        finalTeacherRankRows.push({
+          teacher_row_id: targetTeacher.id,
+          teacher_id: targetTeacher.teacher_id,
+          teacher_name: targetTeacher.name,
+          school_id: effectiveSchoolId,
+          program: examContext.program,
+          exam_pattern: examContext.exam_pattern,
+          exam_date: examContext.exam_date,
+          class_section: assignment.class_section,
+          subject: assignment.subject,
+          average,
+          all_india_rank: calculateRankForAverage(comparisonRows, average)
+        });
+      });
+    });
+
+    const uniqueFinalTeacherRankRows = Array.from(
+      new Map(
+        finalTeacherRankRows.map((row) => [
+          `${row.program}|${row.exam_pattern}|${row.exam_date}|${row.class_section}|${row.subject}`,
+          row
+        ])
+      ).values()
+    ).sort((a, b) => {
+      const programCompare = a.program.localeCompare(b.program);
+      if (programCompare !== 0) return programCompare;
+      const patternCompare = a.exam_pattern.localeCompare(b.exam_pattern);
+      if (patternCompare !== 0) return patternCompare;
+      const dateCompare = a.exam_date.localeCompare(b.exam_date);
+      if (dateCompare !== 0) return dateCompare;
+      const classCompare = a.class_section.localeCompare(b.class_section);
+      if (classCompare !== 0) return classCompare;
+      return a.subject.localeCompare(b.subject);
+    });
+
+    const finalRankKeys = new Set(
+      uniqueFinalTeacherRankRows.map((row) => `${row.program}|${row.exam_pattern}|${row.exam_date}|${row.class_section}|${row.subject}`)
+    );
+    const expectedKeys = [];
+
+    targetAverageContexts.forEach((examContext) => {
+      normalizedAssignments.forEach((assignment) => {
+        if (assignment.class_section !== examContext.class_section) return;
+
+        const average = examContext?.[assignment.subject];
+        if (average == null || Number.isNaN(average)) return;
+
+        expectedKeys.push(
+          `${examContext.program}|${examContext.exam_pattern}|${examContext.exam_date}|${assignment.class_section}|${assignment.subject}`
+        );
+      });
+    });
+
+    const missingFinalKeys = expectedKeys.filter((key) => !finalRankKeys.has(key));
+
+    console.log('Teacher rank rows generated:', {
+      teacherId,
+      effectiveSchoolId,
+      totalTeachers: (teachers || []).length,
+      teacherRows: uniqueFinalTeacherRankRows.length,
+      targetAssignments: normalizedAssignments.length,
+      candidateContexts: targetAverageContexts.length,
+      missingFinalKeys,
+      sample: uniqueFinalTeacherRankRows.slice(0, 10)
+    });
+
+    return res.json({
+      success: true,
+      teacher: {
+        teacher_id: targetTeacher.teacher_id,
+        name: targetTeacher.name,
+        school_id: effectiveSchoolId
+      },
+      rows: uniqueFinalTeacherRankRows
+    });
+  } catch (err) {
+    console.error('Teacher rank fetch error:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+// ✅ POST /api/teachers/login - Direct teacher login by teacher_id
+export const loginTeacherByTeacherId = async (req, res) => {
+  const { teacher_id, password } = req.body;
+
+  if (!teacher_id || !password) {
+    return res.status(400).json({ error: "Teacher ID and password are required" });
+  }
+
+  try {
+    // Fetch teacher record
+    const { data: teacher, error: teacherError } = await supabase
+      .from('teachers')
+      .select(`
+        id,
+        teacher_id,
+        name,
+        contact,
+        email,
+        school_id,
+        password_hash,
+        must_change_password
+      `)
+      .eq('teacher_id', teacher_id.trim().toUpperCase())
+      .is('deleted_at', null)
+      .single();
+
+    if (teacherError || !teacher) {
+      return res.status(401).json({ error: "Invalid Teacher ID or password" });
+    }
+
+    // 🔐 Accounts created before hashed passwords need a reset by the school owner
+    if (!teacher.password_hash) {
+      return res.status(401).json({ error: "Password not set for this account. Ask your school to reset it." });
+    }
+
+    const { password_hash, ...teacherProfile } = teacher;
+    if (!(await verifyPassword(password, password_hash))) {
+      return res.status(401).json({ error: "Invalid Teacher ID or password" });
+    }
+
+    // ✅ Also fetch assignments for this teacher
+    const { data: assignments, error: assignError } = await supabase
+      .from('teacher_assignments')
+      .select('class, section, subject')
+      .eq('teacher_id', teacher.id)
+      .is('deleted_at', null);
+
+    if (assignError) {
+      console.warn('Failed to load assignments:', assignError);
+    }
+
+    const teacherAssignments = Array.isArray(assignments) ? assignments : [];
+
+    // ✅ Also fetch school details for display/report header
+    const { data: school, error: schoolError } = await supabase
+      .from('schools')
+      .select('school_name, logo_url, deleted_at')
+      .eq('school_id', teacher.school_id)
+      .single();
+
+    if (schoolError) {
+      console.warn('Failed to load school details:', schoolError);
+    }
+    if (school?.deleted_at) {
+      return res.status(403).json({ error: "Your school's account has been closed" });
+    }
+
+    const session = await createSession({
+      id: teacher.teacher_id,
+      role: 'TEACHER',
+      school_id: teacher.school_id,
+      must_change_password: teacher.must_change_password
+    });
+
+    // 🚀 SUCCESS: Return full teacher + school data
+    return res.json({
+      success: true,
+      must_change_password: Boolean(teacher.must_change_password),
+      teacher: {
+        ...teacherProfile,
+        teacher_assignments: teacherAssignments,
+        school_name: school?.school_name || "Unknown School",
+        school_logo_url: school?.logo_url || null
+      },
+      ...session
+    });
+
+  } catch (err) {
+    console.error('Teacher login error:', err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+};
+// ✅ POST /api/students/login - Direct student login by student_id
+export const loginStudentByStudentId = async (req, res) => {
+  const { student_id, password } = req.body;
+
+  if (!student_id || !password) {
+    return res.status(400).json({ error: "Student ID and password are required" });
+  }
+
+  try {
+    // Fetch student record
+    const { data: student, error: studentError } = await supabase
+      .from('students')
+      .select(`
+        id,
+        student_id,
+        roll_no,
+        name,
+        class,
+        section,
+        gender,
+        parent_phone,
+        parent_email,
+        school_id,
+        password_hash,
+        must_change_password
+      `)
+      .eq('student_id', student_id.trim())
+      .is('deleted_at', null)
+      .single();
+
+    if (studentError || !student) {
+      return res.status(401).json({ error: "Invalid Student ID or password" });
+    }
+
+    // 🔐 Accounts created before hashed passwords need a reset by the school owner
+    if (!student.password_hash) {
+      return res.status(401).json({ error: "Password not set for this account. Ask your school to reset it." });
+    }
+
+    const { password_hash, ...studentProfile } = student;
+    if (!(await verifyPassword(password, password_hash))) {
+      return res.status(401).json({ error: "Invalid Student ID or password" });
+    }
+
+    // ✅ Also fetch school name for display
+    const { data: school, error: schoolError } = await supabase
+      .from('schools')
+      .select('school_name, deleted_at')
+      .eq('school_id', student.school_id)
+      .single();
+
+    if (schoolError) {
+      console.warn('Failed to load school name:', schoolError);
+    }
+    if (school?.deleted_at) {
+      return res.status(403).json({ error: "Your school's account has been closed" });
+    }
+
+    const session = await createSession({
+      id: student.student_id,
+      role: 'STUDENT',
+      school_id: student.school_id,
+      must_change_password: student.must_change_password
+    });
+
+    // 🚀 SUCCESS: Return full student + school data
+    return res.json({
+      success: true,
+      must_change_password: Boolean(student.must_change_password),
+      student: {
+        ...studentProfile,
+        school_name: school?.school_name || "Unknown School"
+      },
+      ...session
+    });
+
+  } catch (err) {
+    console.error('Student login error:', err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+};
+// Results uploaded before exam patterns carry no max marks; they used 50/50/50/0
+const LEGACY_MAX_MARKS = { physics: 50, chemistry: 50, maths: 50, biology: 0 };
+
+const legacyMaxMarks = (r, subject) => {
+  const value = r[`max_marks_${subject}`];
+  return value == null || value === '' ? LEGACY_MAX_MARKS[subject] : parseInt(value) || 0;
+};
+
+// Every subject of a result as [{ subject, name, marks, max_marks }]
+const resultSubjects = (r) => {
+  if (r.subject_scores && typeof r.subject_scores === 'object') {
+    return Object.entries(r.subject_scores).map(([subject, score]) => ({
+      subject,
+      name: SUBJECTS[subject]?.name || subject,
+      ...score
+    }));
+  }
+
+  return LEGACY_SUBJECTS
+    .filter((subject) => legacyMaxMarks(r, subject) > 0)
+    .map((subject) => ({
+      subject,
+      name: SUBJECTS[subject].name,
+      marks: parseFloat(r[`${subject}_marks`]) || 0,
+      max_marks: legacyMaxMarks(r, subject)
+    }));
+};
+
+// ✅ GET /api/exams/results?student_id=... — Get all exam results for a student
+export const getStudentExamResults = async (req, res) => {
+  const { student_id } = req.query;
+  if (!student_id) {
+    return res.status(400).json({ error: 'student_id is required' });
+  }
+  try {
+    // ✅ Query the `exams` table (which now stores student-level results)
+    const { data: results, error } = await supabase
+      .from('exams')
+      .select(`
+        id,
+        student_id,
+        physics_marks,
+        chemistry_marks,
+        maths_marks,
+        biology_marks,
+        total_marks,
+        percentage,
+        class_rank,
+        school_rank,
+        all_schools_rank,
+        created_at,
+        school_id,
+        program,
+        exam_pattern,
+        class,
+        section,
+        exam_date,
+        max_marks_physics,
+        max_marks_chemistry,
+        max_marks_maths,
+        max_marks_biology,
+        subject_scores,
+        school_id,
+        first_name,
+        last_name,
+        class,
+        section,
+        correct_answers,
+        wrong_answers,
+        unattempted
+      `)
+      .eq('student_id', student_id)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      console.error('Error fetching exam results from exams table:', error);
+      return res.status(500).json({ error: 'Failed to fetch exam results' });
+    }
+
+    // Each result belongs to the school and class-section it was taken in: after a
+    // transfer, owners and teachers only see the results from their own classes
+    const visible = req.scope?.studentId
+      ? results
+      : results.filter((r) =>
+          (!scopeSchoolIds(req.scope) || scopeSchoolIds(req.scope).includes(r.school_id)) &&
+          scopeAllowsClassSection(req.scope, r.class, r.section));
+
+    // Format for frontend (same as before)
+   const formatted = visible.map(r => ({
+  id: r.id,
+  exam_id: r.id,
+  date: r.exam_date || '—',
+  exam: r.exam_pattern || 'N/A',
+  exam_pattern: r.exam_pattern || 'N/A',  // 👈 FOR GROUPING LOGIC (critical!)
+  program: r.program || 'N/A',
+  physics_marks: parseFloat(r.physics_marks) || 0,
+  chemistry_marks: parseFloat(r.chemistry_marks) || 0,
+  maths_marks: parseFloat(r.maths_marks) || 0,
+  biology_marks: parseFloat(r.biology_marks) || 0,
+  max_marks_physics: legacyMaxMarks(r, 'physics'),
+  max_marks_chemistry: legacyMaxMarks(r, 'chemistry'),
+  max_marks_maths: legacyMaxMarks(r, 'maths'),
+  max_marks_biology: legacyMaxMarks(r, 'biology'),
+  subjects: resultSubjects(r),
+  total: parseFloat(r.total_marks) || 0,
+  percentage: parseFloat(r.percentage) || 0,
+  class_rank: r.class_rank || '-',
+  school_rank: r.school_rank || '-',
+  all_schools_rank: r.all_schools_rank || '-',
+  school_id: r.school_id || '-',
+  first_name: r.first_name || '-',
+  last_name: r.last_name || '-',
+  class: r.class || '-',
+  section: r.section || '-',
+  correct_answers: r.correct_answers,
+  wrong_answers: r.wrong_answers,
+  unattempted: r.unattempted
+}));
+
+    return res.json(formatted);
+  } catch (err) {
+    console.error('Unexpected error in getStudentExamResults:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// ✅ PUT /api/classes/:id - Update existing class
+export const updateClass = async (req, res) => {
+  const { id } = req.params;
+  const {
+    class: className,
+    section,
+    foundation,
+    program,
+    group,
+    num_students
+  } = req.body;
+
+  if (!id) {
+    return res.status(400).json({ error: 'Class ID is required' });
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('classes')
+      .update({
+        class: className,
+        section,
+        foundation,
+        program,
+        group,
+        num_students: num_students || 0
+      })
+      .eq('id', id)
+      .is('deleted_at', null)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      return res.status(400).json({ error: error.message || 'Failed to update class' });
+    }
+
+    if (!data) {
+      return res.status(404).json({ error: 'Class not found' });
+    }
+
+    return res.json({
+      success: true,
+      message: 'Class updated successfully',
+      data
+    });
+  } catch (err) {
+    console.error('Update class error:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// ✅ DELETE /api/classes/:id - Soft-delete a class-section and its teacher assignments
+export const deleteClass = async (req, res) => {
+  const { id } = req.params;
+
+  if (!id) {
+    return res.status(400).json({ error: 'Class ID is required' });
+  }
+
+  try {
+    const { data: cls, error: classFetchError } = await supabase
+      .from('classes')
+      .select('class, section, school_id')
+      .eq('id', id)
+      .is('deleted_at', null)
+      .maybeSingle();
+
+    if (classFetchError) throw classFetchError;
+    if (!cls) {
+      return res.status(404).json({ error: 'Class not found' });
+    }
+
+    const stamp = deletionStamp(req.user);
+
+    // Assignments linked to this class-section go with it, under the same stamp
+    const { data: assignments, error: assignmentDeleteError } = await supabase
+      .from('teacher_assignments')
+      .update(stamp)
+      .match({ class: cls.class, section: cls.section, school_id: cls.school_id })
+      .is('deleted_at', null)
+      .select('id');
+
+    if (assignmentDeleteError) throw assignmentDeleteError;
+
+    const { error: classDeleteError } = await supabase
+      .from('classes')
+      .update(stamp)
+      .eq('id', id);
+
+    if (classDeleteError) {
+      return res.status(400).json({ error: classDeleteError.message || 'Failed to delete class' });
+    }
+
+    return res.json({
+      success: true,
+      message: 'Class and associated assignments deleted successfully',
+      removed_assignments: (assignments || []).length
+    });
+  } catch (err) {
+    console.error('Delete class error:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// ✅ POST /api/classes/:id/restore - Restore a deleted class-section and the assignments deleted with it
+export const restoreClass = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const { data: cls, error: classFetchError } = await supabase
+      .from('classes')
+      .select('id, school_id, class, section, deleted_at')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (classFetchError) throw classFetchError;
+    if (!cls) return res.status(404).json({ error: 'Class not found' });
+    if (!cls.deleted_at) return res.status(409).json({ error: 'Class is not deleted' });
+
+    const { data: replacement, error: replacementError } = await supabase
+      .from('classes')
+      .select('id')
+      .match({ school_id: cls.school_id, class: cls.class, section: cls.section })
+      .is('deleted_at', null)
+      .limit(1);
+
+    if (replacementError) throw replacementError;
+    if (replacement?.length) {
+      return res.status(409).json({ error: `${cls.class}-${cls.section} has been created again since it was deleted` });
+    }
+
+    const { data, error } = await supabase
+      .from('classes')
+      .update(RESTORED)
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    const { data: assignments, error: assignmentsError } = await supabase
+      .from('teacher_assignments')
+      .update(RESTORED)
+      .match({ class: cls.class, section: cls.section, school_id: cls.school_id })
+      .eq('deleted_at', cls.deleted_at)
+      .select('id');
+
+    if (assignmentsError) throw assignmentsError;
+
+    return res.json({
+      success: true,
+      message: 'Class restored successfully',
+      data,
+      restored_assignments: (assignments || []).length
+    });
+  } catch (err) {
+    console.error('Restore class error:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// ✅ PUT /api/teacher-assignments/:id - Update teacher assignment
+export const updateTeacherAssignment = async (req, res) => {
+  const { id } = req.params;
+  const {
+    class: className,
+    section,
+    subject
+  } = req.body;
+
+  if (!id) {
+    return res.status(400).json({ error: 'Assignment ID is required' });
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('teacher_assignments')
+      .update({
+        class: className,
+        section,
+        subject
+      })
+      .eq('id', id)
+      .is('deleted_at', null)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      return res.status(400).json({ error: error.message || 'Failed to update assignment' });
+    }
+
+    if (!data) {
+      return res.status(404).json({ error: 'Assignment not found' });
+    }
+
+    return res.json({
+      success: true,
+      message: 'Teacher assignment updated successfully',
+      data
+    });
+  } catch (err) {
+    console.error('Update assignment error:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// ✅ DELETE /api/teacher-assignments/:id - Soft-delete a teacher assignment
+export const deleteTeacherAssignment = async (req, res) => {
+  const { id } = req.params;
+
+  if (!id) {
+    return res.status(400).json({ error: 'Assignment ID is required' });
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('teacher_assignments')
+      .update(deletionStamp(req.user))
+      .eq('id', id)
+      .is('deleted_at', null)
+      .select('id');
 
-    console.log('Teacher rank rows generated:', {
-      teacherId,
-      effectiveSchoolId,
-      totalTeachers: (teachers || []).length,
-      teacherRows: uniqueFinalTeacherRankRows.length,
-      targetAssignments: normalizedAssignments.length,
-      candidateContexts: targetAverageContexts.length,
-      missingFinalKeys,
-      sample: uniqueFinalTeacherRankRows.slice(0, 10)
-    });
+    if (error) {
+      return res.status(400).json({ error: error.message || 'Failed to delete assignment' });
+    }
+    if (!data?.length) {
+      return res.status(404).json({ error: 'Assignment not found' });
+    }
 
     return res.json({
       success: true,
-      teacher: {
-        teacher_id: targetTeacher.teacher_id,
-        name: targetTeacher.name,
-        school_id: effectiveSchoolId
-      },
-      rows: uniqueFinalTeacherRankRows
+      message: 'Teacher assignment deleted successfully'
     });
   } catch (err) {
-    console.error('Teacher rank fetch error:', err);
+    console.error('Delete assignment error:', err);
     return res.status(500).json({ error: 'Internal server error' });
   }
 };
-// ✅ POST /api/teachers/login - Direct teacher login by teacher_id
-export const loginTeacherByTeacherId = async (req, res) => {
-  const { teacher_id, password } = req.body;
-
-  if (!teacher_id || !password) {
-    return res.status(400).json({ error: "Teacher ID and password are required" });
-  }
 
-  // 🔐 For security: Password must match teacher_id (same logic as frontend)
-  if (teacher_id !== password) {
-    return res.status(401).json({ error: "Teacher ID and password must be identical" });
-  }
+// ✅ POST /api/teacher-assignments/:id/restore - Restore a deleted teacher assignment
+export const restoreTeacherAssignment = async (req, res) => {
+  const { id } = req.params;
 
   try {
-    // Fetch teacher record
-    const { data: teacher, error: teacherError } = await supabase
-      .from('teachers')
-      .select(`
-        id,
-        teacher_id,
-        name,
-        contact,
-        email,
-        school_id
-      `)
-      .eq('teacher_id', teacher_id.trim().toUpperCase())
-      .single();
-
-    if (teacherError || !teacher) {
-      return res.status(404).json({ error: "Invalid Teacher ID or password" });
+    const { data: assignment, error: fetchError } = await supabase
+      .from('teacher_assignments')
+      .select('id, school_id, teacher_id, class, section, subject, deleted_at')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (fetchError) throw fetchError;
+    if (!assignment) return res.status(404).json({ error: 'Assignment not found' });
+    if (!assignment.deleted_at) return res.status(409).json({ error: 'Assignment is not deleted' });
+
+    // The teacher and the class-section must still be there, and the subject free
+    const [{ data: teacher, error: teacherError }, { data: cls, error: classError }, { data: holders, error: holdersError }] = await Promise.all([
+      supabase.from('teachers').select('id').eq('id', assignment.teacher_id).is('deleted_at', null).maybeSingle(),
+      supabase.from('classes').select('id')
+        .match({ school_id: assignment.school_id, class: assignment.class, section: assignment.section })
+        .is('deleted_at', null).limit(1).maybeSingle(),
+      supabase.from('teacher_assignments').select('id')
+        .match({ school_id: assignment.school_id, class: assignment.class, section: assignment.section, subject: assignment.subject })
+        .is('deleted_at', null).limit(1)
+    ]);
+
+    if (teacherError) throw teacherError;
+    if (classError) throw classError;
+    if (holdersError) throw holdersError;
+    if (!teacher) return res.status(409).json({ error: 'The teacher has been deleted. Restore the teacher first.' });
+    if (!cls) return res.status(409).json({ error: `${assignment.class}-${assignment.section} has been deleted. Restore the class first.` });
+    if (holders?.length) {
+      return res.status(409).json({ error: `${assignment.subject} in ${assignment.class}-${assignment.section} is already assigned to another teacher` });
     }
 
-    // ✅ Also fetch assignments for this teacher
-    const { data: assignments, error: assignError } = await supabase
+    const { data, error } = await supabase
       .from('teacher_assignments')
-      .select('class, section, subject')
-      .eq('teacher_id', teacher.id);
+      .update(RESTORED)
+      .eq('id', id)
+      .select()
+      .single();
 
-    if (assignError) {
-      console.warn('Failed to load assignments:', assignError);
-    }
+    if (error) throw error;
 
-    const teacherAssignments = Array.isArray(assignments) ? assignments : [];
+    return res.json({ success: true, message: 'Teacher assignment restored successfully', data });
+  } catch (err) {
+    console.error('Restore assignment error:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
 
-    // ✅ Also fetch school details for display/report header
-    const { data: school, error: schoolError } = await supabase
+// ✅ PUT /api/schools/:school_id/logo - Update school logo
+export const updateSchoolLogo = async (req, res) => {
+  const { school_id } = req.params;
+  const { logo_url } = req.body;
+
+  if (!school_id || !logo_url) {
+    return res.status(400).json({ error: 'school_id and logo_url are required' });
+  }
+
+  try {
+    const { data, error } = await supabase
       .from('schools')
-      .select('school_name, logo_url')
-      .eq('school_id', teacher.school_id)
+      .update({ logo_url })
+      .eq('school_id', school_id)
+      .select()
       .single();
 
-    if (schoolError) {
-      console.warn('Failed to load school details:', schoolError);
-    }
-
-    // 🚀 SUCCESS: Return full teacher + school data
-    return res.json({
-      success: true,
-      teacher: {
-        ...teacher,
-        teacher_assignments: teacherAssignments,
-        school_name: school?.school_name || "Unknown School",
-        school_logo_url: school?.logo_url || null
-      }
-    });
+    if (error) throw error;
+    if (!data) return res.status(404).json({ error: 'School not found' });
 
+    return res.json({ success: true, data });
   } catch (err) {
-    console.error('Teacher login error:', err);
-    return res.status(500).json({ error: "Internal server error" });
+    console.error('Update school logo error:', err);
+    return res.status(500).json({ error: 'Internal server error' });
   }
 };
-// ✅ POST /api/students/login - Direct student login by student_id
-export const loginStudentByStudentId = async (req, res) => {
-  const { student_id, password } = req.body;
 
-  if (!student_id || !password) {
-    return res.status(400).json({ error: "Student ID and password are required" });
-  }
+// =========================
+// ✏️ School, teacher, student and exam maintenance
+// =========================
 
-  // 🔐 For security: Password must match student_id (same logic as frontend)
-  if (student_id !== password) {
-    return res.status(401).json({ error: "Student ID and password must be identical" });
-  }
+// school_id is derived from these, so they are fixed once the school exists
+const SCHOOL_ID_FIELDS = ['school_id', 'state', 'academic_year', 'school_number_2d'];
+const SCHOOL_EDITABLE_FIELDS = ['school_name', 'area', 'district', 'logo_url'];
+
+// Body fields that try to change a value that cannot change here. Sending the current
+// value back is fine, so clients can PUT the whole object they fetched.
+const changedFixedFields = (body, current, fields) =>
+  fields.filter((field) => body[field] !== undefined && String(body[field] ?? '').trim() !== String(current[field] ?? ''));
+
+// Trimmed values for the editable fields present in the body; blanks become null
+const pickEditable = (body, fields) => Object.fromEntries(
+  fields
+    .filter((field) => body[field] !== undefined)
+    .map((field) => [field, body[field] == null || String(body[field]).trim() === '' ? null : String(body[field]).trim()])
+);
+
+// ✅ PUT /api/schools/:school_id - Update a school's details
+export const updateSchool = async (req, res) => {
+  const { school_id } = req.params;
+  const body = req.body || {};
 
   try {
-    // Fetch student record
-    const { data: student, error: studentError } = await supabase
-      .from('students')
-      .select(`
-        id,
-        student_id,
-        roll_no,
-        name,
-        class,
-        section,
-        gender,
-        parent_phone,
-        parent_email,
-        school_id
-      `)
-      .eq('student_id', student_id.trim())
-      .single();
+    const { data: school, error: fetchError } = await supabase
+      .from('schools')
+      .select('*')
+      .eq('school_id', school_id)
+      .maybeSingle();
 
-    if (studentError || !student) {
-      return res.status(404).json({ error: "Invalid Student ID or password" });
+    if (fetchError) throw fetchError;
+    if (!school) return res.status(404).json({ error: 'School not found' });
+
+    const fixed = changedFixedFields(body, school, SCHOOL_ID_FIELDS);
+    if (fixed.length) {
+      return res.status(400).json({
+        error: `${fixed.join(', ')} cannot be changed: the school ID is derived from them. Use POST /api/schools/${school_id}/rollover to move to a new academic year.`
+      });
     }
 
-    // ✅ Also fetch school name for display
-    const { data: school, error: schoolError } = await supabase
+    const updates = pickEditable(body, SCHOOL_EDITABLE_FIELDS);
+    if (!Object.keys(updates).length) {
+      return res.status(400).json({ error: `Nothing to update. Editable fields: ${SCHOOL_EDITABLE_FIELDS.join(', ')}` });
+    }
+    if ('school_name' in updates && !updates.school_name) {
+      return res.status(400).json({ error: 'school_name cannot be empty' });
+    }
+
+    const { data, error } = await supabase
       .from('schools')
-      .select('school_name')
-      .eq('school_id', student.school_id)
+      .update(updates)
+      .eq('school_id', school_id)
+      .select()
       .single();
 
-    if (schoolError) {
-      console.warn('Failed to load school name:', schoolError);
-    }
+    if (error) throw error;
 
-    // 🚀 SUCCESS: Return full student + school data
-    return res.json({
-      success: true,
-      student: {
-        ...student,
-        school_name: school?.school_name || "Unknown School"
-      }
-    });
+    // Keep the uploaded school list in step with the school itself
+    const listUpdates = pickEditable(updates, ['school_name', 'area', 'district']);
+    if (Object.keys(listUpdates).length) {
+      const { error: listError } = await supabase
+        .from('school_list')
+        .update(listUpdates)
+        .eq('school_id', school_id);
+      if (listError) console.error('⚠️ Failed to update school_list:', listError);
+    }
 
+    return res.json({ success: true, message: 'School updated successfully', data });
   } catch (err) {
-    console.error('Student login error:', err);
-    return res.status(500).json({ error: "Internal server error" });
+    console.error('Update school error:', err);
+    return res.status(500).json({ error: 'Internal server error' });
   }
 };
-// ✅ GET /api/exams/results?student_id=... — Get all exam results for a student
-export const getStudentExamResults = async (req, res) => {
-  const { student_id } = req.query;
-  if (!student_id) {
-    return res.status(400).json({ error: 'student_id is required' });
+
+export const TEACHER_COLUMNS = 'id, school_id, teacher_id, name, contact, email, must_change_password, password_changed_at, deleted_at, deleted_by';
+const TEACHER_EDITABLE_FIELDS = ['name', 'contact', 'email'];
+
+// Teacher IDs are stored upper-case, the way they are typed at login, and are unique per
+// school only: the teacher is the one in the school authorize() resolved (req.target)
+const loadTeacher = async (req, { deleted = false } = {}) => {
+  const schoolId = req.target?.school_id;
+  if (!schoolId) return null;
+
+  const { data, error } = await withoutDeleted(
+    supabase
+      .from('teachers')
+      .select(TEACHER_COLUMNS)
+      .eq('school_id', schoolId)
+      .eq('teacher_id', String(req.params.teacher_id || '').trim().toUpperCase()),
+    deleted
+  ).maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+// ✅ GET /api/teachers/:teacher_id?include_deleted=true - A teacher with their class assignments
+export const getTeacher = async (req, res) => {
+  try {
+    const teacher = await loadTeacher(req, { deleted: includeDeleted(req) });
+    if (!teacher) return res.status(404).json({ error: 'Teacher not found' });
+
+    const { data: assignments, error } = await withoutDeleted(
+      supabase
+        .from('teacher_assignments')
+        .select('id, class, section, subject, deleted_at')
+        .eq('teacher_id', teacher.id),
+      includeDeleted(req)
+    );
+
+    if (error) throw error;
+
+    return res.json({ data: { ...teacher, teacher_assignments: assignments || [] } });
+  } catch (err) {
+    console.error('Get teacher error:', err);
+    return res.status(500).json({ error: 'Internal server error' });
   }
+};
+
+// ✅ PUT /api/teachers/:teacher_id - Update a teacher's name and contact details
+export const updateTeacher = async (req, res) => {
+  const body = req.body || {};
+
   try {
-    // ✅ Query the `exams` table (which now stores student-level results)
-    const { data: results, error } = await supabase
-      .from('exams')
-      .select(`
-        id,
-        student_id,
-        physics_marks,
-        chemistry_marks,
-        maths_marks,
-        biology_marks,
-        total_marks,
-        percentage,
-        class_rank,
-        school_rank,
-        all_schools_rank,
-        created_at,
-        school_id,
-        program,
-        exam_pattern,
-        class,
-        section,
-        exam_date,
-        max_marks_physics,
-        max_marks_chemistry,
-        max_marks_maths,
-        max_marks_biology,
-        school_id,
-        first_name,
-        last_name,
-        class,
-        section,
-        correct_answers,
-        wrong_answers,
-        unattempted
-      `)
-      .eq('student_id', student_id)
-      .order('created_at', { ascending: false });
+    const teacher = await loadTeacher(req);
+    if (!teacher) return res.status(404).json({ error: 'Teacher not found' });
 
-    if (error) {
-      console.error('Error fetching exam results from exams table:', error);
-      return res.status(500).json({ error: 'Failed to fetch exam results' });
+    const fixed = changedFixedFields(
+      { ...body, ...(body.teacher_id !== undefined ? { teacher_id: String(body.teacher_id).trim().toUpperCase() } : {}) },
+      teacher,
+      ['school_id', 'teacher_id']
+    );
+    if (fixed.length) {
+      return res.status(400).json({ error: `${fixed.join(', ')} cannot be changed: the teacher ID is their login` });
     }
 
-    // Format for frontend (same as before)
-   const formatted = results.map(r => ({
-  id: r.id,
-  exam_id: r.id,
-  date: r.exam_date || '—',
-  exam: r.exam_pattern || 'N/A',
-  exam_pattern: r.exam_pattern || 'N/A',  // 👈 FOR GROUPING LOGIC (critical!)
-  program: r.program || 'N/A',
-  physics_marks: parseFloat(r.physics_marks) || 0,
-  chemistry_marks: parseFloat(r.chemistry_marks) || 0,
-  maths_marks: parseFloat(r.maths_marks) || 0,
-  biology_marks: parseFloat(r.biology_marks) || 0,
-  max_marks_physics: parseInt(r.max_marks_physics) || 50,
-  max_marks_chemistry: parseInt(r.max_marks_chemistry) || 50,
-  max_marks_maths: parseInt(r.max_marks_maths) || 50,
-  max_marks_biology: parseInt(r.max_marks_biology) || 0,
-  total: parseFloat(r.total_marks) || 0,
-  percentage: parseFloat(r.percentage) || 0,
-  class_rank: r.class_rank || '-',
-  school_rank: r.school_rank || '-',
-  all_schools_rank: r.all_schools_rank || '-',
-  school_id: r.school_id || '-',
-  first_name: r.first_name || '-',
-  last_name: r.last_name || '-',
-  class: r.class || '-',
-  section: r.section || '-',
-  correct_answers: r.correct_answers,
-  wrong_answers: r.wrong_answers,
-  unattempted: r.unattempted
-}));
+    const updates = pickEditable(body, TEACHER_EDITABLE_FIELDS);
+    if (!Object.keys(updates).length) {
+      return res.status(400).json({ error: `Nothing to update. Editable fields: ${TEACHER_EDITABLE_FIELDS.join(', ')}` });
+    }
+    if ('name' in updates && !updates.name) {
+      return res.status(400).json({ error: 'name cannot be empty' });
+    }
+
+    const { data, error } = await supabase
+      .from('teachers')
+      .update(updates)
+      .eq('id', teacher.id)
+      .select(TEACHER_COLUMNS)
+      .single();
 
-    return res.json(formatted);
+    if (error) throw error;
+
+    return res.json({ success: true, message: 'Teacher updated successfully', data });
   } catch (err) {
-    console.error('Unexpected error in getStudentExamResults:', err);
+    console.error('Update teacher error:', err);
     return res.status(500).json({ error: 'Internal server error' });
   }
 };
 
-// ✅ PUT /api/classes/:id - Update existing class
-export const updateClass = async (req, res) => {
-  const { id } = req.params;
-  const {
-    class: className,
-    section,
-    foundation,
-    program,
-    group,
-    num_students
-  } = req.body;
+// ✅ DELETE /api/teachers/:teacher_id - Soft-delete a teacher with their class assignments; logs them out
+export const deleteTeacher = async (req, res) => {
+  try {
+    const teacher = await loadTeacher(req);
+    if (!teacher) return res.status(404).json({ error: 'Teacher not found' });
 
-  if (!id) {
-    return res.status(400).json({ error: 'Class ID is required' });
+    const stamp = deletionStamp(req.user);
+
+    const { data: removedAssignments, error: assignmentsError } = await supabase
+      .from('teacher_assignments')
+      .update(stamp)
+      .eq('teacher_id', teacher.id)
+      .is('deleted_at', null)
+      .select('id');
+
+    if (assignmentsError) throw assignmentsError;
+
+    const { error } = await supabase
+      .from('teachers')
+      .update(stamp)
+      .eq('id', teacher.id);
+
+    if (error) throw error;
+
+    await revokeAllSessions({ role: 'TEACHER', id: teacher.teacher_id, school_id: teacher.school_id });
+
+    return res.json({
+      success: true,
+      message: `Teacher ${teacher.teacher_id} and their assignments deleted successfully`,
+      teacher_id: teacher.teacher_id,
+      removed_assignments: (removedAssignments || []).length
+    });
+  } catch (err) {
+    console.error('Delete teacher error:', err);
+    return res.status(500).json({ error: 'Internal server error' });
   }
+};
 
+// ✅ POST /api/teachers/:teacher_id/restore - Restore a deleted teacher and the assignments
+// deleted with them, except those whose class-section or subject has moved on meanwhile
+export const restoreTeacher = async (req, res) => {
   try {
+    const teacher = await loadTeacher(req, { deleted: true });
+    if (!teacher) return res.status(404).json({ error: 'Teacher not found' });
+    if (!teacher.deleted_at) return res.status(409).json({ error: `Teacher ${teacher.teacher_id} is not deleted` });
+
+    const [{ data: assignments, error: assignmentsError }, { data: classes, error: classesError }, { data: held, error: heldError }] = await Promise.all([
+      supabase.from('teacher_assignments').select('id, class, section, subject')
+        .eq('teacher_id', teacher.id).eq('deleted_at', teacher.deleted_at),
+      supabase.from('classes').select('class, section').eq('school_id', teacher.school_id).is('deleted_at', null),
+      supabase.from('teacher_assignments').select('class, section, subject').eq('school_id', teacher.school_id).is('deleted_at', null)
+    ]);
+
+    if (assignmentsError) throw assignmentsError;
+    if (classesError) throw classesError;
+    if (heldError) throw heldError;
+
+    const activeSections = new Set((classes || []).map((c) => `${c.class}-${c.section}`));
+    const heldSubjects = new Set((held || []).map((a) => `${a.class}-${a.section}|${a.subject}`));
+    const restorable = (assignments || []).filter((a) =>
+      activeSections.has(`${a.class}-${a.section}`) && !heldSubjects.has(`${a.class}-${a.section}|${a.subject}`));
+    const skipped = (assignments || []).filter((a) => !restorable.includes(a));
+
     const { data, error } = await supabase
-      .from('classes')
-      .update({
-        class: className,
-        section,
-        foundation,
-        program,
-        group,
-        num_students: num_students || 0
-      })
-      .eq('id', id)
-      .select()
+      .from('teachers')
+      .update(RESTORED)
+      .eq('id', teacher.id)
+      .select(TEACHER_COLUMNS)
       .single();
 
-    if (error) {
-      return res.status(400).json({ error: error.message || 'Failed to update class' });
-    }
+    if (error) throw error;
 
-    if (!data) {
-      return res.status(404).json({ error: 'Class not found' });
+    if (restorable.length) {
+      const { error: restoreError } = await supabase
+        .from('teacher_assignments')
+        .update(RESTORED)
+        .in('id', restorable.map((a) => a.id));
+      if (restoreError) throw restoreError;
     }
 
     return res.json({
       success: true,
-      message: 'Class updated successfully',
-      data
+      message: `Teacher ${teacher.teacher_id} restored successfully`,
+      data,
+      restored_assignments: restorable.length,
+      ...(skipped.length
+        ? { warnings: skipped.map((a) => `${a.subject} in ${a.class}-${a.section} was not restored: the class-section is deleted or the subject has another teacher`) }
+        : {})
     });
   } catch (err) {
-    console.error('Update class error:', err);
+    console.error('Restore teacher error:', err);
     return res.status(500).json({ error: 'Internal server error' });
   }
 };
 
-// ✅ DELETE /api/classes/:id - Delete class
-export const deleteClass = async (req, res) => {
-  const { id } = req.params;
+const STUDENT_EDITABLE_FIELDS = ['roll_no', 'name', 'gender', 'parent_phone', 'parent_email'];
 
-  if (!id) {
-    return res.status(400).json({ error: 'Class ID is required' });
+const loadStudent = async (student_id, { deleted = false } = {}) => {
+  const { data, error } = await withoutDeleted(
+    supabase
+      .from('students')
+      .select(STUDENT_COLUMNS)
+      .eq('student_id', String(student_id || '').trim()),
+    deleted
+  )
+    .limit(1)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+// Another active student of the class-section holding this roll number, if any
+const findRollNoHolder = async ({ school_id, class: classValue, section, roll_no }, exceptId = null) => {
+  let query = supabase
+    .from('students')
+    .select('id, student_id, name')
+    .eq('school_id', school_id)
+    .eq('class', classValue)
+    .eq('section', section)
+    .eq('roll_no', roll_no)
+    .is('withdrawn_at', null)
+    .is('deleted_at', null);
+  if (exceptId) query = query.neq('id', exceptId);
+
+  const { data, error } = await query.limit(1);
+  if (error) throw error;
+  return data?.[0] || null;
+};
+
+// ✅ POST /api/schools/:school_id/students - Add one student to a class-section
+export const createStudent = async (req, res) => {
+  const { school_id } = req.params;
+  const body = req.body || {};
+  const student = {
+    school_id,
+    ...pickEditable(body, [...STUDENT_EDITABLE_FIELDS, 'class', 'section'])
+  };
+
+  const missing = ['roll_no', 'name', 'class', 'section'].filter((field) => !student[field]);
+  if (missing.length) {
+    return res.status(400).json({ error: `Missing required fields: ${missing.join(', ')}` });
   }
 
   try {
-    // Optional: Delete associated teacher assignments first
-    const { error: assignmentDeleteError } = await supabase
-      .from('teacher_assignments')
-      .delete()
-      .match({ class: id }); // ❗ If your assignment links by class ID
-
-    // First get the class
-    const { data: cls, error: classFetchError } = await supabase
+    const { data: classRow, error: classError } = await supabase
       .from('classes')
-      .select('class, section, school_id')
-      .eq('id', id)
-      .single();
+      .select('id')
+      .eq('school_id', school_id)
+      .eq('class', student.class)
+      .eq('section', student.section)
+      .is('deleted_at', null)
+      .limit(1)
+      .maybeSingle();
 
-    if (classFetchError || !cls) {
-      return res.status(404).json({ error: 'Class not found' });
+    if (classError) throw classError;
+    if (!classRow) {
+      return res.status(400).json({ error: `${student.class}-${student.section} is not a class-section of school ${school_id}` });
     }
 
-    // Delete assignments linked to this class-section
-    const { error: assignmentDeleteError2 } = await supabase
-      .from('teacher_assignments')
-      .delete()
-      .match({ class: cls.class, section: cls.section, school_id: cls.school_id });
-
-    if (assignmentDeleteError2) {
-      console.warn('Failed to delete teacher assignments:', assignmentDeleteError2.message);
-      // Don't block class deletion
+    // The roll number doubles as the login ID, so it must be free across all schools
+    const existing = await loadStudent(student.roll_no, { deleted: true });
+    if (existing) {
+      return res.status(409).json({
+        error: `Student ID ${student.roll_no} is already in use (${existing.name}, ${existing.school_id} ${existing.class}-${existing.section})${existing.deleted_at ? '. The student is deleted: restore them instead.' : ''}`
+      });
     }
 
-    // Now delete the class
-    const { error: classDeleteError } = await supabase
-      .from('classes')
-      .delete()
-      .eq('id', id);
-
-    if (classDeleteError) {
-      return res.status(400).json({ error: classDeleteError.message || 'Failed to delete class' });
-    }
+    const { inserted, credentials } = await insertStudentsWithCredentials([{ ...student, student_id: student.roll_no }]);
 
-    return res.json({
-      success: true,
-      message: 'Class and associated assignments deleted successfully'
+    return res.status(201).json({
+      ...inserted[0],
+      temporary_password: credentials[0].temporary_password
     });
   } catch (err) {
-    console.error('Delete class error:', err);
+    console.error('Create student error:', err);
     return res.status(500).json({ error: 'Internal server error' });
   }
 };
 
-// ✅ PUT /api/teacher-assignments/:id - Update teacher assignment
-export const updateTeacherAssignment = async (req, res) => {
-  const { id } = req.params;
-  const {
-    class: className,
-    section,
-    subject
-  } = req.body;
+// ✅ GET /api/students/:student_id?include_deleted=true - One student's record
+export const getStudent = async (req, res) => {
+  try {
+    const student = await loadStudent(req.params.student_id, { deleted: includeDeleted(req) });
+    if (!student) return res.status(404).json({ error: 'Student not found' });
 
-  if (!id) {
-    return res.status(400).json({ error: 'Assignment ID is required' });
+    return res.json({ data: student });
+  } catch (err) {
+    console.error('Get student error:', err);
+    return res.status(500).json({ error: 'Internal server error' });
   }
+};
+
+// ✅ PUT /api/students/:student_id - Update a student's roll number, name and contact details
+export const updateStudent = async (req, res) => {
+  const body = req.body || {};
 
   try {
-    const { data, error } = await supabase
-      .from('teacher_assignments')
-      .update({
-        class: className,
-        section,
-        subject
-      })
-      .eq('id', id)
-      .select()
-      .single();
+    const student = await loadStudent(req.params.student_id);
+    if (!student) return res.status(404).json({ error: 'Student not found' });
 
-    if (error) {
-      return res.status(400).json({ error: error.message || 'Failed to update assignment' });
+    const moved = changedFixedFields(body, student, ['school_id', 'class', 'section']);
+    if (moved.length) {
+      return res.status(400).json({ error: `Use POST /api/students/${student.student_id}/transfer to change ${moved.join(', ')}` });
+    }
+    if (changedFixedFields(body, student, ['student_id']).length) {
+      return res.status(400).json({ error: 'student_id cannot be changed: it is the student\'s login' });
     }
 
-    if (!data) {
-      return res.status(404).json({ error: 'Assignment not found' });
+    const updates = pickEditable(body, STUDENT_EDITABLE_FIELDS);
+    if (!Object.keys(updates).length) {
+      return res.status(400).json({ error: `Nothing to update. Editable fields: ${STUDENT_EDITABLE_FIELDS.join(', ')}` });
+    }
+    const blank = ['roll_no', 'name'].filter((field) => field in updates && !updates[field]);
+    if (blank.length) {
+      return res.status(400).json({ error: `${blank.join(', ')} cannot be empty` });
+    }
+
+    if (updates.roll_no && updates.roll_no !== student.roll_no) {
+      const holder = await findRollNoHolder({ ...student, roll_no: updates.roll_no }, student.id);
+      if (holder) {
+        return res.status(409).json({ error: `Roll number ${updates.roll_no} is taken in ${student.class}-${student.section} by ${holder.name} (${holder.student_id})` });
+      }
     }
 
+    const { data, error } = await supabase
+      .from('students')
+      .update({ ...updates, updated_at: new Date().toISOString() })
+      .eq('id', student.id)
+      .select(STUDENT_COLUMNS)
+      .single();
+
+    if (error) throw error;
+
+    return res.json({ success: true, message: 'Student updated successfully', data });
+  } catch (err) {
+    console.error('Update student error:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// ✅ DELETE /api/students/:student_id - Soft-delete a student and log them out.
+// Their exam results stay: they are part of their classes' ranks and averages.
+export const deleteStudent = async (req, res) => {
+  try {
+    const student = await loadStudent(req.params.student_id);
+    if (!student) return res.status(404).json({ error: 'Student not found' });
+
+    const { error } = await supabase
+      .from('students')
+      .update({ ...deletionStamp(req.user), updated_at: new Date().toISOString() })
+      .eq('id', student.id);
+
+    if (error) throw error;
+
+    await revokeAllSessions({ role: 'STUDENT', id: student.student_id, school_id: student.school_id });
+
     return res.json({
       success: true,
-      message: 'Teacher assignment updated successfully',
-      data
+      message: `Student ${student.student_id} deleted successfully. Their exam results were kept.`,
+      student_id: student.student_id
     });
   } catch (err) {
-    console.error('Update assignment error:', err);
+    console.error('Delete student error:', err);
     return res.status(500).json({ error: 'Internal server error' });
   }
 };
 
-// ✅ DELETE /api/teacher-assignments/:id - Delete teacher assignment
-export const deleteTeacherAssignment = async (req, res) => {
-  const { id } = req.params;
+// ✅ POST /api/students/:student_id/restore - Restore a deleted student to their class-section
+export const restoreStudent = async (req, res) => {
+  try {
+    const student = await loadStudent(req.params.student_id, { deleted: true });
+    if (!student) return res.status(404).json({ error: 'Student not found' });
+    if (!student.deleted_at) return res.status(409).json({ error: `Student ${student.student_id} is not deleted` });
 
-  if (!id) {
-    return res.status(400).json({ error: 'Assignment ID is required' });
+    const { data: classRow, error: classError } = await supabase
+      .from('classes')
+      .select('id')
+      .match({ school_id: student.school_id, class: student.class, section: student.section })
+      .is('deleted_at', null)
+      .limit(1)
+      .maybeSingle();
+
+    if (classError) throw classError;
+    if (!classRow) {
+      return res.status(409).json({ error: `${student.class}-${student.section} has been deleted. Restore the class first.` });
+    }
+
+    const holder = await findRollNoHolder(student, student.id);
+    if (holder) {
+      return res.status(409).json({ error: `Roll number ${student.roll_no} is now taken in ${student.class}-${student.section} by ${holder.name} (${holder.student_id})` });
+    }
+
+    const { data, error } = await supabase
+      .from('students')
+      .update({ ...RESTORED, updated_at: new Date().toISOString() })
+      .eq('id', student.id)
+      .select(STUDENT_COLUMNS)
+      .single();
+
+    if (error) throw error;
+
+    return res.json({ success: true, message: `Student ${student.student_id} restored successfully`, data });
+  } catch (err) {
+    console.error('Restore student error:', err);
+    return res.status(500).json({ error: 'Internal server error' });
   }
+};
+
+const EXAM_CONTEXT_FIELDS = ['program', 'exam_pattern', 'class', 'section', 'exam_date'];
+
+// An exam record is the row createExam inserts; rows with a student_id are results
+const loadExamRecord = async (id) => {
+  const { data, error } = await supabase
+    .from('exams')
+    .select('*')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
 
+const countContextResults = async (context) => {
+  const { count, error } = await whereExamContext(
+    supabase.from('exams').select('id', { count: 'exact', head: true }),
+    context
+  ).not('student_id', 'is', null);
+
+  if (error) throw error;
+  return count || 0;
+};
+
+// Stored OMR responses belong to the answer key of the exam's program, pattern and date
+const countContextResponses = async (context) => {
+  const key = await findAnswerKey(context);
+  if (!key) return { key: null, count: 0 };
+
+  const { count, error } = await supabase
+    .from('exam_responses')
+    .select('id', { count: 'exact', head: true })
+    .eq('answer_key_id', key.id)
+    .eq('class', context.class)
+    .eq('section', context.section);
+
+  if (error) throw error;
+  return { key, count: count || 0 };
+};
+
+const describeExam = (context) =>
+  `${context.exam_pattern} (${context.program}) for ${context.class}-${context.section}${context.exam_date ? ` on ${context.exam_date}` : ''}`;
+
+// ✅ GET /api/exams/:id - An exam record and how many results it has
+export const getExam = async (req, res) => {
   try {
-    const { error } = await supabase
-      .from('teacher_assignments')
-      .delete()
-      .eq('id', id);
+    const exam = await loadExamRecord(req.params.id);
+    if (!exam) return res.status(404).json({ error: 'Exam not found' });
 
-    if (error) {
-      return res.status(400).json({ error: error.message || 'Failed to delete assignment' });
+    return res.json({ data: exam, result_count: await countContextResults(contextOf(exam)) });
+  } catch (err) {
+    console.error('Get exam error:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// ✅ PUT /api/exams/:id - Correct an exam's program, pattern, class-section or date.
+// Results already uploaded move with it.
+export const updateExam = async (req, res) => {
+  const body = req.body || {};
+
+  try {
+    const exam = await loadExamRecord(req.params.id);
+    if (!exam) return res.status(404).json({ error: 'Exam not found' });
+    if (exam.student_id) {
+      return res.status(400).json({ error: 'This is a student result, not an exam. Results change through uploads and result versions.' });
+    }
+    if (changedFixedFields(body, exam, ['school_id']).length) {
+      return res.status(400).json({ error: 'school_id cannot be changed. Create the exam in the other school instead.' });
+    }
+
+    const current = contextOf(exam);
+    const next = { ...current, ...pickEditable(body, EXAM_CONTEXT_FIELDS) };
+
+    // Same checks as createExam
+    const missing = ['program', 'exam_pattern', 'class', 'section'].filter((field) => !next[field]);
+    if (missing.length) {
+      return res.status(400).json({ error: `Missing required fields: ${missing.join(', ')}` });
+    }
+    if (next.exam_date && isNaN(Date.parse(next.exam_date))) {
+      return res.status(400).json({ error: 'Invalid exam_date format. Use YYYY-MM-DD.' });
+    }
+    const pattern = await findExamPattern(next.exam_pattern);
+    const patternError = checkPatternForProgram(pattern, next.exam_pattern, next.program);
+    if (patternError) return res.status(400).json({ error: patternError });
+    next.exam_pattern = pattern.code;
+
+    const changed = EXAM_CONTEXT_FIELDS.filter((field) => String(next[field] ?? '') !== String(current[field] ?? ''));
+    if (!changed.length) {
+      return res.json({ success: true, message: 'Exam unchanged', data: exam, moved_results: 0 });
+    }
+
+    const { data: taken, error: takenError } = await whereExamContext(supabase.from('exams').select('id'), next).limit(1);
+    if (takenError) throw takenError;
+    if (taken?.length) {
+      return res.status(409).json({ error: `An exam already exists for ${describeExam(next)}` });
+    }
+
+    // Stored responses hang off the answer key, which only matches the old program, pattern and date
+    const responses = await countContextResponses(current);
+    const keyChanged = ['program', 'exam_pattern', 'exam_date'].some((field) => changed.includes(field));
+    if (responses.count && keyChanged) {
+      return res.status(409).json({
+        error: `${responses.count} OMR response sheet(s) are stored against this exam's answer key. Delete the exam and upload it again to change its program, pattern or date.`
+      });
+    }
+
+    const resultCount = await countContextResults(current);
+    if (resultCount) await ensureBaselineVersion(current, { created_by: req.user?.id });
+
+    const { error: moveError } = await whereExamContext(
+      supabase.from('exams').update({
+        program: next.program,
+        exam_pattern: next.exam_pattern,
+        class: next.class,
+        section: next.section,
+        exam_date: next.exam_date || null
+      }),
+      current
+    );
+    if (moveError) throw moveError;
+
+    if (responses.count) {
+      const { error: responsesError } = await supabase
+        .from('exam_responses')
+        .update({ class: next.class, section: next.section })
+        .eq('answer_key_id', responses.key.id)
+        .eq('class', current.class)
+        .eq('section', current.section);
+      if (responsesError) throw responsesError;
+    }
+
+    const warnings = [];
+    if (resultCount) {
+      // Ranks are relative to the class-section and the whole exam, so both sides change;
+      // each version is recorded once its ranks are recalculated
+      for (const context of [current, next]) {
+        warnings.push(...await recalculateExamStats(context));
+        await recordResultVersion(context, { mode: 'exam_update', created_by: req.user?.id });
+      }
     }
 
     return res.json({
       success: true,
-      message: 'Teacher assignment deleted successfully'
+      message: `Exam updated: ${changed.join(', ')}`,
+      data: await loadExamRecord(exam.id),
+      moved_results: resultCount,
+      ...(warnings.length ? { warnings } : {})
     });
   } catch (err) {
-    console.error('Delete assignment error:', err);
+    console.error('Update exam error:', err);
     return res.status(500).json({ error: 'Internal server error' });
   }
 };
 
-// ✅ PUT /api/schools/:school_id/logo - Update school logo
-export const updateSchoolLogo = async (req, res) => {
-  const { school_id } = req.params;
-  const { logo_url } = req.body;
+// ✅ DELETE /api/exams/:id - Delete an exam with its results and stored OMR responses.
+// The results are kept as a result version, so the deletion can be rolled back.
+export const deleteExam = async (req, res) => {
+  try {
+    const exam = await loadExamRecord(req.params.id);
+    if (!exam) return res.status(404).json({ error: 'Exam not found' });
+    if (exam.student_id) {
+      return res.status(400).json({ error: 'This is a student result, not an exam. Use DELETE /api/uploads/:batch_id to remove an upload.' });
+    }
 
-  if (!school_id || !logo_url) {
-    return res.status(400).json({ error: 'school_id and logo_url are required' });
-  }
+    const context = contextOf(exam);
+    const resultCount = await countContextResults(context);
+    if (resultCount) await ensureBaselineVersion(context, { created_by: req.user?.id });
 
-  try {
-    const { data, error } = await supabase
-      .from('schools')
-      .update({ logo_url })
-      .eq('school_id', school_id)
-      .select()
-      .single();
+    // Stored OMR responses are not versioned, so they are kept: rolling back to the
+    // version before the delete then brings the exam back whole
+    const responses = await countContextResponses(context);
 
+    const { error } = await whereExamContext(supabase.from('exams').delete(), context);
     if (error) throw error;
-    if (!data) return res.status(404).json({ error: 'School not found' });
 
-    return res.json({ success: true, data });
+    let version = null;
+    const warnings = [];
+    if (resultCount) {
+      // Results of other class-sections still rank against each other
+      warnings.push(...await recalculateExamStats(context));
+      version = await recordResultVersion(context, { mode: 'exam_delete', created_by: req.user?.id });
+    }
+
+    return res.json({
+      success: true,
+      message: `Exam ${describeExam(context)} deleted successfully`,
+      removed_results: resultCount,
+      kept_responses: responses.count,
+      ...(version ? { version: version.version } : {}),
+      ...(warnings.length ? { warnings } : {})
+    });
   } catch (err) {
-    console.error('Update school logo error:', err);
+    console.error('Delete exam error:', err);
     return res.status(500).json({ error: 'Internal server error' });
   }
 };
@@ -1789,36 +3859,44 @@ export const getDashboardData = async (req, res) => {
   // Normalize exam_pattern (trim to handle whitespace inconsistencies)
   const exam_pattern_trimmed = exam_pattern ? exam_pattern.trim() : null;
   const ROW_LIMIT = 10000;
+  const allowedSchoolIds = scopeSchoolIds(req.scope);
+  const withinScope = (query) => withoutDeletedSchools(allowedSchoolIds ? query.in('school_id', allowedSchoolIds) : query, req.scope);
 
   try {
     const queries = [];
 
     // Fetch exam patterns
     queries.push(
+      withinScope(
+        supabase
+          .from('exams')
+          .select('exam_pattern')
+          .eq('program', program)
+          .limit(ROW_LIMIT)
+      )
+    );
+
+    // Fetch schools
+    let schoolQuery = withinScope(
       supabase
         .from('exams')
-        .select('exam_pattern')
+        .select('school_id')
         .eq('program', program)
         .limit(ROW_LIMIT)
     );
-
-    // Fetch schools
-    let schoolQuery = supabase
-      .from('exams')
-      .select('school_id')
-      .eq('program', program)
-      .limit(ROW_LIMIT);
     if (exam_pattern_trimmed) {
       schoolQuery = schoolQuery.eq('exam_pattern', exam_pattern_trimmed);
     }
     queries.push(schoolQuery);
 
     // 🔁 Fetch stats WITH student_id
-    let statsQuery = supabase
-      .from('exams')
-      .select('school_id, class, section, exam_pattern, student_id') // ← include student_id
-      .eq('program', program)
-      .limit(ROW_LIMIT);
+    let statsQuery = withinScope(
+      supabase
+        .from('exams')
+        .select('school_id, class, section, exam_pattern, student_id') // ← include student_id
+        .eq('program', program)
+        .limit(ROW_LIMIT)
+    );
     if (exam_pattern_trimmed) {
       statsQuery = statsQuery.eq('exam_pattern', exam_pattern_trimmed);
     }
@@ -0,0 +1,320 @@
+// server/controllers/schoolDeletionController.js
+//
+// Deleting a school is two steps. DELETE /api/schools/:school_id soft-deletes it: the
+// school and everything under it disappear from reads and logins but stay in the
+// database, and can be restored for SCHOOL_RESTORE_DAYS. A purge then removes the school
+// and every dependent row in one transaction (the `purge_school` database function,
+// sql/purge_school.sql: keep its tables in step with SCHOOL_DEPENDENTS).
+import { createClient } from '@supabase/supabase-js';
+import { purgeSoftDeleted } from '../utils/softDelete.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const FILES_BUCKET = process.env.UPLOAD_FILES_BUCKET || 'uploads';
+
+export const SCHOOL_RESTORE_DAYS = Number(process.env.SCHOOL_RESTORE_DAYS) || 30;
+
+// Everything that belongs to a school, in the order a purge removes it. `filter` narrows
+// a query to the school's rows. The audit log is history and is kept.
+const SCHOOL_DEPENDENTS = [
+  { table: 'upload', label: 'uploaded result rows', filter: (q, id) => q.eq('data->>school_id', id) },
+  { table: 'exam_responses', label: 'OMR responses' },
+  { table: 'exam_result_versions', label: 'result versions' },
+  { table: 'exams', label: 'exams and results' },
+  { table: 'answer_keys', label: 'answer keys' },
+  { table: 'upload_batches', label: 'uploads' },
+  { table: 'upload_previews', label: 'upload previews' },
+  { table: 'import_jobs', label: 'import jobs' },
+  // Only the transfers of the school's own students: a student who moved on to another
+  // school keeps their history (the purge clears the school from it instead)
+  { table: 'student_transfers', label: "its students' transfers", filter: async (q, id) => q.in('student_id', await schoolStudentIds(id)) },
+  { table: 'student_year_records', label: 'student year records' },
+  { table: 'academic_year_archives', label: 'archived academic years' },
+  { table: 'teacher_assignments', label: 'teacher assignments' },
+  { table: 'teachers', label: 'teachers' },
+  { table: 'students', label: 'students' },
+  { table: 'classes', label: 'class-sections' },
+  { table: 'owner_schools', label: 'owner grants' },
+  { table: 'school_list', label: 'school list entries' }
+];
+
+const bySchool = (query, id) => query.eq('school_id', id);
+
+const schoolStudentIds = async (school_id) => {
+  const { data, error } = await supabase.from('students').select('student_id').eq('school_id', school_id);
+  if (error) throw error;
+  return (data || []).map((s) => s.student_id);
+};
+
+const SCHOOL_COLUMNS = 'school_id, school_name, state, academic_year, deleted_at, deleted_by, purge_after';
+
+const loadSchool = async (school_id) => {
+  const { data, error } = await supabase
+    .from('schools')
+    .select(SCHOOL_COLUMNS)
+    .eq('school_id', school_id)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+// ✅ Row counts per dependent table: { counts: { table: n }, labels, total }.
+// A filter may be async; awaiting it runs the query it returns.
+export const countSchoolImpact = async (school_id) => {
+  const results = await Promise.all(SCHOOL_DEPENDENTS.map(async ({ table, filter = bySchool }) => {
+    const { count, error } = await filter(
+      supabase.from(table).select('*', { count: 'exact', head: true }),
+      school_id
+    );
+    if (error) throw error;
+    return [table, count || 0];
+  }));
+
+  const counts = Object.fromEntries(results);
+  return {
+    counts,
+    labels: Object.fromEntries(SCHOOL_DEPENDENTS.map(({ table, label }) => [table, label])),
+    total: Object.values(counts).reduce((sum, n) => sum + n, 0)
+  };
+};
+
+// Teachers and students of the school lose their sessions with it
+const revokeSchoolSessions = async (school_id) => {
+  const [{ data: teachers, error: teachersError }, { data: students, error: studentsError }] = await Promise.all([
+    supabase.from('teachers').select('teacher_id').eq('school_id', school_id),
+    supabase.from('students').select('student_id').eq('school_id', school_id)
+  ]);
+  if (teachersError) throw teachersError;
+  if (studentsError) throw studentsError;
+
+  const now = new Date().toISOString();
+  for (const [role, ids] of [['TEACHER', (teachers || []).map((t) => t.teacher_id)], ['STUDENT', (students || []).map((s) => s.student_id)]]) {
+    if (!ids.length) continue;
+    const { error } = await supabase
+      .from('auth_sessions')
+      .update({ revoked_at: now })
+      .eq('role', role)
+      .in('subject_id', ids.map(String))
+      .is('revoked_at', null);
+    if (error) throw error;
+  }
+};
+
+const restoreDeadline = (school) => school.purge_after && new Date(school.purge_after) <= new Date();
+
+// ✅ GET /api/schools/:school_id/deletion-impact - What deleting the school would affect
+export const getSchoolDeletionImpact = async (req, res) => {
+  try {
+    const school = await loadSchool(req.params.school_id);
+    if (!school) return res.status(404).json({ error: 'School not found' });
+
+    const impact = await countSchoolImpact(school.school_id);
+    return res.json({ school, restore_days: SCHOOL_RESTORE_DAYS, ...impact });
+  } catch (err) {
+    console.error('School deletion impact error:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// ✅ GET /api/schools/deleted - Soft-deleted schools the caller may restore, soonest purge first
+export const getDeletedSchools = async (req, res) => {
+  try {
+    let query = supabase
+      .from('schools')
+      .select(SCHOOL_COLUMNS)
+      .not('deleted_at', 'is', null)
+      .order('purge_after', { ascending: true });
+
+    // Deleted schools are left out of scopeSchoolIds, so filter by the raw grant list
+    if (!req.scope.allSchools) query = query.in('school_id', req.scope.schoolIds);
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    return res.json({ data: (data || []).map((school) => ({ ...school, restorable: !restoreDeadline(school) })) });
+  } catch (err) {
+    console.error('Get deleted schools error:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// ✅ DELETE /api/schools/:school_id - Soft-delete a school; it can be restored for SCHOOL_RESTORE_DAYS
+export const deleteSchool = async (req, res) => {
+  const { school_id } = req.params;
+
+  try {
+    const school = await loadSchool(school_id);
+    if (!school) return res.status(404).json({ error: 'School not found' });
+    if (school.deleted_at) {
+      return res.status(409).json({ error: `School ${school_id} is already deleted`, purge_after: school.purge_after });
+    }
+
+    const impact = await countSchoolImpact(school_id);
+    const now = new Date();
+    const purgeAfter = new Date(now.getTime() + SCHOOL_RESTORE_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+    const { data, error } = await supabase
+      .from('schools')
+      .update({
+        deleted_at: now.toISOString(),
+        deleted_by: req.user?.id ? String(req.user.id) : null,
+        purge_after: purgeAfter
+      })
+      .eq('school_id', school_id)
+      .is('deleted_at', null)
+      .select(SCHOOL_COLUMNS)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) return res.status(409).json({ error: `School ${school_id} is already deleted` });
+
+    await revokeSchoolSessions(school_id);
+
+    console.log(`🗑️ School ${school_id} soft-deleted; restorable until ${purgeAfter}`);
+    return res.json({
+      success: true,
+      message: `School ${school_id} deleted. It can be restored until ${purgeAfter.slice(0, 10)}.`,
+      school_id,
+      data,
+      ...impact
+    });
+  } catch (err) {
+    console.error('Delete school error:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// ✅ POST /api/schools/:school_id/restore - Undo a soft delete within the restore window
+export const restoreSchool = async (req, res) => {
+  const { school_id } = req.params;
+
+  try {
+    const school = await loadSchool(school_id);
+    if (!school) return res.status(404).json({ error: 'School not found' });
+    if (!school.deleted_at) return res.status(409).json({ error: `School ${school_id} is not deleted` });
+    if (restoreDeadline(school)) {
+      return res.status(410).json({ error: `The restore window for ${school_id} closed on ${school.purge_after.slice(0, 10)}` });
+    }
+
+    const { data, error } = await supabase
+      .from('schools')
+      .update({ deleted_at: null, deleted_by: null, purge_after: null })
+      .eq('school_id', school_id)
+      .select(SCHOOL_COLUMNS)
+      .single();
+
+    if (error) throw error;
+
+    console.log(`♻️ School ${school_id} restored`);
+    return res.json({
+      success: true,
+      message: `School ${school_id} restored. Teachers and students need to log in again.`,
+      data
+    });
+  } catch (err) {
+    console.error('Restore school error:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// ✅ Remove a soft-deleted school and all its rows in one transaction, then its stored
+// upload files. Returns { removed, files_removed } or { status, error }.
+export const purgeSchoolData = async (school_id) => {
+  const school = await loadSchool(school_id);
+  if (!school) return { status: 404, error: 'School not found' };
+  if (!school.deleted_at) {
+    return { status: 409, error: `School ${school_id} must be deleted before it can be purged` };
+  }
+
+  const { data: batches, error: batchesError } = await supabase
+    .from('upload_batches')
+    .select('file_path')
+    .eq('school_id', school_id)
+    .not('file_path', 'is', null);
+  if (batchesError) throw batchesError;
+
+  const { counts: removed } = await countSchoolImpact(school_id);
+
+  // purge_school deletes the SCHOOL_DEPENDENTS rows and the school in one transaction:
+  // either all of the school goes, or none of it
+  const { error } = await supabase.rpc('purge_school', { p_school_id: school_id });
+  if (error) return { status: 500, error: `Purge failed, nothing was removed: ${error.message}` };
+
+  // Files live outside the database; a leftover file is logged, not fatal
+  const paths = (batches || []).map((b) => b.file_path);
+  if (paths.length) {
+    const { error: storageError } = await supabase.storage.from(FILES_BUCKET).remove(paths);
+    if (storageError) console.error('⚠️ Failed to remove stored upload files:', storageError);
+  }
+
+  console.log(`🔥 School ${school_id} purged`);
+  return { removed, files_removed: paths.length };
+};
+
+// ✅ DELETE /api/schools/:school_id/purge - Permanently remove a soft-deleted school.
+// body: { confirm: "<school_id>" }
+export const purgeSchool = async (req, res) => {
+  const { school_id } = req.params;
+
+  if (req.body?.confirm !== school_id) {
+    return res.status(400).json({ error: `Send { "confirm": "${school_id}" } to permanently remove this school` });
+  }
+
+  try {
+    const result = await purgeSchoolData(school_id);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+
+    return res.json({
+      success: true,
+      message: `School ${school_id} and all its data were permanently removed`,
+      school_id,
+      ...result
+    });
+  } catch (err) {
+    console.error('Purge school error:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+const PURGE_INTERVAL_HOURS = Number(process.env.PURGE_INTERVAL_HOURS) || 24;
+
+// ✅ Purge what has outlived its restore window: soft-deleted classes, teachers,
+// assignments and students, and deleted schools past their purge_after
+export const purgeExpired = async () => {
+  const removed = await purgeSoftDeleted();
+
+  const { data: schools, error } = await supabase
+    .from('schools')
+    .select('school_id')
+    .not('deleted_at', 'is', null)
+    .lt('purge_after', new Date().toISOString());
+  if (error) throw error;
+
+  removed.schools = [];
+  for (const { school_id } of schools || []) {
+    const result = await purgeSchoolData(school_id);
+    if (result.error) console.error(`⚠️ Scheduled purge of school ${school_id} failed:`, result.error);
+    else removed.schools.push(school_id);
+  }
+
+  return removed;
+};
+
+// ✅ Run purgeExpired every PURGE_INTERVAL_HOURS (default 24), first shortly after startup
+export const startPurgeSchedule = () => {
+  const run = async () => {
+    try {
+      const removed = await purgeExpired();
+      console.log('🧹 Scheduled purge done:', removed);
+    } catch (err) {
+      console.error('⚠️ Scheduled purge failed:', err);
+    }
+  };
+
+  setTimeout(run, 60 * 1000).unref();
+  setInterval(run, PURGE_INTERVAL_HOURS * 60 * 60 * 1000).unref();
+};
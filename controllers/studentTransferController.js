@@ -0,0 +1,214 @@
+// server/controllers/studentTransferController.js
+//
+// A transfer moves a student to another class-section, in the same school or another
+// one, keeping their student_id. Past `exams` rows are never rewritten: each keeps the
+// school and class-section it was uploaded for, so ranks and averages stay with the
+// class the student sat the exam in. Every move is recorded in `student_transfers`.
+import { createClient } from '@supabase/supabase-js';
+import { STUDENT_COLUMNS } from './schoolController.js';
+import { scopeSchoolIds } from '../middleware/permissions.js';
+import { revokeAllSessions } from '../utils/tokens.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const TRANSFER_COLUMNS = 'id, student_id, from_school_id, from_class, from_section, from_roll_no, to_school_id, to_class, to_section, to_roll_no, effective_date, reason, transferred_by, created_at';
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(String(value)) && !Number.isNaN(Date.parse(value));
+
+const loadTransfers = async (student_id) => {
+  const { data, error } = await supabase
+    .from('student_transfers')
+    .select(TRANSFER_COLUMNS)
+    .eq('student_id', student_id)
+    .order('effective_date', { ascending: true })
+    .order('created_at', { ascending: true });
+  if (error) throw error;
+  return data || [];
+};
+
+// ✅ POST /api/students/:student_id/transfer - Move a student to another class-section or school
+// body: { to_school_id?, class, section, roll_no?, effective_date?, reason? }
+export const transferStudent = async (req, res) => {
+  const { student_id } = req.params;
+  const {
+    to_school_id,
+    class: toClass,
+    section: toSection,
+    roll_no,
+    effective_date = today(),
+    reason = null
+  } = req.body || {};
+
+  if (!toClass || !toSection) {
+    return res.status(400).json({ error: 'Missing required fields: class, section' });
+  }
+  if (!isDate(effective_date)) {
+    return res.status(400).json({ error: 'effective_date must look like 2025-11-01' });
+  }
+  if (effective_date > today()) {
+    return res.status(400).json({ error: 'effective_date cannot be in the future' });
+  }
+
+  try {
+    const { data: student, error: studentError } = await supabase
+      .from('students')
+      .select(STUDENT_COLUMNS)
+      .eq('student_id', student_id)
+      .limit(1)
+      .maybeSingle();
+
+    if (studentError) throw studentError;
+    if (!student || student.deleted_at) return res.status(404).json({ error: 'Student not found' });
+    if (student.withdrawn_at) {
+      return res.status(409).json({ error: 'This student has been withdrawn. Restore them before transferring.' });
+    }
+
+    const targetSchoolId = to_school_id || student.school_id;
+    const targetClass = String(toClass).trim();
+    const targetSection = String(toSection).trim();
+    const targetRollNo = roll_no != null && String(roll_no).trim() !== '' ? String(roll_no).trim() : student.roll_no;
+    const crossSchool = targetSchoolId !== student.school_id;
+
+    // The caller must manage the school the student goes to as well as the one they leave
+    const allowedSchoolIds = scopeSchoolIds(req.scope);
+    if (allowedSchoolIds && !allowedSchoolIds.includes(targetSchoolId)) {
+      return res.status(403).json({ error: 'Forbidden: school is outside your access' });
+    }
+
+    if (!crossSchool && targetClass === String(student.class) && targetSection === String(student.section) && targetRollNo === student.roll_no) {
+      return res.status(400).json({ error: 'The student is already in this class-section' });
+    }
+
+    const { data: targetClassRow, error: classError } = await supabase
+      .from('classes')
+      .select('id')
+      .eq('school_id', targetSchoolId)
+      .eq('class', targetClass)
+      .eq('section', targetSection)
+      .is('deleted_at', null)
+      .limit(1)
+      .maybeSingle();
+
+    if (classError) throw classError;
+    if (!targetClassRow) {
+      return res.status(400).json({ error: `${targetClass}-${targetSection} is not a class-section of school ${targetSchoolId}` });
+    }
+
+    const { data: clashes, error: clashError } = await supabase
+      .from('students')
+      .select('student_id, name, roll_no')
+      .eq('school_id', targetSchoolId)
+      .eq('class', targetClass)
+      .eq('section', targetSection)
+      .eq('roll_no', targetRollNo)
+      .is('withdrawn_at', null)
+      .is('deleted_at', null)
+      .neq('id', student.id);
+
+    if (clashError) throw clashError;
+    if (clashes?.length) {
+      return res.status(409).json({
+        error: `Roll number ${targetRollNo} is taken in ${targetClass}-${targetSection} by ${clashes[0].name} (${clashes[0].student_id}). Send a different roll_no.`
+      });
+    }
+
+    const history = await loadTransfers(student_id);
+    const last = history[history.length - 1];
+    if (last && effective_date < last.effective_date) {
+      return res.status(400).json({ error: `effective_date must be on or after the previous transfer (${last.effective_date})` });
+    }
+
+    // The history row and the move are written together (sql/transfer_student.sql)
+    const { data: transfer, error: transferError } = await supabase
+      .rpc('transfer_student', {
+        p_student_row_id: String(student.id),
+        p_transfer: {
+          student_id,
+          from_school_id: student.school_id,
+          from_class: student.class,
+          from_section: student.section,
+          from_roll_no: student.roll_no,
+          to_school_id: targetSchoolId,
+          to_class: targetClass,
+          to_section: targetSection,
+          to_roll_no: targetRollNo,
+          effective_date,
+          reason,
+          transferred_by: req.user?.id ? String(req.user.id) : null
+        }
+      })
+      .select(TRANSFER_COLUMNS)
+      .single();
+
+    // Raised by transfer_student when the student moved in the meantime
+    if (transferError?.code === 'P0001') {
+      return res.status(409).json({ error: `${transferError.message}. Try again.` });
+    }
+    if (transferError) throw transferError;
+
+    const { data: updated, error: updateError } = await supabase
+      .from('students')
+      .select(STUDENT_COLUMNS)
+      .eq('id', student.id)
+      .single();
+
+    if (updateError) throw updateError;
+
+    // A student's session is tied to their school: moving school means logging in again
+    if (crossSchool) {
+      await revokeAllSessions({ role: 'STUDENT', id: student_id, school_id: student.school_id });
+    }
+
+    // Results already uploaded to the old class for exams after the transfer date stay
+    // where they are; point them out so they can be re-uploaded to the new class
+    const { data: lateResults, error: lateError } = await supabase
+      .from('exams')
+      .select('program, exam_pattern, exam_date')
+      .eq('student_id', student_id)
+      .eq('school_id', student.school_id)
+      .eq('class', student.class)
+      .eq('section', student.section)
+      .gte('exam_date', effective_date);
+    if (lateError) console.error('⚠️ Failed to check results after the transfer date:', lateError);
+
+    return res.json({
+      success: true,
+      message: `${student.name} moved from ${student.class}-${student.section} (${student.school_id}) to ${targetClass}-${targetSection} (${targetSchoolId})`,
+      data: updated,
+      transfer,
+      ...(lateResults?.length
+        ? { warnings: lateResults.map((r) => `Result for ${r.exam_pattern} on ${r.exam_date} is still in ${student.class}-${student.section}`) }
+        : {})
+    });
+  } catch (err) {
+    console.error('Transfer student error:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// ✅ GET /api/students/:student_id/transfers - A student's transfer history, oldest first
+export const getStudentTransfers = async (req, res) => {
+  const { student_id } = req.params;
+
+  try {
+    const { data: student, error } = await supabase
+      .from('students')
+      .select('student_id, name, school_id, class, section, roll_no')
+      .eq('student_id', student_id)
+      .limit(1)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!student) return res.status(404).json({ error: 'Student not found' });
+
+    return res.json({ student, data: await loadTransfers(student_id) });
+  } catch (err) {
+    console.error('Get student transfers error:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
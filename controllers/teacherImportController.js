@@ -0,0 +1,369 @@
+// server/controllers/teacherImportController.js
+import { createClient } from '@supabase/supabase-js';
+import { normalizeTeacherSubject } from './schoolController.js';
+import { hashPassword, generateTemporaryPassword } from '../utils/passwords.js';
+import { isSupportedSpreadsheet, parseSpreadsheet, pickField } from '../utils/spreadsheet.js';
+import { storeUploadedFile, recordUploadBatch } from '../utils/uploadBatches.js';
+import { deletionStamp } from '../utils/softDelete.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// Header aliases accepted for each teacher field (first match wins); the first alias is
+// the header the downloadable template uses
+export const TEACHER_COLUMN_ALIASES = {
+  teacher_id: ['TEACHER_ID', 'Teacher ID', 'teacher_id', 'TeacherID'],
+  name: ['NAME', 'Name', 'Teacher Name', 'name'],
+  contact: ['CONTACT', 'Contact', 'Phone', 'PHONENO', 'contact'],
+  email: ['EMAIL', 'Email', 'EMAILID', 'email'],
+  class: ['CLASS', 'Class', 'class'],
+  section: ['SECTION', 'Section', 'section'],
+  subject: ['SUBJECT', 'Subject', 'Subjects', 'subject']
+};
+
+const TEACHER_FIELDS = ['name', 'contact', 'email'];
+
+// Several subjects may share one cell: "Physics, Chemistry"
+const splitSubjects = (value) => String(value || '').split(/[,;/|]+/).map((s) => s.trim()).filter(Boolean);
+
+const assignmentKey = (classValue, sectionValue, subject) => `${classValue}|${sectionValue}|${subject}`;
+
+const isBlankRecord = (record) => Object.values(record).every((value) => value == null || String(value).trim() === '');
+
+// ✅ Read the sheet: one row per teacher and class-section they teach (teacher details may
+// be left blank on repeated rows). A row with any problem contributes nothing.
+// Returns { teachers: Map(teacher_id -> teacher), claims: [{ teacher_id, class, section, subject, row }], rows }
+export const readTeacherRecords = (records) => {
+  const teachers = new Map();
+  const claims = [];
+  const rows = [];
+
+  records.forEach((record, index) => {
+    const rowNumber = index + 2;
+    if (isBlankRecord(record)) return;
+
+    const teacherId = pickField(record, TEACHER_COLUMN_ALIASES.teacher_id).toUpperCase(); // stored the way it is typed at login
+    if (!teacherId) {
+      rows.push({ row: rowNumber, status: 'skipped', errors: ['Missing TEACHER_ID'] });
+      return;
+    }
+
+    const errors = [];
+    const known = teachers.get(teacherId);
+    const values = {};
+    for (const field of TEACHER_FIELDS) {
+      const value = pickField(record, TEACHER_COLUMN_ALIASES[field]);
+      if (!value) continue;
+      if (known?.[field] && known[field] !== value) {
+        errors.push(`${TEACHER_COLUMN_ALIASES[field][0]} "${value}" differs from "${known[field]}" on row ${known.row}`);
+      }
+      values[field] = value;
+    }
+
+    const classValue = pickField(record, TEACHER_COLUMN_ALIASES.class);
+    const sectionValue = pickField(record, TEACHER_COLUMN_ALIASES.section);
+    const subjectCell = pickField(record, TEACHER_COLUMN_ALIASES.subject);
+    const rowClaims = [];
+
+    if (classValue || sectionValue || subjectCell) {
+      if (!classValue || !sectionValue || !subjectCell) {
+        errors.push('CLASS, SECTION and SUBJECT are all needed for an assignment');
+      } else {
+        for (const raw of splitSubjects(subjectCell)) {
+          const subject = normalizeTeacherSubject(raw);
+          if (!subject) errors.push(`Unknown subject "${raw}"`);
+          else rowClaims.push({ teacher_id: teacherId, class: classValue, section: sectionValue, subject, row: rowNumber });
+        }
+      }
+    }
+
+    if (errors.length) {
+      rows.push({ row: rowNumber, teacher_id: teacherId, status: 'skipped', errors });
+      return;
+    }
+
+    teachers.set(teacherId, { teacher_id: teacherId, name: null, contact: null, email: null, row: rowNumber, ...known, ...values });
+    claims.push(...rowClaims);
+    rows.push({ row: rowNumber, teacher_id: teacherId, status: 'ok' });
+  });
+
+  return { teachers, claims, rows };
+};
+
+// ✅ Compare the file with the school's teachers and assignments. Each class-section-subject
+// may have one teacher: two teachers claiming it in the file, or a claim on one another
+// teacher already holds, is reported as a conflict and left alone. With replaceAssignments,
+// teachers in the file lose the assignments the file no longer lists.
+export const planTeacherImport = ({ teachers, claims }, { existingTeachers, existingAssignments, classSections, replaceAssignments }) => {
+  const plan = {
+    teacherInserts: [],
+    teacherUpdates: [],
+    teachersUnchanged: [],
+    assignmentInserts: [],
+    assignmentRemovals: [],
+    assignmentsUnchanged: [],
+    conflicts: [],
+    unknownClassSections: [],
+    errors: []
+  };
+
+  const byCode = new Map(existingTeachers.map((t) => [String(t.teacher_id), t]));
+  const codeOfRow = new Map(existingTeachers.map((t) => [t.id, String(t.teacher_id)]));
+  const usable = new Set();
+
+  for (const teacher of teachers.values()) {
+    const existing = byCode.get(teacher.teacher_id);
+    if (!existing) {
+      if (!teacher.name) {
+        plan.errors.push({ row: teacher.row, teacher_id: teacher.teacher_id, error: 'NAME is required for a new teacher' });
+        continue;
+      }
+      plan.teacherInserts.push(teacher);
+      usable.add(teacher.teacher_id);
+      continue;
+    }
+    if (existing.deleted_at) {
+      plan.errors.push({ row: teacher.row, teacher_id: teacher.teacher_id, error: 'Teacher is deleted; restore them before importing' });
+      continue;
+    }
+
+    usable.add(teacher.teacher_id);
+    const changes = {};
+    for (const field of TEACHER_FIELDS) {
+      if (teacher[field] != null && String(teacher[field]) !== String(existing[field] ?? '')) {
+        changes[field] = { from: existing[field] ?? null, to: teacher[field] };
+      }
+    }
+    if (Object.keys(changes).length) plan.teacherUpdates.push({ teacher_id: teacher.teacher_id, changes });
+    else plan.teachersUnchanged.push(teacher.teacher_id);
+  }
+
+  // Who holds each class-section-subject today, leaving out assignments this import replaces
+  const replaced = replaceAssignments ? usable : new Set();
+  const holders = new Map();
+  const existingByTeacher = new Map();
+  for (const assignment of existingAssignments) {
+    const code = codeOfRow.get(assignment.teacher_id);
+    if (!code) continue;
+    const key = assignmentKey(assignment.class, assignment.section, normalizeTeacherSubject(assignment.subject) || assignment.subject);
+    existingByTeacher.set(`${code}|${key}`, assignment);
+    if (!replaced.has(code)) {
+      if (!holders.has(key)) holders.set(key, new Set());
+      holders.get(key).add(code);
+    }
+  }
+
+  // The file's claims per class-section-subject (a teacher listing one twice counts once)
+  const claimsByKey = new Map();
+  for (const claim of claims) {
+    if (!usable.has(claim.teacher_id)) continue;
+    const key = assignmentKey(claim.class, claim.section, claim.subject);
+    if (!claimsByKey.has(key)) claimsByKey.set(key, new Map());
+    const byTeacher = claimsByKey.get(key);
+    if (!byTeacher.has(claim.teacher_id)) byTeacher.set(claim.teacher_id, claim);
+  }
+
+  const kept = new Set();
+  const unknown = new Map();
+  for (const [key, byTeacher] of claimsByKey) {
+    const [first] = byTeacher.values();
+    const rows = [...byTeacher.values()].map((claim) => claim.row);
+    const classSection = `${first.class}-${first.section}`;
+
+    if (!classSections.has(classSection)) {
+      const entry = unknown.get(classSection) || { class_section: classSection, rows: [] };
+      entry.rows.push(...rows);
+      unknown.set(classSection, entry);
+      continue;
+    }
+
+    const fileTeachers = [...byTeacher.keys()];
+    fileTeachers.forEach((code) => kept.add(`${code}|${key}`));
+    const heldBy = [...(holders.get(key) || [])].filter((code) => !byTeacher.has(code));
+    if (fileTeachers.length > 1 || heldBy.length) {
+      plan.conflicts.push({ class: first.class, section: first.section, subject: first.subject, teachers: fileTeachers, held_by: heldBy, rows });
+      continue;
+    }
+
+    const assignment = { teacher_id: fileTeachers[0], class: first.class, section: first.section, subject: first.subject };
+    if (existingByTeacher.has(`${fileTeachers[0]}|${key}`)) plan.assignmentsUnchanged.push(assignment);
+    else plan.assignmentInserts.push(assignment);
+  }
+  plan.unknownClassSections = [...unknown.values()];
+
+  if (replaceAssignments) {
+    for (const [teacherKey, assignment] of existingByTeacher) {
+      const code = teacherKey.split('|')[0];
+      if (usable.has(code) && !kept.has(teacherKey)) {
+        plan.assignmentRemovals.push({ id: assignment.id, teacher_id: code, class: assignment.class, section: assignment.section, subject: assignment.subject });
+      }
+    }
+  }
+
+  return plan;
+};
+
+const summarizeTeacherPlan = (plan, rows) => ({
+  total_rows: rows.length,
+  teachers_added: plan.teacherInserts.length,
+  teachers_updated: plan.teacherUpdates.length,
+  teachers_unchanged: plan.teachersUnchanged.length,
+  assignments_added: plan.assignmentInserts.length,
+  assignments_removed: plan.assignmentRemovals.length,
+  assignments_unchanged: plan.assignmentsUnchanged.length,
+  skipped: rows.filter((r) => r.status === 'skipped').length + plan.errors.length,
+  conflicts: plan.conflicts.length,
+  unknown_class_sections: plan.unknownClassSections.length
+});
+
+const describeTeacherPlan = (plan) => ({
+  teachers: {
+    added: plan.teacherInserts.map((t) => t.teacher_id),
+    updated: plan.teacherUpdates,
+    unchanged: plan.teachersUnchanged
+  },
+  assignments: {
+    added: plan.assignmentInserts,
+    removed: plan.assignmentRemovals,
+    unchanged: plan.assignmentsUnchanged
+  },
+  conflicts: plan.conflicts,
+  unknown_class_sections: plan.unknownClassSections,
+  errors: plan.errors
+});
+
+// ✅ Apply a plan in one transaction (sql/import_teachers.sql): new teachers go through
+// create_teacher with a temporary password, assignments through assign_teacher_to_class,
+// and replaced assignments are soft-deleted.
+// Returns { credentials, assigned } or { status, error } when nothing was imported.
+const applyTeacherPlan = async (school_id, plan, user) => {
+  const credentials = [];
+  const teachers = [];
+
+  for (const teacher of plan.teacherInserts) {
+    const temporaryPassword = generateTemporaryPassword();
+    teachers.push({
+      teacher_id: teacher.teacher_id,
+      name: teacher.name,
+      contact: teacher.contact,
+      email: teacher.email,
+      password_hash: await hashPassword(temporaryPassword)
+    });
+    credentials.push({ teacher_id: teacher.teacher_id, name: teacher.name, temporary_password: temporaryPassword });
+  }
+
+  const { data, error } = await supabase.rpc('import_teachers', {
+    p_school_id: school_id,
+    p_teachers: teachers,
+    p_updates: plan.teacherUpdates.map((update) => ({
+      teacher_id: update.teacher_id,
+      values: Object.fromEntries(Object.entries(update.changes).map(([field, change]) => [field, change.to]))
+    })),
+    p_removal_ids: plan.assignmentRemovals.map((a) => String(a.id)),
+    p_assignments: plan.assignmentInserts,
+    p_deletion: deletionStamp(user)
+  });
+
+  if (error) return { status: 400, error: `Import failed, nothing was saved: ${error.message}` };
+  return { credentials, assigned: data?.assigned || [] };
+};
+
+// ✅ POST /api/schools/:school_id/teachers/import[?dry_run=true] - Create or update teachers and their assignments
+// multipart: file (TEACHER_ID, NAME, CONTACT, EMAIL, CLASS, SECTION, SUBJECT), replace_assignments?
+export const importTeachers = async (req, res) => {
+  const { school_id } = req.params;
+  const dryRun = req.query.dry_run === 'true';
+  const replaceAssignments = req.body?.replace_assignments === 'true' || req.query.replace_assignments === 'true';
+
+  if (!req.file) {
+    return res.status(400).json({ error: 'No file uploaded' });
+  }
+  if (!isSupportedSpreadsheet(req.file.originalname)) {
+    return res.status(400).json({ error: 'Unsupported file. Use CSV, XLSX, or XLS.' });
+  }
+
+  try {
+    const { data: school, error: schoolError } = await supabase
+      .from('schools')
+      .select('school_id')
+      .eq('school_id', school_id)
+      .maybeSingle();
+
+    if (schoolError) throw schoolError;
+    if (!school) return res.status(404).json({ error: 'School not found' });
+
+    let records;
+    try {
+      records = await parseSpreadsheet(req.file);
+    } catch (parseError) {
+      console.error('💥 File parse error:', parseError.message);
+      return res.status(400).json({ error: 'Invalid file format or corrupted file' });
+    }
+    if (!records.length) {
+      return res.status(400).json({ error: 'No data found in file' });
+    }
+
+    const [teachersResult, assignmentsResult, classesResult] = await Promise.all([
+      supabase.from('teachers').select('id, teacher_id, name, contact, email, deleted_at').eq('school_id', school_id),
+      supabase.from('teacher_assignments').select('id, teacher_id, class, section, subject').eq('school_id', school_id).is('deleted_at', null),
+      supabase.from('classes').select('class, section').eq('school_id', school_id).is('deleted_at', null)
+    ]);
+    for (const { error } of [teachersResult, assignmentsResult, classesResult]) {
+      if (error) throw error;
+    }
+
+    const parsed = readTeacherRecords(records);
+    const plan = planTeacherImport(parsed, {
+      existingTeachers: teachersResult.data || [],
+      existingAssignments: assignmentsResult.data || [],
+      classSections: new Set((classesResult.data || []).map((c) => `${c.class}-${c.section}`)),
+      replaceAssignments
+    });
+    const summary = summarizeTeacherPlan(plan, parsed.rows);
+    console.log('📊 Teacher import plan:', summary);
+
+    if (dryRun) {
+      return res.json({
+        dry_run: true,
+        school_id,
+        file_name: req.file.originalname,
+        summary,
+        ...describeTeacherPlan(plan),
+        rows: parsed.rows
+      });
+    }
+
+    const applied = await applyTeacherPlan(school_id, plan, req.user);
+    if (applied.error) {
+      return res.status(applied.status).json({ error: applied.error, summary, ...describeTeacherPlan(plan), rows: parsed.rows });
+    }
+
+    const batchId = await recordUploadBatch({
+      kind: 'teachers',
+      user: req.user,
+      school_id,
+      file: req.file,
+      file_path: await storeUploadedFile('teachers', req.file),
+      row_count: parsed.rows.length,
+      summary,
+      produced: {
+        teacher_ids: [...plan.teacherInserts.map((t) => t.teacher_id), ...plan.teacherUpdates.map((u) => u.teacher_id)],
+        assignment_ids: applied.assigned.map((a) => a.id)
+      }
+    });
+
+    return res.status(applied.credentials.length ? 201 : 200).json({
+      message: `Teachers imported: ${applied.credentials.length} added, ${plan.teacherUpdates.length} updated, ${applied.assigned.length} assignments added, ${plan.assignmentRemovals.length} removed`,
+      batch_id: batchId,
+      summary,
+      ...describeTeacherPlan(plan),
+      credentials: applied.credentials,
+      rows: parsed.rows
+    });
+  } catch (err) {
+    console.error('Teacher import error:', err);
+    return res.status(500).json({ error: 'Internal server error', details: err.message });
+  }
+};
@@ -0,0 +1,317 @@
+// server/controllers/templateController.js
+import { createClient } from '@supabase/supabase-js';
+import {
+  STATES,
+  STUDENT_COLUMN_ALIASES,
+  FOUNDATIONS,
+  PROGRAMS,
+  academicYearOptions,
+  parseClassSection
+} from './schoolController.js';
+import { SCHOOL_COLUMN_ALIASES } from './uploadController.js';
+import { TEACHER_COLUMN_ALIASES } from './teacherImportController.js';
+import { CLASS_COLUMN_ALIASES } from './classImportController.js';
+import { findMappingProfile } from './resultMappingController.js';
+import { findExamPattern } from './examPatternController.js';
+import { SUBJECTS } from '../utils/examPatterns.js';
+import { TEMPLATE_FORMATS, buildTemplateWorkbook, buildTemplateCsv } from '../utils/uploadTemplates.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// Headers of the class-section setup sheet
+export const CLASS_TEMPLATE_HEADERS = ['class', 'section', 'foundation', 'program', 'group', 'num_students']
+  .map((field) => CLASS_COLUMN_ALIASES[field][0]);
+
+const RESULT_COLUMN_LABELS = {
+  student_id: 'Student ID',
+  student_name: 'Student Name',
+  correct: 'Correct',
+  wrong: 'Wrong',
+  unattempted: 'Unattempted'
+};
+
+const distinct = (values) => [...new Set(values.filter((value) => value != null && String(value).trim() !== ''))];
+
+// The school and its class-sections, or null when the school does not exist
+const loadSchoolClasses = async (school_id) => {
+  const { data: school, error: schoolError } = await supabase
+    .from('schools')
+    .select('school_id, school_name')
+    .eq('school_id', school_id)
+    .maybeSingle();
+  if (schoolError) throw schoolError;
+  if (!school) return null;
+
+  const { data, error } = await supabase
+    .from('classes')
+    .select('class, section, foundation, program, "group", num_students')
+    .eq('school_id', school_id)
+    .order('class', { ascending: true })
+    .order('section', { ascending: true });
+  if (error) throw error;
+
+  return { school, classes: data || [] };
+};
+
+const schoolsTemplate = async () => {
+  const headers = ['school_name', 'state', 'academic_year', 'school_number_2d', 'area', 'district']
+    .map((field) => SCHOOL_COLUMN_ALIASES[field][0]);
+  const years = academicYearOptions().map((year) => year.id);
+
+  return {
+    template: {
+      sheet_name: 'Schools',
+      header_row: 1,
+      rows: [headers, ['Sample High School', 'Telangana', years[1], '01', 'Madhapur', 'Hyderabad']],
+      dropdowns: [
+        { column: 2, title: 'State', values: Object.keys(STATES) },
+        { column: 3, title: 'Academic Year', values: years }
+      ],
+      instructions: [
+        'School list upload (POST /api/upload-schools)',
+        'One school per row. Delete the sample row before uploading.',
+        'School Name, State, Academic Year and School Number are required; Area and District are optional.',
+        'State should be picked from the dropdown; state codes (TS, AP) and small misspellings are also recognised.',
+        'Academic Year looks like 2025-2026 (2025-26 is also accepted).',
+        'School Number is the 2-digit number (01-99) that, with the state and academic year, makes the school ID (e.g. Telangana, 2025-2026, 01 -> TS2501).'
+      ]
+    }
+  };
+};
+
+const studentsTemplate = async ({ school_id, class_section }) => {
+  if (!school_id) return { status: 400, error: 'school_id is required for the students template' };
+
+  const chosen = class_section ? parseClassSection(class_section) : null;
+  if (class_section && !chosen) {
+    return { status: 400, error: 'class_section must look like "<class>-<section>", e.g. "6-A"' };
+  }
+
+  const existing = await loadSchoolClasses(school_id);
+  if (!existing) return { status: 404, error: 'School not found' };
+  const { school, classes } = existing;
+
+  const fields = ['roll_no', 'name', 'class', 'section', 'gender', 'parent_phone', 'parent_email'];
+  const headers = fields.map((field) => STUDENT_COLUMN_ALIASES[field][0]);
+  const sampleClass = chosen?.classValue ?? classes[0]?.class ?? '';
+  const sampleSection = chosen?.sectionValue ?? classes[0]?.section ?? '';
+  const classSections = classes.map((row) => `${row.class}-${row.section}`);
+
+  return {
+    template: {
+      sheet_name: 'Students',
+      header_row: 1,
+      rows: [headers, ['1', 'Sample Student', sampleClass, sampleSection, 'Female', '9876543210', 'parent@example.com']],
+      dropdowns: [
+        { column: 3, title: 'Class', values: distinct(classes.map((row) => row.class)) },
+        { column: 4, title: 'Section', values: distinct(classes.map((row) => row.section)) },
+        { column: 5, title: 'Gender', values: ['Male', 'Female', 'Other'] }
+      ],
+      instructions: [
+        `Student roster upload for ${school.school_name} (POST /api/schools/${school_id}/students/upload)`,
+        'One student per row. Delete the sample row before uploading.',
+        'ROLLNO and NAME are required; the roll number is also the student\'s login ID.',
+        'Class-section upload: send the file with class_section (e.g. "6-A"). CLASS and SECTION may be left blank; rows whose CLASS/SECTION differ from class_section are skipped.',
+        `Whole-school import (POST /api/schools/${school_id}/students/import): fill CLASS and SECTION on every row, or put each class-section on its own sheet named like "6-A".`,
+        classSections.length
+          ? `Class-sections of this school: ${classSections.join(', ')}`
+          : 'This school has no classes yet: create them before uploading students.'
+      ]
+    }
+  };
+};
+
+const classesTemplate = async ({ school_id }) => {
+  const existing = school_id ? await loadSchoolClasses(school_id) : null;
+  if (school_id && !existing) return { status: 404, error: 'School not found' };
+  const rows = existing?.classes.length
+    ? existing.classes.map((row) => [row.class, row.section, row.foundation, row.program, row.group, row.num_students])
+    : [['6', 'A', FOUNDATIONS[0].id, PROGRAMS[0].id, '', 40]];
+
+  return {
+    template: {
+      sheet_name: 'Classes',
+      header_row: 1,
+      rows: [CLASS_TEMPLATE_HEADERS, ...rows],
+      dropdowns: [
+        { column: 3, title: 'Foundation', values: FOUNDATIONS.map((foundation) => foundation.id) },
+        { column: 4, title: 'Program', values: PROGRAMS.map((program) => program.id) }
+      ],
+      instructions: [
+        existing
+          ? `Class-section setup for ${existing.school.school_name} (POST /api/schools/${school_id}/classes/import)`
+          : 'Class-section setup (POST /api/schools/:school_id/classes/import)',
+        existing?.classes.length
+          ? 'The rows below are the school\'s current class-sections. Edit them or add rows below.'
+          : 'One class-section per row. Replace the sample row with your own.',
+        'Class and Section are required. Foundation and Program must be picked from the dropdowns; they are required for a new class-section.',
+        'Class-sections already set up are updated from their row; blank cells keep the current value. Class-sections left out of the sheet are not changed.'
+      ]
+    }
+  };
+};
+
+const teachersTemplate = async ({ school_id }) => {
+  if (!school_id) return { status: 400, error: 'school_id is required for the teachers template' };
+
+  const existing = await loadSchoolClasses(school_id);
+  if (!existing) return { status: 404, error: 'School not found' };
+  const { school, classes } = existing;
+
+  const headers = ['teacher_id', 'name', 'contact', 'email', 'class', 'section', 'subject']
+    .map((field) => TEACHER_COLUMN_ALIASES[field][0]);
+  const subjects = Object.values(SUBJECTS).map((subject) => subject.name);
+  const sampleClass = classes[0]?.class ?? '';
+  const sampleSection = classes[0]?.section ?? '';
+
+  return {
+    template: {
+      sheet_name: 'Teachers',
+      header_row: 1,
+      rows: [
+        headers,
+        ['T001', 'Sample Teacher', '9876543210', 'teacher@example.com', sampleClass, sampleSection, subjects[0]],
+        ['T001', '', '', '', sampleClass, sampleSection, subjects[1] ?? subjects[0]]
+      ],
+      dropdowns: [
+        { column: 5, title: 'Class', values: distinct(classes.map((row) => row.class)) },
+        { column: 6, title: 'Section', values: distinct(classes.map((row) => row.section)) },
+        { column: 7, title: 'Subject', values: subjects }
+      ],
+      instructions: [
+        `Teacher import for ${school.school_name} (POST /api/schools/${school_id}/teachers/import)`,
+        'One row per teacher and class-section-subject they teach. Delete the sample rows before uploading.',
+        'TEACHER_ID is required on every row. NAME is required for a new teacher; CONTACT and EMAIL are optional and may be left blank on a teacher\'s repeated rows.',
+        'CLASS, SECTION and SUBJECT go together. SUBJECT may list several subjects separated by commas.',
+        'Each class-section-subject has one teacher: claims by two teachers are reported as conflicts and not saved.',
+        'Send replace_assignments=true to drop the assignments of the listed teachers that the file no longer has.'
+      ]
+    }
+  };
+};
+
+// Sample values for a result row: 80% of each subject's max marks
+const sampleMarks = (pattern, subject) => {
+  const entry = pattern?.subjects.find((s) => s.subject === subject);
+  return entry ? Math.round(entry.max_marks * 0.8) : 0;
+};
+
+// ✅ Lay the mapping profile's columns out as the result parser reads them: positional
+// columns at their index, named ones after them under their header text
+const resultTemplateRows = (profile, pattern) => {
+  const subjectName = (subject) => SUBJECTS[subject]?.name || subject;
+  const fields = [
+    ...Object.entries(profile.columns).map(([key, ref]) => ({
+      ref,
+      label: RESULT_COLUMN_LABELS[key],
+      sample: { student_id: '2501001', student_name: 'Sample Student', correct: 40, wrong: 10, unattempted: 10 }[key]
+    })),
+    ...profile.subjects.flatMap((entry) => [
+      { ref: entry.marks, label: `${subjectName(entry.subject)} Marks`, sample: sampleMarks(pattern, entry.subject) },
+      ...['correct', 'wrong', 'unattempted']
+        .filter((field) => entry[field])
+        .map((field) => ({ ref: entry[field], label: `${subjectName(entry.subject)} ${RESULT_COLUMN_LABELS[field]}`, sample: 0 }))
+    ])
+  ];
+
+  let nextColumn = Math.max(-1, ...fields.map(({ ref }) => (ref.index ?? -1))) + 1;
+  const labelRow = (profile.header_row || profile.data_start_row - 1) - 1;
+  const rows = Array.from({ length: profile.data_start_row }, () => []);
+  const sample = rows[profile.data_start_row - 1];
+
+  for (const { ref, label, sample: value } of fields) {
+    const column = ref.index ?? nextColumn++;
+    if (labelRow >= 0) rows[labelRow][column] = ref.header ?? label;
+    sample[column] = value;
+  }
+
+  // A title in the otherwise empty first row keeps spreadsheet row numbers in place
+  if (labelRow > 0) rows[0][0] = `${profile.name}: data starts at row ${profile.data_start_row}`;
+
+  const width = Math.max(...rows.map((row) => row.length));
+  return {
+    rows: rows.map((row) => Array.from({ length: width }, (_, i) => row[i] ?? '')),
+    header_row: labelRow >= 0 ? labelRow + 1 : null
+  };
+};
+
+const resultsTemplate = async ({ exam_pattern, mapping_profile_id }) => {
+  const profile = await findMappingProfile(mapping_profile_id);
+  if (!profile) return { status: 404, error: `Mapping profile ${mapping_profile_id} not found` };
+
+  const pattern = exam_pattern ? await findExamPattern(exam_pattern) : null;
+  if (exam_pattern && !pattern) return { status: 404, error: `Unknown exam_pattern "${exam_pattern}"` };
+
+  const mapped = new Set(profile.subjects.map((entry) => entry.subject.toLowerCase()));
+  const unmapped = (pattern?.subjects || []).filter((entry) => !mapped.has(entry.subject));
+  if (unmapped.length) {
+    return {
+      status: 400,
+      error: `Mapping profile "${profile.name}" has no columns for ${unmapped.map((entry) => SUBJECTS[entry.subject].name).join(', ')} (exam pattern ${pattern.code})`
+    };
+  }
+
+  const { rows, header_row } = resultTemplateRows(profile, pattern);
+
+  return {
+    template: {
+      sheet_name: 'Results',
+      header_row,
+      rows,
+      dropdowns: [],
+      instructions: [
+        `Exam results upload (POST /api/exams/:exam_id/results/upload) using mapping profile "${profile.name}"`,
+        `Keep the rows above row ${profile.data_start_row} as they are and enter one student per row from row ${profile.data_start_row}. Delete the sample row before uploading.`,
+        'Send mapping_profile_id with the upload to use this layout, or let it be detected from the file.',
+        'A blank marks cell is scored from the subject\'s correct/wrong counts where the profile maps them.',
+        ...(pattern
+          ? [`Exam pattern ${pattern.code}: ${pattern.subjects.map((entry) => `${SUBJECTS[entry.subject].name} ${entry.questions} questions, ${entry.max_marks} marks`).join('; ')}`]
+          : [])
+      ]
+    }
+  };
+};
+
+const TEMPLATES = {
+  schools: schoolsTemplate,
+  students: studentsTemplate,
+  classes: classesTemplate,
+  teachers: teachersTemplate,
+  results: resultsTemplate
+};
+
+export const TEMPLATE_KINDS = Object.keys(TEMPLATES);
+
+// ✅ GET /api/templates/:kind?format=xlsx|csv - Download an upload template
+// students: ?school_id=&class_section=   classes, teachers: ?school_id=   results: ?exam_pattern=&mapping_profile_id=
+export const getTemplate = async (req, res) => {
+  const { kind } = req.params;
+  const format = String(req.query.format || 'xlsx').toLowerCase();
+
+  if (!TEMPLATES[kind]) {
+    return res.status(404).json({ error: `Unknown template "${kind}". Use one of: ${TEMPLATE_KINDS.join(', ')}` });
+  }
+  if (!TEMPLATE_FORMATS.includes(format)) {
+    return res.status(400).json({ error: `format must be one of ${TEMPLATE_FORMATS.join(', ')}` });
+  }
+
+  try {
+    const { template, status, error } = await TEMPLATES[kind](req.query);
+    if (error) return res.status(status).json({ error });
+
+    const file = format === 'csv' ? buildTemplateCsv(template) : await buildTemplateWorkbook(template);
+    const suffix = req.query.school_id ? `-${String(req.query.school_id).replace(/[^\w-]+/g, '')}` : '';
+
+    res.setHeader('Content-Type', format === 'csv'
+      ? 'text/csv; charset=utf-8'
+      : 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="${kind}-template${suffix}.${format}"`);
+    return res.send(file);
+  } catch (err) {
+    console.error('Template error:', err);
+    return res.status(500).json({ error: 'Failed to build template' });
+  }
+};
@@ -7,13 +7,229 @@ const supabase = createClient(
   process.env.SUPABASE_SERVICE_ROLE_KEY
 );
 
-import { deriveSchoolId } from './schoolController.js';
+import { deriveSchoolId, matchState, normalizeAcademicYear } from './schoolController.js';
+import { grantOwnerSchools } from './ownerController.js';
+import { storeUploadedFile, recordUploadBatch } from '../utils/uploadBatches.js';
+import { savePreview, claimPreview, releasePreview } from '../utils/uploadPreviews.js';
 
+// Header aliases accepted for each school field (case-insensitive); the first alias is
+// the header the downloadable template uses
+export const SCHOOL_COLUMN_ALIASES = {
+  school_name: ['School Name', 'SCHOOL_NAME'],
+  state: ['State', 'STATE'],
+  academic_year: ['Academic Year', 'ACADEMIC_YEAR'],
+  school_number_2d: ['School Number', 'SCHOOL_NUMBER', 'SCHOOL_NO', 'SCHOOL_NUMBER_2D'],
+  area: ['Area'],
+  district: ['District']
+};
+
+const SCHOOL_FIELDS = ['school_name', 'state', 'academic_year', 'area', 'district'];
+
+// Row statuses that are written; the rest are reported only
+const WRITTEN = new Set(['new', 'update']);
+
+// Names compare without case or extra spaces
+const nameKey = (name) => String(name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+function pick(row, wanted) {
+  const found = Object.keys(row).find(k => k.trim().toLowerCase() === wanted.toLowerCase());
+  return found ? row[found] : '';
+}
+const pickField = (row, field) => String(SCHOOL_COLUMN_ALIASES[field].map((alias) => pick(row, alias)).find(Boolean) || '').trim();
+
+// ✅ Check each row on its own: required fields, state, academic year and school number.
+// Returns one entry per row with the school it describes or its errors.
+export const readSchoolRecords = (json) => json.map((r, i) => {
+  const row = i + 2;
+  const school_name = pickField(r, 'school_name');
+  const stateInput = pickField(r, 'state');
+  const yearInput = pickField(r, 'academic_year');
+  const numberInput = pickField(r, 'school_number_2d');
+  const errors = [];
+
+  const missing = ['school_name', 'state', 'academic_year', 'school_number_2d']
+    .filter((field) => !pickField(r, field))
+    .map((field) => SCHOOL_COLUMN_ALIASES[field][0]);
+  if (missing.length) errors.push(`Missing ${missing.join(', ')}`);
+
+  const stateMatch = stateInput ? matchState(stateInput) : null;
+  if (stateMatch && !stateMatch.state) {
+    errors.push(`Unknown state "${stateInput}"${stateMatch.suggestions.length ? ` (did you mean ${stateMatch.suggestions.join(' or ')}?)` : ''}`);
+  }
+
+  const academic_year = yearInput ? normalizeAcademicYear(yearInput) : null;
+  if (yearInput && !academic_year) errors.push(`Academic Year "${yearInput}" must look like 2025-2026`);
+
+  const number = /^\d{1,2}$/.test(numberInput) ? parseInt(numberInput, 10) : NaN;
+  if (numberInput && !(number >= 1 && number <= 99)) errors.push(`School Number "${numberInput}" must be a number from 01 to 99`);
+
+  if (errors.length) return { row, school_name: school_name || null, status: 'invalid', errors };
+
+  const school = {
+    school_id: deriveSchoolId({ state: stateMatch.state, academic_year, school_number_2d: number }),
+    school_name,
+    state: stateMatch.state,
+    academic_year,
+    area: pickField(r, 'area') || null,
+    district: pickField(r, 'district') || null
+  };
+
+  return {
+    row,
+    school_id: school.school_id,
+    school_name,
+    status: 'new',
+    school,
+    ...(stateMatch.matched !== 'name' ? { state_input: stateInput, state_matched: stateMatch.matched } : {})
+  };
+});
+
+// ✅ Decide what happens to each valid row:
+//   duplicate  same school_id and name as an earlier row
+//   collision  same school_id as a differently named school in the file or the database
+//   forbidden  the school exists and belongs to another owner
+//   new | update | unchanged
+// A school renamed on purpose can be let through with allowRenames.
+const planSchoolUpload = async (records, { scope, allowRenames }) => {
+  const entries = records.map((record) => ({ ...record }));
+  const valid = entries.filter((entry) => entry.school);
+
+  const inFile = new Map();
+  for (const entry of valid) {
+    if (!inFile.has(entry.school_id)) inFile.set(entry.school_id, []);
+    inFile.get(entry.school_id).push(entry);
+  }
+  for (const group of inFile.values()) {
+    const names = [...new Set(group.map((entry) => nameKey(entry.school_name)))];
+    if (names.length > 1) {
+      for (const entry of group) {
+        entry.status = 'collision';
+        entry.errors = [`School ID ${entry.school_id} is also derived for ${group.filter((other) => other !== entry).map((other) => `"${other.school_name}" (row ${other.row})`).join(', ')}`];
+      }
+      continue;
+    }
+    group.slice(1).forEach((entry) => {
+      entry.status = 'duplicate';
+      entry.errors = [`Same school as row ${group[0].row}`];
+    });
+  }
+
+  const pending = valid.filter((entry) => entry.status === 'new');
+  let existing = [];
+  if (pending.length) {
+    const { data, error } = await supabase
+      .from('school_list')
+      .select('school_id, school_name, state, academic_year, area, district')
+      .in('school_id', pending.map((entry) => entry.school_id));
+    if (error) throw error;
+    existing = data || [];
+  }
+  const existingById = new Map(existing.map((school) => [school.school_id, school]));
+
+  for (const entry of pending) {
+    const current = existingById.get(entry.school_id);
+    if (!current) continue;
+
+    // Owners may not overwrite schools that belong to someone else
+    if (scope && !scope.allSchools && !scope.schoolIds.includes(entry.school_id)) {
+      entry.status = 'forbidden';
+      entry.errors = [`School ${entry.school_id} already exists and is managed by another owner`];
+      continue;
+    }
+
+    if (nameKey(current.school_name) !== nameKey(entry.school_name) && !allowRenames) {
+      entry.status = 'collision';
+      entry.existing_name = current.school_name;
+      entry.errors = [`School ID ${entry.school_id} already belongs to "${current.school_name}"`];
+      continue;
+    }
+
+    const changes = {};
+    for (const field of SCHOOL_FIELDS) {
+      if (String(entry.school[field] ?? '') !== String(current[field] ?? '')) {
+        changes[field] = { from: current[field] ?? null, to: entry.school[field] };
+      }
+    }
+    entry.status = Object.keys(changes).length ? 'update' : 'unchanged';
+    if (entry.status === 'update') entry.changes = changes;
+  }
+
+  return entries;
+};
+
+const summarizeSchoolPlan = (entries) => {
+  const count = (status) => entries.filter((entry) => entry.status === status).length;
+  return {
+    total_rows: entries.length,
+    added: count('new'),
+    updated: count('update'),
+    unchanged: count('unchanged'),
+    duplicates: count('duplicate'),
+    collisions: count('collision'),
+    forbidden: count('forbidden'),
+    invalid: count('invalid')
+  };
+};
+
+const schoolPlanSignature = (entries) => JSON.stringify(
+  entries.filter((entry) => WRITTEN.has(entry.status)).map((entry) => [entry.status, entry.school_id, entry.changes || null])
+);
+
+// Rows as reported back: without the internal school object
+const describeSchoolRows = (entries) => entries.map(({ school, ...entry }) => entry);
+
+const collisionsOf = (entries) => entries
+  .filter((entry) => entry.status === 'collision')
+  .map((entry) => ({
+    row: entry.row,
+    school_id: entry.school_id,
+    school_name: entry.school_name,
+    ...(entry.existing_name ? { existing_name: entry.existing_name } : {}),
+    error: entry.errors[0]
+  }));
+
+// ✅ Upsert the new and changed schools and grant owners the schools they upload
+const applySchoolPlan = async (entries, user) => {
+  const batch = entries.filter((entry) => WRITTEN.has(entry.status)).map((entry) => entry.school);
+
+  if (batch.length > 0) {
+    const { error } = await supabase
+      .from('school_list')
+      .upsert(batch, { onConflict: 'school_id', ignoreDuplicates: false });
+
+    if (error) throw error;
+
+    // Owners manage the schools they upload
+    if (user?.role === 'SCHOOL_OWNER') {
+      await grantOwnerSchools(user.id, batch.map((row) => row.school_id), user.id);
+    }
+  }
+
+  return batch;
+};
+
+const schoolUploadResponse = (entries, batch) => {
+  const problems = entries.filter((entry) => entry.errors?.length);
+  return {
+    inserted: batch.length,
+    skipped: problems.length,
+    errors: problems.map((entry) => `Row ${entry.row}: ${entry.errors.join('; ')}`),
+    summary: summarizeSchoolPlan(entries),
+    collisions: collisionsOf(entries),
+    rows: describeSchoolRows(entries)
+  };
+};
+
+// ✅ POST /api/upload-schools[?dry_run=true] - Add or update schools from a sheet
+// multipart: file, allow_renames? (let a row rename the school that already has its ID)
 export const uploadSchools = async (req, res) => {
   if (!req.file) {
     return res.status(400).json({ error: 'No file uploaded' });
   }
 
+  const dryRun = req.query.dry_run === 'true';
+  const allowRenames = req.body?.allow_renames === 'true' || req.query.allow_renames === 'true';
+
   try {
     const wb = XLSX.read(req.file.buffer, { type: 'buffer' });
     const ws = wb.Sheets[wb.SheetNames[0]];
@@ -23,57 +239,101 @@ export const uploadSchools = async (req, res) => {
       return res.json({ inserted: 0, skipped: 0, message: 'No data in file' });
     }
 
-    function pick(row, wanted) {
-      const found = Object.keys(row).find(k => k.trim().toLowerCase() === wanted.toLowerCase());
-      return found ? row[found] : '';
-    }
-
-    const batch = [];
-    const errors = [];
-
-    for (let i = 0; i < json.length; i++) {
-      const r = json[i];
-      const school_name = pick(r, 'School Name') || pick(r, 'SCHOOL_NAME');
-      const state = pick(r, 'State') || pick(r, 'STATE');
-      const academic_year = pick(r, 'Academic Year') || pick(r, 'ACADEMIC_YEAR');
-      const school_number_2d =
-        pick(r, 'School Number') ||
-        pick(r, 'SCHOOL_NUMBER') ||
-        pick(r, 'SCHOOL_NO') ||
-        pick(r, 'SCHOOL_NUMBER_2D');
-
-      if (!school_name || !state || !academic_year || !school_number_2d) {
-        errors.push(`Row ${i + 1}: Missing required fields`);
-        continue;
-      }
+    const records = readSchoolRecords(json);
+    const entries = await planSchoolUpload(records, { scope: req.scope, allowRenames });
+    const summary = summarizeSchoolPlan(entries);
+    console.log('📊 School upload plan:', summary);
 
-      const school_id = deriveSchoolId({ state, academic_year, school_number_2d });
-      if (!school_id) {
-        errors.push(`Row ${i + 1}: Invalid SCHOOL_ID derivation`);
-        continue;
-      }
+    if (dryRun) {
+      const changes = summary.added + summary.updated;
+      const preview = changes
+        ? await savePreview({
+            kind: 'schools',
+            school_id: null,
+            created_by: req.user?.id,
+            payload: {
+              file_name: req.file.originalname,
+              file_path: await storeUploadedFile('schools', req.file),
+              row_count: json.length,
+              allow_renames: allowRenames,
+              records,
+              signature: schoolPlanSignature(entries)
+            },
+            summary
+          })
+        : { preview_id: null, expires_at: null };
 
-      batch.push({
-        school_id,
-        school_name,
-        state,
-        academic_year,
-        area: pick(r, 'Area') || null,
-        district: pick(r, 'District') || null,
+      return res.json({
+        dry_run: true,
+        ...preview,
+        file_name: req.file.originalname,
+        summary,
+        collisions: collisionsOf(entries),
+        rows: describeSchoolRows(entries)
       });
     }
 
-    if (batch.length > 0) {
-      const { data, error } = await supabase
-        .from('school_list')
-        .upsert(batch, { onConflict: 'school_id', ignoreDuplicates: false });
+    const batch = await applySchoolPlan(entries, req.user);
 
-      if (error) throw error;
-    }
+    const batchId = await recordUploadBatch({
+      kind: 'schools',
+      user: req.user,
+      file: req.file,
+      file_path: await storeUploadedFile('schools', req.file),
+      row_count: json.length,
+      summary,
+      produced: { school_ids: batch.map((row) => row.school_id) }
+    });
 
-    return res.json({ inserted: batch.length, skipped: errors.length, errors });
+    return res.json({ ...schoolUploadResponse(entries, batch), batch_id: batchId });
   } catch (err) {
     console.error('Upload error:', err);
     return res.status(500).json({ error: err.message });
   }
-};
\ No newline at end of file
+};
+
+// ✅ POST /api/upload-schools/commit - Apply a previewed school upload
+// body: { preview_id }
+export const commitSchoolUpload = async (req, res) => {
+  const { preview_id } = req.body || {};
+
+  if (!preview_id) {
+    return res.status(400).json({ error: 'preview_id is required' });
+  }
+
+  let claimedId = null;
+  try {
+    const { preview, status, error } = await claimPreview({ id: preview_id, kind: 'schools' });
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    claimedId = preview.id;
+
+    const payload = preview.payload;
+    const entries = await planSchoolUpload(payload.records, { scope: req.scope, allowRenames: payload.allow_renames });
+
+    // The schools changed since the preview (or the caller may not write them) — refuse
+    if (schoolPlanSignature(entries) !== payload.signature) {
+      await releasePreview(claimedId);
+      return res.status(409).json({ error: 'The schools changed since the preview. Run the dry run again.' });
+    }
+
+    const batch = await applySchoolPlan(entries, req.user);
+
+    const batchId = await recordUploadBatch({
+      kind: 'schools',
+      user: req.user,
+      file_name: payload.file_name,
+      file_path: payload.file_path || null,
+      row_count: payload.row_count,
+      summary: summarizeSchoolPlan(entries),
+      produced: { school_ids: batch.map((row) => row.school_id) }
+    });
+
+    return res.json({ ...schoolUploadResponse(entries, batch), preview_id, batch_id: batchId });
+  } catch (err) {
+    console.error('Commit school upload error:', err);
+    if (claimedId) await releasePreview(claimedId);
+    return res.status(500).json({ error: 'Internal server error', details: err.message });
+  }
+};
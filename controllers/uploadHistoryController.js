@@ -0,0 +1,266 @@
+// server/controllers/uploadHistoryController.js
+import { createClient } from '@supabase/supabase-js';
+import { scopeSchoolIds } from '../middleware/permissions.js';
+import { STUDENT_COLUMNS, recalculateExamStats } from './schoolController.js';
+import { readUploadedFile } from '../utils/uploadBatches.js';
+import { whereExamContext, contextOf, recordResultVersion } from '../utils/resultVersions.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+const EXAM_KINDS = ['exam_results', 'exam_responses'];
+
+const BATCH_COLUMNS = 'id, kind, school_id, program, exam_pattern, class, section, exam_date, file_name, file_size, file_type, file_path, row_count, summary, produced, version_id, uploaded_by, uploader_role, created_at, deleted_at, deleted_by';
+
+// School uploads have no single school: owners see the ones they uploaded themselves
+const canSeeBatch = (req, batch) => {
+  if (req.scope?.allSchools) return true;
+  if (batch.school_id) return req.scope.schoolIds.includes(batch.school_id);
+  return batch.uploaded_by === String(req.user.id);
+};
+
+const loadBatch = async (id) => {
+  const { data, error } = await supabase.from('upload_batches').select(BATCH_COLUMNS).eq('id', id).maybeSingle();
+  if (error) throw error;
+  return data;
+};
+
+// A later replace or rollback of the same exam threw this batch's rows away
+const isSuperseded = async (batch) => {
+  const version = batch.summary?.version;
+  if (!version) return false;
+
+  const { count, error } = await whereExamContext(
+    supabase.from('exam_result_versions').select('id', { count: 'exact', head: true }),
+    contextOf(batch)
+  )
+    .gt('version', version)
+    .in('mode', ['replace', 'rollback']);
+
+  if (error) throw error;
+  return count > 0;
+};
+
+// ✅ GET /api/uploads?school_id=&kind=&program=&exam_pattern=&class=&section=&exam_date=&uploaded_by=&from=&to=&limit=&offset=
+export const listUploads = async (req, res) => {
+  const { school_id, kind, program, exam_pattern, class: examClass, section, exam_date, uploaded_by, from, to } = req.query;
+  const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_LIMIT, MAX_LIMIT);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+  if (from && isNaN(Date.parse(from))) {
+    return res.status(400).json({ error: 'Invalid from date. Use YYYY-MM-DD or an ISO timestamp.' });
+  }
+  if (to && isNaN(Date.parse(to))) {
+    return res.status(400).json({ error: 'Invalid to date. Use YYYY-MM-DD or an ISO timestamp.' });
+  }
+
+  try {
+    let query = supabase
+      .from('upload_batches')
+      .select(BATCH_COLUMNS, { count: 'exact' })
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    // Same rule as canSeeBatch: the caller's schools, plus their own uploads without a school
+    const allowedSchoolIds = scopeSchoolIds(req.scope);
+    if (allowedSchoolIds) {
+      const ownUploads = `and(school_id.is.null,uploaded_by.eq.${req.user.id})`;
+      query = allowedSchoolIds.length
+        ? query.or(`school_id.in.(${allowedSchoolIds.join(',')}),${ownUploads}`)
+        : query.or(ownUploads);
+    }
+
+    if (school_id) query = query.eq('school_id', school_id);
+    if (kind) query = query.eq('kind', kind);
+    if (program) query = query.eq('program', program);
+    if (exam_pattern) query = query.eq('exam_pattern', String(exam_pattern).toUpperCase());
+    if (examClass) query = query.eq('class', examClass);
+    if (section) query = query.eq('section', section);
+    if (exam_date) query = query.eq('exam_date', exam_date);
+    if (uploaded_by) query = query.eq('uploaded_by', uploaded_by);
+    if (from) query = query.gte('created_at', new Date(from).toISOString());
+    // A bare date for "to" includes that whole day
+    if (to) {
+      const toDate = /^\d{4}-\d{2}-\d{2}$/.test(to)
+        ? new Date(Date.parse(to) + 24 * 60 * 60 * 1000)
+        : new Date(to);
+      query = query.lt('created_at', toDate.toISOString());
+    }
+
+    const { data, error, count } = await query;
+    if (error) throw error;
+
+    return res.json({ data: data || [], total: count ?? null, limit, offset });
+  } catch (err) {
+    console.error('List uploads error:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// ✅ GET /api/uploads/:batch_id - A batch with its raw rows and the rows it produced
+export const getUpload = async (req, res) => {
+  try {
+    const batch = await loadBatch(req.params.batch_id);
+    if (!batch || !canSeeBatch(req, batch)) return res.status(404).json({ error: 'Upload not found' });
+
+    const produced = batch.produced || {};
+    let raw_rows = [];
+    let rows = [];
+    let superseded = false;
+
+    if (EXAM_KINDS.includes(batch.kind)) {
+      if (batch.version_id) {
+        const { data, error } = await supabase
+          .from('upload')
+          .select('row_index, data')
+          .eq('version_id', batch.version_id)
+          .order('row_index', { ascending: true });
+        if (error) throw error;
+        raw_rows = data || [];
+      }
+
+      if (!batch.deleted_at && produced.student_ids?.length) {
+        const { data, error } = await whereExamContext(supabase.from('exams').select('*'), contextOf(batch))
+          .in('student_id', produced.student_ids);
+        if (error) throw error;
+        rows = data || [];
+        superseded = await isSuperseded(batch);
+      }
+    } else if (batch.kind === 'students') {
+      const studentIds = [...(produced.added || []), ...(produced.updated || []), ...(produced.withdrawn || [])];
+      if (studentIds.length) {
+        const { data, error } = await supabase
+          .from('students')
+          .select(STUDENT_COLUMNS)
+          .eq('school_id', batch.school_id)
+          .in('student_id', studentIds);
+        if (error) throw error;
+        rows = data || [];
+      }
+    } else if (batch.kind === 'schools' && produced.school_ids?.length) {
+      const { data, error } = await supabase
+        .from('school_list')
+        .select('*')
+        .in('school_id', produced.school_ids);
+      if (error) throw error;
+      rows = data || [];
+    } else if (batch.kind === 'teachers' && produced.teacher_ids?.length) {
+      const { data, error } = await supabase
+        .from('teachers')
+        .select('id, school_id, teacher_id, name, contact, email')
+        .eq('school_id', batch.school_id)
+        .in('teacher_id', produced.teacher_ids);
+      if (error) throw error;
+      rows = data || [];
+    } else if (batch.kind === 'classes') {
+      const classSections = new Set([...(produced.added || []), ...(produced.updated || [])]);
+      if (classSections.size) {
+        const { data, error } = await supabase
+          .from('classes')
+          .select('*')
+          .eq('school_id', batch.school_id);
+        if (error) throw error;
+        rows = (data || []).filter((row) => classSections.has(`${row.class}-${row.section}`));
+      }
+    }
+
+    return res.json({ data: { ...batch, superseded }, raw_rows, rows });
+  } catch (err) {
+    console.error('Get upload error:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// ✅ GET /api/uploads/:batch_id/file - Download the original file
+export const downloadUpload = async (req, res) => {
+  try {
+    const batch = await loadBatch(req.params.batch_id);
+    if (!batch || !canSeeBatch(req, batch)) return res.status(404).json({ error: 'Upload not found' });
+    if (!batch.file_path) return res.status(404).json({ error: 'The original file was not stored for this upload' });
+
+    const buffer = await readUploadedFile(batch.file_path);
+
+    // attachment() encodes any file name (RFC 5987), e.g. one in Telugu or Hindi
+    res.attachment(batch.file_name || 'upload');
+    res.type(batch.file_type || 'application/octet-stream');
+    return res.send(buffer);
+  } catch (err) {
+    console.error('Download upload error:', err);
+    return res.status(500).json({ error: 'Failed to download file' });
+  }
+};
+
+// ✅ DELETE /api/uploads/:batch_id - Remove the results an exam upload produced and recalculate ranks
+export const deleteUpload = async (req, res) => {
+  try {
+    const batch = await loadBatch(req.params.batch_id);
+    if (!batch || !canSeeBatch(req, batch)) return res.status(404).json({ error: 'Upload not found' });
+
+    if (!EXAM_KINDS.includes(batch.kind)) {
+      return res.status(400).json({ error: 'Only exam result uploads can be deleted' });
+    }
+    if (batch.deleted_at) {
+      return res.status(409).json({ error: 'This upload has already been deleted' });
+    }
+    if (await isSuperseded(batch)) {
+      return res.status(409).json({ error: 'A later replace or rollback already removed these results. Use the result versions to restore instead.' });
+    }
+
+    const context = contextOf(batch);
+
+    // Removing a replace upload's rows would not bring back the results it replaced
+    if (batch.summary?.mode === 'replace') {
+      const { data: previous, error: previousError } = await whereExamContext(
+        supabase.from('exam_result_versions').select('id, version, row_count'),
+        context
+      )
+        .lt('version', batch.summary.version)
+        .order('version', { ascending: false })
+        .limit(1);
+      if (previousError) throw previousError;
+
+      if (previous?.[0]?.row_count) {
+        return res.status(409).json({
+          error: 'This upload replaced earlier results. Roll back to the version before it instead.',
+          rollback_version_id: previous[0].id,
+          rollback_version: previous[0].version
+        });
+      }
+    }
+
+    const studentIds = batch.produced?.student_ids || [];
+
+    const { data: removed, error: deleteError } = studentIds.length
+      ? await whereExamContext(supabase.from('exams').delete(), context).in('student_id', studentIds).select('id')
+      : { data: [], error: null };
+    if (deleteError) throw deleteError;
+
+    if (batch.kind === 'exam_responses' && batch.summary?.answer_key_id && studentIds.length) {
+      const { error: responsesError } = await supabase
+        .from('exam_responses')
+        .delete()
+        .eq('answer_key_id', batch.summary.answer_key_id)
+        .in('student_id', studentIds);
+      if (responsesError) console.error('⚠️ Failed to delete stored responses:', responsesError);
+    }
+
+    await recalculateExamStats(context);
+    const version = await recordResultVersion(context, { mode: 'batch_delete', file_name: batch.file_name, created_by: req.user?.id });
+
+    const { error: markError } = await supabase
+      .from('upload_batches')
+      .update({ deleted_at: new Date().toISOString(), deleted_by: req.user?.id ? String(req.user.id) : null })
+      .eq('id', batch.id);
+    if (markError) throw markError;
+
+    return res.json({ success: true, removed: (removed || []).length, version: version.version });
+  } catch (err) {
+    console.error('Delete upload error:', err);
+    return res.status(500).json({ error: 'Failed to delete upload', details: err.message });
+  }
+};
@@ -9,12 +9,43 @@ import multer from 'multer';
 import authRoutes from './routes/auth.js';
 import schoolRoutes from './routes/schools.js';
 import uploadRoutes from './routes/upload.js';
+import ownerRoutes from './routes/owners.js';
+import resultMappingRoutes from './routes/resultMappings.js';
+import examPatternRoutes from './routes/examPatterns.js';
+import answerKeyRoutes from './routes/answerKeys.js';
+import uploadHistoryRoutes from './routes/uploads.js';
+import jobRoutes from './routes/jobs.js';
 
 // Controllers
 import * as schoolController from './controllers/schoolController.js';
+import * as auditController from './controllers/auditController.js';
+import * as templateController from './controllers/templateController.js';
+import * as teacherImportController from './controllers/teacherImportController.js';
+import * as classImportController from './controllers/classImportController.js';
+import * as academicYearController from './controllers/academicYearController.js';
+import * as studentTransferController from './controllers/studentTransferController.js';
+import { startPurgeSchedule } from './controllers/schoolDeletionController.js';
 
 // Middleware
 import { errorHandler } from './middleware/errorHandler.js';
+import { requireAuth } from './middleware/auth.js';
+import { loginThrottle, setThrottleStore } from './middleware/loginThrottle.js';
+import { RedisStore } from './utils/rateLimitStore.js';
+import { failInterruptedJobs } from './utils/importJobs.js';
+import { auditTrail, auditAs, rowSnapshot, examContextTarget } from './middleware/audit.js';
+import {
+  authorize,
+  fromParams,
+  fromBody,
+  fromQuery,
+  classById,
+  assignmentById,
+  studentFromQuery,
+  studentByParam,
+  teacherFromRequest,
+  examById,
+  resultVersionById
+} from './middleware/permissions.js';
 
 // =========================
 // 🔧 Configuration
@@ -28,6 +59,21 @@ if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_ROLE_KEY) {
   process.exit(1);
 }
 
+// Validate token signing secret
+if (!process.env.JWT_SECRET) {
+  console.error('❌ Missing JWT_SECRET env var');
+  process.exit(1);
+}
+
+// Share login throttling across instances when Redis is configured
+if (process.env.REDIS_URL) {
+  const { createClient } = await import('redis');
+  const redis = createClient({ url: process.env.REDIS_URL });
+  redis.on('error', (err) => console.error('❌ Redis error:', err));
+  await redis.connect();
+  setThrottleStore(new RedisStore(redis));
+}
+
 // Configure multer for file uploads
 const upload = multer({ 
   limits: { fileSize: 10 * 1024 * 1024 } // 10MB limit
@@ -39,6 +85,11 @@ const upload = multer({
 
 const app = express();
 
+// Behind a proxy (Render, Vercel…) req.ip must come from X-Forwarded-For for per-IP throttling
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', parseInt(process.env.TRUST_PROXY, 10) || process.env.TRUST_PROXY);
+}
+
 const FRONTEND_URLS = [
   "http://localhost:5173",
   "https://ra-portal-frontend.vercel.app",
@@ -75,6 +126,12 @@ app.get('/', (req, res) => {
 
 app.get('/health', (req, res) => res.status(200).send('ok'));
 
+// Every /api route below requires a Bearer access token, except the login endpoints
+app.use('/api', requireAuth);
+
+// Every successful POST/PUT/PATCH/DELETE by a signed-in user is written to audit_log
+app.use('/api', auditTrail);
+
 // Authentication routes
 app.use('/api/login', authRoutes);
 
@@ -84,48 +141,129 @@ app.use('/api/schools', schoolRoutes);
 // Upload routes (bulk school upload)
 app.use('/api/upload-schools', uploadRoutes);
 
+// Owner accounts and their school access (central admin only)
+app.use('/api/owners', ownerRoutes);
+app.use('/api/result-mappings', resultMappingRoutes);
+app.use('/api/exam-patterns', examPatternRoutes);
+app.use('/api/answer-keys', answerKeyRoutes);
+app.use('/api/uploads', uploadHistoryRoutes);
+app.use('/api/jobs', jobRoutes);
+
 // =========================
 // 🆕 New Routes for Class/Teacher, Student, and Exam Registration
 // =========================
 
 // Classes routes
-app.post('/api/classes', schoolController.createClass);
-app.put('/api/classes/:id', schoolController.updateClass);           // ✅ ADDED
-app.delete('/api/classes/:id', schoolController.deleteClass); 
+app.post('/api/classes', authorize('classes:write', fromBody), auditAs('class.create'), schoolController.createClass);
+app.put('/api/classes/:id', authorize('classes:write', classById), auditAs('class.update', { snapshot: rowSnapshot('classes') }), schoolController.updateClass);           // ✅ ADDED
+app.post('/api/schools/:school_id/classes/import',
+  upload.single('file'),
+  authorize('classes:write', fromParams()),
+  auditAs('classes.import'),
+  classImportController.importClasses
+);
+app.post('/api/schools/:school_id/classes/import/commit',
+  authorize('classes:write', fromParams()),
+  auditAs('classes.import'),
+  classImportController.commitClassImport
+);
+app.delete('/api/classes/:id', authorize('classes:write', classById), auditAs('class.delete', { snapshot: rowSnapshot('classes') }), schoolController.deleteClass); 
+app.post('/api/classes/:id/restore', authorize('classes:write', classById), auditAs('class.restore', { snapshot: rowSnapshot('classes') }), schoolController.restoreClass);
 
 // Teachers routes
-app.post('/api/teachers', schoolController.createTeacher);
-app.post('/api/teachers/ranks', schoolController.getTeacherRanks);
-app.get('/api/teachers/:teacher_id/ranks', schoolController.getTeacherRanks);
+app.post('/api/teachers', authorize('teachers:write', fromBody), auditAs('teacher.create'), schoolController.createTeacher);
+app.post('/api/teachers/ranks', authorize('teachers:ranks', teacherFromRequest), schoolController.getTeacherRanks);
+app.get('/api/teachers/:teacher_id/ranks', authorize('teachers:ranks', teacherFromRequest), schoolController.getTeacherRanks);
+app.get('/api/teachers/:teacher_id', authorize('teachers:read', teacherFromRequest), schoolController.getTeacher);
+app.put('/api/teachers/:teacher_id', authorize('teachers:write', teacherFromRequest), auditAs('teacher.update', { snapshot: rowSnapshot('teachers', { column: 'teacher_id', param: 'teacher_id', columns: schoolController.TEACHER_COLUMNS, bySchool: true }) }), schoolController.updateTeacher);
+app.delete('/api/teachers/:teacher_id', authorize('teachers:write', teacherFromRequest), auditAs('teacher.delete', { snapshot: rowSnapshot('teachers', { column: 'teacher_id', param: 'teacher_id', columns: schoolController.TEACHER_COLUMNS, bySchool: true }) }), schoolController.deleteTeacher);
+app.post('/api/teachers/:teacher_id/restore', authorize('teachers:write', teacherFromRequest), auditAs('teacher.restore', { snapshot: rowSnapshot('teachers', { column: 'teacher_id', param: 'teacher_id', columns: schoolController.TEACHER_COLUMNS, bySchool: true }) }), schoolController.restoreTeacher);
 
 // Teacher assignments routes
-app.post('/api/teacher-assignments', schoolController.assignTeacherToClass);
-app.put('/api/teacher-assignments/:id', schoolController.updateTeacherAssignment);           // ✅ ADDED
-app.delete('/api/teacher-assignments/:id', schoolController.deleteTeacherAssignment); 
+app.post('/api/schools/:school_id/teachers/import',
+  upload.single('file'),
+  authorize('teachers:write', fromParams()),
+  auditAs('teachers.import'),
+  teacherImportController.importTeachers
+);
+app.post('/api/teacher-assignments', authorize('teachers:write', fromBody), auditAs('teacher_assignment.create'), schoolController.assignTeacherToClass);
+app.put('/api/teacher-assignments/:id', authorize('teachers:write', assignmentById), auditAs('teacher_assignment.update', { snapshot: rowSnapshot('teacher_assignments') }), schoolController.updateTeacherAssignment);           // ✅ ADDED
+app.delete('/api/teacher-assignments/:id', authorize('teachers:write', assignmentById), auditAs('teacher_assignment.delete', { snapshot: rowSnapshot('teacher_assignments') }), schoolController.deleteTeacherAssignment); 
+app.post('/api/teacher-assignments/:id/restore', authorize('teachers:write', assignmentById), auditAs('teacher_assignment.restore', { snapshot: rowSnapshot('teacher_assignments') }), schoolController.restoreTeacherAssignment);
 // Students upload route
 app.post('/api/schools/:school_id/students/upload', 
   upload.single('file'), 
+  authorize('students:write', fromParams()),
+  auditAs('students.upload', { target: (req) => ({ class_section: req.body?.class_section }) }),
   schoolController.uploadStudents
 );
-app.get('/api/schools/:school_id/students', schoolController.getStudentsByClassSection);
-app.post('/api/students/login', schoolController.loginStudentByStudentId);
-app.post('/api/teachers/login', schoolController.loginTeacherByTeacherId);
+app.post('/api/schools/:school_id/students/import',
+  upload.single('file'),
+  authorize('students:write', fromParams()),
+  auditAs('students.import'),
+  schoolController.importSchoolStudents
+);
+app.post('/api/schools/:school_id/students/upload/commit',
+  authorize('students:write', fromParams()),
+  auditAs('students.upload'),
+  schoolController.commitStudentUpload
+);
+app.get('/api/schools/:school_id/students', authorize('students:read', fromQuery), schoolController.getStudentsByClassSection);
+app.post('/api/schools/:school_id/students', authorize('students:write', fromParams()), auditAs('student.create'), schoolController.createStudent);
+// Student transfers between class-sections and schools
+app.post('/api/students/:student_id/transfer',
+  authorize('students:write', studentByParam),
+  auditAs('student.transfer', { snapshot: rowSnapshot('students', { column: 'student_id', param: 'student_id', columns: schoolController.STUDENT_COLUMNS }) }),
+  studentTransferController.transferStudent
+);
+app.get('/api/students/:student_id/transfers', authorize('students:read', studentByParam), studentTransferController.getStudentTransfers);
+app.get('/api/students/:student_id', authorize('students:read', studentByParam), schoolController.getStudent);
+app.put('/api/students/:student_id', authorize('students:write', studentByParam), auditAs('student.update', { snapshot: rowSnapshot('students', { column: 'student_id', param: 'student_id', columns: schoolController.STUDENT_COLUMNS }) }), schoolController.updateStudent);
+app.delete('/api/students/:student_id', authorize('students:write', studentByParam), auditAs('student.delete', { snapshot: rowSnapshot('students', { column: 'student_id', param: 'student_id', columns: schoolController.STUDENT_COLUMNS }) }), schoolController.deleteStudent);
+app.post('/api/students/:student_id/restore', authorize('students:write', studentByParam), auditAs('student.restore', { snapshot: rowSnapshot('students', { column: 'student_id', param: 'student_id', columns: schoolController.STUDENT_COLUMNS }) }), schoolController.restoreStudent);
+app.post('/api/students/login',
+  loginThrottle('STUDENT', (body) => String(body.student_id || '').trim()),
+  schoolController.loginStudentByStudentId
+);
+app.post('/api/teachers/login',
+  loginThrottle('TEACHER', (body) => String(body.teacher_id || '').trim().toUpperCase()),
+  schoolController.loginTeacherByTeacherId
+);
 
 // Get single school by ID (used in ExamsRegistration.jsx for class dropdown)
-app.get('/api/schools/:school_id', schoolController.getSchoolById);
+app.get('/api/schools/:school_id', authorize('schools:read', fromParams()), schoolController.getSchoolById);
 
 // Get all exams (used to populate exams table in ExamsRegistration.jsx)
-app.get('/api/exams', schoolController.getExams);
+app.get('/api/exams', authorize('exams:read', fromQuery), schoolController.getExams);
 // Exams creation
-app.post('/api/exams', schoolController.createExam);
-app.post('/api/exams/:exam_id/results/upload', upload.single('file'), schoolController.uploadExamResults);
-app.get('/api/exams/results', schoolController.getStudentExamResults);
-app.put('/api/schools/:school_id/logo', schoolController.updateSchoolLogo);
-app.get('/api/queries/dashboard', schoolController.getDashboardData); 
+app.post('/api/exams', authorize('exams:write', fromBody), auditAs('exam.create'), schoolController.createExam);
+app.post('/api/exams/:exam_id/results/upload', upload.single('file'), authorize('exams:write', fromBody), auditAs('exam_results.upload', { target: examContextTarget }), schoolController.uploadExamResults);
+app.post('/api/exams/:exam_id/responses/upload', upload.single('file'), authorize('exams:write', fromBody), auditAs('exam_responses.upload', { target: examContextTarget }), schoolController.uploadExamResponses);
+app.get('/api/exams/results', authorize('results:read', studentFromQuery), schoolController.getStudentExamResults);
+app.get('/api/exams/results/versions', authorize('exams:read', fromQuery), schoolController.getResultVersions);
+app.get('/api/exams/results/versions/:id', authorize('exams:read', resultVersionById), schoolController.getResultVersion);
+app.post('/api/exams/results/versions/:id/rollback', authorize('exams:write', resultVersionById), auditAs('exam_results.rollback', { snapshot: rowSnapshot('exam_result_versions', { columns: 'id, school_id, program, exam_pattern, class, section, exam_date, version' }) }), schoolController.rollbackResultVersion);
+// Registered after /api/exams/results so "results" is not read as an exam id
+app.get('/api/exams/:id', authorize('exams:read', examById), schoolController.getExam);
+app.put('/api/exams/:id', authorize('exams:write', examById), auditAs('exam.update', { snapshot: rowSnapshot('exams') }), schoolController.updateExam);
+app.delete('/api/exams/:id', authorize('exams:write', examById), auditAs('exam.delete', { snapshot: rowSnapshot('exams') }), schoolController.deleteExam);
+app.put('/api/schools/:school_id/logo', authorize('schools:update', fromParams()), auditAs('school.logo.update', { snapshot: rowSnapshot('schools', { column: 'school_id', param: 'school_id', columns: 'school_id, logo_url' }) }), schoolController.updateSchoolLogo);
+app.get('/api/queries/dashboard', authorize('dashboard:read'), schoolController.getDashboardData); 
 // Reference data routes
-app.get('/api/foundations', schoolController.getFoundations);
-app.get('/api/programs', schoolController.getPrograms);
-app.get('/api/academic-years', schoolController.getAcademicYears);
+app.get('/api/foundations', authorize('reference:read'), schoolController.getFoundations);
+app.get('/api/programs', authorize('reference:read'), schoolController.getPrograms);
+app.get('/api/academic-years', authorize('reference:read'), schoolController.getAcademicYears);
+
+// Year-end rollover and the archived years
+app.post('/api/schools/:school_id/rollover', authorize('academic_years:rollover', fromParams()), auditAs('school.rollover'), academicYearController.rolloverAcademicYear);
+app.get('/api/schools/:school_id/academic-years', authorize('academic_years:read', fromParams()), academicYearController.getSchoolAcademicYears);
+app.get('/api/schools/:school_id/academic-years/:academic_year', authorize('academic_years:read', fromParams()), academicYearController.getArchivedAcademicYear);
+
+// Upload templates (schools, students, classes, results) as XLSX or CSV
+app.get('/api/templates/:kind', authorize('templates:read', fromQuery), templateController.getTemplate);
+
+// Audit trail (filter by school_id, actor_id, action, from, to)
+app.get('/api/audit', authorize('audit:read', fromQuery), auditController.getAuditLog);
 // =========================
 // 🚨 Error Handling
 // =========================
@@ -143,17 +281,56 @@ app.use(errorHandler);
 app.listen(PORT, () => {
   console.log(`✅ Backend running on http://localhost:${PORT}`);
   console.log(`📌 Connected to Supabase`);
-  console.log(`🔐 School Owner login: ${process.env.OWNER_USERNAME || 'owner'} / ********`);
+  // Import jobs cut off by the previous run cannot resume: their files were only in memory
+  failInterruptedJobs();
+  // Deleted rows and schools are purged once their restore window has passed
+  startPurgeSchedule();
+  if (process.env.OWNER_USERNAME && process.env.OWNER_PASSWORD) {
+    console.log(`🔐 Bootstrap admin login: ${process.env.OWNER_USERNAME} / ********`);
+  }
   
   // Log new routes
   console.log(`🆕 New API endpoints available:`);
+  console.log(`   POST   /api/login/refresh`);
+  console.log(`   POST   /api/login/logout`);
+  console.log(`   GET    /api/owners`);
+  console.log(`   GET    /api/audit`);
+  console.log(`   GET    /api/result-mappings`);
+  console.log(`   POST   /api/result-mappings/detect`);
+  console.log(`   GET    /api/exam-patterns`);
+  console.log(`   POST   /api/answer-keys`);
+  console.log(`   POST   /api/exams/:exam_id/responses/upload`);
+  console.log(`   GET    /api/exams/results/versions`);
+  console.log(`   POST   /api/exams/results/versions/:id/rollback`);
+  console.log(`   GET    /api/uploads`);
+  console.log(`   DELETE /api/uploads/:batch_id`);
+  console.log(`   GET    /api/jobs/:id`);
+  console.log(`   GET    /api/templates/:kind`);
+  console.log(`   POST   /api/jobs/:id/retry`);
+  console.log(`   POST   /api/owners`);
   console.log(`   POST   /api/classes`);
+  console.log(`   POST   /api/classes/:id/restore`);
+  console.log(`   POST   /api/schools/:school_id/classes/import`);
   console.log(`   POST   /api/teachers`);
+  console.log(`   PUT    /api/teachers/:teacher_id`);
   console.log(`   POST   /api/teacher-assignments`);
+  console.log(`   POST   /api/teachers/:teacher_id/restore`);
+  console.log(`   POST   /api/schools/:school_id/teachers/import`);
   console.log(`   POST   /api/schools/:school_id/students/upload`);
+  console.log(`   POST   /api/schools/:school_id/students/import`);
+  console.log(`   POST   /api/schools/:school_id/rollover`);
+  console.log(`   POST   /api/schools/:school_id/students`);
+  console.log(`   PUT    /api/students/:student_id`);
+  console.log(`   POST   /api/students/:student_id/restore`);
+  console.log(`   POST   /api/students/:student_id/transfer`);
   console.log(`   GET    /api/schools/:school_id`); // 👈 Added
+  console.log(`   PUT    /api/schools/:school_id`);
+  console.log(`   GET    /api/schools/:school_id/deletion-impact`);
+  console.log(`   POST   /api/schools/:school_id/restore`);
+  console.log(`   DELETE /api/schools/:school_id/purge`);
   console.log(`   POST   /api/exams`);
   console.log(`   GET    /api/exams`); // 👈 Added
+  console.log(`   PUT    /api/exams/:id`);
   console.log(`   GET    /api/foundations`);
   console.log(`   GET    /api/programs`);
   console.log(`   GET    /api/academic-years`);
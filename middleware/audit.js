@@ -0,0 +1,150 @@
+// server/middleware/audit.js
+import { createClient } from '@supabase/supabase-js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Response fields copied into the entry so uploads record how many rows they touched
+const ROW_COUNT_KEYS = ['count', 'inserted', 'added', 'updated', 'unchanged', 'removed', 'skipped'];
+
+const routeName = (req) =>
+  req.route ? `${req.method} ${req.baseUrl}${req.route.path}` : `${req.method} ${req.originalUrl.split('?')[0]}`;
+
+const pickRowCounts = (body) => {
+  if (!body || typeof body !== 'object') return null;
+  const counts = {};
+  // Upload responses may carry their counts at the top level or in a `summary` object
+  for (const source of [body, body.summary]) {
+    if (!source || typeof source !== 'object') continue;
+    for (const key of ROW_COUNT_KEYS) {
+      if (typeof source[key] === 'number') counts[key] = source[key];
+      else if (Array.isArray(source[key]) && counts[key] === undefined) counts[key] = source[key].length;
+    }
+  }
+  return Object.keys(counts).length ? counts : null;
+};
+
+const buildEntry = (req, res) => {
+  const context = req.audit;
+  const details = { ...context.details };
+
+  if (req.file) {
+    details.file_name = req.file.originalname;
+    details.file_size = req.file.size;
+  }
+  const rows = pickRowCounts(context.responseBody);
+  if (rows) details.rows = rows;
+
+  return {
+    actor_id: req.user?.id ? String(req.user.id) : null,
+    actor_role: req.user?.role || null,
+    action: context.action || routeName(req),
+    method: req.method,
+    route: routeName(req),
+    school_id: context.school_id
+      || req.params?.school_id
+      || req.body?.school_id
+      || context.before?.school_id
+      || null,
+    target_ids: { ...req.params, ...context.target_ids },
+    before: context.before,
+    after: context.after,
+    details,
+    status_code: res.statusCode,
+    ip: req.ip,
+    created_at: new Date().toISOString()
+  };
+};
+
+export const recordAudit = async (entry) => {
+  const { error } = await supabase.from('audit_log').insert([entry]);
+  if (error) throw error;
+};
+
+// ✅ Mounted on /api after authentication: every successful data-changing call by a
+// signed-in user is written to audit_log once the response has been sent.
+export const auditTrail = (req, res, next) => {
+  // Dry runs only report what would change
+  if (!MUTATING_METHODS.includes(req.method) || req.query.dry_run === 'true') return next();
+
+  req.audit = { action: null, school_id: null, target_ids: {}, before: null, after: null, details: {}, responseBody: null };
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    req.audit.responseBody = body;
+    return json(body);
+  };
+
+  res.on('finish', () => {
+    if (!req.user || res.statusCode >= 400) return;
+
+    const write = async () => {
+      if (req.audit.loadAfter) {
+        req.audit.after = await req.audit.loadAfter(req);
+      }
+      await recordAudit(buildEntry(req, res));
+    };
+    write().catch((err) => console.error('⚠️ Audit log write failed:', err));
+  });
+
+  return next();
+};
+
+// ✅ auditAs(action, { target, snapshot }) — names the action on a route and, when a
+// snapshot loader is given, stores the row before the change (and after, for updates).
+export const auditAs = (action, { target = null, snapshot = null } = {}) => async (req, res, next) => {
+  if (!req.audit) return next();
+
+  req.audit.action = action;
+
+  try {
+    if (target) {
+      const ids = await target(req);
+      req.audit.target_ids = { ...req.audit.target_ids, ...ids };
+      if (ids?.school_id) req.audit.school_id = ids.school_id;
+    }
+
+    if (snapshot) {
+      req.audit.before = await snapshot(req);
+      if (req.method === 'PUT' || req.method === 'PATCH') {
+        req.audit.loadAfter = snapshot;
+      }
+    }
+  } catch (err) {
+    // Never block the change itself because the audit snapshot failed
+    console.error('⚠️ Audit snapshot failed:', err);
+  }
+
+  return next();
+};
+
+// Snapshot loader for one row, e.g. rowSnapshot('classes', { column: 'id', param: 'id' }).
+// bySchool narrows it to the school authorize() resolved, for keys unique per school only.
+export const rowSnapshot = (table, { column = 'id', param = 'id', columns = '*', bySchool = false } = {}) => async (req) => {
+  let query = supabase
+    .from(table)
+    .select(columns)
+    .eq(column, req.params[param]);
+  if (bySchool) query = query.eq('school_id', req.target?.school_id);
+
+  const { data, error } = await query.maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+// Target loader for exam-result uploads: the exam context comes from the form fields
+export const examContextTarget = (req) => ({
+  school_id: req.body?.school_id,
+  exam_id: req.params.exam_id,
+  program: req.body?.program,
+  exam_pattern: req.body?.exam_pattern,
+  class: req.body?.class,
+  section: req.body?.section,
+  exam_date: req.body?.exam_date || null,
+  mode: req.body?.mode || req.query.mode || 'create'
+});
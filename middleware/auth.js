@@ -0,0 +1,63 @@
+// server/middleware/auth.js
+import { verifyAccessToken, isSessionActive } from '../utils/tokens.js';
+
+// Routes under /api that can be called without a token (paths relative to /api)
+const PUBLIC_API_ROUTES = [
+  'POST /login/login',
+  'POST /login/refresh',
+  'POST /students/login',
+  'POST /teachers/login'
+];
+
+// The only routes reachable while a temporary password is still in use
+const PASSWORD_CHANGE_ROUTES = [
+  'POST /login/change-password',
+  'POST /login/logout'
+];
+
+const routeKey = (req) => `${req.method} ${req.path}`;
+
+const isPublicRoute = (req) => PUBLIC_API_ROUTES.includes(routeKey(req));
+
+// ✅ Verifies the Bearer access token and attaches the caller to req.user
+export const authenticate = async (req, res, next) => {
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  let principal;
+  try {
+    principal = verifyAccessToken(token);
+  } catch (err) {
+    return res.status(401).json({ error: 'Invalid or expired token' });
+  }
+
+  try {
+    const active = await isSessionActive(principal.session_id);
+    if (!active) {
+      return res.status(401).json({ error: 'Session has been revoked or expired' });
+    }
+  } catch (err) {
+    console.error('Session lookup error:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+
+  req.user = principal;
+
+  if (principal.must_change_password && !PASSWORD_CHANGE_ROUTES.includes(routeKey(req))) {
+    return res.status(403).json({
+      error: 'You must change your temporary password before continuing',
+      code: 'PASSWORD_CHANGE_REQUIRED'
+    });
+  }
+
+  return next();
+};
+
+// ✅ Mounted on /api — everything except the login endpoints needs a valid token
+export const requireAuth = (req, res, next) => {
+  if (isPublicRoute(req)) return next();
+  return authenticate(req, res, next);
+};
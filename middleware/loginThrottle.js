@@ -0,0 +1,172 @@
+// server/middleware/loginThrottle.js
+import { MemoryStore } from '../utils/rateLimitStore.js';
+
+// =========================
+// 🔧 Limits (overridable via env)
+// =========================
+
+const readInt = (name, fallback) => parseInt(process.env[name], 10) || fallback;
+
+const WINDOW_MS = readInt('LOGIN_WINDOW_MINUTES', 15) * 60 * 1000;
+const IP_MAX_FAILURES = readInt('LOGIN_IP_MAX_FAILURES', 30);
+const ACCOUNT_BACKOFF_AFTER = readInt('LOGIN_BACKOFF_AFTER', 3);
+const ACCOUNT_MAX_BACKOFF_MS = readInt('LOGIN_MAX_BACKOFF_SECONDS', 60) * 1000;
+const ACCOUNT_LOCKOUT_AFTER = readInt('LOGIN_LOCKOUT_AFTER', 10);
+const ACCOUNT_LOCKOUT_MS = readInt('LOGIN_LOCKOUT_MINUTES', 15) * 60 * 1000;
+
+let store = new MemoryStore();
+
+// Swap the backing store (e.g. a RedisStore shared by several instances)
+export const setThrottleStore = (nextStore) => {
+  store = nextStore;
+};
+
+// Each account or IP key holds an atomic failure counter for the window. Around it:
+// `gate:<key>` while the account waits out its backoff (or has an attempt in flight once
+// past the free attempts), `lock:<key>` while it is locked, `last:<key>` the last failure.
+export const accountKey = (role, id) => `account:${role}:${id}`;
+export const ipKey = (ip) => `ip:${ip}`;
+const gateKey = (key) => `gate:${key}`;
+const lockKey = (key) => `lock:${key}`;
+const lastKey = (key) => `last:${key}`;
+
+// Delay before the next attempt is allowed: 1s, 2s, 4s … capped, once past the free attempts
+const backoffMs = (failures) => {
+  if (failures < ACCOUNT_BACKOFF_AFTER) return 0;
+  return Math.min(1000 * 2 ** (failures - ACCOUNT_BACKOFF_AFTER), ACCOUNT_MAX_BACKOFF_MS);
+};
+
+const tooManyRequests = (res, until, message) => {
+  const retryAfter = Math.max(1, Math.ceil((until - Date.now()) / 1000));
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({ error: message, retry_after: retryAfter });
+};
+
+const WAIT_MESSAGE = 'Too many failed attempts. Please wait before trying again.';
+const LOCKED_MESSAGE = 'Account temporarily locked after repeated failed logins';
+
+// A 401 keeps the reserved attempt as a failure and sets the account's backoff or lockout
+const settleFailure = async (keys, accountFailures) => {
+  const now = Date.now();
+  await store.set(lastKey(keys.ip), now, WINDOW_MS);
+  if (!keys.account) return;
+
+  await store.set(lastKey(keys.account), now, WINDOW_MS);
+  if (accountFailures >= ACCOUNT_LOCKOUT_AFTER) {
+    await store.set(lockKey(keys.account), { until: now + ACCOUNT_LOCKOUT_MS }, ACCOUNT_LOCKOUT_MS);
+  }
+  const backoff = backoffMs(accountFailures);
+  if (backoff) await store.set(gateKey(keys.account), { until: now + backoff }, backoff);
+  else await store.delete(gateKey(keys.account));
+};
+
+// ✅ loginThrottle(role, readId) — wraps a login route with per-IP and per-account limits.
+// Every attempt is counted as a failure before the handler runs, so concurrent attempts
+// cannot all pass the limits; once the response is known a 401 keeps it, a successful
+// login clears the account and any other outcome gives the attempt back.
+export const loginThrottle = (role, readId) => async (req, res, next) => {
+  const id = readId(req.body || {});
+  const keys = { ip: ipKey(req.ip), account: id ? accountKey(role, id) : null };
+  const reserved = { ip: false, account: false, gate: false };
+  let accountFailures = 0;
+
+  const release = async () => {
+    if (reserved.ip) await store.increment(keys.ip, -1, WINDOW_MS);
+    if (reserved.account) await store.increment(keys.account, -1, WINDOW_MS);
+    if (reserved.gate) await store.delete(gateKey(keys.account));
+  };
+
+  try {
+    const ip = await store.increment(keys.ip, 1, WINDOW_MS);
+    reserved.ip = true;
+    if (ip.count > IP_MAX_FAILURES) {
+      await release();
+      return tooManyRequests(res, ip.expiresAt, 'Too many failed login attempts from this address. Try again later.');
+    }
+
+    if (keys.account) {
+      const lock = await store.get(lockKey(keys.account));
+      if (lock) {
+        await release();
+        return tooManyRequests(res, lock.until, LOCKED_MESSAGE);
+      }
+
+      const account = await store.increment(keys.account, 1, WINDOW_MS);
+      reserved.account = true;
+      accountFailures = account.count;
+
+      // Past the free attempts only one attempt may be in flight, and only after the backoff
+      if (accountFailures > ACCOUNT_BACKOFF_AFTER) {
+        reserved.gate = await store.add(gateKey(keys.account), { until: null }, ACCOUNT_MAX_BACKOFF_MS);
+        if (!reserved.gate) {
+          const gate = await store.get(gateKey(keys.account));
+          await release();
+          return tooManyRequests(res, gate?.until || Date.now(), WAIT_MESSAGE);
+        }
+      }
+    }
+  } catch (err) {
+    console.error('Login throttle lookup error:', err);
+    await release().catch(() => {});
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+
+  // 'close' also fires when the client goes away before a response was sent
+  res.once('close', () => {
+    const settle = async () => {
+      if (!res.writableFinished) {
+        await release();
+      } else if (res.statusCode === 401) {
+        await settleFailure(keys, accountFailures);
+      } else if (res.statusCode < 300) {
+        await store.increment(keys.ip, -1, WINDOW_MS);
+        if (keys.account) await clearThrottleRecord(keys.account);
+      } else {
+        await release();
+      }
+    };
+    settle().catch((err) => console.error('Login throttle update error:', err));
+  });
+
+  return next();
+};
+
+// ✅ Current throttle records, for the owner lockout view
+export const listThrottleRecords = async () => {
+  const now = Date.now();
+  const counters = [...(await store.list('account:')), ...(await store.list('ip:'))];
+
+  return Promise.all(counters
+    .filter(({ value }) => value > 0)
+    .map(async ({ key, value, expiresAt }) => {
+      const [kind, ...rest] = key.split(':');
+      const [lastFailureAt, lock, gate] = await Promise.all([
+        store.get(lastKey(key)),
+        kind === 'account' ? store.get(lockKey(key)) : null,
+        kind === 'account' ? store.get(gateKey(key)) : null
+      ]);
+      const until = kind === 'ip'
+        ? (value >= IP_MAX_FAILURES ? expiresAt : 0)
+        : lock?.until || gate?.until || 0;
+
+      return {
+        kind,
+        role: kind === 'account' ? rest[0] : null,
+        id: kind === 'account' ? rest.slice(1).join(':') : null,
+        ip: kind === 'ip' ? rest.join(':') : null,
+        failures: value,
+        last_failure_at: lastFailureAt ? new Date(lastFailureAt).toISOString() : null,
+        locked: Boolean(lock && lock.until > now),
+        blocked_until: until > now ? new Date(until).toISOString() : null
+      };
+    }));
+};
+
+// ✅ Remove a key's counter with its backoff, lockout and last failure; false if there was none
+export const clearThrottleRecord = async (key) => {
+  const related = [key, gateKey(key), lockKey(key), lastKey(key)];
+  const existing = await Promise.all(related.map((k) => store.get(k)));
+  if (existing.every((value) => value === null)) return false;
+  await Promise.all(related.map((k) => store.delete(k)));
+  return true;
+};
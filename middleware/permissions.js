@@ -0,0 +1,422 @@
+// server/middleware/permissions.js
+import { createClient } from '@supabase/supabase-js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// =========================
+// 📜 Permission table — which roles may call what
+// =========================
+
+// ADMIN is the central administrator: every owner permission, across all schools
+const OWNERS = ['ADMIN', 'SCHOOL_OWNER'];
+const ANY_ROLE = [...OWNERS, 'TEACHER', 'STUDENT'];
+
+export const PERMISSIONS = {
+  'reference:read': ANY_ROLE,
+  'schools:read': ANY_ROLE,
+  'schools:create': OWNERS,
+  'schools:update': OWNERS,
+  'schools:delete': OWNERS,
+  'schools:restore': OWNERS,
+  'schools:purge': ['ADMIN'],
+  'classes:write': OWNERS,
+  'teachers:read': [...OWNERS, 'TEACHER'],
+  'teachers:write': OWNERS,
+  'teachers:ranks': [...OWNERS, 'TEACHER'],
+  'students:read': [...OWNERS, 'TEACHER'],
+  'students:write': OWNERS,
+  'exams:read': [...OWNERS, 'TEACHER'],
+  'exams:write': OWNERS,
+  'results:read': ANY_ROLE,
+  'dashboard:read': OWNERS,
+  'passwords:reset': OWNERS,
+  'lockouts:manage': OWNERS,
+  'audit:read': OWNERS,
+  'result_mappings:read': OWNERS,
+  'result_mappings:manage': ['ADMIN'],
+  'exam_patterns:manage': ['ADMIN'],
+  'uploads:read': OWNERS,
+  'jobs:read': OWNERS,
+  'templates:read': OWNERS,
+  'academic_years:read': OWNERS,
+  'academic_years:rollover': OWNERS,
+  'owners:manage': ['ADMIN']
+};
+
+export const classSectionKey = (classValue, sectionValue) =>
+  `${String(classValue ?? '').trim()}-${String(sectionValue ?? '').trim()}`;
+
+// =========================
+// 🔭 Scope — the data a caller may see
+// =========================
+// { allSchools, schoolIds, classSections (teacher/student only), studentId, teacherId, deletedSchoolIds }
+
+const loadTeacherScope = async (user) => {
+  const { data: teacher, error } = await supabase
+    .from('teachers')
+    .select('id, school_id')
+    .eq('teacher_id', user.id)
+    .eq('school_id', user.school_id)
+    .is('deleted_at', null)
+    .single();
+
+  if (error || !teacher) return null;
+
+  const { data: assignments, error: assignmentsError } = await supabase
+    .from('teacher_assignments')
+    .select('class, section')
+    .eq('teacher_id', teacher.id)
+    .is('deleted_at', null);
+
+  if (assignmentsError) throw assignmentsError;
+
+  return {
+    allSchools: false,
+    schoolIds: [teacher.school_id],
+    classSections: (assignments || []).map((a) => classSectionKey(a.class, a.section)),
+    studentId: null,
+    teacherId: user.id
+  };
+};
+
+const loadStudentScope = async (user) => {
+  const { data: student, error } = await supabase
+    .from('students')
+    .select('school_id, class, section')
+    .eq('student_id', user.id)
+    .eq('school_id', user.school_id)
+    .is('deleted_at', null)
+    .single();
+
+  if (error || !student) return null;
+
+  return {
+    allSchools: false,
+    schoolIds: [student.school_id],
+    classSections: [classSectionKey(student.class, student.section)],
+    studentId: user.id,
+    teacherId: null
+  };
+};
+
+// Owners see the schools granted to them in owner_schools
+const loadOwnerScope = async (user) => {
+  const { data, error } = await supabase
+    .from('owner_schools')
+    .select('school_id')
+    .eq('owner_id', user.id);
+
+  if (error) throw error;
+
+  return {
+    allSchools: false,
+    schoolIds: (data || []).map((row) => row.school_id),
+    classSections: null,
+    studentId: null,
+    teacherId: null
+  };
+};
+
+const loadAdminScope = async () => ({
+  allSchools: true,
+  schoolIds: [],
+  classSections: null,
+  studentId: null,
+  teacherId: null
+});
+
+const SCOPE_LOADERS = {
+  ADMIN: loadAdminScope,
+  SCHOOL_OWNER: loadOwnerScope,
+  TEACHER: loadTeacherScope,
+  STUDENT: loadStudentScope
+};
+
+// Soft-deleted schools (DELETE /api/schools/:school_id) stay hidden until restored or purged
+export const loadDeletedSchoolIds = async () => {
+  const { data, error } = await supabase
+    .from('schools')
+    .select('school_id')
+    .not('deleted_at', 'is', null);
+
+  if (error) throw error;
+  return (data || []).map((row) => row.school_id);
+};
+
+export const loadScope = async (user) => {
+  const loader = SCOPE_LOADERS[user?.role];
+  if (!loader) return null;
+
+  const [scope, deletedSchoolIds] = await Promise.all([loader(user), loadDeletedSchoolIds()]);
+  if (!scope) return null;
+
+  // Teachers and students go with their school
+  if (!OWNERS.includes(user.role) && scope.schoolIds.some((id) => deletedSchoolIds.includes(id))) {
+    return null;
+  }
+
+  return { ...scope, deletedSchoolIds };
+};
+
+// Returns the reason the target is out of scope, or null when access is allowed
+const checkTarget = (scope, target) => {
+  if (target.school_id && !scope.allSchools && !scope.schoolIds.includes(target.school_id)) {
+    return 'school';
+  }
+  // A class without a section (or the reverse) has to match one of the caller's class-sections
+  if (scope.classSections && (target.class != null || target.section != null) &&
+      !scope.classSections.some((key) => key === classSectionKey(target.class, target.section) ||
+        (target.section == null && key.startsWith(classSectionKey(target.class, ''))) ||
+        (target.class == null && key.endsWith(classSectionKey('', target.section))))) {
+    return 'class-section';
+  }
+  if (scope.studentId && target.student_id && target.student_id !== scope.studentId) {
+    return 'student';
+  }
+  if (scope.teacherId && target.teacher_id && target.teacher_id !== scope.teacherId) {
+    return 'teacher';
+  }
+  return null;
+};
+
+// =========================
+// 🎯 Target resolvers — where a route's school/class/student comes from
+// =========================
+
+export const fromParams = (key = 'school_id') => (req) => ({ school_id: req.params[key] });
+
+export const fromBody = (req) => ({
+  school_id: req.body?.school_id,
+  class: req.body?.class,
+  section: req.body?.section
+});
+
+export const fromQuery = (req) => ({
+  school_id: req.params.school_id || req.query.school_id,
+  class: req.query.class,
+  section: req.query.section
+});
+
+export const classById = async (req) => {
+  const { data, error } = await supabase
+    .from('classes')
+    .select('school_id, class, section')
+    .eq('id', req.params.id)
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+};
+
+export const assignmentById = async (req) => {
+  const { data, error } = await supabase
+    .from('teacher_assignments')
+    .select('school_id, class, section')
+    .eq('id', req.params.id)
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+};
+
+export const answerKeyById = async (req) => {
+  const { data, error } = await supabase
+    .from('answer_keys')
+    .select('school_id')
+    .eq('id', req.params.id)
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+};
+
+export const resultVersionById = async (req) => {
+  const { data, error } = await supabase
+    .from('exam_result_versions')
+    .select('school_id, class, section')
+    .eq('id', req.params.id)
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+};
+
+export const uploadBatchById = async (req) => {
+  const { data, error } = await supabase
+    .from('upload_batches')
+    .select('school_id')
+    .eq('id', req.params.batch_id)
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+};
+
+export const jobById = async (req) => {
+  const { data, error } = await supabase
+    .from('import_jobs')
+    .select('school_id')
+    .eq('id', req.params.id)
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+};
+
+export const examById = async (req) => {
+  const { data, error } = await supabase
+    .from('exams')
+    .select('school_id, class, section')
+    .eq('id', req.params.id)
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+};
+
+// A student's current class-section plus the ones they were transferred out of, so the
+// owners and teachers of a former class keep access to the results from that time
+export const studentFromQuery = async (req) => {
+  const studentId = req.query.student_id;
+  if (!studentId) return null;
+
+  const [{ data, error }, { data: transfers, error: transfersError }] = await Promise.all([
+    supabase
+      .from('students')
+      .select('school_id, class, section, student_id')
+      .eq('student_id', studentId)
+      .limit(1)
+      .maybeSingle(),
+    supabase
+      .from('student_transfers')
+      .select('from_school_id, from_class, from_section')
+      .eq('student_id', studentId)
+  ]);
+
+  if (error) throw error;
+  if (transfersError) throw transfersError;
+
+  // Unknown students still have to match a student's own ID
+  if (!data) return { student_id: studentId };
+
+  return [
+    data,
+    ...(transfers || []).map((t) => ({ school_id: t.from_school_id, class: t.from_class, section: t.from_section, student_id: studentId }))
+  ];
+};
+
+export const studentByParam = async (req) => {
+  const { data, error } = await supabase
+    .from('students')
+    .select('school_id, class, section, student_id')
+    .eq('student_id', req.params.student_id)
+    .limit(1)
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+};
+
+// Teacher IDs are unique per school only: the teacher is looked up in the school the
+// request names (?school_id= or body school_id), else among the caller's schools. An ID
+// the caller holds in several schools needs the school named.
+export const teacherFromRequest = async (req) => {
+  const teacherId = String(req.params.teacher_id || req.body?.teacher_id || '').trim().toUpperCase();
+  if (!teacherId) return null;
+  const schoolId = req.query?.school_id || req.body?.school_id || null;
+
+  let query = supabase
+    .from('teachers')
+    .select('school_id, teacher_id')
+    .eq('teacher_id', teacherId);
+  if (schoolId) query = query.eq('school_id', schoolId);
+
+  const { data, error } = await query;
+  if (error) throw error;
+
+  const rows = data || [];
+  if (!rows.length) return schoolId ? { school_id: schoolId, teacher_id: teacherId } : { teacher_id: teacherId };
+
+  const scope = req.scope;
+  const inScope = rows.filter((row) => scope.allSchools || scope.schoolIds.includes(row.school_id));
+  if (inScope.length > 1) {
+    return { status: 409, error: `Teacher ID ${teacherId} is used in several schools. Send school_id to choose one.` };
+  }
+  // Outside the caller's schools the first match is enough to refuse
+  return inScope[0] || rows[0];
+};
+
+const DELETED_SCHOOL_PERMISSIONS = ['schools:delete', 'schools:restore', 'schools:purge'];
+
+const isDeletedSchool = (scope, schoolId) => Boolean(schoolId && scope.deletedSchoolIds?.includes(schoolId));
+
+// =========================
+// 🛡️ authorize(permission, resolveTarget?)
+// =========================
+// Rejects with 403 when the caller's role lacks the permission or the target
+// (school / class-section / student / teacher) lies outside their scope.
+// The resolved scope is left on req.scope so list handlers can filter by it.
+export const authorize = (permission, resolveTarget = null) => {
+  const allowedRoles = PERMISSIONS[permission];
+  if (!allowedRoles) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    if (!allowedRoles.includes(req.user.role)) {
+      return res.status(403).json({ error: `Forbidden: ${req.user.role} cannot perform ${permission}` });
+    }
+
+    try {
+      const scope = req.scope || await loadScope(req.user);
+      if (!scope) {
+        return res.status(403).json({ error: 'Forbidden: account no longer exists' });
+      }
+      req.scope = scope;
+
+      if (resolveTarget) {
+        const target = await resolveTarget(req);
+        // A resolver that cannot tell which resource is meant answers { status, error }
+        if (target?.error) {
+          return res.status(target.status).json({ error: target.error });
+        }
+        // Handlers act on the resource that was authorized
+        req.target = target;
+        // Missing resources fall through so the handler can answer 404. A resolver may
+        // return several targets (a student's past placements): one in scope is enough.
+        if (target) {
+          // Deleted schools look missing to everything but their own delete/restore/purge
+          const targets = DELETED_SCHOOL_PERMISSIONS.includes(permission)
+            ? [].concat(target)
+            : [].concat(target).filter((t) => !isDeletedSchool(scope, t.school_id));
+          if (!targets.length) {
+            return res.status(404).json({ error: 'School not found' });
+          }
+
+          const denials = targets.map((t) => checkTarget(scope, t));
+          const denied = denials.every(Boolean) ? denials[0] : null;
+          if (denied) {
+            return res.status(403).json({ error: `Forbidden: ${denied} is outside your access` });
+          }
+        }
+      }
+
+      return next();
+    } catch (err) {
+      console.error('Authorization error:', err);
+      return res.status(500).json({ error: 'Internal server error' });
+    }
+  };
+};
+
+// Helpers for list handlers that filter by req.scope
+export const scopeSchoolIds = (scope) =>
+  (scope && !scope.allSchools ? scope.schoolIds.filter((id) => !isDeletedSchool(scope, id)) : null);
+
+// Admins have no school list to filter by, so their lists leave deleted schools out explicitly
+export const withoutDeletedSchools = (query, scope, column = 'school_id') =>
+  (scope?.deletedSchoolIds?.length
+    ? query.not(column, 'in', `(${scope.deletedSchoolIds.map((id) => `"${id}"`).join(',')})`)
+    : query);
+
+export const scopeAllowsClassSection = (scope, classValue, sectionValue) =>
+  !scope?.classSections || scope.classSections.includes(classSectionKey(classValue, sectionValue));
@@ -0,0 +1,17 @@
+// server/routes/answerKeys.js
+import { Router } from 'express';
+import multer from 'multer';
+import * as answerKeyController from '../controllers/answerKeyController.js';
+import * as schoolController from '../controllers/schoolController.js';
+import { authorize, fromBody, fromQuery, answerKeyById } from '../middleware/permissions.js';
+import { auditAs, rowSnapshot } from '../middleware/audit.js';
+
+const router = Router();
+const upload = multer({ storage: multer.memoryStorage() });
+
+router.get('/', authorize('exams:read', fromQuery), answerKeyController.listAnswerKeys);
+router.get('/:id', authorize('exams:read', answerKeyById), answerKeyController.getAnswerKey);
+router.post('/', upload.single('file'), authorize('exams:write', fromBody), auditAs('answer_key.create'), answerKeyController.createAnswerKey);
+router.post('/:id/corrections', authorize('exams:write', answerKeyById), auditAs('answer_key.correct', { snapshot: rowSnapshot('answer_keys', { columns: 'id, school_id, questions, corrections' }) }), schoolController.correctAnswerKey);
+
+export default router;
@@ -1,9 +1,26 @@
 // server/routes/auth.js
 import { Router } from 'express';
-import { login } from '../controllers/authController.js';
+import {
+  login,
+  refresh,
+  logout,
+  changePassword,
+  resetPassword,
+  listLockouts,
+  clearLockout
+} from '../controllers/authController.js';
+import { authorize, fromBody } from '../middleware/permissions.js';
+import { loginThrottle } from '../middleware/loginThrottle.js';
+import { auditAs } from '../middleware/audit.js';
 
 const router = Router();
 
-router.post('/login', login);
+router.post('/login', loginThrottle('OWNER', (body) => String(body.username || '').trim()), login);
+router.post('/refresh', refresh);
+router.post('/logout', logout);
+router.post('/change-password', changePassword);
+router.post('/reset-password', authorize('passwords:reset', fromBody), auditAs('password.reset'), resetPassword);
+router.get('/lockouts', authorize('lockouts:manage'), listLockouts);
+router.delete('/lockouts', authorize('lockouts:manage'), auditAs('lockout.clear'), clearLockout);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,17 @@
+// server/routes/examPatterns.js
+import { Router } from 'express';
+import * as examPatternController from '../controllers/examPatternController.js';
+import { authorize } from '../middleware/permissions.js';
+import { auditAs, rowSnapshot } from '../middleware/audit.js';
+
+const router = Router();
+
+const patternSnapshot = rowSnapshot('exam_patterns', { column: 'code', param: 'code' });
+
+router.get('/', authorize('reference:read'), examPatternController.listExamPatterns);
+router.get('/:code', authorize('reference:read'), examPatternController.getExamPattern);
+router.post('/', authorize('exam_patterns:manage'), auditAs('exam_pattern.create'), examPatternController.createExamPattern);
+router.put('/:code', authorize('exam_patterns:manage'), auditAs('exam_pattern.update', { snapshot: patternSnapshot }), examPatternController.updateExamPattern);
+router.delete('/:code', authorize('exam_patterns:manage'), auditAs('exam_pattern.delete', { snapshot: patternSnapshot }), examPatternController.deleteExamPattern);
+
+export default router;
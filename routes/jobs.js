@@ -0,0 +1,12 @@
+// server/routes/jobs.js
+import { Router } from 'express';
+import * as jobController from '../controllers/jobController.js';
+import { authorize, jobById } from '../middleware/permissions.js';
+import { auditAs } from '../middleware/audit.js';
+
+const router = Router();
+
+router.get('/:id', authorize('jobs:read', jobById), jobController.getJob);
+router.post('/:id/retry', authorize('exams:write', jobById), auditAs('import_job.retry'), jobController.retryJob);
+
+export default router;
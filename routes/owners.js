@@ -0,0 +1,14 @@
+// server/routes/owners.js
+import { Router } from 'express';
+import * as ownerController from '../controllers/ownerController.js';
+import { authorize } from '../middleware/permissions.js';
+import { auditAs } from '../middleware/audit.js';
+
+const router = Router();
+
+router.get('/', authorize('owners:manage'), ownerController.listOwners);
+router.post('/', authorize('owners:manage'), auditAs('owner.create'), ownerController.createOwner);
+router.post('/:owner_id/schools', authorize('owners:manage'), auditAs('owner.schools.grant'), ownerController.grantSchools);
+router.delete('/:owner_id/schools/:school_id', authorize('owners:manage'), auditAs('owner.schools.revoke'), ownerController.revokeSchool);
+
+export default router;
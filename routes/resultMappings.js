@@ -0,0 +1,20 @@
+// server/routes/resultMappings.js
+import { Router } from 'express';
+import multer from 'multer';
+import * as resultMappingController from '../controllers/resultMappingController.js';
+import { authorize } from '../middleware/permissions.js';
+import { auditAs, rowSnapshot } from '../middleware/audit.js';
+
+const router = Router();
+const upload = multer({ storage: multer.memoryStorage() });
+
+const profileSnapshot = rowSnapshot('result_mapping_profiles');
+
+router.get('/', authorize('result_mappings:read'), resultMappingController.listMappingProfiles);
+router.post('/detect', upload.single('file'), authorize('result_mappings:read'), resultMappingController.detectMappingProfile);
+router.get('/:id', authorize('result_mappings:read'), resultMappingController.getMappingProfile);
+router.post('/', authorize('result_mappings:manage'), auditAs('result_mapping.create'), resultMappingController.createMappingProfile);
+router.put('/:id', authorize('result_mappings:manage'), auditAs('result_mapping.update', { snapshot: profileSnapshot }), resultMappingController.updateMappingProfile);
+router.delete('/:id', authorize('result_mappings:manage'), auditAs('result_mapping.delete', { snapshot: profileSnapshot }), resultMappingController.deleteMappingProfile);
+
+export default router;
@@ -1,12 +1,36 @@
 // server/routes/schoolRoutes.js
 import express from 'express';
 import * as schoolController from '../controllers/schoolController.js';
+import * as schoolDeletionController from '../controllers/schoolDeletionController.js';
+import { authorize, fromParams } from '../middleware/permissions.js';
+import { auditAs, rowSnapshot } from '../middleware/audit.js';
 
 const router = express.Router();
 
-router.get('/', schoolController.getSchools);
-router.post('/', schoolController.createSchool);
-router.get('/:school_id', schoolController.getSchoolById);
-router.delete('/:school_id', schoolController.deleteSchool); // 👈 ADD THIS LINE
+router.get('/', authorize('schools:read'), schoolController.getSchools);
+router.post('/', authorize('schools:create'), auditAs('school.create'), schoolController.createSchool);
+router.get('/deleted', authorize('schools:restore'), schoolDeletionController.getDeletedSchools);
+router.get('/:school_id', authorize('schools:read', fromParams()), schoolController.getSchoolById);
+router.put('/:school_id',
+  authorize('schools:update', fromParams()),
+  auditAs('school.update', { snapshot: rowSnapshot('schools', { column: 'school_id', param: 'school_id' }) }),
+  schoolController.updateSchool
+);
+router.get('/:school_id/deletion-impact', authorize('schools:delete', fromParams()), schoolDeletionController.getSchoolDeletionImpact);
+router.delete('/:school_id',
+  authorize('schools:delete', fromParams()),
+  auditAs('school.delete', { snapshot: rowSnapshot('schools', { column: 'school_id', param: 'school_id' }) }),
+  schoolDeletionController.deleteSchool
+); // 👈 ADD THIS LINE
+router.post('/:school_id/restore',
+  authorize('schools:restore', fromParams()),
+  auditAs('school.restore', { snapshot: rowSnapshot('schools', { column: 'school_id', param: 'school_id' }) }),
+  schoolDeletionController.restoreSchool
+);
+router.delete('/:school_id/purge',
+  authorize('schools:purge', fromParams()),
+  auditAs('school.purge', { snapshot: rowSnapshot('schools', { column: 'school_id', param: 'school_id' }) }),
+  schoolDeletionController.purgeSchool
+);
 
 export default router;
\ No newline at end of file
@@ -1,11 +1,14 @@
 // server/routes/upload.js
 import { Router } from 'express';
 import multer from 'multer';
-import { uploadSchools } from '../controllers/uploadController.js';
+import { uploadSchools, commitSchoolUpload } from '../controllers/uploadController.js';
+import { authorize } from '../middleware/permissions.js';
+import { auditAs } from '../middleware/audit.js';
 
 const upload = multer({ storage: multer.memoryStorage() });
 const router = Router();
 
-router.post('/', upload.single('file'), uploadSchools);
+router.post('/', upload.single('file'), authorize('schools:create'), auditAs('schools.upload'), uploadSchools);
+router.post('/commit', authorize('schools:create'), auditAs('schools.upload'), commitSchoolUpload);
 
 export default router;
\ No newline at end of file
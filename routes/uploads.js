@@ -0,0 +1,14 @@
+// server/routes/uploads.js
+import { Router } from 'express';
+import * as uploadHistoryController from '../controllers/uploadHistoryController.js';
+import { authorize, fromQuery, uploadBatchById } from '../middleware/permissions.js';
+import { auditAs, rowSnapshot } from '../middleware/audit.js';
+
+const router = Router();
+
+router.get('/', authorize('uploads:read', fromQuery), uploadHistoryController.listUploads);
+router.get('/:batch_id', authorize('uploads:read', uploadBatchById), uploadHistoryController.getUpload);
+router.get('/:batch_id/file', authorize('uploads:read', uploadBatchById), uploadHistoryController.downloadUpload);
+router.delete('/:batch_id', authorize('exams:write', uploadBatchById), auditAs('upload.delete', { snapshot: rowSnapshot('upload_batches', { param: 'batch_id', columns: 'id, kind, school_id, program, exam_pattern, class, section, exam_date, file_name, row_count, produced, version_id' }) }), uploadHistoryController.deleteUpload);
+
+export default router;
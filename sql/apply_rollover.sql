@@ -0,0 +1,80 @@
+-- server/sql/apply_rollover.sql
+--
+-- apply_rollover(p_school_id, p_archive, ...): close a school's academic year in one
+-- transaction, so a rollover either happens completely or not at all. It archives the
+-- year, records each student's outcome, adds the new class-sections, moves and withdraws
+-- students, moves the school's class-sections to the next year and advances the school.
+-- A "failed" archive left by an earlier attempt is replaced.
+-- p_archive: { academic_year, next_academic_year, classes, teacher_assignments, students, summary, rolled_over_by }
+-- p_records: student_year_records rows (without school_id and academic_year)
+-- p_new_classes: [{ class, section, foundation, program, group, num_students }]
+-- p_promotions: [{ class, section, ids }] in the order to apply (higher classes first)
+-- p_withdrawn_ids: ids of graduating and leaving students
+-- Returns the academic_year_archives row.
+create or replace function apply_rollover(
+  p_school_id text,
+  p_archive jsonb,
+  p_records jsonb default '[]',
+  p_new_classes jsonb default '[]',
+  p_promotions jsonb default '[]',
+  p_withdrawn_ids text[] default '{}'
+)
+returns setof academic_year_archives
+language plpgsql
+as $$
+declare
+  v_year text := p_archive->>'academic_year';
+  v_next_year text := p_archive->>'next_academic_year';
+  v_archive academic_year_archives;
+  v_promotion jsonb;
+begin
+  delete from student_year_records r
+  using academic_year_archives a
+  where a.school_id = p_school_id and a.academic_year = v_year and a.status = 'failed'
+    and r.school_id = a.school_id and r.academic_year = a.academic_year;
+
+  delete from academic_year_archives
+  where school_id = p_school_id and academic_year = v_year and status = 'failed';
+
+  insert into academic_year_archives (
+    school_id, academic_year, next_academic_year, status, classes, teacher_assignments, students,
+    summary, error, rolled_over_by, rolled_over_at, completed_at
+  )
+  values (
+    p_school_id, v_year, v_next_year, 'completed', p_archive->'classes', p_archive->'teacher_assignments',
+    p_archive->'students', p_archive->'summary', null, p_archive->>'rolled_over_by', now(), now()
+  )
+  returning * into v_archive;
+
+  insert into student_year_records (
+    school_id, academic_year, student_id, roll_no, name, class, section, outcome, next_class, next_section
+  )
+  select p_school_id, v_year, r.student_id, r.roll_no, r.name, r.class, r.section, r.outcome, r.next_class, r.next_section
+  from jsonb_populate_recordset(null::student_year_records, p_records) as r;
+
+  insert into classes (school_id, class, section, foundation, program, "group", num_students, academic_year)
+  select p_school_id, c.class, c.section, c.foundation, c.program, c."group", coalesce(c.num_students, 0), v_next_year
+  from jsonb_populate_recordset(null::classes, p_new_classes) as c;
+
+  for v_promotion in select * from jsonb_array_elements(p_promotions) loop
+    update students
+    set class = v_promotion->>'class', section = v_promotion->>'section', updated_at = now()
+    where school_id = p_school_id
+      and id::text in (select jsonb_array_elements_text(v_promotion->'ids'));
+  end loop;
+
+  update students
+  set withdrawn_at = now(), updated_at = now()
+  where school_id = p_school_id and id::text = any(p_withdrawn_ids);
+
+  update classes
+  set academic_year = v_next_year
+  where school_id = p_school_id and deleted_at is null;
+
+  update schools
+  set academic_year = v_next_year
+  where school_id = p_school_id;
+
+  return next v_archive;
+end;
+$$;
@@ -0,0 +1,44 @@
+-- server/sql/apply_student_roster.sql
+--
+-- apply_student_roster(p_inserts, p_updates, p_withdrawal_ids): apply a roster upload in
+-- one transaction, so a failed write never leaves half a roster behind.
+-- p_inserts: new students rows (with password_hash and must_change_password).
+-- p_updates: [{ id, values }], values holding only the changed columns.
+-- p_withdrawal_ids: ids of the students to withdraw. Returns the inserted students rows.
+create or replace function apply_student_roster(
+  p_inserts jsonb default '[]',
+  p_updates jsonb default '[]',
+  p_withdrawal_ids text[] default '{}'
+)
+returns setof students
+language plpgsql
+as $$
+declare
+  v_update jsonb;
+begin
+  -- Updates first: a re-numbered student frees the roll number a new student takes
+  for v_update in select * from jsonb_array_elements(p_updates) loop
+    update students s
+    set (roll_no, name, class, section, gender, parent_phone, parent_email, withdrawn_at, updated_at) = (
+      select r.roll_no, r.name, r.class, r.section, r.gender, r.parent_phone, r.parent_email, r.withdrawn_at, now()
+      from jsonb_populate_record(s, v_update->'values') as r
+    )
+    where s.id::text = v_update->>'id';
+  end loop;
+
+  update students
+  set withdrawn_at = now(), updated_at = now()
+  where id::text = any(p_withdrawal_ids);
+
+  return query
+  insert into students (
+    school_id, student_id, roll_no, name, class, section, gender, parent_phone, parent_email,
+    password_hash, must_change_password, created_at, updated_at
+  )
+  select
+    r.school_id, r.student_id, r.roll_no, r.name, r.class, r.section, r.gender, r.parent_phone, r.parent_email,
+    r.password_hash, coalesce(r.must_change_password, true), now(), now()
+  from jsonb_populate_recordset(null::students, p_inserts) as r
+  returning *;
+end;
+$$;
@@ -0,0 +1,39 @@
+-- server/sql/create_owner.sql
+--
+-- create_owner(p_owner, p_school_ids, p_granted_by): insert an owner and their school
+-- grants in one transaction, so a failed grant never leaves an owner without schools.
+-- p_owner: { username, name, email, is_admin, password_hash, must_change_password }.
+-- Admins get no grants (they see every school). Returns the new owners row.
+create or replace function create_owner(
+  p_owner jsonb,
+  p_school_ids text[] default '{}',
+  p_granted_by owner_schools.granted_by%type default null
+)
+returns setof owners
+language plpgsql
+as $$
+declare
+  v_owner owners;
+begin
+  insert into owners (username, name, email, is_admin, password_hash, must_change_password, created_at)
+  values (
+    p_owner->>'username',
+    p_owner->>'name',
+    nullif(p_owner->>'email', ''),
+    coalesce((p_owner->>'is_admin')::boolean, false),
+    p_owner->>'password_hash',
+    coalesce((p_owner->>'must_change_password')::boolean, false),
+    now()
+  )
+  returning * into v_owner;
+
+  if not v_owner.is_admin then
+    insert into owner_schools (owner_id, school_id, granted_by, granted_at)
+    select v_owner.id, school_id, p_granted_by, now()
+    from unnest(p_school_ids) as school_id
+    on conflict (owner_id, school_id) do nothing;
+  end if;
+
+  return next v_owner;
+end;
+$$;
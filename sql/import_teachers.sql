@@ -0,0 +1,86 @@
+-- server/sql/import_teachers.sql
+--
+-- import_teachers(p_school_id, p_teachers, p_updates, p_removal_ids, p_assignments, p_deletion): apply a
+-- teacher import in one transaction. New teachers go through create_teacher and
+-- assignments through assign_teacher_to_class, so the import gets the same checks as a
+-- single create or assign; the first one to fail undoes the whole import.
+-- p_teachers: [{ teacher_id, name, contact, email, password_hash }]
+-- p_updates: [{ teacher_id, values }], values holding only the changed name/contact/email
+-- p_removal_ids: teacher_assignments ids the import drops (replace_assignments); they are
+-- soft-deleted with p_deletion ({ deleted_at, deleted_by }) and can be restored
+-- p_assignments: [{ teacher_id, class, section, subject }], teacher_id being the teacher code
+-- Returns { assigned: [{ id, class, section, subject }] }.
+create or replace function import_teachers(
+  p_school_id text,
+  p_teachers jsonb default '[]',
+  p_updates jsonb default '[]',
+  p_removal_ids text[] default '{}',
+  p_assignments jsonb default '[]',
+  p_deletion jsonb default '{}'
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_item jsonb;
+  v_result jsonb;
+  v_assigned jsonb := '[]';
+begin
+  for v_item in select * from jsonb_array_elements(p_teachers) loop
+    v_result := to_jsonb(create_teacher(
+      p_school_id,
+      v_item->>'teacher_id',
+      v_item->>'name',
+      v_item->>'contact',
+      v_item->>'email'
+    ));
+    if not coalesce((v_result->>'success')::boolean, false) then
+      raise exception 'Teacher %: %', v_item->>'teacher_id', coalesce(v_result->>'error', 'failed to create teacher');
+    end if;
+
+    update teachers
+    set password_hash = v_item->>'password_hash', must_change_password = true, password_changed_at = null
+    where school_id = p_school_id and teacher_id = v_item->>'teacher_id';
+  end loop;
+
+  for v_item in select * from jsonb_array_elements(p_updates) loop
+    update teachers
+    set
+      name = case when v_item->'values' ? 'name' then v_item->'values'->>'name' else name end,
+      contact = case when v_item->'values' ? 'contact' then v_item->'values'->>'contact' else contact end,
+      email = case when v_item->'values' ? 'email' then v_item->'values'->>'email' else email end
+    where school_id = p_school_id and teacher_id = v_item->>'teacher_id';
+  end loop;
+
+  update teacher_assignments
+  set deleted_at = coalesce((p_deletion->>'deleted_at')::timestamptz, now()), deleted_by = p_deletion->>'deleted_by'
+  where school_id = p_school_id and id::text = any(p_removal_ids) and deleted_at is null;
+
+  for v_item in select * from jsonb_array_elements(p_assignments) loop
+    v_result := to_jsonb(assign_teacher_to_class(
+      p_school_id,
+      v_item->>'teacher_id',
+      v_item->>'class',
+      v_item->>'section',
+      v_item->>'subject'
+    ));
+    if not coalesce((v_result->>'success')::boolean, false) then
+      raise exception 'Teacher % in %-% (%): %', v_item->>'teacher_id', v_item->>'class', v_item->>'section',
+        v_item->>'subject', coalesce(v_result->>'error', 'failed to assign teacher');
+    end if;
+
+    select v_assigned || coalesce(jsonb_agg(jsonb_build_object('id', a.id, 'class', a.class, 'section', a.section, 'subject', a.subject)), '[]')
+    into v_assigned
+    from teacher_assignments a
+    join teachers t on t.id = a.teacher_id
+    where a.school_id = p_school_id
+      and t.teacher_id = v_item->>'teacher_id'
+      and a.class = v_item->>'class'
+      and a.section = v_item->>'section'
+      and a.subject = v_item->>'subject'
+      and a.deleted_at is null;
+  end loop;
+
+  return jsonb_build_object('assigned', v_assigned);
+end;
+$$;
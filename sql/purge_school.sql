@@ -0,0 +1,41 @@
+-- server/sql/purge_school.sql
+--
+-- purge_school(p_school_id): permanently remove a soft-deleted school and every row that
+-- belongs to it, in one transaction: either all of the school goes, or none of it.
+-- The tables and their order match SCHOOL_DEPENDENTS in
+-- controllers/schoolDeletionController.js; the audit log is history and is kept.
+-- Refuses a school that is not soft-deleted. Stored upload files are removed by the server.
+-- Transfers go with the school's own students; students who moved on to another school
+-- keep theirs, with the purged school cleared from them.
+create or replace function purge_school(p_school_id text)
+returns void
+language plpgsql
+as $$
+begin
+  if not exists (select 1 from schools where school_id = p_school_id and deleted_at is not null) then
+    raise exception 'School % is not deleted', p_school_id;
+  end if;
+
+  delete from upload where data->>'school_id' = p_school_id;
+  delete from exam_responses where school_id = p_school_id;
+  delete from exam_result_versions where school_id = p_school_id;
+  delete from exams where school_id = p_school_id;
+  delete from answer_keys where school_id = p_school_id;
+  delete from upload_batches where school_id = p_school_id;
+  delete from upload_previews where school_id = p_school_id;
+  delete from import_jobs where school_id = p_school_id;
+  delete from student_transfers
+  where student_id in (select student_id from students where school_id = p_school_id);
+  update student_transfers set from_school_id = null where from_school_id = p_school_id;
+  update student_transfers set to_school_id = null where to_school_id = p_school_id;
+  delete from student_year_records where school_id = p_school_id;
+  delete from academic_year_archives where school_id = p_school_id;
+  delete from teacher_assignments where school_id = p_school_id;
+  delete from teachers where school_id = p_school_id;
+  delete from students where school_id = p_school_id;
+  delete from classes where school_id = p_school_id;
+  delete from owner_schools where school_id = p_school_id;
+  delete from school_list where school_id = p_school_id;
+  delete from schools where school_id = p_school_id;
+end;
+$$;
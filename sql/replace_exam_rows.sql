@@ -0,0 +1,31 @@
+-- server/sql/replace_exam_rows.sql
+--
+-- replace_exam_rows(p_context, p_rows): swap the `exams` rows of one exam context for
+-- p_rows in one transaction, so a failed insert never leaves the exam without results.
+-- p_context: { school_id, program, exam_pattern, class, section, exam_date } (a null
+-- exam_date matches rows without one). p_rows: exams rows without `id` (ids are
+-- reassigned); the columns inserted are the keys of the first row.
+create or replace function replace_exam_rows(p_context jsonb, p_rows jsonb default '[]')
+returns void
+language plpgsql
+as $$
+declare
+  v_columns text;
+begin
+  delete from exams
+  where school_id = p_context->>'school_id'
+    and program = p_context->>'program'
+    and exam_pattern = p_context->>'exam_pattern'
+    and class = p_context->>'class'
+    and section = p_context->>'section'
+    and exam_date::text is not distinct from p_context->>'exam_date';
+
+  if jsonb_array_length(p_rows) = 0 then
+    return;
+  end if;
+
+  select string_agg(quote_ident(k), ', ') into v_columns from jsonb_object_keys(p_rows->0) as k;
+  execute format('insert into exams (%1$s) select %1$s from jsonb_populate_recordset(null::exams, $1)', v_columns)
+  using p_rows;
+end;
+$$;
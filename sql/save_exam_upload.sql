@@ -0,0 +1,23 @@
+-- server/sql/save_exam_upload.sql
+--
+-- save_exam_upload(p_context, p_rows, p_replace): write a results upload's `upload` rows
+-- (which produce the `exams` rows) in one transaction. With p_replace the context's
+-- current results are removed first (replace_exam_rows, sql/replace_exam_rows.sql), so a
+-- failed replace keeps the results it was replacing.
+-- p_rows: upload rows; the columns inserted are the keys of the first row.
+create or replace function save_exam_upload(p_context jsonb, p_rows jsonb, p_replace boolean default false)
+returns void
+language plpgsql
+as $$
+declare
+  v_columns text;
+begin
+  if p_replace then
+    perform replace_exam_rows(p_context, '[]');
+  end if;
+
+  select string_agg(quote_ident(k), ', ') into v_columns from jsonb_object_keys(p_rows->0) as k;
+  execute format('insert into upload (%1$s) select %1$s from jsonb_populate_recordset(null::upload, $1)', v_columns)
+  using p_rows;
+end;
+$$;
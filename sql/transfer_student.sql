@@ -0,0 +1,43 @@
+-- server/sql/transfer_student.sql
+--
+-- transfer_student(p_student_row_id, p_transfer): record a transfer in student_transfers
+-- and move the student in one transaction, so the history and the roster always agree.
+-- p_transfer: a student_transfers row without id/created_at; the student must still be
+-- where its from_* columns say, or nothing is written. Returns the student_transfers row.
+create or replace function transfer_student(p_student_row_id text, p_transfer jsonb)
+returns setof student_transfers
+language plpgsql
+as $$
+declare
+  v_transfer student_transfers;
+begin
+  update students
+  set
+    school_id = p_transfer->>'to_school_id',
+    class = p_transfer->>'to_class',
+    section = p_transfer->>'to_section',
+    roll_no = p_transfer->>'to_roll_no',
+    updated_at = now()
+  where id::text = p_student_row_id
+    and school_id = p_transfer->>'from_school_id'
+    and class::text = p_transfer->>'from_class'
+    and section::text = p_transfer->>'from_section';
+
+  if not found then
+    raise exception 'Student % is no longer in %-% of %', p_transfer->>'student_id',
+      p_transfer->>'from_class', p_transfer->>'from_section', p_transfer->>'from_school_id';
+  end if;
+
+  insert into student_transfers (
+    student_id, from_school_id, from_class, from_section, from_roll_no,
+    to_school_id, to_class, to_section, to_roll_no, effective_date, reason, transferred_by, created_at
+  )
+  select
+    t.student_id, t.from_school_id, t.from_class, t.from_section, t.from_roll_no,
+    t.to_school_id, t.to_class, t.to_section, t.to_roll_no, t.effective_date, t.reason, t.transferred_by, now()
+  from jsonb_populate_record(null::student_transfers, p_transfer) as t
+  returning * into v_transfer;
+
+  return next v_transfer;
+end;
+$$;
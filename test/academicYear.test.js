@@ -0,0 +1,26 @@
+// server/test/academicYear.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.SUPABASE_URL ||= 'http://127.0.0.1:9';
+process.env.SUPABASE_SERVICE_ROLE_KEY ||= 'test';
+
+const { normalizeAcademicYear } = await import('../controllers/schoolController.js');
+
+test('accepts the usual spellings of a year', () => {
+  for (const value of ['2025-26', '2025-2026', '2025/2026', '2025 - 2026', '2025–26']) {
+    assert.equal(normalizeAcademicYear(value), '2025-2026', value);
+  }
+});
+
+test('a two-digit end year rolls over the century', () => {
+  assert.equal(normalizeAcademicYear('2099-00'), '2099-2100');
+  assert.equal(normalizeAcademicYear('1999-00'), '1999-2000');
+  assert.equal(normalizeAcademicYear('2009-10'), '2009-2010');
+});
+
+test('rejects years that are not consecutive or not years', () => {
+  for (const value of ['2025-27', '2025-2025', '2099-99', '2025-1', '25-26', '', null, 'next year']) {
+    assert.equal(normalizeAcademicYear(value), null, String(value));
+  }
+});
@@ -0,0 +1,89 @@
+// server/test/answerKeys.test.js
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeExamPattern } from '../utils/examPatterns.js';
+import { normalizeAnswerKey, parseResponseGrid, scoreResponses } from '../utils/answerKeys.js';
+
+const PATTERN = normalizeExamPattern({
+  code: 'MINI',
+  name: 'Mini test',
+  subjects: [
+    { subject: 'physics', questions: 2, marks_per_correct: 4, negative_marks: 1 },
+    { subject: 'chemistry', questions: 1, marks_per_correct: 4, negative_marks: 1 }
+  ]
+});
+
+const KEY = [
+  { question: 1, answer: 'b', subject: 'Physics' },
+  { question: 2, answer: 'A/C', subject: 'phy' },
+  { question: 3, answer: 'D', subject: 'Chemistry' }
+];
+
+describe('normalizeAnswerKey', () => {
+  test('takes the marking scheme from the pattern', () => {
+    const { questions, errors } = normalizeAnswerKey(KEY, PATTERN);
+    assert.deepEqual(errors, []);
+    assert.deepEqual(questions[1], { question: 2, answer: ['A', 'C'], subject: 'physics', marks: 4, negative_marks: 1 });
+  });
+
+  test('the key has to match the pattern', () => {
+    const { errors } = normalizeAnswerKey([...KEY.slice(0, 2), { question: 2, answer: 'A', subject: 'chemistry' }, { question: 4, answer: 'A', subject: 'maths' }], PATTERN);
+    assert.deepEqual(errors, [
+      'Question 2: listed more than once',
+      'Question 4: subject "maths" is not part of exam pattern MINI',
+      'Chemistry: the key has 0 question(s) but exam pattern MINI has 1'
+    ]);
+  });
+});
+
+describe('parseResponseGrid', () => {
+  test('reads the ID, name and question columns', () => {
+    const { rows, question_numbers, errors } = parseResponseGrid([
+      [],
+      ['Roll No', 'Name', 'Q1', 'Q 2', 'Question 3'],
+      ['S001', 'Asha', 'b', '-', 'D'],
+      ['', 'no id']
+    ]);
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(question_numbers, [1, 2, 3]);
+    assert.deepEqual(rows, [{ row: 3, student_id: 'S001', student_name: 'Asha', responses: { 1: 'B', 2: null, 3: 'D' } }]);
+  });
+
+  test('a sheet without an ID column is refused', () => {
+    assert.deepEqual(parseResponseGrid([['Name', 'Q1']]).errors, [
+      'No student ID column found (expected one of: student id, student_id, studentid, roll no, rollno, roll number, roll)'
+    ]);
+  });
+});
+
+describe('scoreResponses', () => {
+  const { questions } = normalizeAnswerKey(KEY, PATTERN);
+
+  test('scores right, wrong and blank answers per subject', () => {
+    const scored = scoreResponses({ 1: 'B', 2: 'D', 3: null }, questions);
+
+    assert.equal(scored.correct, 1);
+    assert.equal(scored.wrong, 1);
+    assert.equal(scored.unattempted, 1);
+    assert.deepEqual(scored.subjects, {
+      physics: { marks: 3, correct: 1, wrong: 1, unattempted: 0 },
+      chemistry: { marks: 0, correct: 0, wrong: 0, unattempted: 1 }
+    });
+    assert.deepEqual(scored.question_results[2], { response: 'D', outcome: 'wrong', marks: -1 });
+  });
+
+  test('any accepted option counts as correct', () => {
+    assert.equal(scoreResponses({ 2: 'C' }, questions).question_results[2].outcome, 'correct');
+  });
+
+  test('bonus questions score for everyone, dropped ones for no one', () => {
+    const corrected = questions.map((q) => (q.question === 1 ? { ...q, status: 'bonus' } : q.question === 3 ? { ...q, status: 'dropped' } : q));
+    const scored = scoreResponses({ 1: null, 3: 'D' }, corrected);
+
+    assert.equal(scored.subjects.physics.marks, 4);
+    assert.deepEqual(scored.question_results[1], { response: null, outcome: 'bonus', marks: 4 });
+    assert.deepEqual(scored.question_results[3], { response: 'D', outcome: 'dropped', marks: 0 });
+    assert.equal(scored.correct, 1);
+  });
+});
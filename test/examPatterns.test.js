@@ -0,0 +1,97 @@
+// server/test/examPatterns.test.js
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  normalizeSubject,
+  normalizeExamPattern,
+  validateExamPattern,
+  patternTotals,
+  scoreFromCounts,
+  checkSubjectScore
+} from '../utils/examPatterns.js';
+
+const NEET = normalizeExamPattern({
+  code: ' neet_mock ',
+  name: 'NEET mock',
+  subjects: [
+    { subject: 'Physics', questions: 45, marks_per_correct: 4, negative_marks: 1 },
+    { subject: 'chem', questions: 45, marks_per_correct: 4, negative_marks: 1 },
+    { subject: 'BIO', questions: 90, max_marks: 360, marks_per_correct: 4, negative_marks: 1 }
+  ]
+});
+
+describe('normalizeExamPattern', () => {
+  test('subject aliases map to their keys', () => {
+    assert.equal(normalizeSubject('Mathematics'), 'maths');
+    assert.equal(normalizeSubject(' Mental  Ability '), 'mental_ability');
+    assert.equal(normalizeSubject('history'), null);
+  });
+
+  test('fills max marks from the marking scheme', () => {
+    assert.equal(NEET.code, 'NEET_MOCK');
+    assert.deepEqual(NEET.subjects[0], { subject: 'physics', questions: 45, max_marks: 180, marks_per_correct: 4, negative_marks: 1 });
+    assert.deepEqual(patternTotals(NEET), { total_questions: 180, total_max_marks: 720 });
+  });
+
+  test('defaults to one mark a question and no negative marking', () => {
+    const [entry] = normalizeExamPattern({ code: 'X', name: 'X', subjects: [{ subject: 'english', questions: 20 }] }).subjects;
+    assert.deepEqual(entry, { subject: 'english', questions: 20, max_marks: 20, marks_per_correct: 1, negative_marks: 0 });
+  });
+});
+
+describe('validateExamPattern', () => {
+  test('a complete pattern is valid', () => {
+    assert.deepEqual(validateExamPattern(NEET), []);
+  });
+
+  test('reports every problem with the subjects', () => {
+    const pattern = normalizeExamPattern({
+      code: 'bad code',
+      name: '',
+      subjects: [
+        { subject: 'physics', questions: 0, negative_marks: -1 },
+        { subject: 'phy', questions: 10 },
+        { subject: 'history', questions: 10 }
+      ]
+    });
+
+    assert.deepEqual(validateExamPattern(pattern), [
+      'code may only contain letters, digits, _ and -',
+      'name is required',
+      'subjects[0].questions must be a positive integer',
+      'subjects[0].max_marks must be a positive number',
+      'subjects[0].negative_marks must be zero or a positive deduction',
+      'subjects[1].subject physics is listed twice',
+      'subjects[2].subject must be one of physics, chemistry, maths, biology, english, social, mental_ability'
+    ]);
+  });
+
+  test('a pattern needs subjects', () => {
+    assert.deepEqual(validateExamPattern(normalizeExamPattern({ code: 'X', name: 'X' })), ['subjects must be a non-empty array']);
+  });
+});
+
+describe('marking', () => {
+  const physics = NEET.subjects[0];
+
+  test('marks come from the answer counts', () => {
+    assert.equal(scoreFromCounts(physics, { correct: 30, wrong: 10 }), 110);
+    assert.equal(scoreFromCounts(physics, { wrong: 45 }), -45);
+  });
+
+  test('marks between the lowest and highest possible pass', () => {
+    assert.deepEqual(checkSubjectScore(physics, { marks: 110, correct: 30, wrong: 10, unattempted: 5 }), []);
+    assert.deepEqual(checkSubjectScore(physics, { marks: -45 }), []);
+  });
+
+  test('marks and counts the pattern cannot produce are reported', () => {
+    assert.deepEqual(checkSubjectScore(physics, { marks: 181, correct: 40, wrong: 10, unattempted: 0 }), [
+      'Physics marks 181 exceed the maximum of 180',
+      'Physics answer counts add up to more than 45 questions'
+    ]);
+    assert.deepEqual(checkSubjectScore(physics, { marks: -46, correct: 1.5 }), [
+      'Physics marks -46 are below the minimum of -45',
+      'Physics answer counts must be whole non-negative numbers'
+    ]);
+  });
+});
@@ -0,0 +1,87 @@
+// server/test/loginThrottle.test.js
+//
+// Concurrency of the login throttle: attempts are counted before the handler runs, so a
+// burst of parallel requests cannot get past the per-account and per-IP limits.
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import { MemoryStore } from '../utils/rateLimitStore.js';
+import {
+  loginThrottle,
+  setThrottleStore,
+  listThrottleRecords,
+  clearThrottleRecord,
+  accountKey
+} from '../middleware/loginThrottle.js';
+
+const throttle = loginThrottle('STUDENT', (body) => body.student_id);
+
+let ipCounter = 0;
+let ip;
+
+beforeEach(() => {
+  setThrottleStore(new MemoryStore());
+  ip = `10.0.0.${++ipCounter}`;
+});
+
+const fakeResponse = () => {
+  const res = new EventEmitter();
+  res.statusCode = 200;
+  res.writableFinished = false;
+  res.set = () => res;
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; res.end(); return res; };
+  res.end = () => {
+    res.writableFinished = true;
+    setImmediate(() => res.emit('close'));
+  };
+  return res;
+};
+
+// One attempt; `handle(res)` plays the login handler. Resolves once the throttle settled.
+const attempt = async (studentId, handle) => {
+  const res = fakeResponse();
+  let handled = false;
+  await throttle({ ip, body: { student_id: studentId } }, res, async () => {
+    handled = true;
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    handle(res);
+  });
+  await new Promise((resolve) => res.once('close', () => setImmediate(resolve)));
+  return { handled, status: res.statusCode };
+};
+
+const fail = (res) => res.status(401).json({ error: 'Invalid credentials' });
+const succeed = (res) => res.json({ success: true });
+
+test('parallel attempts past the free attempts reach the handler one at a time', async () => {
+  for (let i = 0; i < 2; i++) await attempt('S001', fail);
+
+  const results = await Promise.all(Array.from({ length: 10 }, () => attempt('S001', fail)));
+  const handled = results.filter((r) => r.handled);
+
+  // The third attempt is still free; after it only one attempt holds the backoff gate
+  assert.equal(handled.length, 2);
+  assert.equal(results.filter((r) => r.status === 429).length, 8);
+
+  const [record] = await listThrottleRecords().then((records) => records.filter((r) => r.kind === 'account'));
+  assert.equal(record.failures, 4);
+  assert.ok(record.blocked_until);
+});
+
+test('parallel attempts from one address stop at the IP limit', async () => {
+  const results = await Promise.all(Array.from({ length: 40 }, (_, i) => attempt(`S${i}`, fail)));
+  assert.equal(results.filter((r) => r.handled).length, 30);
+  assert.equal(results.filter((r) => r.status === 429).length, 10);
+});
+
+test('a successful login clears the account', async () => {
+  await attempt('S001', fail);
+  assert.equal((await attempt('S001', succeed)).status, 200);
+  assert.equal(await clearThrottleRecord(accountKey('STUDENT', 'S001')), false);
+});
+
+test('attempts that neither fail nor succeed are given back', async () => {
+  for (let i = 0; i < 5; i++) await attempt('S001', (res) => res.status(400).json({ error: 'Bad request' }));
+  assert.deepEqual(await listThrottleRecords(), []);
+});
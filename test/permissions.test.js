@@ -0,0 +1,248 @@
+// server/test/permissions.test.js
+//
+// Role matrix for authorize(): every permission for every role, and the scope checks on
+// school, class-section, student and teacher targets. Scopes are set on req.scope up
+// front, so nothing here talks to Supabase.
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.SUPABASE_URL ||= 'http://127.0.0.1:9';
+process.env.SUPABASE_SERVICE_ROLE_KEY ||= 'test';
+
+const { authorize, PERMISSIONS } = await import('../middleware/permissions.js');
+
+const ROLES = ['ADMIN', 'SCHOOL_OWNER', 'TEACHER', 'STUDENT'];
+
+// The intended role table, written out so a change to PERMISSIONS has to be made here too
+const EXPECTED = {
+  'reference:read': ['ADMIN', 'SCHOOL_OWNER', 'TEACHER', 'STUDENT'],
+  'schools:read': ['ADMIN', 'SCHOOL_OWNER', 'TEACHER', 'STUDENT'],
+  'results:read': ['ADMIN', 'SCHOOL_OWNER', 'TEACHER', 'STUDENT'],
+  'teachers:read': ['ADMIN', 'SCHOOL_OWNER', 'TEACHER'],
+  'teachers:ranks': ['ADMIN', 'SCHOOL_OWNER', 'TEACHER'],
+  'students:read': ['ADMIN', 'SCHOOL_OWNER', 'TEACHER'],
+  'exams:read': ['ADMIN', 'SCHOOL_OWNER', 'TEACHER'],
+  'schools:create': ['ADMIN', 'SCHOOL_OWNER'],
+  'schools:update': ['ADMIN', 'SCHOOL_OWNER'],
+  'schools:delete': ['ADMIN', 'SCHOOL_OWNER'],
+  'schools:restore': ['ADMIN', 'SCHOOL_OWNER'],
+  'classes:write': ['ADMIN', 'SCHOOL_OWNER'],
+  'teachers:write': ['ADMIN', 'SCHOOL_OWNER'],
+  'students:write': ['ADMIN', 'SCHOOL_OWNER'],
+  'exams:write': ['ADMIN', 'SCHOOL_OWNER'],
+  'dashboard:read': ['ADMIN', 'SCHOOL_OWNER'],
+  'passwords:reset': ['ADMIN', 'SCHOOL_OWNER'],
+  'lockouts:manage': ['ADMIN', 'SCHOOL_OWNER'],
+  'audit:read': ['ADMIN', 'SCHOOL_OWNER'],
+  'result_mappings:read': ['ADMIN', 'SCHOOL_OWNER'],
+  'uploads:read': ['ADMIN', 'SCHOOL_OWNER'],
+  'jobs:read': ['ADMIN', 'SCHOOL_OWNER'],
+  'templates:read': ['ADMIN', 'SCHOOL_OWNER'],
+  'academic_years:read': ['ADMIN', 'SCHOOL_OWNER'],
+  'academic_years:rollover': ['ADMIN', 'SCHOOL_OWNER'],
+  'schools:purge': ['ADMIN'],
+  'result_mappings:manage': ['ADMIN'],
+  'exam_patterns:manage': ['ADMIN'],
+  'owners:manage': ['ADMIN']
+};
+
+const SCOPES = {
+  ADMIN: { allSchools: true, schoolIds: [], classSections: null, studentId: null, teacherId: null },
+  SCHOOL_OWNER: { allSchools: false, schoolIds: ['TS2501'], classSections: null, studentId: null, teacherId: null },
+  TEACHER: { allSchools: false, schoolIds: ['TS2501'], classSections: ['6-A'], studentId: null, teacherId: 'T001' },
+  STUDENT: { allSchools: false, schoolIds: ['TS2501'], classSections: ['6-A'], studentId: 'S001', teacherId: null }
+};
+
+const USER_IDS = { ADMIN: 'admin', SCHOOL_OWNER: 'owner-1', TEACHER: 'T001', STUDENT: 'S001' };
+
+// Runs the middleware; resolves to { allowed } or { status, error }
+const run = async (permission, role, target = null, { deletedSchoolIds = [] } = {}) => {
+  const req = {
+    user: role ? { role, id: USER_IDS[role], school_id: 'TS2501' } : undefined,
+    scope: role ? { ...SCOPES[role], deletedSchoolIds } : undefined,
+    params: {},
+    query: {},
+    body: {}
+  };
+  let result = null;
+  const res = {
+    status(code) { this.statusCode = code; return this; },
+    json(body) { result = { status: this.statusCode, error: body.error }; return this; }
+  };
+
+  // target: the resolved target, or a resolver function to run as is
+  const resolver = target === null ? null : typeof target === 'function' ? target : async () => target;
+  await authorize(permission, resolver)(req, res, () => { result = { allowed: true }; });
+  return result;
+};
+
+describe('authorize: role table', () => {
+  test('PERMISSIONS lists exactly the expected permissions', () => {
+    assert.deepEqual(Object.keys(PERMISSIONS).sort(), Object.keys(EXPECTED).sort());
+  });
+
+  for (const [permission, allowedRoles] of Object.entries(EXPECTED)) {
+    for (const role of ROLES) {
+      const expected = allowedRoles.includes(role);
+      test(`${role} ${expected ? 'may' : 'may not'} ${permission}`, async () => {
+        const result = await run(permission, role);
+        if (expected) {
+          assert.deepEqual(result, { allowed: true });
+        } else {
+          assert.equal(result.status, 403);
+          assert.equal(result.error, `Forbidden: ${role} cannot perform ${permission}`);
+        }
+      });
+    }
+  }
+
+  test('requests without a user get 401', async () => {
+    assert.deepEqual(await run('schools:read', null), { status: 401, error: 'Authentication required' });
+  });
+
+  test('unknown permissions fail at route definition', () => {
+    assert.throws(() => authorize('schools:explode'), /Unknown permission/);
+  });
+});
+
+describe('authorize: school scope', () => {
+  const ownSchool = { school_id: 'TS2501' };
+  const otherSchool = { school_id: 'AP2502' };
+
+  test('ADMIN reaches every school', async () => {
+    assert.deepEqual(await run('schools:read', 'ADMIN', otherSchool), { allowed: true });
+  });
+
+  for (const role of ['SCHOOL_OWNER', 'TEACHER', 'STUDENT']) {
+    test(`${role} reaches their own school`, async () => {
+      assert.deepEqual(await run('schools:read', role, ownSchool), { allowed: true });
+    });
+
+    test(`${role} is refused another school`, async () => {
+      assert.deepEqual(await run('schools:read', role, otherSchool), { status: 403, error: 'Forbidden: school is outside your access' });
+    });
+  }
+
+  test('SCHOOL_OWNER writes to their own school and no other', async () => {
+    assert.deepEqual(await run('students:write', 'SCHOOL_OWNER', ownSchool), { allowed: true });
+    assert.equal((await run('students:write', 'SCHOOL_OWNER', otherSchool)).status, 403);
+  });
+
+  test('a missing resource falls through to the handler', async () => {
+    assert.deepEqual(await run('schools:read', 'SCHOOL_OWNER', undefined), { allowed: true });
+  });
+});
+
+describe('authorize: class-section scope', () => {
+  const ownClass = { school_id: 'TS2501', class: '6', section: 'A' };
+  const otherClass = { school_id: 'TS2501', class: '7', section: 'B' };
+
+  test('TEACHER reads their assigned class-section', async () => {
+    assert.deepEqual(await run('students:read', 'TEACHER', ownClass), { allowed: true });
+  });
+
+  test('TEACHER is refused an unassigned class-section', async () => {
+    assert.deepEqual(await run('students:read', 'TEACHER', otherClass), { status: 403, error: 'Forbidden: class-section is outside your access' });
+  });
+
+  test('STUDENT is refused another class-section', async () => {
+    assert.equal((await run('results:read', 'STUDENT', otherClass)).status, 403);
+  });
+
+  test('SCHOOL_OWNER and ADMIN see every class-section of their schools', async () => {
+    assert.deepEqual(await run('students:read', 'SCHOOL_OWNER', otherClass), { allowed: true });
+    assert.deepEqual(await run('students:read', 'ADMIN', otherClass), { allowed: true });
+  });
+
+  test('one target in scope is enough (a student transferred out of the class)', async () => {
+    assert.deepEqual(await run('results:read', 'TEACHER', [otherClass, ownClass]), { allowed: true });
+    assert.equal((await run('results:read', 'TEACHER', [otherClass, { ...otherClass, class: '8' }])).status, 403);
+  });
+});
+
+describe('authorize: partial targets', () => {
+  test('a target without a school is left to the handler', async () => {
+    assert.deepEqual(await run('students:read', 'SCHOOL_OWNER', { class: '7', section: 'B' }), { allowed: true });
+    assert.deepEqual(await run('students:read', 'TEACHER', { class: '6', section: 'A' }), { allowed: true });
+  });
+
+  test('a school-less target is still held to the class-section', async () => {
+    assert.equal((await run('students:read', 'TEACHER', { class: '7', section: 'B' })).status, 403);
+  });
+
+  test('a class without a section must be one the caller teaches', async () => {
+    assert.deepEqual(await run('students:read', 'TEACHER', { school_id: 'TS2501', class: '6' }), { allowed: true });
+    assert.deepEqual(
+      await run('students:read', 'TEACHER', { school_id: 'TS2501', class: '7' }),
+      { status: 403, error: 'Forbidden: class-section is outside your access' }
+    );
+  });
+
+  test('a section without a class must be one the caller teaches', async () => {
+    assert.deepEqual(await run('results:read', 'STUDENT', { school_id: 'TS2501', section: 'A' }), { allowed: true });
+    assert.equal((await run('results:read', 'STUDENT', { school_id: 'TS2501', section: 'B' })).status, 403);
+  });
+
+  test('owners are not held to class-sections', async () => {
+    assert.deepEqual(await run('students:read', 'SCHOOL_OWNER', { school_id: 'TS2501', class: '7' }), { allowed: true });
+  });
+});
+
+describe('authorize: resolver failures', () => {
+  test('a resolver error is a 500, not a missing target', async () => {
+    const failing = async () => { throw new Error('connection refused'); };
+    const original = console.error;
+    console.error = () => {};
+    try {
+      assert.deepEqual(await run('teachers:write', 'SCHOOL_OWNER', failing), { status: 500, error: 'Internal server error' });
+    } finally {
+      console.error = original;
+    }
+  });
+
+  test('a resolver can answer with its own status', async () => {
+    const ambiguous = async () => ({ status: 409, error: 'Teacher ID T001 is used in several schools. Send school_id to choose one.' });
+    assert.deepEqual(
+      await run('teachers:write', 'ADMIN', ambiguous),
+      { status: 409, error: 'Teacher ID T001 is used in several schools. Send school_id to choose one.' }
+    );
+  });
+});
+
+describe('authorize: student and teacher scope', () => {
+  test('STUDENT reads their own results only', async () => {
+    const own = { school_id: 'TS2501', class: '6', section: 'A', student_id: 'S001' };
+    assert.deepEqual(await run('results:read', 'STUDENT', own), { allowed: true });
+    assert.deepEqual(
+      await run('results:read', 'STUDENT', { ...own, student_id: 'S002' }),
+      { status: 403, error: 'Forbidden: student is outside your access' }
+    );
+  });
+
+  test('TEACHER reads their own ranks only', async () => {
+    assert.deepEqual(await run('teachers:ranks', 'TEACHER', { school_id: 'TS2501', teacher_id: 'T001' }), { allowed: true });
+    assert.deepEqual(
+      await run('teachers:ranks', 'TEACHER', { school_id: 'TS2501', teacher_id: 'T002' }),
+      { status: 403, error: 'Forbidden: teacher is outside your access' }
+    );
+  });
+
+  test('SCHOOL_OWNER reads any teacher of their school', async () => {
+    assert.deepEqual(await run('teachers:ranks', 'SCHOOL_OWNER', { school_id: 'TS2501', teacher_id: 'T002' }), { allowed: true });
+  });
+});
+
+describe('authorize: deleted schools', () => {
+  const target = { school_id: 'TS2501' };
+  const deleted = { deletedSchoolIds: ['TS2501'] };
+
+  for (const role of ['ADMIN', 'SCHOOL_OWNER']) {
+    test(`${role} gets 404 for a deleted school`, async () => {
+      assert.deepEqual(await run('schools:read', role, target, deleted), { status: 404, error: 'School not found' });
+    });
+
+    test(`${role} can still restore a deleted school`, async () => {
+      assert.deepEqual(await run('schools:restore', role, target, deleted), { allowed: true });
+    });
+  }
+});
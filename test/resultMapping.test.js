@@ -0,0 +1,111 @@
+// server/test/resultMapping.test.js
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_RESULT_MAPPING,
+  validateMappingProfile,
+  extractResultRows,
+  rankMappingProfiles
+} from '../utils/resultMapping.js';
+
+const HEADER_PROFILE = {
+  name: 'Vendor sheet',
+  header_row: 2,
+  data_start_row: 3,
+  columns: { student_id: { header: 'Roll No' }, student_name: { header: 'Name' } },
+  subjects: [
+    { subject: 'physics', marks: { header: 'PHY Marks' }, correct: { header: 'PHY R' }, wrong: { header: 'PHY W' } },
+    { subject: 'chemistry', marks: { header: 'CHE Marks' }, correct: { header: 'CHE R' }, wrong: { header: 'CHE W' } }
+  ]
+};
+
+const HEADER_GRID = [
+  ['Grand test 4'],
+  ['Roll No', 'Name', 'PHY R', 'PHY W', 'PHY Marks', 'CHE R', 'CHE W', 'CHE Marks'],
+  ['S001', 'Asha', 30, 5, 115, 20, 10, ''],
+  ['Roll No', 'Name'],
+  ['', '', 1],
+  ['S002', 'Ravi', 10, 0, 40, 0, 0, 0]
+];
+
+describe('validateMappingProfile', () => {
+  test('the default layout is valid', () => {
+    assert.deepEqual(validateMappingProfile(DEFAULT_RESULT_MAPPING), []);
+  });
+
+  test('a header-named column needs a header row', () => {
+    const errors = validateMappingProfile({ ...HEADER_PROFILE, header_row: null });
+    assert.ok(errors.includes('columns.student_id uses a header name but header_row is not set'));
+  });
+
+  test('reports bad rows, unknown columns and repeated subjects', () => {
+    const errors = validateMappingProfile({
+      name: 'Broken',
+      header_row: 3,
+      data_start_row: 3,
+      columns: { student_id: { index: 0, header: 'ID' }, grade: { index: 1 } },
+      subjects: [{ subject: 'physics', marks: { index: 2 } }, { subject: 'Physics', marks: { index: 3 } }, { subject: 'history', marks: { index: 4 } }]
+    });
+
+    assert.deepEqual(errors, [
+      'data_start_row must come after header_row',
+      'columns.student_id must have exactly one of index or header',
+      'columns.grade is not a known column (student_id, student_name, correct, wrong, unattempted)',
+      'subjects[1].subject physics is mapped twice',
+      'subjects[2].subject must be one of physics, chemistry, maths, biology, english, social, mental_ability'
+    ]);
+  });
+});
+
+describe('extractResultRows', () => {
+  test('reads columns by header name and sums the subject counts', () => {
+    const { rows, skipped, missing_columns } = extractResultRows(HEADER_GRID, HEADER_PROFILE);
+
+    assert.deepEqual(missing_columns, []);
+    assert.deepEqual(rows[0], {
+      row: 3,
+      student_id: 'S001',
+      student_name: 'Asha',
+      correct: 50,
+      wrong: 15,
+      unattempted: 0,
+      subjects: {
+        physics: { marks: 115, correct: 30, wrong: 5 },
+        // Blank marks stay null so they can be scored from the counts
+        chemistry: { marks: null, correct: 20, wrong: 10 }
+      }
+    });
+    assert.deepEqual(rows.map((r) => r.student_id), ['S001', 'S002']);
+    assert.deepEqual(skipped, [{ row: 5, reason: 'Missing student ID' }]);
+  });
+
+  test('lists the header columns the sheet lacks', () => {
+    const grid = [['x'], ['Roll No', 'Name', 'PHY Marks'], ['S001', 'Asha', 100]];
+    const { missing_columns } = extractResultRows(grid, HEADER_PROFILE);
+    assert.deepEqual(missing_columns, [
+      'physics.correct (PHY R)',
+      'physics.wrong (PHY W)',
+      'chemistry.marks (CHE Marks)',
+      'chemistry.correct (CHE R)',
+      'chemistry.wrong (CHE W)'
+    ]);
+  });
+
+  test('the default layout reads positional columns from row 3', () => {
+    const row = Array(35).fill('');
+    Object.assign(row, { 2: 'S001', 3: 'Asha', 7: 80, 8: 20, 9: 80, 10: 120, 18: 90, 26: 100, 34: 60 });
+    const { rows } = extractResultRows([[], [], row], DEFAULT_RESULT_MAPPING);
+
+    assert.equal(rows.length, 1);
+    assert.equal(rows[0].correct, 80);
+    assert.deepEqual(rows[0].subjects.maths, { marks: 100 });
+  });
+});
+
+describe('rankMappingProfiles', () => {
+  test('the profile that fits the sheet comes first', () => {
+    const [best, other] = rankMappingProfiles(HEADER_GRID, [DEFAULT_RESULT_MAPPING, HEADER_PROFILE]);
+    assert.equal(best.profile, HEADER_PROFILE);
+    assert.ok(best.score > other.score);
+  });
+});
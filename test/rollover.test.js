@@ -0,0 +1,107 @@
+// server/test/rollover.test.js
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.SUPABASE_URL ||= 'http://127.0.0.1:9';
+process.env.SUPABASE_SERVICE_ROLE_KEY ||= 'test';
+
+const { planRollover, promotionGroups, nextAcademicYear } = await import('../controllers/academicYearController.js');
+
+const student = (id, classSection, rollNo) => {
+  const [classValue, sectionValue] = classSection.split('-');
+  return { id, student_id: `S${id}`, roll_no: rollNo, name: `Student ${id}`, class: classValue, section: sectionValue };
+};
+
+const CLASSES = [
+  { class: '9', section: 'A', foundation: 'IIT', program: 'JEE', group: 'MPC', num_students: 40 },
+  { class: '9', section: 'B', foundation: null, program: null, group: null, num_students: 40 },
+  { class: '10', section: 'A', foundation: null, program: null, group: null, num_students: 40 }
+];
+
+const STUDENTS = [
+  student('1', '9-A', '1'),
+  student('2', '9-A', '2'),
+  student('3', '9-B', '1'),
+  student('4', '10-A', '1')
+];
+
+const outcomes = (plan) => Object.fromEntries(plan.moves.map((m) => [m.student_id, [m.outcome, m.next_class && `${m.next_class}-${m.next_section}`]]));
+
+describe('planRollover', () => {
+  test('promotes to the next class, graduates the top class', () => {
+    const { plan } = planRollover({ students: STUDENTS, classes: CLASSES });
+
+    assert.deepEqual(outcomes(plan), {
+      S1: ['promoted', '10-A'],
+      S2: ['promoted', '10-A'],
+      S3: ['promoted', '10-B'],
+      S4: ['graduated', null]
+    });
+    assert.deepEqual(plan.graduatingClasses, ['10']);
+    assert.deepEqual(plan.rollConflicts, []);
+  });
+
+  test('sets up missing class-sections like the one the students come from', () => {
+    const { plan } = planRollover({ students: STUDENTS, classes: CLASSES });
+    assert.deepEqual(plan.newClasses, [{ class: '10', section: 'B', foundation: null, program: null, group: null, num_students: 40 }]);
+  });
+
+  test('section map, detentions and leavers override the default', () => {
+    const { plan } = planRollover({
+      students: STUDENTS,
+      classes: CLASSES,
+      sectionMap: { '9-B': '10-A' },
+      detain: ['S1'],
+      leave: ['S2']
+    });
+
+    assert.deepEqual(outcomes(plan), {
+      S1: ['detained', '9-A'],
+      S2: ['left', null],
+      S3: ['promoted', '10-A'],
+      S4: ['graduated', null]
+    });
+    assert.deepEqual(plan.newClasses, []);
+  });
+
+  test('reports students who would share a roll number', () => {
+    const { plan } = planRollover({ students: STUDENTS, classes: CLASSES, sectionMap: { '9-B': '10-A' } });
+    assert.deepEqual(plan.rollConflicts, [{ class_section: '10-A', roll_no: '1', student_ids: ['S1', 'S3'] }]);
+  });
+
+  test('non-numeric classes need a section map entry', () => {
+    const { plan } = planRollover({ students: [student('5', 'LKG-A', '1')], classes: [{ class: 'LKG', section: 'A' }, ...CLASSES] });
+    assert.deepEqual(plan.unmapped, ['LKG-A']);
+    assert.deepEqual(plan.moves, []);
+  });
+
+  test('refuses unknown or contradictory students and bad section map entries', () => {
+    assert.deepEqual(
+      planRollover({ students: STUDENTS, classes: CLASSES, detain: ['S9'] }),
+      { status: 400, error: 'Not active students of this school: S9' }
+    );
+    assert.deepEqual(
+      planRollover({ students: STUDENTS, classes: CLASSES, detain: ['S1'], leave: ['S1'] }),
+      { status: 400, error: 'Students both detained and leaving: S1' }
+    );
+    assert.equal(planRollover({ students: STUDENTS, classes: CLASSES, sectionMap: { 9: '10-A' } }).status, 400);
+  });
+});
+
+describe('promotionGroups', () => {
+  test('empties higher classes before the one below moves in', () => {
+    const students = [...STUDENTS, student('6', '8-A', '3')];
+    const { plan } = planRollover({ students, classes: [{ class: '8', section: 'A' }, ...CLASSES], graduatingClasses: ['10'] });
+
+    assert.deepEqual(promotionGroups(plan), [
+      { class: '10', section: 'A', ids: ['1', '2'] },
+      { class: '10', section: 'B', ids: ['3'] },
+      { class: '9', section: 'A', ids: ['6'] }
+    ]);
+  });
+});
+
+test('nextAcademicYear', () => {
+  assert.equal(nextAcademicYear('2025-26'), '2026-2027');
+  assert.equal(nextAcademicYear('soon'), null);
+});
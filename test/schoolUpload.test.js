@@ -0,0 +1,70 @@
+// server/test/schoolUpload.test.js
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.SUPABASE_URL ||= 'http://127.0.0.1:9';
+process.env.SUPABASE_SERVICE_ROLE_KEY ||= 'test';
+
+const { matchState } = await import('../controllers/schoolController.js');
+const { readSchoolRecords } = await import('../controllers/uploadController.js');
+
+describe('matchState', () => {
+  test('names match in any case and spacing', () => {
+    for (const value of ['telangana', 'TAMIL-NADU', 'Tamilnadu']) {
+      assert.equal(matchState(value).matched, 'name', value);
+    }
+    assert.equal(matchState('Tamilnadu').state, 'Tamil Nadu');
+  });
+
+  test('state codes and known aliases match', () => {
+    assert.deepEqual(matchState('ts'), { state: 'Telangana', matched: 'code' });
+    assert.deepEqual(matchState('New Delhi'), { state: 'Delhi', matched: 'alias' });
+  });
+
+  test('small misspellings match', () => {
+    for (const [value, state] of [['Telengana', 'Telangana'], ['Karnatka', 'Karnataka'], ['Jharkand', 'Jharkhand']]) {
+      assert.deepEqual(matchState(value), { state, matched: 'spelling' }, value);
+    }
+  });
+
+  test('anything further off is left unmatched, with suggestions', () => {
+    assert.deepEqual(matchState('Bengal'), { state: null, suggestions: ['West Bengal'] });
+    assert.deepEqual(matchState('xyz'), { state: null, suggestions: [] });
+    assert.deepEqual(matchState(''), { state: null, suggestions: [] });
+  });
+});
+
+describe('readSchoolRecords', () => {
+  const row = { 'School Name': 'Sunrise High', State: 'Telangana', 'Academic Year': '2025-26', 'School Number': '1' };
+
+  test('derives the school ID from state, year and number', () => {
+    const [record] = readSchoolRecords([{ ...row, District: 'Warangal' }]);
+    assert.deepEqual(record, {
+      row: 2,
+      school_id: 'TS2501',
+      school_name: 'Sunrise High',
+      status: 'new',
+      school: { school_id: 'TS2501', school_name: 'Sunrise High', state: 'Telangana', academic_year: '2025-2026', area: null, district: 'Warangal' }
+    });
+  });
+
+  test('notes how a loosely typed state was read', () => {
+    const [record] = readSchoolRecords([{ ...row, State: 'TS' }]);
+    assert.equal(record.state_input, 'TS');
+    assert.equal(record.state_matched, 'code');
+  });
+
+  test('reports every problem with a row', () => {
+    const [missing, invalid] = readSchoolRecords([
+      { 'School Name': 'No State' },
+      { ...row, State: 'Bengal', 'Academic Year': '2025-27', 'School Number': '100' }
+    ]);
+
+    assert.deepEqual(missing, { row: 2, school_name: 'No State', status: 'invalid', errors: ['Missing State, Academic Year, School Number'] });
+    assert.deepEqual(invalid.errors, [
+      'Unknown state "Bengal" (did you mean West Bengal?)',
+      'Academic Year "2025-27" must look like 2025-2026',
+      'School Number "100" must be a number from 01 to 99'
+    ]);
+  });
+});
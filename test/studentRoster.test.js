@@ -0,0 +1,88 @@
+// server/test/studentRoster.test.js
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.SUPABASE_URL ||= 'http://127.0.0.1:9';
+process.env.SUPABASE_SERVICE_ROLE_KEY ||= 'test';
+
+const { planRosterChanges } = await import('../controllers/schoolController.js');
+
+const existingStudent = (id, rollNo, classSection, extra = {}) => {
+  const [classValue, sectionValue] = classSection.split('-');
+  return {
+    id,
+    student_id: rollNo,
+    roll_no: rollNo,
+    name: `Student ${rollNo}`,
+    class: classValue,
+    section: sectionValue,
+    gender: null,
+    parent_phone: null,
+    parent_email: null,
+    withdrawn_at: null,
+    deleted_at: null,
+    ...extra
+  };
+};
+
+const ROSTER = [
+  existingStudent('s1', '601', '6-A'),
+  existingStudent('s2', '602', '6-A'),
+  existingStudent('s3', '603', '6-A', { withdrawn_at: '2026-01-01T00:00:00Z' }),
+  existingStudent('s4', '701', '7-A'),
+  existingStudent('s5', '604', '6-A', { deleted_at: '2026-02-01T00:00:00Z' })
+];
+
+const SIX_A = [{ classValue: '6', sectionValue: 'A' }];
+
+// Rows as readRosterRecords leaves them: { row, student, status: null }
+const rows = (...students) => students.map((student, i) => ({
+  row: i + 2,
+  status: null,
+  student: { school_id: 'TS2501', student_id: student.roll_no, class: '6', section: 'A', gender: null, parent_phone: null, parent_email: null, ...student }
+}));
+
+describe('planRosterChanges', () => {
+  test('adds, updates and leaves students as the file says', () => {
+    const uploaded = rows(
+      { roll_no: '601', name: 'Student 601' },
+      { roll_no: '602', name: 'Renamed' },
+      { roll_no: '610', name: 'New' }
+    );
+    const plan = planRosterChanges(uploaded, ROSTER, { sections: SIX_A, withdrawMissing: false });
+
+    assert.deepEqual(uploaded.map((r) => r.status), ['unchanged', 'updated', 'added']);
+    assert.deepEqual(plan.unchanged, ['601']);
+    assert.deepEqual(plan.updates, [{ id: 's2', student_id: '602', changes: { name: { from: 'Student 602', to: 'Renamed' } } }]);
+    assert.deepEqual(plan.inserts.map((s) => s.student_id), ['610']);
+    assert.deepEqual(plan.withdrawals, []);
+  });
+
+  test('a withdrawn student in the file comes back', () => {
+    const uploaded = rows({ roll_no: '603', name: 'Student 603' });
+    const plan = planRosterChanges(uploaded, ROSTER, { sections: SIX_A, withdrawMissing: false });
+    assert.deepEqual(plan.updates[0].changes, { withdrawn_at: { from: '2026-01-01T00:00:00Z', to: null } });
+  });
+
+  test('withdraws the active students of the uploaded sections missing from the file', () => {
+    const plan = planRosterChanges(rows({ roll_no: '601', name: 'Student 601' }), ROSTER, { sections: SIX_A, withdrawMissing: true });
+    assert.deepEqual(plan.withdrawals, [{ id: 's2', student_id: '602', name: 'Student 602', class: '6', section: 'A' }]);
+  });
+
+  test('deleted students and students of other sections are conflicts', () => {
+    const uploaded = rows({ roll_no: '604', name: 'Back again' }, { roll_no: '701', name: 'Student 701' });
+    const plan = planRosterChanges(uploaded, ROSTER, { sections: SIX_A, withdrawMissing: false });
+
+    assert.deepEqual(uploaded.map((r) => r.status), ['conflict', 'conflict']);
+    assert.equal(uploaded[0].reason, 'Student 604 is deleted; restore them before uploading them again');
+    assert.equal(uploaded[1].reason, 'Student 701 is in 7-A; update or transfer them before uploading them to 6-A');
+    assert.deepEqual([plan.inserts, plan.updates], [[], []]);
+  });
+
+  test('two rows matching one student keep the first', () => {
+    const uploaded = rows({ roll_no: '601', name: 'Student 601' }, { roll_no: '601', name: 'Again' });
+    planRosterChanges(uploaded, ROSTER, { sections: SIX_A, withdrawMissing: false });
+    assert.deepEqual(uploaded.map((r) => r.status), ['unchanged', 'duplicate']);
+    assert.equal(uploaded[1].reason, 'Matches the same student as row 2');
+  });
+});
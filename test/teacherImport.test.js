@@ -0,0 +1,107 @@
+// server/test/teacherImport.test.js
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.SUPABASE_URL ||= 'http://127.0.0.1:9';
+process.env.SUPABASE_SERVICE_ROLE_KEY ||= 'test';
+
+const { readTeacherRecords, planTeacherImport } = await import('../controllers/teacherImportController.js');
+
+const EXISTING = {
+  existingTeachers: [
+    { id: 't1', teacher_id: 'T001', name: 'Anil', contact: '9000000001', email: null, deleted_at: null },
+    { id: 't2', teacher_id: 'T002', name: 'Bina', contact: null, email: null, deleted_at: null },
+    { id: 't3', teacher_id: 'T003', name: 'Chitra', contact: null, email: null, deleted_at: '2026-01-01T00:00:00Z' }
+  ],
+  existingAssignments: [
+    { id: 'a1', teacher_id: 't1', class: '6', section: 'A', subject: 'Physics' },
+    { id: 'a2', teacher_id: 't1', class: '6', section: 'A', subject: 'Chemistry' },
+    { id: 'a3', teacher_id: 't2', class: '7', section: 'A', subject: 'Maths' }
+  ],
+  classSections: new Set(['6-A', '7-A'])
+};
+
+const plan = (records, options = {}) =>
+  planTeacherImport(readTeacherRecords(records), { ...EXISTING, replaceAssignments: false, ...options });
+
+describe('readTeacherRecords', () => {
+  test('one teacher over several rows, with several subjects in a cell', () => {
+    const { teachers, claims, rows } = readTeacherRecords([
+      { TEACHER_ID: 't010', NAME: 'Deepa', CLASS: '6', SECTION: 'A', SUBJECT: 'phy, chem' },
+      { TEACHER_ID: 'T010', CLASS: '7', SECTION: 'A', SUBJECT: 'Physics' },
+      {}
+    ]);
+
+    assert.equal(teachers.get('T010').name, 'Deepa');
+    assert.deepEqual(claims.map((c) => `${c.class}-${c.section} ${c.subject}`), ['6-A Physics', '6-A Chemistry', '7-A Physics']);
+    assert.deepEqual(rows, [{ row: 2, teacher_id: 'T010', status: 'ok' }, { row: 3, teacher_id: 'T010', status: 'ok' }]);
+  });
+
+  test('a row with a problem contributes nothing', () => {
+    const { claims, rows } = readTeacherRecords([
+      { TEACHER_ID: 'T010', NAME: 'Deepa' },
+      { TEACHER_ID: 'T010', NAME: 'Dipa', CLASS: '6', SECTION: 'A', SUBJECT: 'Physics' },
+      { TEACHER_ID: 'T011', CLASS: '6', SUBJECT: 'Physics' },
+      { TEACHER_ID: 'T012', CLASS: '6', SECTION: 'A', SUBJECT: 'Drawing' },
+      { NAME: 'No ID' }
+    ]);
+
+    assert.deepEqual(claims, []);
+    assert.deepEqual(rows.slice(1).map((r) => r.errors), [
+      ['NAME "Dipa" differs from "Deepa" on row 2'],
+      ['CLASS, SECTION and SUBJECT are all needed for an assignment'],
+      ['Unknown subject "Drawing"'],
+      ['Missing TEACHER_ID']
+    ]);
+  });
+});
+
+describe('planTeacherImport', () => {
+  test('adds new teachers and updates only the changed details', () => {
+    const result = plan([
+      { TEACHER_ID: 'T010', NAME: 'Deepa' },
+      { TEACHER_ID: 'T001', NAME: 'Anil', CONTACT: '9000000009' },
+      { TEACHER_ID: 'T002', NAME: 'Bina' }
+    ]);
+
+    assert.deepEqual(result.teacherInserts.map((t) => t.teacher_id), ['T010']);
+    assert.deepEqual(result.teacherUpdates, [{ teacher_id: 'T001', changes: { contact: { from: '9000000001', to: '9000000009' } } }]);
+    assert.deepEqual(result.teachersUnchanged, ['T002']);
+  });
+
+  test('new teachers need a name and deleted ones are refused', () => {
+    const { errors } = plan([{ TEACHER_ID: 'T010' }, { TEACHER_ID: 'T003', NAME: 'Chitra' }]);
+    assert.deepEqual(errors, [
+      { row: 2, teacher_id: 'T010', error: 'NAME is required for a new teacher' },
+      { row: 3, teacher_id: 'T003', error: 'Teacher is deleted; restore them before importing' }
+    ]);
+  });
+
+  test('a subject held by another teacher or claimed twice is a conflict', () => {
+    const result = plan([
+      { TEACHER_ID: 'T002', CLASS: '6', SECTION: 'A', SUBJECT: 'Physics' },
+      { TEACHER_ID: 'T002', CLASS: '7', SECTION: 'A', SUBJECT: 'English' },
+      { TEACHER_ID: 'T010', NAME: 'Deepa', CLASS: '7', SECTION: 'A', SUBJECT: 'English' },
+      { TEACHER_ID: 'T010', CLASS: '8', SECTION: 'B', SUBJECT: 'English' }
+    ]);
+
+    assert.deepEqual(result.conflicts, [
+      { class: '6', section: 'A', subject: 'Physics', teachers: ['T002'], held_by: ['T001'], rows: [2] },
+      { class: '7', section: 'A', subject: 'English', teachers: ['T002', 'T010'], held_by: [], rows: [3, 4] }
+    ]);
+    assert.deepEqual(result.unknownClassSections, [{ class_section: '8-B', rows: [5] }]);
+    assert.deepEqual(result.assignmentInserts, []);
+  });
+
+  test('replacing assignments drops the ones the file no longer lists', () => {
+    const records = [{ TEACHER_ID: 'T001', CLASS: '6', SECTION: 'A', SUBJECT: 'Physics' }, { TEACHER_ID: 'T001', CLASS: '7', SECTION: 'A', SUBJECT: 'Biology' }];
+
+    const kept = plan(records);
+    assert.deepEqual(kept.assignmentRemovals, []);
+
+    const replaced = plan(records, { replaceAssignments: true });
+    assert.deepEqual(replaced.assignmentsUnchanged, [{ teacher_id: 'T001', class: '6', section: 'A', subject: 'Physics' }]);
+    assert.deepEqual(replaced.assignmentInserts, [{ teacher_id: 'T001', class: '7', section: 'A', subject: 'Biology' }]);
+    assert.deepEqual(replaced.assignmentRemovals, [{ id: 'a2', teacher_id: 'T001', class: '6', section: 'A', subject: 'Chemistry' }]);
+  });
+});
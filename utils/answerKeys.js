@@ -0,0 +1,260 @@
+// server/utils/answerKeys.js
+//
+// An answer key lists every question of an exam:
+//   [{ question: 1, answer: ['B'], subject: 'physics', marks: 4, negative_marks: 1, status? }]
+// `answer` holds every accepted option. Marks default to the exam pattern's scheme
+// for the subject. Raw OMR responses ({ 1: 'B', 2: null, ... }) are scored against it.
+// A corrected question may carry status 'bonus' (full marks to everyone) or 'dropped'
+// (no marks for anyone, and removed from the maximum).
+import { SUBJECTS, normalizeSubject, patternTotals } from './examPatterns.js';
+import { pickField } from './spreadsheet.js';
+
+const QUESTION_ALIASES = ['Question', 'question', 'Q No', 'QNo', 'Q.No', 'Question No', 'QUESTION'];
+const ANSWER_ALIASES = ['Answer', 'answer', 'Key', 'Correct Option', 'ANSWER'];
+const SUBJECT_ALIASES = ['Subject', 'subject', 'SUBJECT'];
+const MARKS_ALIASES = ['Marks', 'marks', 'MARKS'];
+const NEGATIVE_ALIASES = ['Negative Marks', 'Negative', 'negative_marks', 'NEGATIVE'];
+
+const STUDENT_ID_HEADERS = ['student id', 'student_id', 'studentid', 'roll no', 'rollno', 'roll number', 'roll'];
+const STUDENT_NAME_HEADERS = ['name', 'student name', 'student_name'];
+const QUESTION_HEADER = /^(?:q(?:uestion)?\s*[-_.]?\s*(?:no\.?\s*)?)?(\d+)$/i;
+
+const normalizeHeader = (value) => String(value ?? '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+// 'B' / ' b ' -> 'B'; blanks and common "not attempted" marks -> null
+export const normalizeOption = (value) => {
+  const text = String(value ?? '').trim().toUpperCase();
+  return text === '' || text === '-' || text === '*' || text === 'NA' ? null : text;
+};
+
+// 'A/C', 'A, C', ['a', 'c'] -> ['A', 'C']
+const parseAcceptedOptions = (value) => {
+  const parts = Array.isArray(value) ? value : String(value ?? '').split(/[/,|;]+/);
+  return [...new Set(parts.map(normalizeOption).filter(Boolean))];
+};
+
+// ✅ Rows of an answer-key sheet (parseSpreadsheet records) -> question objects
+export const answerKeyFromRecords = (records) =>
+  records
+    .filter((record) => pickField(record, QUESTION_ALIASES) || pickField(record, ANSWER_ALIASES))
+    .map((record) => ({
+      question: pickField(record, QUESTION_ALIASES),
+      answer: pickField(record, ANSWER_ALIASES),
+      subject: pickField(record, SUBJECT_ALIASES),
+      marks: pickField(record, MARKS_ALIASES) || null,
+      negative_marks: pickField(record, NEGATIVE_ALIASES) || null
+    }));
+
+// ✅ Normalize questions against the exam pattern. Returns { questions, errors };
+// each pattern subject must have exactly its question count and max marks.
+export const normalizeAnswerKey = (rawQuestions, pattern) => {
+  const errors = [];
+  const questions = [];
+  const seen = new Set();
+  const patternSubjects = new Map(pattern.subjects.map((entry) => [entry.subject, entry]));
+
+  (Array.isArray(rawQuestions) ? rawQuestions : []).forEach((raw, i) => {
+    const question = Number(raw?.question);
+    const label = Number.isInteger(question) ? `Question ${question}` : `Entry ${i + 1}`;
+
+    if (!Number.isInteger(question) || question < 1) {
+      errors.push(`${label}: question number must be a positive integer`);
+      return;
+    }
+    if (seen.has(question)) {
+      errors.push(`${label}: listed more than once`);
+      return;
+    }
+    seen.add(question);
+
+    const subject = normalizeSubject(raw.subject);
+    const entry = patternSubjects.get(subject);
+    if (!entry) {
+      errors.push(`${label}: subject "${raw.subject ?? ''}" is not part of exam pattern ${pattern.code}`);
+      return;
+    }
+
+    const answer = parseAcceptedOptions(raw.answer);
+    if (!answer.length) {
+      errors.push(`${label}: answer is required`);
+      return;
+    }
+
+    const marks = raw.marks == null || raw.marks === '' ? entry.marks_per_correct : Number(raw.marks);
+    const negativeMarks = raw.negative_marks == null || raw.negative_marks === '' ? entry.negative_marks : Number(raw.negative_marks);
+    if (!(Number.isFinite(marks) && marks > 0)) errors.push(`${label}: marks must be a positive number`);
+    if (!(Number.isFinite(negativeMarks) && negativeMarks >= 0)) errors.push(`${label}: negative_marks must be zero or a positive deduction`);
+
+    questions.push({ question, answer, subject, marks, negative_marks: negativeMarks });
+  });
+
+  if (!questions.length && !errors.length) errors.push('The answer key has no questions');
+
+  for (const entry of pattern.subjects) {
+    const subjectQuestions = questions.filter((q) => q.subject === entry.subject);
+    const name = SUBJECTS[entry.subject].name;
+    if (subjectQuestions.length !== entry.questions) {
+      errors.push(`${name}: the key has ${subjectQuestions.length} question(s) but exam pattern ${pattern.code} has ${entry.questions}`);
+      continue;
+    }
+    const total = subjectQuestions.reduce((sum, q) => sum + q.marks, 0);
+    if (Math.abs(total - entry.max_marks) > 1e-9) {
+      errors.push(`${name}: question marks add up to ${total} but exam pattern ${pattern.code} allows ${entry.max_marks}`);
+    }
+  }
+
+  questions.sort((a, b) => a.question - b.question);
+  return { questions, errors };
+};
+
+// ✅ Raw responses sheet (grid) -> { rows: [{ row, student_id, student_name, responses }], question_numbers, errors }.
+// The first non-empty row is the header: a student ID column, an optional name column,
+// and one column per question ('Q1', 'Q 2', 'Question 3' or just '4').
+export const parseResponseGrid = (grid) => {
+  const headerIndex = grid.findIndex((row) => Array.isArray(row) && row.some((cell) => String(cell ?? '').trim() !== ''));
+  if (headerIndex < 0) return { rows: [], question_numbers: [], errors: ['No data found in file'] };
+
+  const header = grid[headerIndex].map(normalizeHeader);
+  const idColumn = header.findIndex((cell) => STUDENT_ID_HEADERS.includes(cell));
+  const nameColumn = header.findIndex((cell) => STUDENT_NAME_HEADERS.includes(cell));
+  const questionColumns = header
+    .map((cell, i) => ({ match: cell.match(QUESTION_HEADER), i }))
+    .filter(({ match }) => match)
+    .map(({ match, i }) => ({ question: parseInt(match[1], 10), i }));
+
+  const errors = [];
+  if (idColumn < 0) errors.push(`No student ID column found (expected one of: ${STUDENT_ID_HEADERS.join(', ')})`);
+  if (!questionColumns.length) errors.push('No question columns found (expected headers like Q1, Q2, ...)');
+  if (errors.length) return { rows: [], question_numbers: [], errors };
+
+  const rows = [];
+  for (let r = headerIndex + 1; r < grid.length; r++) {
+    const row = grid[r] || [];
+    const studentId = String(row[idColumn] ?? '').trim();
+    if (!studentId) continue;
+
+    const responses = {};
+    for (const { question, i } of questionColumns) {
+      responses[question] = normalizeOption(row[i]);
+    }
+    rows.push({
+      row: r + 1,
+      student_id: studentId,
+      student_name: nameColumn >= 0 ? String(row[nameColumn] ?? '').trim() : '',
+      responses
+    });
+  }
+
+  return { rows, question_numbers: questionColumns.map(({ question }) => question), errors };
+};
+
+// ✅ The pattern as an answer key scores it: dropped questions leave the question
+// count and max marks of their subject
+export const effectivePattern = (pattern, questions) => {
+  const dropped = questions.filter((q) => q.status === 'dropped');
+  if (!dropped.length) return pattern;
+
+  const subjects = pattern.subjects.map((entry) => {
+    const subjectDropped = dropped.filter((q) => q.subject === entry.subject);
+    return {
+      ...entry,
+      questions: entry.questions - subjectDropped.length,
+      max_marks: entry.max_marks - subjectDropped.reduce((sum, q) => sum + q.marks, 0)
+    };
+  });
+  return { ...pattern, subjects, ...patternTotals({ subjects }) };
+};
+
+export const KEY_CORRECTION_ACTIONS = ['bonus', 'multiple', 'change', 'drop'];
+
+// ✅ Apply corrections to a key's questions. Returns { questions, errors }.
+//   bonus    -> everyone gets the question's marks
+//   multiple -> `answer` options are accepted as well as the original ones
+//   change   -> `answer` replaces the accepted options
+//   drop     -> the question no longer counts for anyone
+// Applying the same correction twice gives the same key.
+export const applyKeyCorrections = (questions, corrections) => {
+  const errors = [];
+  const next = questions.map((q) => ({ ...q, answer: [...q.answer] }));
+
+  (Array.isArray(corrections) ? corrections : []).forEach((correction, i) => {
+    const label = `corrections[${i}]`;
+    const q = next.find((entry) => entry.question === Number(correction?.question));
+    if (!q) {
+      errors.push(`${label}: question ${correction?.question} is not in the answer key`);
+      return;
+    }
+
+    switch (correction.action) {
+      case 'bonus':
+        q.status = 'bonus';
+        break;
+      case 'drop':
+        q.status = 'dropped';
+        break;
+      case 'multiple':
+      case 'change': {
+        const options = parseAcceptedOptions(correction.answer);
+        if (!options.length) {
+          errors.push(`${label}: answer is required for ${correction.action}`);
+          return;
+        }
+        q.answer = correction.action === 'multiple' ? [...new Set([...q.answer, ...options])] : options;
+        delete q.status;
+        break;
+      }
+      default:
+        errors.push(`${label}: action must be one of ${KEY_CORRECTION_ACTIONS.join(', ')}`);
+    }
+  });
+
+  for (const subject of new Set(next.map((q) => q.subject))) {
+    if (next.filter((q) => q.subject === subject).every((q) => q.status === 'dropped')) {
+      errors.push(`Every ${SUBJECTS[subject]?.name || subject} question would be dropped`);
+    }
+  }
+
+  return { questions: next, errors };
+};
+
+// ✅ Score one student's responses. Returns the same shape as extractResultRows rows
+// plus question_results: { [question]: { response, outcome, marks } }.
+// Bonus questions count as correct for everyone; dropped ones count for nothing.
+export const scoreResponses = (responses, questions) => {
+  const subjects = {};
+  const question_results = {};
+  const totals = { correct: 0, wrong: 0, unattempted: 0 };
+
+  for (const q of questions) {
+    const subject = subjects[q.subject] ||= { marks: 0, correct: 0, wrong: 0, unattempted: 0 };
+    const response = responses[q.question] ?? null;
+
+    if (q.status === 'dropped') {
+      question_results[q.question] = { response, outcome: 'dropped', marks: 0 };
+      continue;
+    }
+
+    let outcome;
+    let marks = 0;
+    if (q.status === 'bonus') {
+      outcome = 'bonus';
+      marks = q.marks;
+    } else if (response === null) {
+      outcome = 'unattempted';
+    } else if (q.answer.includes(response)) {
+      outcome = 'correct';
+      marks = q.marks;
+    } else {
+      outcome = 'wrong';
+      marks = -q.negative_marks;
+    }
+
+    const counted = outcome === 'bonus' ? 'correct' : outcome;
+    subject[counted] += 1;
+    subject.marks += marks;
+    totals[counted] += 1;
+    question_results[q.question] = { response, outcome, marks };
+  }
+
+  return { ...totals, subjects, question_results };
+};
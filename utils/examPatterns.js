@@ -0,0 +1,115 @@
+// server/utils/examPatterns.js
+//
+// An exam pattern defines the papers of an exam and how they are marked:
+//
+// {
+//   code: 'NEET_MOCK', name, program?: 'MED' | null,
+//   subjects: [{ subject: 'physics', questions: 45, max_marks: 180, marks_per_correct: 4, negative_marks: 1 }]
+// }
+//
+// `negative_marks` is the deduction for a wrong answer (0 for none).
+
+// Every subject an exam can carry. The first four also have their own columns on `exams`
+// (physics_marks, max_marks_physics, physics_percentage, ...); all of them are kept in
+// `exams.subject_scores`.
+export const SUBJECTS = {
+  physics: { name: 'Physics', aliases: ['physics', 'phy'] },
+  chemistry: { name: 'Chemistry', aliases: ['chemistry', 'chem'] },
+  maths: { name: 'Maths', aliases: ['maths', 'math', 'mathematics'] },
+  biology: { name: 'Biology', aliases: ['biology', 'bio'] },
+  english: { name: 'English', aliases: ['english', 'eng'] },
+  social: { name: 'Social', aliases: ['social', 'social studies', 'social science'] },
+  mental_ability: { name: 'Mental Ability', aliases: ['mental_ability', 'mental ability', 'mat'] }
+};
+
+export const SUBJECT_KEYS = Object.keys(SUBJECTS);
+
+export const LEGACY_SUBJECTS = ['physics', 'chemistry', 'maths', 'biology'];
+
+// ✅ 'Mathematics' / 'MATH' / 'Mental Ability' -> subject key, or null
+export const normalizeSubject = (value) => {
+  const text = String(value ?? '').trim().toLowerCase().replace(/\s+/g, ' ');
+  if (!text) return null;
+  return SUBJECT_KEYS.find((key) => SUBJECTS[key].aliases.includes(text)) || null;
+};
+
+const isPositiveInt = (value) => Number.isInteger(value) && value >= 1;
+const isNonNegativeNumber = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+// ✅ Fill defaults (max_marks = questions × marks_per_correct, no negative marking)
+export const normalizeExamPattern = (pattern) => ({
+  code: String(pattern?.code ?? '').trim().toUpperCase(),
+  name: String(pattern?.name ?? '').trim(),
+  program: pattern?.program ? String(pattern.program).trim() : null,
+  subjects: (Array.isArray(pattern?.subjects) ? pattern.subjects : []).map((entry) => {
+    const questions = Number(entry?.questions);
+    const marksPerCorrect = entry?.marks_per_correct == null ? 1 : Number(entry.marks_per_correct);
+    return {
+      subject: normalizeSubject(entry?.subject) || String(entry?.subject ?? '').trim().toLowerCase(),
+      questions,
+      max_marks: entry?.max_marks == null ? questions * marksPerCorrect : Number(entry.max_marks),
+      marks_per_correct: marksPerCorrect,
+      negative_marks: entry?.negative_marks == null ? 0 : Number(entry.negative_marks)
+    };
+  })
+});
+
+// ✅ Returns a list of problems with a (normalized) pattern (empty when valid)
+export const validateExamPattern = (pattern) => {
+  const errors = [];
+
+  if (!pattern.code) errors.push('code is required');
+  else if (!/^[A-Z0-9_-]+$/.test(pattern.code)) errors.push('code may only contain letters, digits, _ and -');
+  if (!pattern.name) errors.push('name is required');
+
+  if (!pattern.subjects.length) {
+    errors.push('subjects must be a non-empty array');
+    return errors;
+  }
+
+  const seen = new Set();
+  pattern.subjects.forEach((entry, i) => {
+    const label = `subjects[${i}]`;
+    if (!SUBJECTS[entry.subject]) {
+      errors.push(`${label}.subject must be one of ${SUBJECT_KEYS.join(', ')}`);
+    } else if (seen.has(entry.subject)) {
+      errors.push(`${label}.subject ${entry.subject} is listed twice`);
+    }
+    seen.add(entry.subject);
+
+    if (!isPositiveInt(entry.questions)) errors.push(`${label}.questions must be a positive integer`);
+    if (!(isNonNegativeNumber(entry.max_marks) && entry.max_marks > 0)) errors.push(`${label}.max_marks must be a positive number`);
+    if (!(isNonNegativeNumber(entry.marks_per_correct) && entry.marks_per_correct > 0)) errors.push(`${label}.marks_per_correct must be a positive number`);
+    if (!isNonNegativeNumber(entry.negative_marks)) errors.push(`${label}.negative_marks must be zero or a positive deduction`);
+  });
+
+  return errors;
+};
+
+export const patternTotals = (pattern) => ({
+  total_questions: pattern.subjects.reduce((sum, entry) => sum + entry.questions, 0),
+  total_max_marks: pattern.subjects.reduce((sum, entry) => sum + entry.max_marks, 0)
+});
+
+// ✅ Marks for one subject from its answer counts
+export const scoreFromCounts = (entry, { correct = 0, wrong = 0 }) =>
+  correct * entry.marks_per_correct - wrong * entry.negative_marks;
+
+// ✅ Check one subject's figures against the pattern; returns a list of problems
+export const checkSubjectScore = (entry, { marks, correct, wrong, unattempted }) => {
+  const errors = [];
+  const { name } = SUBJECTS[entry.subject];
+  const lowest = -entry.questions * entry.negative_marks;
+
+  if (marks > entry.max_marks) errors.push(`${name} marks ${marks} exceed the maximum of ${entry.max_marks}`);
+  if (marks < lowest) errors.push(`${name} marks ${marks} are below the minimum of ${lowest}`);
+
+  const answered = [correct, wrong, unattempted].filter((n) => n != null);
+  if (answered.some((n) => n < 0 || !Number.isInteger(n))) {
+    errors.push(`${name} answer counts must be whole non-negative numbers`);
+  } else if (answered.reduce((sum, n) => sum + n, 0) > entry.questions) {
+    errors.push(`${name} answer counts add up to more than ${entry.questions} questions`);
+  }
+
+  return errors;
+};
@@ -0,0 +1,114 @@
+// server/utils/importJobs.js
+//
+// Long uploads run as jobs: the request answers with a job ID straight away and the work
+// runs inside this process, one job at a time. Progress is kept in `import_jobs` so
+// clients can poll GET /api/jobs/:id:
+//   status   queued | running | succeeded | failed
+//   stage    parsing | inserting | ranking | averaging (while running)
+//   rows     { total, valid, skipped, inserted }
+//   warnings [{ step, stage, message }]; steps left in `failed_steps` can be retried
+import { createClient } from '@supabase/supabase-js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+export const JOB_COLUMNS = 'id, kind, status, stage, school_id, context, file_name, rows, warnings, failed_steps, result, error, retries, created_by, created_at, started_at, finished_at, updated_at';
+
+// Jobs run one after another: the ranking RPCs of two uploads should not interleave
+let queue = Promise.resolve();
+
+export const createJob = async ({ kind, user, school_id = null, context = null, file_name = null }) => {
+  const now = new Date().toISOString();
+  const { data, error } = await supabase
+    .from('import_jobs')
+    .insert([{
+      kind,
+      status: 'queued',
+      stage: null,
+      school_id,
+      context,
+      file_name,
+      rows: {},
+      warnings: [],
+      failed_steps: [],
+      result: null,
+      error: null,
+      retries: 0,
+      created_by: user?.id ? String(user.id) : null,
+      created_at: now,
+      updated_at: now
+    }])
+    .select(JOB_COLUMNS)
+    .single();
+
+  if (error) throw error;
+  return data;
+};
+
+export const loadJob = async (id) => {
+  const { data, error } = await supabase.from('import_jobs').select(JOB_COLUMNS).eq('id', id).maybeSingle();
+  if (error) throw error;
+  return data;
+};
+
+// Progress writes are logged, not thrown: a missed update must not fail the import
+export const updateJob = async (id, patch) => {
+  const { error } = await supabase
+    .from('import_jobs')
+    .update({ ...patch, updated_at: new Date().toISOString() })
+    .eq('id', id);
+  if (error) console.error('⚠️ Failed to update import job:', error);
+};
+
+const runJob = async (jobId, work) => {
+  await updateJob(jobId, { status: 'running', started_at: new Date().toISOString(), finished_at: null });
+
+  let outcome;
+  try {
+    outcome = await work((patch) => updateJob(jobId, patch));
+  } catch (err) {
+    console.error('Import job error:', err);
+    outcome = { status: 500, error: { error: 'Failed to process file', details: err.message } };
+  }
+
+  const finished = { stage: null, finished_at: new Date().toISOString() };
+  if (outcome.error) {
+    await updateJob(jobId, { ...finished, status: 'failed', error: outcome.error });
+  } else {
+    await updateJob(jobId, {
+      ...finished,
+      status: 'succeeded',
+      error: null,
+      result: outcome.result,
+      warnings: outcome.warnings || [],
+      failed_steps: (outcome.warnings || []).map((warning) => warning.step)
+    });
+  }
+  return outcome;
+};
+
+// ✅ Queue work for a job. `work(progress)` reports with progress({ stage, rows }) and
+// resolves to { result, warnings? } or { status, error }. The returned promise settles
+// with that outcome once the job has run.
+export const enqueueJob = (jobId, work) => {
+  const run = queue.then(() => runJob(jobId, work));
+  queue = run.catch(() => {});
+  return run;
+};
+
+// ✅ Jobs still queued or running when the process stopped lost their file: mark them failed
+export const failInterruptedJobs = async () => {
+  const { error } = await supabase
+    .from('import_jobs')
+    .update({
+      status: 'failed',
+      stage: null,
+      error: { error: 'The server restarted before this job finished. Upload the file again.' },
+      finished_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    })
+    .in('status', ['queued', 'running']);
+  if (error) console.error('⚠️ Failed to close interrupted import jobs:', error);
+};
@@ -0,0 +1,50 @@
+// server/utils/passwords.js
+import crypto from 'crypto';
+import { promisify } from 'util';
+
+const scrypt = promisify(crypto.scrypt);
+
+const KEY_LENGTH = 64;
+const MIN_PASSWORD_LENGTH = 8;
+
+// No 0/O, 1/l/I — temporary passwords are read off printed slips
+const TEMP_PASSWORD_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZabcdefghjkmnpqrstuvwxyz23456789';
+const TEMP_PASSWORD_LENGTH = 10;
+
+// Stored format: "scrypt$<salt hex>$<hash hex>"
+export const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const derived = await scrypt(String(password), salt, KEY_LENGTH);
+  return `scrypt$${salt}$${derived.toString('hex')}`;
+};
+
+export const verifyPassword = async (password, storedHash) => {
+  if (!password || !storedHash) return false;
+
+  const [scheme, salt, hash] = String(storedHash).split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const derived = await scrypt(String(password), salt, expected.length);
+  return crypto.timingSafeEqual(derived, expected);
+};
+
+export const generateTemporaryPassword = () => {
+  const bytes = crypto.randomBytes(TEMP_PASSWORD_LENGTH);
+  return Array.from(bytes, (b) => TEMP_PASSWORD_ALPHABET[b % TEMP_PASSWORD_ALPHABET.length]).join('');
+};
+
+// Returns an error message, or null when the new password is acceptable
+export const validateNewPassword = (password, { userId, currentPassword } = {}) => {
+  if (!password || typeof password !== 'string') return 'new_password is required';
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  if (userId && password.trim().toLowerCase() === String(userId).trim().toLowerCase()) {
+    return 'Password must not be the same as your ID';
+  }
+  if (currentPassword && password === currentPassword) {
+    return 'New password must be different from the current password';
+  }
+  return null;
+};
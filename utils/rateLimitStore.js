@@ -0,0 +1,113 @@
+// server/utils/rateLimitStore.js
+//
+// Key/value stores with per-key expiry, used by the login throttle.
+// Every store implements the same async interface:
+//   get(key) -> value | null
+//   set(key, value, ttlMs)
+//   delete(key)
+//   list(prefix) -> [{ key, value, expiresAt }]
+//   increment(key, by, ttlMs) -> { count, expiresAt }  atomic; the expiry is set when the key is new
+//   add(key, value, ttlMs) -> boolean                  atomic; sets only if the key is absent
+
+// ✅ Default: process-local memory (fine for one instance and for local testing)
+export class MemoryStore {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  #live(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  async get(key) {
+    return this.#live(key)?.value ?? null;
+  }
+
+  async set(key, value, ttlMs) {
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async increment(key, by, ttlMs) {
+    const entry = this.#live(key) || { value: 0, expiresAt: Date.now() + ttlMs };
+    entry.value += by;
+    this.entries.set(key, entry);
+    return { count: entry.value, expiresAt: entry.expiresAt };
+  }
+
+  async add(key, value, ttlMs) {
+    if (this.#live(key)) return false;
+    await this.set(key, value, ttlMs);
+    return true;
+  }
+
+  async list(prefix = '') {
+    const result = [];
+    for (const key of [...this.entries.keys()]) {
+      if (!key.startsWith(prefix)) continue;
+      const entry = this.#live(key);
+      if (entry) result.push({ key, value: entry.value, expiresAt: entry.expiresAt });
+    }
+    return result;
+  }
+}
+
+// ✅ Shared store for multiple instances — takes a connected node-redis (v4+) client
+export class RedisStore {
+  constructor(client, { namespace = 'login-throttle:' } = {}) {
+    this.client = client;
+    this.namespace = namespace;
+  }
+
+  async get(key) {
+    const raw = await this.client.get(this.namespace + key);
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  async set(key, value, ttlMs) {
+    await this.client.set(this.namespace + key, JSON.stringify(value), { PX: Math.max(1, Math.ceil(ttlMs)) });
+  }
+
+  async delete(key) {
+    await this.client.del(this.namespace + key);
+  }
+
+  async increment(key, by, ttlMs) {
+    const fullKey = this.namespace + key;
+    const [, count, pttl] = await this.client
+      .multi()
+      .set(fullKey, '0', { PX: Math.max(1, Math.ceil(ttlMs)), NX: true })
+      .incrBy(fullKey, by)
+      .pTTL(fullKey)
+      .exec();
+    return { count: Number(count), expiresAt: Date.now() + Math.max(0, Number(pttl)) };
+  }
+
+  async add(key, value, ttlMs) {
+    const reply = await this.client.set(this.namespace + key, JSON.stringify(value), { PX: Math.max(1, Math.ceil(ttlMs)), NX: true });
+    return reply === 'OK';
+  }
+
+  async list(prefix = '') {
+    const result = [];
+    for await (const found of this.client.scanIterator({ MATCH: `${this.namespace}${prefix}*` })) {
+      // node-redis 5 yields batches of keys, v4 yields single keys
+      for (const fullKey of Array.isArray(found) ? found : [found]) {
+        const [raw, pttl] = await Promise.all([this.client.get(fullKey), this.client.pTTL(fullKey)]);
+        if (raw) {
+          result.push({ key: fullKey.slice(this.namespace.length), value: JSON.parse(raw), expiresAt: Date.now() + Math.max(0, pttl) });
+        }
+      }
+    }
+    return result;
+  }
+}
@@ -0,0 +1,249 @@
+// server/utils/resultMapping.js
+//
+// Column-mapping profiles describe where each value sits in an OMR vendor's result
+// sheet. A column is referenced either by 0-based index ({ index: 10 }) or by the
+// text in the profile's header row ({ header: 'Physics Marks' }).
+//
+// {
+//   name, description,
+//   header_row: 3 | null,        // 1-based row holding column names
+//   data_start_row: 4,           // 1-based first data row
+//   columns: { student_id, student_name?, correct?, wrong?, unattempted? },
+//   subjects: [{ subject: 'physics', marks, correct?, wrong?, unattempted? }]
+// }
+
+import { SUBJECT_KEYS } from './examPatterns.js';
+
+export const RESULT_SUBJECTS = SUBJECT_KEYS;
+
+const COUNT_FIELDS = ['correct', 'wrong', 'unattempted'];
+const TOP_LEVEL_COLUMNS = ['student_id', 'student_name', ...COUNT_FIELDS];
+
+// The layout uploads have always used: row 1 holds column indices, row 2 is skipped
+export const DEFAULT_RESULT_MAPPING = {
+  id: 'default',
+  name: 'Default OMR layout',
+  description: 'Positional columns: 2 = student ID, 3 = name, 7-9 = counts, 10/18/26/34 = subject marks',
+  header_row: null,
+  data_start_row: 3,
+  columns: {
+    student_id: { index: 2 },
+    student_name: { index: 3 },
+    correct: { index: 7 },
+    wrong: { index: 8 },
+    unattempted: { index: 9 }
+  },
+  subjects: [
+    { subject: 'physics', marks: { index: 10 } },
+    { subject: 'chemistry', marks: { index: 18 } },
+    { subject: 'maths', marks: { index: 26 } },
+    { subject: 'biology', marks: { index: 34 } }
+  ],
+  built_in: true
+};
+
+const normalizeHeader = (value) => String(value ?? '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+const isPositiveInt = (value) => Number.isInteger(value) && value >= 1;
+
+// Returns an error message for a bad column reference, or null
+const checkColumnRef = (ref, label, hasHeaderRow) => {
+  if (!ref || typeof ref !== 'object') return `${label} must be { index } or { header }`;
+  const hasIndex = ref.index !== undefined && ref.index !== null;
+  const hasHeader = ref.header !== undefined && ref.header !== null;
+  if (hasIndex === hasHeader) return `${label} must have exactly one of index or header`;
+  if (hasIndex && !(Number.isInteger(ref.index) && ref.index >= 0)) return `${label}.index must be a non-negative integer`;
+  if (hasHeader && !String(ref.header).trim()) return `${label}.header must not be empty`;
+  if (hasHeader && !hasHeaderRow) return `${label} uses a header name but header_row is not set`;
+  return null;
+};
+
+// ✅ Returns a list of problems with a profile (empty when valid)
+export const validateMappingProfile = (profile, { subjects = RESULT_SUBJECTS } = {}) => {
+  const errors = [];
+  const { name, header_row = null, data_start_row, columns, subjects: subjectColumns } = profile || {};
+
+  if (!name || !String(name).trim()) errors.push('name is required');
+  if (header_row !== null && !isPositiveInt(header_row)) errors.push('header_row must be a positive integer or null');
+  if (!isPositiveInt(data_start_row)) errors.push('data_start_row must be a positive integer');
+  if (isPositiveInt(header_row) && isPositiveInt(data_start_row) && data_start_row <= header_row) {
+    errors.push('data_start_row must come after header_row');
+  }
+
+  const hasHeaderRow = isPositiveInt(header_row);
+
+  if (!columns || typeof columns !== 'object') {
+    errors.push('columns is required');
+  } else {
+    if (!columns.student_id) errors.push('columns.student_id is required');
+    for (const [key, ref] of Object.entries(columns)) {
+      if (!TOP_LEVEL_COLUMNS.includes(key)) {
+        errors.push(`columns.${key} is not a known column (${TOP_LEVEL_COLUMNS.join(', ')})`);
+        continue;
+      }
+      const problem = checkColumnRef(ref, `columns.${key}`, hasHeaderRow);
+      if (problem) errors.push(problem);
+    }
+  }
+
+  if (!Array.isArray(subjectColumns) || !subjectColumns.length) {
+    errors.push('subjects must be a non-empty array');
+  } else {
+    const seen = new Set();
+    subjectColumns.forEach((entry, i) => {
+      const label = `subjects[${i}]`;
+      const subject = String(entry?.subject || '').toLowerCase();
+      if (!subjects.includes(subject)) {
+        errors.push(`${label}.subject must be one of ${subjects.join(', ')}`);
+      } else if (seen.has(subject)) {
+        errors.push(`${label}.subject ${subject} is mapped twice`);
+      }
+      seen.add(subject);
+
+      const problem = checkColumnRef(entry?.marks, `${label}.marks`, hasHeaderRow);
+      if (problem) errors.push(problem);
+      for (const field of COUNT_FIELDS) {
+        if (entry?.[field] == null) continue;
+        const countProblem = checkColumnRef(entry[field], `${label}.${field}`, hasHeaderRow);
+        if (countProblem) errors.push(countProblem);
+      }
+    });
+  }
+
+  return errors;
+};
+
+// Map of normalized header text -> column index for the profile's header row
+const buildHeaderIndex = (grid, profile) => {
+  const index = new Map();
+  if (!profile.header_row) return index;
+  (grid[profile.header_row - 1] || []).forEach((cell, i) => {
+    const key = normalizeHeader(cell);
+    if (key && !index.has(key)) index.set(key, i);
+  });
+  return index;
+};
+
+const resolveColumn = (ref, headerIndex) => {
+  if (!ref) return -1;
+  if (ref.index !== undefined && ref.index !== null) return ref.index;
+  return headerIndex.has(normalizeHeader(ref.header)) ? headerIndex.get(normalizeHeader(ref.header)) : -1;
+};
+
+// Every column reference in a profile, for detection and "missing column" checks
+const allColumnRefs = (profile) => [
+  ...Object.entries(profile.columns || {}).map(([key, ref]) => ({ label: key, ref })),
+  ...(profile.subjects || []).flatMap((entry) => [
+    { label: `${entry.subject}.marks`, ref: entry.marks, numeric: true },
+    ...COUNT_FIELDS.filter((f) => entry[f]).map((f) => ({ label: `${entry.subject}.${f}`, ref: entry[f], numeric: true }))
+  ])
+];
+
+const toNumber = (value) => {
+  if (value == null || value === '') return null;
+  const num = parseFloat(value);
+  return Number.isNaN(num) ? null : num;
+};
+
+// Vendor sheets sometimes repeat a "Roll No / Name" line among the data rows
+const looksLikeHeaderLine = (studentId, studentName) =>
+  /roll|student/i.test(studentId) || /^name$/i.test(String(studentName || '').trim());
+
+// ✅ Pull result rows out of a raw grid (array of arrays) using a profile.
+// Returns { rows: [{ row, student_id, student_name, correct, wrong, unattempted, subjects }], skipped, missing_columns }
+export const extractResultRows = (grid, profile) => {
+  const headerIndex = buildHeaderIndex(grid, profile);
+  const missing_columns = allColumnRefs(profile)
+    .filter(({ ref }) => resolveColumn(ref, headerIndex) < 0)
+    .map(({ label, ref }) => `${label} (${ref.header})`);
+
+  const col = (row, ref) => {
+    const i = resolveColumn(ref, headerIndex);
+    return i >= 0 ? row[i] : null;
+  };
+
+  const rows = [];
+  const skipped = [];
+
+  for (let r = profile.data_start_row - 1; r < grid.length; r++) {
+    const row = grid[r] || [];
+    const rowNumber = r + 1;
+    const studentId = String(col(row, profile.columns.student_id) ?? '').trim();
+    const studentName = String(col(row, profile.columns.student_name) ?? '').trim();
+
+    if (!studentId) {
+      if (row.some((cell) => cell != null && String(cell).trim() !== '')) {
+        skipped.push({ row: rowNumber, reason: 'Missing student ID' });
+      }
+      continue;
+    }
+    if (looksLikeHeaderLine(studentId, studentName)) continue;
+
+    const subjects = {};
+    const subjectCounts = { correct: 0, wrong: 0, unattempted: 0 };
+    const hasSubjectCounts = { correct: false, wrong: false, unattempted: false };
+
+    for (const entry of profile.subjects) {
+      // Blank marks stay null so they can be scored from the answer counts
+      const values = { marks: toNumber(col(row, entry.marks)) };
+      for (const field of COUNT_FIELDS) {
+        if (!entry[field]) continue;
+        values[field] = toNumber(col(row, entry[field])) ?? 0;
+        subjectCounts[field] += values[field];
+        hasSubjectCounts[field] = true;
+      }
+      subjects[entry.subject.toLowerCase()] = values;
+    }
+
+    // Overall counts come from their own column, else the sum of the subject counts
+    const count = (field) => {
+      if (profile.columns[field]) return toNumber(col(row, profile.columns[field])) ?? 0;
+      return hasSubjectCounts[field] ? subjectCounts[field] : 0;
+    };
+
+    rows.push({
+      row: rowNumber,
+      student_id: studentId,
+      student_name: studentName,
+      correct: count('correct'),
+      wrong: count('wrong'),
+      unattempted: count('unattempted'),
+      subjects
+    });
+  }
+
+  return { rows, skipped, missing_columns };
+};
+
+// ✅ Score how well a profile fits a sheet (0..1): share of columns found, and for the
+// first data rows, share with a student ID and numeric mark cells.
+export const scoreMappingProfile = (grid, profile) => {
+  const headerIndex = buildHeaderIndex(grid, profile);
+  const refs = allColumnRefs(profile);
+  const resolved = refs.filter(({ ref }) => resolveColumn(ref, headerIndex) >= 0);
+  const columnScore = refs.length ? resolved.length / refs.length : 0;
+
+  const sample = grid.slice(profile.data_start_row - 1, profile.data_start_row - 1 + 10)
+    .filter((row) => Array.isArray(row) && row.some((cell) => cell != null && String(cell).trim() !== ''));
+  if (!sample.length) return 0;
+
+  const numericRefs = resolved.filter(({ numeric }) => numeric);
+  let hits = 0;
+  let checks = 0;
+  for (const row of sample) {
+    checks += 1;
+    if (String(row[resolveColumn(profile.columns.student_id, headerIndex)] ?? '').trim()) hits += 1;
+    for (const { ref } of numericRefs) {
+      checks += 1;
+      if (toNumber(row[resolveColumn(ref, headerIndex)]) !== null) hits += 1;
+    }
+  }
+
+  return parseFloat((columnScore * (hits / checks)).toFixed(3));
+};
+
+// ✅ Rank profiles for a sheet, best first
+export const rankMappingProfiles = (grid, profiles) =>
+  profiles
+    .map((profile) => ({ profile, score: scoreMappingProfile(grid, profile) }))
+    .sort((a, b) => b.score - a.score);
@@ -0,0 +1,133 @@
+// server/utils/resultVersions.js
+//
+// Every change to the results of one exam context (school, program, pattern, class,
+// section, date) is recorded as a numbered version in `exam_result_versions`, holding
+// the `exams` rows as they stood afterwards, so any earlier state can be restored.
+import { createClient } from '@supabase/supabase-js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+export const RESULT_UPLOAD_MODES = ['create', 'replace', 'append'];
+
+const VERSION_COLUMNS = 'id, school_id, program, exam_pattern, class, section, exam_date, version, mode, file_name, row_count, restored_from, created_by, created_at';
+
+// ✅ Filter a query down to one exam context; a missing date must match NULL
+export const whereExamContext = (query, context) => {
+  const filtered = query
+    .eq('school_id', context.school_id)
+    .eq('program', context.program)
+    .eq('exam_pattern', context.exam_pattern)
+    .eq('class', context.class)
+    .eq('section', context.section);
+  return context.exam_date ? filtered.eq('exam_date', context.exam_date) : filtered.is('exam_date', null);
+};
+
+export const contextOf = (row) => ({
+  school_id: row.school_id,
+  program: row.program,
+  exam_pattern: row.exam_pattern,
+  class: row.class,
+  section: row.section,
+  exam_date: row.exam_date || null
+});
+
+// Current `exams` rows of a context
+export const loadContextRows = async (context) => {
+  const { data, error } = await whereExamContext(supabase.from('exams').select('*'), context);
+  if (error) throw error;
+  return data || [];
+};
+
+// ✅ Swap a context's `exams` rows for the given ones in one transaction
+// (sql/replace_exam_rows.sql); ids are reassigned
+export const replaceContextRows = async (context, rows) => {
+  const { error } = await supabase.rpc('replace_exam_rows', {
+    p_context: context,
+    p_rows: rows.map(({ id, ...row }) => row)
+  });
+  if (error) throw error;
+};
+
+export const latestResultVersion = async (context) => {
+  const { data, error } = await whereExamContext(supabase.from('exam_result_versions').select(VERSION_COLUMNS), context)
+    .order('version', { ascending: false })
+    .limit(1);
+  if (error) throw error;
+  return data?.[0] || null;
+};
+
+// ✅ Start a version before its rows are written (upload rows link to its id); close it afterwards
+export const openResultVersion = async (context, { mode, file_name = null, created_by = null, restored_from = null }) => {
+  const latest = await latestResultVersion(context);
+
+  const { data, error } = await supabase
+    .from('exam_result_versions')
+    .insert([{
+      ...context,
+      version: (latest?.version || 0) + 1,
+      mode,
+      file_name,
+      row_count: null,
+      rows: null,
+      restored_from,
+      created_by: created_by ? String(created_by) : null,
+      created_at: new Date().toISOString()
+    }])
+    .select('id, version')
+    .single();
+
+  if (error) throw error;
+  return data;
+};
+
+// Store the context's rows as they now stand on the version
+export const closeResultVersion = async (id, context) => {
+  const rows = await loadContextRows(context);
+  const { error } = await supabase
+    .from('exam_result_versions')
+    .update({ rows, row_count: rows.length })
+    .eq('id', id);
+  if (error) throw error;
+  return rows.length;
+};
+
+export const discardResultVersion = async (id) => {
+  const { error } = await supabase.from('exam_result_versions').delete().eq('id', id);
+  if (error) console.error('⚠️ Failed to discard result version:', error);
+};
+
+// ✅ Record the context's current rows as a new version in one step
+export const recordResultVersion = async (context, meta) => {
+  const version = await openResultVersion(context, meta);
+  await closeResultVersion(version.id, context);
+  return version;
+};
+
+// ✅ Results loaded before versioning existed have no version yet: record them as a
+// baseline before the first change, so that change can be rolled back
+export const ensureBaselineVersion = async (context, { created_by = null } = {}) => {
+  if (await latestResultVersion(context)) return null;
+  const rows = await loadContextRows(context);
+  if (!rows.length) return null;
+  return recordResultVersion(context, { mode: 'baseline', created_by });
+};
+
+export const listResultVersions = async (context) => {
+  const { data, error } = await whereExamContext(supabase.from('exam_result_versions').select(VERSION_COLUMNS), context)
+    .order('version', { ascending: false });
+  if (error) throw error;
+  return data || [];
+};
+
+export const loadResultVersion = async (id) => {
+  const { data, error } = await supabase
+    .from('exam_result_versions')
+    .select(`${VERSION_COLUMNS}, rows`)
+    .eq('id', id)
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+};
@@ -0,0 +1,65 @@
+// server/utils/softDelete.js
+//
+// Classes, teachers, teacher assignments and students are soft-deleted: the row keeps
+// `deleted_at`/`deleted_by`, reads leave it out unless asked (?include_deleted=true) and
+// a restore endpoint brings it back. Rows deleted together (a teacher and their
+// assignments) share one `deleted_at`, so a restore brings back exactly those.
+// Rows deleted more than SOFT_DELETE_RETENTION_DAYS ago are purged for good.
+import { createClient } from '@supabase/supabase-js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+export const SOFT_DELETE_RETENTION_DAYS = Number(process.env.SOFT_DELETE_RETENTION_DAYS) || 30;
+
+export const includeDeleted = (req) => req.query?.include_deleted === 'true';
+
+// Filter a query down to rows that are not deleted, unless deleted rows were asked for
+export const withoutDeleted = (query, include = false) => (include ? query : query.is('deleted_at', null));
+
+export const deletionStamp = (user) => ({
+  deleted_at: new Date().toISOString(),
+  deleted_by: user?.id ? String(user.id) : null
+});
+
+export const RESTORED = { deleted_at: null, deleted_by: null };
+
+// Children before parents
+const PURGE_TABLES = ['teacher_assignments', 'teachers', 'students', 'classes'];
+
+// ✅ Permanently remove rows deleted before the retention cutoff; returns { table: count }
+export const purgeSoftDeleted = async ({ retentionDays = SOFT_DELETE_RETENTION_DAYS } = {}) => {
+  const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000).toISOString();
+  const removed = {};
+
+  // A student's transfer history goes with them
+  const { data: students, error: studentsError } = await supabase
+    .from('students')
+    .select('student_id')
+    .lt('deleted_at', cutoff);
+  if (studentsError) throw studentsError;
+
+  if (students?.length) {
+    const { data, error } = await supabase
+      .from('student_transfers')
+      .delete()
+      .in('student_id', students.map((s) => s.student_id))
+      .select('id');
+    if (error) throw error;
+    removed.student_transfers = (data || []).length;
+  }
+
+  for (const table of PURGE_TABLES) {
+    const { data, error } = await supabase
+      .from(table)
+      .delete()
+      .lt('deleted_at', cutoff)
+      .select('id');
+    if (error) throw error;
+    removed[table] = (data || []).length;
+  }
+
+  return removed;
+};
@@ -0,0 +1,86 @@
+// server/utils/spreadsheet.js
+
+export const SUPPORTED_EXTENSIONS = ['.csv', '.xlsx', '.xls'];
+
+export const isSupportedSpreadsheet = (filename) =>
+  SUPPORTED_EXTENSIONS.some((ext) => String(filename || '').toLowerCase().endsWith(ext));
+
+// ✅ Parse the first sheet of an uploaded CSV/XLSX/XLS into row objects keyed by header.
+// Throws on unreadable files; check isSupportedSpreadsheet() first.
+export const parseSpreadsheet = async (file, { defval = null, raw = true } = {}) => {
+  const filename = file.originalname.toLowerCase();
+
+  if (filename.endsWith('.csv')) {
+    const { parse } = await import('csv-parse/sync');
+    return parse(file.buffer.toString('utf-8'), {
+      columns: true,
+      skip_empty_lines: true,
+      relax_column_count: true,
+      bom: true
+    });
+  }
+
+  const XLSX = await import('xlsx');
+  const workbook = XLSX.read(file.buffer, { type: 'buffer' });
+  const worksheet = workbook.Sheets[workbook.SheetNames[0]];
+  return XLSX.utils.sheet_to_json(worksheet, { defval, raw });
+};
+
+// Sheets a downloaded template adds around the data, never data themselves
+const TEMPLATE_HELPER_SHEETS = ['Instructions'];
+
+// ✅ Parse every visible sheet of an uploaded workbook into { name, records }. A CSV is a
+// single sheet named after the file ("6-A.csv" -> "6-A"); hidden and template helper
+// sheets are left out.
+export const parseSpreadsheetSheets = async (file, { defval = null, raw = true } = {}) => {
+  if (file.originalname.toLowerCase().endsWith('.csv')) {
+    return [{ name: file.originalname.replace(/\.csv$/i, ''), records: await parseSpreadsheet(file, { defval, raw }) }];
+  }
+
+  const XLSX = await import('xlsx');
+  const workbook = XLSX.read(file.buffer, { type: 'buffer' });
+  const hidden = new Set((workbook.Workbook?.Sheets || []).filter((sheet) => sheet.Hidden).map((sheet) => sheet.name));
+
+  return workbook.SheetNames
+    .filter((name) => !hidden.has(name) && !TEMPLATE_HELPER_SHEETS.includes(name))
+    .map((name) => ({ name, records: XLSX.utils.sheet_to_json(workbook.Sheets[name], { defval, raw }) }));
+};
+
+// ✅ Parse the first sheet into a raw grid (array of row arrays), keeping blank rows so
+// grid[n - 1] is spreadsheet row n. Used where columns are addressed by position.
+export const parseSpreadsheetRows = async (file) => {
+  const filename = file.originalname.toLowerCase();
+
+  if (filename.endsWith('.csv')) {
+    const { parse } = await import('csv-parse/sync');
+    return parse(file.buffer.toString('utf-8'), {
+      columns: false,
+      skip_empty_lines: false,
+      relax_column_count: true,
+      bom: true
+    });
+  }
+
+  const XLSX = await import('xlsx');
+  const workbook = XLSX.read(file.buffer, { type: 'buffer' });
+  const worksheet = workbook.Sheets[workbook.SheetNames[0]];
+  return XLSX.utils.sheet_to_json(worksheet, { header: 1, defval: null, raw: false, blankrows: true });
+};
+
+// Every header that appears in any row, in first-seen order
+export const collectHeaders = (records) => {
+  const headers = new Set();
+  for (const record of records) {
+    Object.keys(record || {}).forEach((key) => headers.add(key));
+  }
+  return [...headers];
+};
+
+// ✅ Pick the first non-empty value among header aliases, e.g. pickField(row, ['ROLLNO', 'Roll No'])
+export const pickField = (record, aliases) => {
+  for (const alias of aliases) {
+    const value = record[alias];
+    if (value != null && String(value).trim() !== '') return String(value).trim();
+  }
+  return '';
+};
@@ -0,0 +1,156 @@
+// server/utils/tokens.js
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { createClient } from '@supabase/supabase-js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const ACCESS_TOKEN_TTL_SECONDS = parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS, 10) || 15 * 60;
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 7;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const tokensMatch = (a, b) => {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+// Refresh tokens are opaque: "<session id>.<random secret>". Only the hash is stored.
+const newRefreshToken = (sessionId) => `${sessionId}.${crypto.randomBytes(32).toString('hex')}`;
+
+const refreshExpiry = () =>
+  new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+const signAccessToken = (principal, sessionId) =>
+  jwt.sign(
+    {
+      role: principal.role,
+      school_id: principal.school_id || null,
+      sid: sessionId,
+      pwd_change: Boolean(principal.must_change_password)
+    },
+    process.env.JWT_SECRET,
+    { subject: String(principal.id), expiresIn: ACCESS_TOKEN_TTL_SECONDS }
+  );
+
+const buildTokenResponse = (principal, sessionId, refreshToken) => ({
+  token_type: 'Bearer',
+  access_token: signAccessToken(principal, sessionId),
+  expires_in: ACCESS_TOKEN_TTL_SECONDS,
+  refresh_token: refreshToken
+});
+
+// Throws if the token is missing, malformed, expired or signed with another secret.
+export const verifyAccessToken = (token) => {
+  const payload = jwt.verify(token, process.env.JWT_SECRET);
+  return {
+    id: payload.sub,
+    role: payload.role,
+    school_id: payload.school_id || null,
+    session_id: payload.sid,
+    must_change_password: Boolean(payload.pwd_change)
+  };
+};
+
+// ✅ Start a new session for an authenticated principal ({ id, role, school_id, must_change_password })
+export const createSession = async (principal) => {
+  const sessionId = crypto.randomUUID();
+  const refreshToken = newRefreshToken(sessionId);
+
+  const { error } = await supabase
+    .from('auth_sessions')
+    .insert([{
+      id: sessionId,
+      role: principal.role,
+      subject_id: String(principal.id),
+      school_id: principal.school_id || null,
+      must_change_password: Boolean(principal.must_change_password),
+      refresh_token_hash: hashToken(refreshToken),
+      expires_at: refreshExpiry(),
+      created_at: new Date().toISOString()
+    }]);
+
+  if (error) throw error;
+
+  return buildTokenResponse(principal, sessionId, refreshToken);
+};
+
+// ✅ Exchange a refresh token for a new token pair (the old refresh token stops working)
+export const rotateSession = async (refreshToken) => {
+  const [sessionId] = String(refreshToken || '').split('.');
+  if (!sessionId) return null;
+
+  const { data: session, error } = await supabase
+    .from('auth_sessions')
+    .select('id, role, subject_id, school_id, must_change_password, refresh_token_hash, expires_at, revoked_at')
+    .eq('id', sessionId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!session || session.revoked_at) return null;
+  if (new Date(session.expires_at).getTime() <= Date.now()) return null;
+  if (!tokensMatch(session.refresh_token_hash, hashToken(refreshToken))) return null;
+
+  const nextRefreshToken = newRefreshToken(session.id);
+  const { error: updateError } = await supabase
+    .from('auth_sessions')
+    .update({
+      refresh_token_hash: hashToken(nextRefreshToken),
+      expires_at: refreshExpiry(),
+      last_used_at: new Date().toISOString()
+    })
+    .eq('id', session.id);
+
+  if (updateError) throw updateError;
+
+  const principal = {
+    id: session.subject_id,
+    role: session.role,
+    school_id: session.school_id,
+    must_change_password: session.must_change_password
+  };
+  return buildTokenResponse(principal, session.id, nextRefreshToken);
+};
+
+export const isSessionActive = async (sessionId) => {
+  if (!sessionId) return false;
+
+  const { data, error } = await supabase
+    .from('auth_sessions')
+    .select('id, expires_at, revoked_at')
+    .eq('id', sessionId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return Boolean(data && !data.revoked_at && new Date(data.expires_at).getTime() > Date.now());
+};
+
+export const revokeSession = async (sessionId) => {
+  const { error } = await supabase
+    .from('auth_sessions')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('id', sessionId)
+    .is('revoked_at', null);
+
+  if (error) throw error;
+};
+
+// Revokes every open session of one user, e.g. "log out everywhere". Teacher and student
+// IDs are unique per school only, so their sessions are narrowed to the user's school_id.
+export const revokeAllSessions = async ({ role, id, school_id = null }) => {
+  let query = supabase
+    .from('auth_sessions')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('role', role)
+    .eq('subject_id', String(id))
+    .is('revoked_at', null);
+  if (school_id) query = query.eq('school_id', school_id);
+
+  const { error } = await query;
+
+  if (error) throw error;
+};
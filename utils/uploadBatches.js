@@ -0,0 +1,90 @@
+// server/utils/uploadBatches.js
+//
+// Every committed upload (exam results, OMR responses, schools, students, teachers,
+// classes) is recorded in `upload_batches` with who uploaded it, what it changed, and
+// the original file, which is kept in Supabase Storage (bucket UPLOAD_FILES_BUCKET, default "uploads").
+import { randomUUID } from 'crypto';
+import { createClient } from '@supabase/supabase-js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const FILES_BUCKET = process.env.UPLOAD_FILES_BUCKET || 'uploads';
+
+export const UPLOAD_KINDS = ['exam_results', 'exam_responses', 'schools', 'students', 'teachers', 'classes'];
+
+const safeFileName = (name) => String(name || 'upload').replace(/[^\w.-]+/g, '_');
+
+// ✅ Keep the original file; returns its storage path, or null when storing failed
+// (the upload itself still goes ahead)
+export const storeUploadedFile = async (kind, file) => {
+  if (!file) return null;
+
+  const path = `${kind}/${randomUUID()}/${safeFileName(file.originalname)}`;
+  const { error } = await supabase.storage
+    .from(FILES_BUCKET)
+    .upload(path, file.buffer, { contentType: file.mimetype || 'application/octet-stream', upsert: false });
+
+  if (error) {
+    console.error('⚠️ Failed to store uploaded file:', error);
+    return null;
+  }
+  return path;
+};
+
+// ✅ Original file as a Buffer
+export const readUploadedFile = async (path) => {
+  const { data, error } = await supabase.storage.from(FILES_BUCKET).download(path);
+  if (error) throw error;
+  return Buffer.from(await data.arrayBuffer());
+};
+
+// ✅ Record a committed upload. `produced` names what it wrote, e.g. { student_ids } or
+// { school_ids }; exam uploads link their `upload` rows through `version_id`.
+// Failures are logged, not thrown: the upload has already been applied.
+export const recordUploadBatch = async ({
+  kind,
+  user,
+  school_id = null,
+  context = null,
+  file = null,
+  file_name = null,
+  file_path = null,
+  row_count = 0,
+  summary = null,
+  produced = null,
+  version_id = null
+}) => {
+  const { data, error } = await supabase
+    .from('upload_batches')
+    .insert([{
+      kind,
+      school_id,
+      program: context?.program || null,
+      exam_pattern: context?.exam_pattern || null,
+      class: context?.class || null,
+      section: context?.section || null,
+      exam_date: context?.exam_date || null,
+      file_name: file?.originalname || file_name,
+      file_size: file?.size ?? null,
+      file_type: file?.mimetype || null,
+      file_path,
+      row_count,
+      summary,
+      produced,
+      version_id,
+      uploaded_by: user?.id ? String(user.id) : null,
+      uploader_role: user?.role || null,
+      created_at: new Date().toISOString()
+    }])
+    .select('id')
+    .single();
+
+  if (error) {
+    console.error('⚠️ Failed to record upload batch:', error);
+    return null;
+  }
+  return data.id;
+};
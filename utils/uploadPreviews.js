@@ -0,0 +1,80 @@
+// server/utils/uploadPreviews.js
+//
+// Dry-run uploads store what they would write in `upload_previews`; the matching
+// commit endpoint applies exactly that payload, once.
+import { createClient } from '@supabase/supabase-js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const PREVIEW_TTL_MINUTES = parseInt(process.env.UPLOAD_PREVIEW_TTL_MINUTES, 10) || 60;
+
+// ✅ Save a preview and return { preview_id, expires_at }
+export const savePreview = async ({ kind, school_id, created_by, payload, summary }) => {
+  const expiresAt = new Date(Date.now() + PREVIEW_TTL_MINUTES * 60 * 1000).toISOString();
+
+  const { data, error } = await supabase
+    .from('upload_previews')
+    .insert([{
+      kind,
+      school_id,
+      created_by: created_by ? String(created_by) : null,
+      payload,
+      summary,
+      expires_at: expiresAt,
+      created_at: new Date().toISOString()
+    }])
+    .select('id, expires_at')
+    .single();
+
+  if (error) throw error;
+  return { preview_id: data.id, expires_at: data.expires_at };
+};
+
+// ✅ Claim a preview for commit. Returns { preview } or { error, status } —
+// claiming marks it committed so a double-submit cannot apply it twice.
+export const claimPreview = async ({ id, kind, school_id }) => {
+  const { data: preview, error } = await supabase
+    .from('upload_previews')
+    .select('id, kind, school_id, payload, summary, expires_at, committed_at')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  if (!preview || preview.kind !== kind || (school_id && preview.school_id !== school_id)) {
+    return { status: 404, error: 'Preview not found' };
+  }
+  if (preview.committed_at) {
+    return { status: 409, error: 'This preview has already been committed' };
+  }
+  if (new Date(preview.expires_at).getTime() <= Date.now()) {
+    return { status: 410, error: 'Preview has expired. Upload the file again with dry_run=true.' };
+  }
+
+  const { data: claimed, error: claimError } = await supabase
+    .from('upload_previews')
+    .update({ committed_at: new Date().toISOString() })
+    .eq('id', id)
+    .is('committed_at', null)
+    .select('id');
+
+  if (claimError) throw claimError;
+  if (!claimed || !claimed.length) {
+    return { status: 409, error: 'This preview has already been committed' };
+  }
+
+  return { preview };
+};
+
+// Undo a claim when applying the preview failed, so it can be retried
+export const releasePreview = async (id) => {
+  const { error } = await supabase
+    .from('upload_previews')
+    .update({ committed_at: null })
+    .eq('id', id);
+
+  if (error) console.error('⚠️ Failed to release upload preview:', error);
+};
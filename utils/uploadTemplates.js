@@ -0,0 +1,96 @@
+// server/utils/uploadTemplates.js
+//
+// Turns a template description into a downloadable XLSX or CSV file:
+// {
+//   sheet_name: 'Schools',
+//   rows: [['School Name', 'State'], ['Sample School', 'Telangana']], // as the parser reads them
+//   header_row: 1,                                  // 1-based row styled as the header, or null
+//   dropdowns: [{ column: 2, title: 'State', values: ['Telangana', ...] }],  // 1-based column
+//   instructions: ['One school per row.', ...]
+// }
+// The data sheet is always the first sheet, since uploads read only that one.
+import ExcelJS from 'exceljs';
+
+// Rows below the header that get the dropdowns
+const DROPDOWN_ROWS = 1000;
+
+// Dropdown values live on a hidden sheet: Excel caps inline list formulas at 255 characters
+const LISTS_SHEET = 'Lists';
+
+export const TEMPLATE_FORMATS = ['xlsx', 'csv'];
+
+const columnLetter = (column) => {
+  let letter = '';
+  for (let n = column; n > 0; n = Math.floor((n - 1) / 26)) {
+    letter = String.fromCharCode(65 + ((n - 1) % 26)) + letter;
+  }
+  return letter;
+};
+
+const cellText = (value) => (value == null ? '' : String(value));
+
+// ✅ XLSX template: data sheet, instructions sheet and hidden dropdown lists
+export const buildTemplateWorkbook = async (template) => {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet(template.sheet_name);
+
+  template.rows.forEach((row) => sheet.addRow(row));
+  if (template.header_row) {
+    sheet.getRow(template.header_row).font = { bold: true };
+    sheet.views = [{ state: 'frozen', ySplit: template.header_row }];
+  }
+
+  const width = Math.max(0, ...template.rows.map((row) => row.length));
+  for (let c = 1; c <= width; c++) {
+    const longest = Math.max(...template.rows.map((row) => cellText(row[c - 1]).length));
+    sheet.getColumn(c).width = Math.min(Math.max(longest + 2, 10), 40);
+  }
+
+  if (template.instructions?.length) {
+    const instructions = workbook.addWorksheet('Instructions');
+    instructions.getColumn(1).width = 120;
+    template.instructions.forEach((line) => instructions.addRow([line]));
+    instructions.getRow(1).font = { bold: true };
+  }
+
+  const dropdowns = (template.dropdowns || []).filter((dropdown) => dropdown.values.length);
+  if (dropdowns.length) {
+    const lists = workbook.addWorksheet(LISTS_SHEET, { state: 'veryHidden' });
+    const firstRow = (template.header_row || 0) + 1;
+
+    dropdowns.forEach((dropdown, i) => {
+      const listColumn = columnLetter(i + 1);
+      lists.getCell(1, i + 1).value = dropdown.title;
+      dropdown.values.forEach((value, r) => {
+        lists.getCell(r + 2, i + 1).value = value;
+      });
+
+      const column = columnLetter(dropdown.column);
+      sheet.dataValidations.add(`${column}${firstRow}:${column}${firstRow + DROPDOWN_ROWS - 1}`, {
+        type: 'list',
+        allowBlank: true,
+        showErrorMessage: true,
+        errorTitle: dropdown.title,
+        error: `Choose a value from the ${dropdown.title} list`,
+        formulae: [`${LISTS_SHEET}!$${listColumn}$2:$${listColumn}$${dropdown.values.length + 1}`]
+      });
+    });
+  }
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+};
+
+const csvCell = (value) => {
+  const text = cellText(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// ✅ CSV template: just the data rows (no dropdowns or instructions)
+export const buildTemplateCsv = (template) => {
+  const width = Math.max(0, ...template.rows.map((row) => row.length));
+  const lines = template.rows.map((row) =>
+    Array.from({ length: width }, (_, i) => csvCell(row[i])).join(',')
+  );
+  // The BOM makes Excel open the file as UTF-8
+  return Buffer.from(`\uFEFF${lines.join('\r\n')}\r\n`, 'utf-8');
+};